@@ -52,7 +52,7 @@ exports.handler = async (event) => {
   }
 
   try {
-    const { book, reference, origWords, occurrence, glQuote, glOccurrence, userIdentifier } = JSON.parse(event.body || '{}');
+    const { book, reference, origWords, occurrence, glQuote, glOccurrence, id, twLink, userIdentifier } = JSON.parse(event.body || '{}');
 
     if (!book || !reference || !origWords || occurrence === undefined) {
       return { statusCode: 400, headers, body: JSON.stringify({ error: 'book, reference, origWords, and occurrence are required' }) };
@@ -71,6 +71,8 @@ exports.handler = async (event) => {
       occurrence: String(occurrence).trim(),
       glQuote: glQuote || '', // add GLQuote for reference
       glOccurrence: glOccurrence || '', // add GLOccurrence for reference
+      id: id || '', // ID and TWLink let other match key strategies find the row
+      twLink: twLink || '',
       userIdentifier: userIdentifier || 'anonymous',
       dateAdded: now,
       lastModified: now,
@@ -1,5 +1,16 @@
 const { Buffer } = require('buffer');
 
+// Repository names sent by the client (project configuration) must be plain DCS names
+const REPO_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Repositories the server's DCS token may commit to: "owner/repo" entries of DCS_COMMIT_REPOS (comma-separated),
+// unfoldingWord's en_twl by default. The project configuration comes from the client and is not trusted on its own
+const getAllowedRepos = () =>
+  (process.env.DCS_COMMIT_REPOS || 'unfoldingWord/en_twl')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
 exports.handler = async (event, context) => {
 
   if (event.httpMethod !== 'POST') {
@@ -10,7 +21,18 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { content, name, email, message, book, userID, dcsHost: clientDcsHost } = JSON.parse(event.body);
+    const {
+      content,
+      name,
+      email,
+      message,
+      book,
+      userID,
+      dcsHost: clientDcsHost,
+      owner = 'unfoldingWord',
+      repo = 'en_twl',
+      baseBranch = 'master',
+    } = JSON.parse(event.body);
 
     // Validation
     const errors = {};
@@ -20,6 +42,9 @@ exports.handler = async (event, context) => {
     if (!userID || !/^user-\d+$/.test(userID)) errors.userID = 'Invalid userID.';
     if (!book || typeof book !== 'string' || !book.trim() || book.length != 3) errors.book = 'Book ID is required.';
     if (!content || typeof content !== 'string' || !content.trim()) errors.content = 'Content is required.';
+    if (typeof owner !== 'string' || !REPO_NAME_PATTERN.test(owner)) errors.owner = 'Invalid repository owner.';
+    if (typeof repo !== 'string' || !REPO_NAME_PATTERN.test(repo)) errors.repo = 'Invalid repository name.';
+    if (typeof baseBranch !== 'string' || !baseBranch.trim() || /\s|\.\./.test(baseBranch)) errors.baseBranch = 'Invalid base branch.';
     if (Object.keys(errors).length > 0) {
       return {
         statusCode: 400,
@@ -27,8 +52,15 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const repoOwner = 'unfoldingWord';
-    const repoName = 'en_twl';
+    if (!getAllowedRepos().includes(`${owner}/${repo}`.toLowerCase())) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ success: false, error: `Committing to ${owner}/${repo} is not enabled on this server (see DCS_COMMIT_REPOS).` })
+      };
+    }
+
+    const repoOwner = owner;
+    const repoName = repo;
     const branch = `twl-creation-${userID}-${book.toUpperCase()}`;
     const filePath = `twl_${book.toUpperCase()}.tsv`;
     const commitMsg = message || `Created a new ${filePath} with the TWL Creation app`;
@@ -46,13 +78,13 @@ exports.handler = async (event, context) => {
     let branchExists = false;
     let branchRes = await fetch(`${baseUrl}/repos/${repoOwner}/${repoName}/branches/${branch}`, { headers });
     if (branchRes.status === 404) {
-      // 2. Create branch from master
+      // 2. Create branch from the base branch
       const createBranchRes = await fetch(`${baseUrl}/repos/${repoOwner}/${repoName}/branches`, {
         method: 'POST',
         headers,
         body: JSON.stringify({
           new_branch_name: branch,
-          old_branch_name: 'master'
+          old_branch_name: baseBranch
         })
       });
       if (createBranchRes.status !== 201) {
@@ -114,9 +146,10 @@ exports.handler = async (event, context) => {
       method: 'POST',
       headers,
       body: JSON.stringify({
-        base: 'master',
+        base: baseBranch,
         head: branch,
-        assignee: 'richmahn',
+        // Only unfoldingWord's own TWLs are assigned to its reviewer
+        ...(repoOwner === 'unfoldingWord' ? { assignee: 'richmahn' } : {}),
         title: `Created a new ${filePath} with the TWL Creation app`,
         body: message || ''
       })
@@ -136,9 +169,9 @@ exports.handler = async (event, context) => {
       const match = msg.match(/issue_id: (\d+)/);
       if (match) {
         const issueId = match[1];
-        prUrl = `${dcsHost}/unfoldingWord/en_twl/pulls/${issueId}`;
+        prUrl = `${dcsHost}/${repoOwner}/${repoName}/pulls/${issueId}`;
       } else {
-        prUrl = `${dcsHost}/unfoldingWord/en_twl/pulls`;
+        prUrl = `${dcsHost}/${repoOwner}/${repoName}/pulls`;
       }
       prCreated = false;
     } else {
@@ -57,6 +57,8 @@ exports.handler = async (event) => {
       origWords: it.origWords,
       normalizedOrigWords: it.normalizedOrigWords,
       occurrence: it.occurrence,
+      id: it.id || '',
+      twLink: it.twLink || '',
       sortKey: it.sortKey,
       dateAdded: it.dateAdded,
     }));
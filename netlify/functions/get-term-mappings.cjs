@@ -0,0 +1,67 @@
+/**
+ * Netlify Function to get all custom term mappings from DynamoDB
+ */
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Initialize DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.TWL_AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.TWL_AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.TWL_AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+const docClient = DynamoDBDocumentClient.from(client);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+exports.handler = async (event) => {
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    console.log('🧭 [TERM-MAPPINGS] Table:', process.env.TWL_DYNAMODB_TERM_MAPPINGS_TABLE_NAME);
+
+    // The table is small; follow the scan pages until all rules are read
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+      const result = await docClient.send(new ScanCommand({
+        TableName: process.env.TWL_DYNAMODB_TERM_MAPPINGS_TABLE_NAME,
+        ExclusiveStartKey,
+      }));
+      items.push(...(result.Items || []));
+      ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    const rules = items.map((it) => ({
+      ruleKey: it.ruleKey,
+      matchType: it.matchType,
+      match: it.match,
+      twLink: it.twLink,
+      books: it.books || [],
+      note: it.note || '',
+      userIdentifier: it.userIdentifier,
+      dateAdded: it.dateAdded,
+      lastModified: it.lastModified,
+    }));
+
+    console.log('🧭 [TERM-MAPPINGS] Returning', rules.length, 'term mappings');
+    return { statusCode: 200, headers, body: JSON.stringify({ items: rules, count: rules.length }) };
+  } catch (error) {
+    console.error('Error getting term mappings:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Internal server error' }) };
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Netlify Function to remove a custom term mapping from DynamoDB
+ */
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Initialize DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.TWL_AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.TWL_AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.TWL_AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+const docClient = DynamoDBDocumentClient.from(client);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+exports.handler = async (event) => {
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { ruleKey } = JSON.parse(event.body || '{}');
+
+    if (!ruleKey) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'ruleKey is required' }) };
+    }
+
+    await docClient.send(new DeleteCommand({
+      TableName: process.env.TWL_DYNAMODB_TERM_MAPPINGS_TABLE_NAME,
+      Key: { ruleKey },
+    }));
+
+    return { statusCode: 200, headers, body: JSON.stringify({ message: 'Term mapping removed' }) };
+  } catch (error) {
+    console.error('Error removing term mapping:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Internal server error' }) };
+  }
+};
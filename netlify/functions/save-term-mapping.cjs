@@ -0,0 +1,84 @@
+/**
+ * Netlify Function to add or update a custom term mapping in DynamoDB
+ * Key: ruleKey (PK) = `${matchType}|${normalizedMatch}` - saving the same match again replaces its TWLink and books
+ */
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Initialize DynamoDB client
+const client = new DynamoDBClient({
+  region: process.env.TWL_AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.TWL_AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.TWL_AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+const docClient = DynamoDBDocumentClient.from(client);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+const MATCH_TYPES = ['origWords', 'lemma'];
+const TW_LINK_PATTERN = /^rc:\/\/\*\/tw\/dict\/bible\/[a-z]+\/[^\s/]+$/;
+
+// Normalize Hebrew text similar to unlink feature
+const normalizeHebrewText = (text) => {
+  if (!text) return '';
+  return text
+    .replace(/[\u0591-\u05BD\u05BF-\u05C7\u05BE\u05C0\u05C3\u05C6]/g, '')
+    .replace(/[\u2000-\u200F\u2028-\u202F]/g, ' ') // Replace various Unicode spaces with regular space
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+exports.handler = async (event) => {
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { matchType, match, twLink, books, note, userIdentifier } = JSON.parse(event.body || '{}');
+
+    if (!MATCH_TYPES.includes(matchType) || !match || !match.trim() || !TW_LINK_PATTERN.test((twLink || '').trim())) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'matchType (origWords or lemma), match and a TW article twLink are required' }) };
+    }
+
+    const ruleKey = `${matchType}|${normalizeHebrewText(match)}`;
+    const existing = await docClient.send(new GetCommand({
+      TableName: process.env.TWL_DYNAMODB_TERM_MAPPINGS_TABLE_NAME,
+      Key: { ruleKey },
+    }));
+
+    const now = new Date().toISOString();
+    const item = {
+      ruleKey,
+      matchType,
+      match: match.trim(),
+      twLink: twLink.trim(),
+      books: Array.isArray(books) ? books.map((book) => String(book).trim().toLowerCase()).filter(Boolean) : [],
+      note: note || '',
+      userIdentifier: userIdentifier || 'anonymous',
+      dateAdded: existing.Item?.dateAdded || now,
+      lastModified: now,
+    };
+
+    await docClient.send(new PutCommand({
+      TableName: process.env.TWL_DYNAMODB_TERM_MAPPINGS_TABLE_NAME,
+      Item: item,
+    }));
+
+    return { statusCode: 200, headers, body: JSON.stringify({ message: existing.Item ? 'Term mapping updated' : 'Term mapping added', item, existing: !!existing.Item }) };
+  } catch (error) {
+    console.error('Error saving term mapping:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Internal server error' }) };
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * Service worker for the offline workspace (registered by src/services/serviceWorker.js)
+ * - The app page falls back to its cached copy when there is no network
+ * - App files are served from the cache and refreshed in the background
+ * - GET requests to the DCS API and raw files and to the Netlify functions go to the network first and fall back to the
+ *   cached response, so what twl-generator and the quote converters downloaded during a warm-up generation is available
+ *   offline. Those responses are kept in their own cache, limited to MAX_DATA_ENTRIES and MAX_DATA_AGE
+ * Repository archives (the TW archive) are not cached here - the app keeps them in IndexedDB (src/utils/offlineStore.js),
+ * as it does USFM and TWL files. Other requests are left to the browser
+ */
+
+const CACHE_NAME = 'twl-offline-v1';
+const DATA_CACHE_NAME = 'twl-offline-data-v1';
+const APP_SHELL = ['/'];
+
+const MAX_DATA_ENTRIES = 300;
+const MAX_DATA_AGE = 1000 * 60 * 60 * 24 * 30; // 30 days
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => ![CACHE_NAME, DATA_CACHE_NAME].includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = async (request, response, cacheName = CACHE_NAME) => {
+  if (response && (response.ok || response.type === 'opaque')) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Drop the oldest DCS responses beyond MAX_DATA_ENTRIES (keys are in the order they were last stored)
+const trimDataCache = async () => {
+  const cache = await caches.open(DATA_CACHE_NAME);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_DATA_ENTRIES)).map((key) => cache.delete(key)));
+};
+
+const isExpired = (response) => {
+  const date = Date.parse(response.headers.get('date') || '');
+  return !Number.isNaN(date) && Date.now() - date > MAX_DATA_AGE;
+};
+
+const networkFirst = async (request, fallbackUrl = null) => {
+  try {
+    return await putInCache(request, await fetch(request));
+  } catch (error) {
+    const cached = (await caches.match(request)) || (fallbackUrl && (await caches.match(fallbackUrl)));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const networkFirstData = async (request) => {
+  try {
+    const response = await putInCache(request, await fetch(request), DATA_CACHE_NAME);
+    trimDataCache().catch(() => {});
+    return response;
+  } catch (error) {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached && !isExpired(cached)) return cached;
+    if (cached) await cache.delete(request);
+    throw error;
+  }
+};
+
+// DCS API calls and raw files, but not repository archives
+const isDcsDataRequest = (url) =>
+  url.protocol === 'https:' && !url.pathname.includes('/archive/') && (url.pathname.startsWith('/api/v1/repos/') || /^\/[^/]+\/[^/]+\/raw\//.test(url.pathname));
+
+const staleWhileRevalidate = async (request) => {
+  const cached = await caches.match(request);
+  const refresh = fetch(request)
+    .then((response) => putInCache(request, response))
+    .catch(() => null);
+  return cached || (await refresh) || Response.error();
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(url.pathname.startsWith('/.netlify/functions/') ? networkFirstData(request) : staleWhileRevalidate(request));
+  } else if (isDcsDataRequest(url)) {
+    event.respondWith(networkFirstData(request));
+  }
+});
+
+// The app sends the files it has loaded (lazily loaded chunks and the pipeline worker included) to be kept
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'CACHE_URLS') return;
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.all(
+        (event.data.urls || []).map((url) => cache.add(url).catch((error) => console.warn(`📴 Could not cache ${url}:`, error?.message || error)))
+      )
+    )
+  );
+});
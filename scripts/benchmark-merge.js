@@ -0,0 +1,185 @@
+/* eslint-env node */
+/**
+ * Benchmark the TWL merge engine on whole-book sized input
+ * Builds a deterministic Psalms/Isaiah-sized generated TWL and an edited "existing" TWL from BibleBookData
+ * and times each merge strategy and Update TWL. Each output is also compared with the implementation it replaced
+ * (loaded from git history, so this needs a clone with history; the old merges take several seconds per book).
+ * Exits with an error if any output differs or any merge takes a second or longer.
+ *
+ * Usage: pnpm bench:merge
+ */
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { BibleBookData } from '../src/common/books.js';
+import { mergeExistingTwls, mergeExistingTwlsGeneratedFirst, mergeExistingTwlsThreeWay, updateTwlInPlace } from '../src/services/twlService.js';
+
+const BOOKS = ['psa', 'isa'];
+const ROWS_PER_VERSE = 5;
+const TIME_LIMIT_MS = 1000;
+
+// Commits holding the implementations the output is checked against: the merges before the key-index rewrite, and
+// Update TWL before its inserts went through the row sequence
+const REFERENCE_COMMITS = {
+  merges: '15de4cbc83',
+  updateInPlace: 'de24d75650',
+};
+
+const GENERATED_HEADERS = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'GLQuote', 'GLOccurrence', 'Variant of', 'Disambiguation'];
+const EXISTING_HEADERS = GENERATED_HEADERS.slice(0, 6);
+const WORDS = ['אֱלֹהִים', 'יְהוָה', 'דָּוִד', 'צַדִּיק', 'רָשָׁע', 'תּוֹרָה', 'חֶסֶד', 'מֶלֶךְ', 'עַם', 'קֹדֶשׁ'];
+const LINKS = ['kt/god', 'kt/yahweh', 'names/david', 'kt/righteous', 'kt/evil', 'kt/lawofmoses', 'kt/covenantfaithfulness', 'other/king', 'other/peoplegroup', 'kt/holy'];
+
+// Small deterministic PRNG so every run benchmarks the same fixture
+const createRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const buildFixture = (bookId) => {
+  const random = createRandom(bookId.split('').reduce((sum, c) => sum + c.charCodeAt(0), 0));
+  const generated = [];
+  const existing = [];
+  const base = [];
+  let id = 0;
+
+  BibleBookData[bookId].chapters.forEach((verseCount, c) => {
+    for (let v = 1; v <= verseCount; v++) {
+      for (let w = 0; w < ROWS_PER_VERSE; w++) {
+        const wordIndex = Math.floor(random() * WORDS.length);
+        const ref = `${c + 1}:${v}`;
+        const link = `rc://*/tw/dict/bible/${LINKS[wordIndex]}`;
+        const rowId = (id++).toString(36).padStart(4, 'a');
+        const row = [ref, rowId, '', WORDS[wordIndex], String(w + 1), link];
+        const roll = random();
+
+        generated.push([...row, `word${w}`, '1', '', roll < 0.05 ? `(${LINKS[wordIndex]}, other/thing)` : ''].join('\t'));
+        base.push(row.join('\t'));
+        if (roll < 0.1) continue; // Curator removed the row
+        if (roll < 0.2) {
+          existing.push([...row.slice(0, 5), 'rc://*/tw/dict/bible/other/thing'].join('\t')); // Curator changed the link
+        } else {
+          existing.push(row.join('\t'));
+        }
+        if (roll > 0.97) {
+          existing.push([ref, `x${rowId}`, '', 'אִישׁ', '1', 'rc://*/tw/dict/bible/other/man'].join('\t')); // Curator added a row
+        }
+      }
+    }
+  });
+
+  // Generator no longer produces some rows
+  const generatedRows = generated.filter((_, i) => i % 13 !== 0);
+
+  return {
+    generated: [GENERATED_HEADERS.join('\t'), ...generatedRows].join('\n'),
+    existing: [EXISTING_HEADERS.join('\t'), ...existing].join('\n'),
+    base: [EXISTING_HEADERS.join('\t'), ...base].join('\n'),
+    // The table being edited for Update TWL: a merged TWL missing some generated rows, with a few edited disambiguations
+    current: [
+      [...GENERATED_HEADERS, 'Merge Status'].join('\t'),
+      ...generated
+        .filter((_, i) => i % 7 !== 0)
+        .map((line, i) => {
+          const cols = line.split('\t');
+          if (i % 11 === 0) cols[9] = `DONE ${cols[9]}`;
+          return [...cols, 'MERGED'].join('\t');
+        }),
+    ].join('\n'),
+    rowCount: generatedRows.length,
+  };
+};
+
+/**
+ * Import src/services/twlService.js as it was at a commit
+ * Relative imports are pointed at the current tree and bare ones at this project's node_modules
+ */
+const importTwlServiceAt = async (commit) => {
+  const repoRoot = fileURLToPath(new URL('..', import.meta.url));
+  const servicesUrl = new URL('../src/services/', import.meta.url);
+  const source = execFileSync('git', ['show', `${commit}:src/services/twlService.js`], { cwd: repoRoot, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  const rewritten = source.replace(/(from\s+)(['"])([^'"]+)\2/g, (match, from, quote, specifier) => {
+    const resolved = specifier.startsWith('.') ? new URL(specifier, servicesUrl).href : import.meta.resolve(specifier);
+    return `${from}${quote}${resolved}${quote}`;
+  });
+  return import(`data:text/javascript,${encodeURIComponent(rewritten)}`);
+};
+
+// [name, merge with the current implementation, merge with the reference module, key of REFERENCE_COMMITS]
+const STRATEGIES = [
+  ['fetched-first', (f) => mergeExistingTwls(f.generated, f.existing), (ref, f) => ref.mergeExistingTwls(f.generated, f.existing), 'merges'],
+  [
+    'generated-first',
+    (f) => mergeExistingTwlsGeneratedFirst(f.generated, f.existing),
+    (ref, f) => ref.mergeExistingTwlsGeneratedFirst(f.generated, f.existing),
+    'merges',
+  ],
+  ['three-way', (f) => mergeExistingTwlsThreeWay(f.generated, f.existing, f.base), (ref, f) => ref.mergeExistingTwlsThreeWay(f.generated, f.existing, f.base), 'merges'],
+  [
+    'update-in-place',
+    (f) => updateTwlInPlace(f.current, f.generated).content,
+    (ref, f) => ref.updateTwlInPlace(f.current, f.generated).content,
+    'updateInPlace',
+  ],
+];
+
+// Line number (1-based, header included) of the first difference between two outputs, or 0 if they are the same
+const findFirstDifference = (actual, expected) => {
+  const actualLines = actual.split('\n');
+  const expectedLines = expected.split('\n');
+  for (let i = 0; i < Math.max(actualLines.length, expectedLines.length); i++) {
+    if (actualLines[i] !== expectedLines[i]) return i + 1;
+  }
+  return 0;
+};
+
+const run = async () => {
+  const log = console.log;
+  const results = [];
+  const mismatches = [];
+  const references = {};
+  for (const [key, commit] of Object.entries(REFERENCE_COMMITS)) {
+    references[key] = await importTwlServiceAt(commit);
+  }
+
+  for (const bookId of BOOKS) {
+    const fixture = buildFixture(bookId);
+    for (const [name, merge, mergeWithReference, referenceKey] of STRATEGIES) {
+      // The merge functions log every row; mute them so the timing reflects the merge itself
+      console.log = () => {};
+      const start = performance.now();
+      const output = await merge(fixture);
+      const elapsed = performance.now() - start;
+      const expected = await mergeWithReference(references[referenceKey], fixture);
+      console.log = log;
+
+      const differsAt = findFirstDifference(output, expected);
+      if (differsAt) {
+        mismatches.push(`${bookId} ${name}: line ${differsAt} differs from ${REFERENCE_COMMITS[referenceKey]}`);
+      }
+      results.push({
+        book: bookId,
+        strategy: name,
+        rows: fixture.rowCount,
+        outputRows: output.split('\n').length - 1,
+        ms: Math.round(elapsed),
+        sameAsReference: !differsAt,
+      });
+    }
+  }
+
+  console.table(results);
+
+  const slow = results.filter((r) => r.ms >= TIME_LIMIT_MS);
+  if (mismatches.length > 0) {
+    console.error(`❌ Output differs from the reference implementation:\n${mismatches.join('\n')}`);
+  }
+  if (slow.length > 0) {
+    console.error(`❌ ${slow.length} merge(s) took ${TIME_LIMIT_MS}ms or longer`);
+  }
+  if (mismatches.length > 0 || slow.length > 0) {
+    process.exit(1);
+  }
+  console.log(`✅ All merges match the reference implementation and finished in under ${TIME_LIMIT_MS}ms`);
+};
+
+run();
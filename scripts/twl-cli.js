@@ -0,0 +1,219 @@
+/* eslint-env node */
+/**
+ * Run the TWL generation pipeline from the command line, without the app
+ * Generates the TWL for a book, optionally merges it with an existing 6-column TSV, and writes both the extended
+ * TSV (all columns, as saved by the app) and the 6-column TSV (deleted rows removed, as committed to DCS).
+ *
+ * Usage: pnpm twl --book gen [--existing twl_GEN.tsv] [--strategy generated-first] [--out-dir out]
+ *        pnpm twl --help
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { BibleBookData } from '../src/common/books.js';
+import { runTwlPipeline, MERGE_STRATEGIES } from '../src/services/twlPipeline.js';
+import { MATCH_KEY_STRATEGIES, DEFAULT_MATCH_KEY_STRATEGY } from '../src/utils/matchKeys.js';
+import { isValidTsvStructure, isExtendedTsvFormat, normalizeTsvColumnCount, processTsvContent } from '../src/utils/tsvUtils.js';
+import {
+  DEFAULT_PROJECT_CONFIG,
+  RESOURCE_PINS,
+  normalizeProjectConfig,
+  validateProjectConfig,
+  describeProjectConfig,
+  describeResourcePins,
+} from '../src/utils/projectConfig.js';
+
+const USAGE = `Usage: pnpm twl --book <code> [options]
+
+Options:
+  -b, --book <code>            Book to generate (e.g. gen, mat)
+  -e, --existing <file>        Existing 6-column TWL TSV to merge with
+  -s, --strategy <name>        Merge strategy: ${Object.values(MERGE_STRATEGIES).join(', ')} (default: ${MERGE_STRATEGIES.GENERATED_FIRST})
+  -k, --match-key <name>       Match key: ${Object.values(MATCH_KEY_STRATEGIES).join(', ')} (default: ${DEFAULT_MATCH_KEY_STRATEGY})
+      --no-fuzzy               Skip the fuzzy matching pass
+      --renumber-occurrences   Renumber Occurrence in the existing TWL against the current original-language text first
+      --unlinked-words <file>  JSON array of unlinked words ({origWords, twLink, removed}) to soft-delete
+      --deleted-rows <file>    JSON array (or {items}) of deleted row markers to apply
+      --term-mappings <file>   JSON array (or {items}) of term mappings ({matchType, match, twLink, books}) to apply
+      --dcs-host <url>         DCS host (default: https://git.door43.org)
+      --owner <org>            Organization that owns the repositories (default: ${DEFAULT_PROJECT_CONFIG.owner})
+      --bible-repo <repo>      Aligned GL Bible used for quotes and verse order (default: ${DEFAULT_PROJECT_CONFIG.bibleRepo})
+      --twl-repo <repo>        TWL repository of the three-way merge base (default: ${DEFAULT_PROJECT_CONFIG.twlRepo})
+      --tw-repo <repo>         TW repository the TWLinks point to (default: ${DEFAULT_PROJECT_CONFIG.twRepo})
+      --ref <ref>              Ref of the repositories (default: ${DEFAULT_PROJECT_CONFIG.ref})
+      --pin <resource>=<ref>   Pin a resource to a release tag or commit (repeatable; ${RESOURCE_PINS.map(({ key }) => key).join(', ')})
+      --provenance             Add Source, SourceRef and GeneratedAt columns and write a .provenance.json sidecar
+      --existing-ref <branch>  TWL repository branch the --existing file came from (recorded in the provenance)
+  -o, --out-dir <dir>          Where to write the TSV files (default: current directory)
+  -v, --verbose                Show the pipeline's detailed log
+  -h, --help                   Show this help
+
+Fetched-first keeps the existing TWL's order; the other strategies reorder rows by ULT verse position.`;
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+const readJsonList = async (file, label) => {
+  try {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    const list = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(list)) throw new Error('expected a JSON array or an object with an "items" array');
+    return list;
+  } catch (error) {
+    return fail(`Could not read ${label} from ${file}: ${error.message}`);
+  }
+};
+
+const main = async () => {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        book: { type: 'string', short: 'b' },
+        existing: { type: 'string', short: 'e' },
+        strategy: { type: 'string', short: 's', default: MERGE_STRATEGIES.GENERATED_FIRST },
+        'match-key': { type: 'string', short: 'k', default: DEFAULT_MATCH_KEY_STRATEGY },
+        'no-fuzzy': { type: 'boolean', default: false },
+        'renumber-occurrences': { type: 'boolean', default: false },
+        'unlinked-words': { type: 'string' },
+        'term-mappings': { type: 'string' },
+        'deleted-rows': { type: 'string' },
+        'dcs-host': { type: 'string', default: 'https://git.door43.org' },
+        owner: { type: 'string' },
+        'bible-repo': { type: 'string' },
+        'twl-repo': { type: 'string' },
+        'tw-repo': { type: 'string' },
+        ref: { type: 'string' },
+        pin: { type: 'string', multiple: true, default: [] },
+        provenance: { type: 'boolean', default: false },
+        'existing-ref': { type: 'string', default: '' },
+        'out-dir': { type: 'string', short: 'o', default: '.' },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const bookCode = (args.book || '').toLowerCase();
+  if (!bookCode) fail(`--book is required\n\n${USAGE}`);
+  if (!BibleBookData[bookCode]) fail(`Unknown book: ${args.book}`);
+  if (!Object.values(MERGE_STRATEGIES).includes(args.strategy)) fail(`Unknown merge strategy: ${args.strategy}`);
+  if (!Object.values(MATCH_KEY_STRATEGIES).includes(args['match-key'])) fail(`Unknown match key: ${args['match-key']}`);
+
+  const pins = {};
+  args.pin.forEach((pin) => {
+    const [resource, ...refParts] = pin.split('=');
+    if (!RESOURCE_PINS.some(({ key }) => key === resource) || !refParts.join('=')) {
+      fail(`Invalid --pin ${pin} (expected <resource>=<ref>, resource one of ${RESOURCE_PINS.map(({ key }) => key).join(', ')})`);
+    }
+    pins[resource] = refParts.join('=');
+  });
+  const projectConfigArgs = {
+    owner: args.owner,
+    bibleRepo: args['bible-repo'],
+    twlRepo: args['twl-repo'],
+    twRepo: args['tw-repo'],
+    ref: args.ref,
+    pins,
+  };
+  const projectConfigErrors = Object.values(validateProjectConfig(projectConfigArgs));
+  if (projectConfigErrors.length > 0) fail(projectConfigErrors.join('\n'));
+  const projectConfig = normalizeProjectConfig(projectConfigArgs);
+
+  let existingTwlContent = '';
+  if (args.existing) {
+    try {
+      existingTwlContent = await readFile(args.existing, 'utf8');
+    } catch (error) {
+      fail(`Could not read ${args.existing}: ${error.message}`);
+    }
+    if (isExtendedTsvFormat(existingTwlContent)) {
+      fail(`${args.existing} is an extended TSV (already pipeline output) - pass the 6-column TWL to merge with`);
+    }
+    if (!isValidTsvStructure(existingTwlContent)) {
+      fail(`${args.existing} is not a valid 6-column TWL TSV`);
+    }
+  }
+
+  const unlinkedWords = args['unlinked-words'] ? await readJsonList(args['unlinked-words'], 'unlinked words') : [];
+  const deletedRows = args['deleted-rows'] ? await readJsonList(args['deleted-rows'], 'deleted rows') : null;
+  const termMappings = args['term-mappings'] ? await readJsonList(args['term-mappings'], 'term mappings') : [];
+
+  let provenance = null;
+  if (args.provenance) {
+    const packageInfo = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    provenance = { generatorVersion: packageInfo.dependencies['twl-generator'], existingTwlRef: args['existing-ref'] };
+  }
+
+  console.error(`📚 Generating TWL for ${BibleBookData[bookCode].title} (${bookCode})${args.existing ? `, merging with ${args.existing} (${args.strategy})` : ''}...`);
+  console.error(`🗂️ Project: ${describeProjectConfig(projectConfig)}${describeResourcePins(projectConfig) ? ` (pinned: ${describeResourcePins(projectConfig)})` : ''}`);
+
+  // The pipeline logs every merged row; keep the output readable unless asked for it
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+
+  let result;
+  try {
+    result = await runTwlPipeline({
+      bookCode,
+      existingTwlContent,
+      mergeStrategy: args.strategy,
+      reorderByVerse: args.strategy !== MERGE_STRATEGIES.FETCHED_FIRST,
+      matchKeyStrategy: args['match-key'],
+      fuzzyMatch: !args['no-fuzzy'],
+      renumberOccurrences: args['renumber-occurrences'],
+      unlinkedWords,
+      deletedRows,
+      termMappings,
+      dcsHost: args['dcs-host'],
+      projectConfig,
+      provenance,
+    });
+  } catch (error) {
+    console.log = log;
+    fail(`Pipeline failed: ${error.message}`);
+  }
+  console.log = log;
+
+  const outDir = path.resolve(args['out-dir']);
+  const bookUpper = bookCode.toUpperCase();
+  const extendedFile = path.join(outDir, `twl_${bookUpper}_creation_app.tsv`);
+  const sixColumnFile = path.join(outDir, `twl_${bookUpper}.tsv`);
+
+  await mkdir(outDir, { recursive: true });
+  await writeFile(extendedFile, normalizeTsvColumnCount(result.content));
+  await writeFile(sixColumnFile, processTsvContent(result.content, true));
+  const provenanceFile = path.join(outDir, `twl_${bookUpper}_creation_app.provenance.json`);
+  if (result.provenance) {
+    await writeFile(provenanceFile, `${JSON.stringify(result.provenance, null, 2)}\n`);
+  }
+
+  const { summary } = result;
+  console.table({
+    'Total rows': summary.totalRows,
+    ...summary.statusCounts,
+    'Occurrences renumbered': summary.occurrencesRenumbered ?? 'not run',
+    'Occurrences to review': summary.occurrencesToReview,
+    'Duplicates removed': summary.duplicatesRemoved ?? 'not run',
+    'IDs rewritten': summary.idsRewritten,
+    'IDs assigned': summary.idsAssigned,
+    'Hidden by unlinked words': summary.hiddenByUnlinked,
+    'Hidden by deleted rows': summary.hiddenByDeleted ?? 'not applied',
+    'Added by term mappings': summary.termMappingRowsAdded,
+    'Relinked by term mappings': summary.termMappingLinksOverridden,
+  });
+  console.log(`✅ Wrote ${extendedFile}`);
+  console.log(`✅ Wrote ${sixColumnFile}`);
+  if (result.provenance) console.log(`✅ Wrote ${provenanceFile}`);
+};
+
+main();
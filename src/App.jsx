@@ -14,7 +14,7 @@
  * - Export functionality for processed TWL data
  */
 
-import React, { useMemo, useState, useEffect } from 'react';
+import React, { useMemo, useState, useEffect, useRef } from 'react';
 import {
   AppBar,
   Toolbar,
@@ -38,7 +38,6 @@ import {
   DialogContent,
   DialogActions,
   Link,
-  Snackbar,
 } from '@mui/material';
 import {
   ContentPaste as PasteIcon,
@@ -51,6 +50,10 @@ import {
   CloudUpload as CloudUploadIcon,
   GitHub as GitHubIcon,
   Refresh as UpdateIcon,
+  FormatListNumbered as RenumberIcon,
+  ContentCut as RangeIcon,
+  Settings as SettingsIcon,
+  CloudOff as OfflineIcon,
 } from '@mui/icons-material';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
@@ -60,10 +63,36 @@ import { useAppState } from './hooks/useAppState.js';
 import { useTableData } from './hooks/useTableData.js';
 import TWLTable from './components/TWLTable.jsx';
 import UnlinkedWordsManager from './components/UnlinkedWordsManager.jsx';
+import TermMappingsManager from './components/TermMappingsManager.jsx';
+import ValidationReport from './components/ValidationReport.jsx';
+import LemmaConsistencyDialog from './components/LemmaConsistencyDialog.jsx';
+import TwCoverageDialog from './components/TwCoverageDialog.jsx';
 import ScriptureViewer from './components/ScriptureViewer.jsx';
+import MergeDiffPanel from './components/MergeDiffPanel.jsx';
+import MergePreviewDialog from './components/MergePreviewDialog.jsx';
+import UpdateReportDialog from './components/UpdateReportDialog.jsx';
+import OccurrenceReportDialog from './components/OccurrenceReportDialog.jsx';
+import BatchGenerateDialog from './components/BatchGenerateDialog.jsx';
+import RegenerateRangeDialog from './components/RegenerateRangeDialog.jsx';
+import PipelineProgress from './components/PipelineProgress.jsx';
+import NoMatchPanel from './components/NoMatchPanel.jsx';
+import ProjectSettingsDialog from './components/ProjectSettingsDialog.jsx';
+import OfflineDialog from './components/OfflineDialog.jsx';
+import GeneratorDiffDialog from './components/GeneratorDiffDialog.jsx';
+import {
+  addPipelineProvenance,
+  loadVerseLexicon,
+  convertGLQuoteToOrigWords,
+  MERGE_STRATEGIES,
+  PIPELINE_STAGES,
+} from './services/twlPipeline.js';
+import { runTwlPipelineInWorker, isPipelineCancelled } from './services/twlPipelineWorker.js';
+import { updateTwlInPlace } from './services/twlService.js';
+import { loadGeneratorRuns, recordGeneratorRun } from './services/generatorRuns.js';
+import { getIdsOutsideRange, spliceRangeIntoTwl, formatReferenceRange } from './utils/referenceRange.js';
+import { parseNoMatchCandidates, promoteNoMatchCandidate } from './utils/noMatch.js';
 import packageInfo from '../package.json';
-import { fetchTWLContent } from './services/apiService.js';
-import { mergeExistingTwls, mergeExistingTwlsGeneratedFirst } from './services/twlService.js';
+import { fetchTWLContent, getFetchedSources } from './services/apiService.js';
 import {
   isValidTsvStructure,
   isValidExtendedTsvStructure,
@@ -71,20 +100,22 @@ import {
   processTsvContent,
   ensureUniqueIds,
   normalizeTsvColumnCount,
-  compareReferences,
 } from './utils/tsvUtils.js';
 import { convertReferenceToTnUrl } from './utils/urlConverters.js';
 import { filterUnlinkedWords, removeUnlinkedWordByContent, getUnlinkedWords, normalizeHebrewText } from './utils/unlinkedWords.js';
 import { filterDeletedRowsWithData } from './utils/deletedRows.js';
+import { MATCH_KEY_STRATEGIES, MATCH_KEY_STRATEGY_OPTIONS, DEFAULT_MATCH_KEY_STRATEGY } from './utils/matchKeys.js';
 import { addDeletedRowToServer, removeDeletedRowFromServer, getDeletedRowsFromServer } from './services/deletedRowsApi.js';
 import { orderRowsByVersePosition } from './utils/verseOrdering.js';
 import { getUserIdentifier } from './utils/userUtils.js';
 import { saveData, loadData } from './utils/storage.js';
+import { hasProvenanceColumns } from './utils/provenance.js';
+import { renumberOccurrencesForBook } from './utils/occurrences.js';
+import { describeProjectConfig, describeResourcePins, isDefaultProjectConfig, GENERATOR_BIBLE_LINK } from './utils/projectConfig.js';
+import { deriveTwlTags, deriveTagsInTsv } from './utils/twlTags.js';
 import { useUnlinkedWords } from './hooks/useUnlinkedWords.js';
-
-// External TWL processing libraries
-import { generateTwlByBook } from 'twl-generator';
-import { convertGLQuotes2OLQuotes, addGLQuoteCols } from 'tsv-quote-converters';
+import { useTermMappings } from './hooks/useTermMappings.js';
+import { validateTwlForCommit } from './services/commitValidation.js';
 
 // Material-UI theme configuration
 const theme = createTheme({
@@ -93,6 +124,12 @@ const theme = createTheme({
   },
 });
 
+// Key of a table row for the merge details panel: its ID and Reference (without a "DELETED " prefix)
+const getMergeDiffRowKey = (row, headers) => {
+  const cell = (name) => (headers.indexOf(name) >= 0 ? row[headers.indexOf(name)] || '' : '');
+  return `${cell('ID')}|${cell('Reference').replace(/^DELETED /, '')}`;
+};
+
 /**
  * Main Application Component
  */
@@ -101,6 +138,7 @@ function App() {
   const {
     // State values
     dcsHost,
+    projectConfig,
     selectedBook,
     selectedBranch,
     branches,
@@ -122,6 +160,7 @@ function App() {
     // Handlers
     handleBranchSelect,
     handleBookSelect,
+    handleProjectConfigChange,
     // Utilities
     saveTwlContent,
   } = useAppState();
@@ -129,6 +168,9 @@ function App() {
   // Unlinked words management with server-first loading
   const { unlinkedWords, addUnlinkedWord, refreshFromLocalStorage } = useUnlinkedWords();
 
+  // Custom term mappings (OrigWords/lemma to TWLink rules applied after generation), server-first like unlinked words
+  const termMappingsState = useTermMappings();
+
   // Process TWL content based on column visibility setting
   const processedTsvContent = useMemo(() => processTsvContent(twlContent), [twlContent]);
 
@@ -183,6 +225,7 @@ function App() {
 
   // Unlinked words dialog state
   const [unlinkedWordsDialogOpen, setUnlinkedWordsDialogOpen] = useState(false);
+  const [termMappingsDialogOpen, setTermMappingsDialogOpen] = useState(false);
 
   // DCS commit modal state
   const [commitModalOpen, setCommitModalOpen] = useState(false);
@@ -209,12 +252,115 @@ function App() {
 
   // Merge order preference state
   const [ignoreFetchedOrder, setIgnoreFetchedOrder] = useState(true); // Default to true based on user feedback
+  const [useThreeWayMerge, setUseThreeWayMerge] = useState(false); // Use master TWL as the common merge base
+  const [useFuzzyMatch, setUseFuzzyMatch] = useState(true); // Pair rows whose original-language text shifted
+  const [renumberBeforeMerge, setRenumberBeforeMerge] = useState(false); // Repair the existing TWL's Occurrence values first
+  const [matchKeyStrategy, setMatchKeyStrategy] = useState(DEFAULT_MATCH_KEY_STRATEGY); // How rows are paired when merging and applying deleted rows
+  const [previewBeforeApply, setPreviewBeforeApply] = useState(false); // Dry run: show a summary before replacing the table
+  const [pendingGeneration, setPendingGeneration] = useState(null); // { content, noMatchTsv, mergeSources, summary, provenance, generatorOutput } awaiting Accept
+  const [addProvenance, setAddProvenance] = useState(false); // Add Source, SourceRef and GeneratedAt columns
+  const [existingTwlRef, setExistingTwlRef] = useState(''); // TWL repository branch the existing TWL was fetched from ('' if uploaded or pasted)
+  const [provenanceRecord, setProvenanceRecord] = useState(null); // Sidecar record (generator version, commit SHAs) of the current TWL
+  const [noMatchTsv, setNoMatchTsv] = useState(''); // Terms the generator could not map (its noMatchTsv), for the No match tab
+  const [pipelineProgress, setPipelineProgress] = useState(null); // { title, stage } of the generation running in the worker
+  const cancelPipelineRef = useRef(null); // Cancels the running generation
+
+  // Merge details panel state - the generated and imported TSVs that went into the last merge
+  const [mergeSources, setMergeSources] = useState(null);
+  // Row shown in the panel, kept by ID and Reference so the panel follows it when rows are added, moved or deleted
+  const [mergeDiffRowKey, setMergeDiffRowKey] = useState(null);
+
+  // Rows the table is limited to by a report (e.g. Lemma Consistency): {label, test(row, headers)}
+  const [tableRowFilter, setTableRowFilter] = useState(null);
+  const [lemmaConsistencyOpen, setLemmaConsistencyOpen] = useState(false);
+  const [twCoverageOpen, setTwCoverageOpen] = useState(false);
+
+  // Auto Tags: keep each row's Tags in line with its TWLink category (kt -> keyterm, names -> name)
+  const [autoTags, setAutoTags] = useState(() => loadData('twlAutoTags', true) === true);
+
+  const selectMergeDiffRow = (rowIndex) => {
+    const row = rowIndex === null ? null : tableData?.rows[rowIndex];
+    setMergeDiffRowKey(row ? getMergeDiffRowKey(row, tableData.headers) : null);
+  };
 
-  // Update notification state
-  const [updateNotification, setUpdateNotification] = useState({
-    open: false,
-    message: '',
-  });
+  // Where the panel's row is now; null (closing the panel) once it is gone
+  const mergeDiffRowIndex = useMemo(() => {
+    if (mergeDiffRowKey === null || !tableData) return null;
+    const rowIndex = tableData.rows.findIndex((row) => getMergeDiffRowKey(row, tableData.headers) === mergeDiffRowKey);
+    return rowIndex >= 0 ? rowIndex : null;
+  }, [tableData, mergeDiffRowKey]);
+
+  // Merge details belong to the book they were generated for
+  useEffect(() => {
+    setMergeSources(null);
+    setMergeDiffRowKey(null);
+    setTableRowFilter(null);
+    setProvenanceRecord(selectedBook?.value ? loadData(`twlProvenance_${selectedBook.value}`, true) : null);
+    setNoMatchTsv(selectedBook?.value ? loadData(`twlNoMatch_${selectedBook.value}`) || '' : '');
+  }, [selectedBook?.value]);
+
+  // Last two generator runs of the book, compared in the Generator Diff dialog
+  const [generatorRuns, setGeneratorRuns] = useState(null);
+  const [generatorDiffOpen, setGeneratorDiffOpen] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setGeneratorRuns(null);
+    if (selectedBook?.value) {
+      loadGeneratorRuns(selectedBook.value)
+        .then((runs) => !cancelled && setGeneratorRuns(runs))
+        .catch((e) => console.warn('Could not load the previous generator runs:', e?.message || e));
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedBook?.value]);
+
+  /**
+   * Keep the generator's output of a run so the next run can be compared with it
+   */
+  const keepGeneratorRun = async (bookCode, generatorOutput) => {
+    if (!generatorOutput) return;
+    try {
+      const runs = await recordGeneratorRun(bookCode, generatorOutput, {
+        generatorVersion: packageInfo.dependencies['twl-generator'],
+        project: describeProjectConfig(projectConfig),
+      });
+      if (bookCode === selectedBook?.value) setGeneratorRuns(runs);
+    } catch (e) {
+      console.warn('Could not record the generator run:', e?.message || e);
+    }
+  };
+
+  const noMatchCount = useMemo(() => parseNoMatchCandidates(noMatchTsv).length, [noMatchTsv]);
+
+  // Change report of the last "Update TWL", shown in a dialog
+  const [updateReport, setUpdateReport] = useState(null);
+
+  // Report of the last occurrence renumbering, shown in a dialog
+  const [occurrenceReport, setOccurrenceReport] = useState(null);
+
+  // Batch generation dialog (several books into one ZIP archive)
+  const [batchDialogOpen, setBatchDialogOpen] = useState(false);
+
+  // Chapter/verse range regeneration dialog
+  const [rangeDialogOpen, setRangeDialogOpen] = useState(false);
+
+  // Project configuration dialog (owner and repositories)
+  const [projectDialogOpen, setProjectDialogOpen] = useState(false);
+  const [offlineDialogOpen, setOfflineDialogOpen] = useState(false);
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' || navigator.onLine);
+
+  // Show when the app is working from its offline copies
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
 
   // Handle download menu open/close
   const handleDownloadMenuClick = (event) => {
@@ -250,6 +396,8 @@ function App() {
       errors: {},
       submitting: false,
       result: null,
+      validating: false,
+      validation: null,
     });
     // Initialize local input state
     setCommitFormInputs({
@@ -307,6 +455,18 @@ function App() {
     return emailRegex.test(email);
   };
 
+  /**
+   * Label of the commit button, following the validation of the current content
+   */
+  const getCommitButtonLabel = () => {
+    if (commitForm.submitting) return 'Committing...';
+    if (commitForm.validating) return 'Validating...';
+    const validation = commitForm.validation?.content === twlContent ? commitForm.validation : null;
+    if (validation?.errors.length > 0) return 'Validate Again';
+    if (validation?.warnings.length > 0) return 'Commit Anyway';
+    return 'Commit & Create PR';
+  };
+
   /**
    * Handle DCS commit submission
    */
@@ -339,6 +499,23 @@ function App() {
       return;
     }
 
+    // Validate the rows first: errors block the commit, warnings only have to be seen once for the same content
+    const { validation: previousValidation } = commitForm;
+    if (!previousValidation || previousValidation.content !== twlContent || previousValidation.errors.length > 0) {
+      setCommitForm((prev) => ({ ...prev, validating: true, result: null }));
+      let validation;
+      try {
+        validation = { ...(await validateTwlForCommit(tableData, selectedBook.value, dcsHost, projectConfig)), content: twlContent };
+      } catch (err) {
+        setCommitForm((prev) => ({ ...prev, validating: false, result: { success: false, message: `Validation failed: ${err.message}` } }));
+        return;
+      }
+      setCommitForm((prev) => ({ ...prev, validating: false, validation }));
+      if (validation.errors.length > 0 || validation.warnings.length > 0) {
+        return;
+      }
+    }
+
     // Set submitting state
     setCommitForm((prev) => ({ ...prev, submitting: true, result: null }));
 
@@ -364,6 +541,9 @@ function App() {
           userID,
           content: sixColumnContent,
           dcsHost,
+          owner: projectConfig.owner,
+          repo: projectConfig.twlRepo,
+          baseBranch: projectConfig.ref,
         }),
       });
 
@@ -451,6 +631,8 @@ function App() {
       const occurrenceIndex = headers.findIndex((header) => header === 'Occurrence');
       const glQuoteIndex = headers.findIndex((header) => header === 'GLQuote');
       const glOccurrenceIndex = headers.findIndex((header) => header === 'GLOccurrence');
+      const idIndex = headers.findIndex((header) => header === 'ID');
+      const twLinkIndex = headers.findIndex((header) => header === 'TWLink');
 
       if (referenceIndex >= 0 && lines[rowIndex + 1]) {
         const rowData = lines[rowIndex + 1].split('\t');
@@ -464,9 +646,11 @@ function App() {
             const occurrence = rowData[occurrenceIndex] || '';
             const glQuote = glQuoteIndex !== -1 ? rowData[glQuoteIndex] || '' : '';
             const glOccurrence = glOccurrenceIndex !== -1 ? rowData[glOccurrenceIndex] || '' : '';
+            const id = idIndex !== -1 ? rowData[idIndex] || '' : '';
+            const twLink = twLinkIndex !== -1 ? rowData[twLinkIndex] || '' : '';
 
             if (action === 'delete') {
-              await addDeletedRowToServer(book, referenceDisplay, origWords, occurrence, glQuote, glOccurrence);
+              await addDeletedRowToServer(book, referenceDisplay, origWords, occurrence, glQuote, glOccurrence, id, twLink);
             } else if (action === 'restore') {
               await removeDeletedRowFromServer(book, referenceDisplay, origWords, occurrence);
             }
@@ -694,6 +878,11 @@ function App() {
       row[twLinkIndex] = newTWLink;
     }
 
+    const tagsIndex = headers.findIndex((h) => h === 'Tags');
+    if (autoTags && tagsIndex >= 0) {
+      row[tagsIndex] = deriveTwlTags(newTWLink);
+    }
+
     // Update the content
     lines[dataRowIndex] = row.join('\t');
     let newContent = lines.join('\n');
@@ -821,6 +1010,11 @@ function App() {
     // Update the TWLink field
     row[twLinkIndex] = newTWLink.trim();
 
+    const tagsIndex = headers.findIndex((h) => h === 'Tags');
+    if (autoTags && tagsIndex >= 0) {
+      row[tagsIndex] = deriveTwlTags(newTWLink);
+    }
+
     // Update the content
     lines[dataRowIndex] = row.join('\t');
     let newContent = lines.join('\n');
@@ -834,6 +1028,63 @@ function App() {
     resetSaveStates();
   };
 
+  /**
+   * Handle editing the Tags field
+   */
+  const handleEditTags = (rowIndex, newTags) => {
+    if (!twlContent) return;
+
+    const lines = twlContent.split('\n');
+    const tagsIndex = lines[0].split('\t').findIndex((h) => h === 'Tags');
+    const dataRowIndex = rowIndex + 1; // Add 1 to skip header row
+    if (tagsIndex === -1 || dataRowIndex >= lines.length) return;
+
+    // Create backup before making changes
+    createBackup();
+
+    const row = lines[dataRowIndex].split('\t');
+    row[tagsIndex] = newTags;
+    lines[dataRowIndex] = row.join('\t');
+
+    const newContent = normalizeTsvColumnCount(lines.join('\n'));
+    setTwlContent(newContent);
+    // Save to localStorage after Tags edit
+    saveTwlContent(newContent);
+
+    // Reset save states since user made edits
+    resetSaveStates();
+  };
+
+  /**
+   * Turn Auto Tags on or off; turning it on sets the Tags of every row from its TWLink
+   */
+  const handleAutoTagsChange = (enabled) => {
+    setAutoTags(enabled);
+    saveData('twlAutoTags', enabled);
+    if (!enabled || !twlContent) return;
+
+    const { content, changed } = deriveTagsInTsv(twlContent);
+    if (changed === 0) return;
+
+    createBackup();
+    const newContent = normalizeTsvColumnCount(content);
+    setTwlContent(newContent);
+    saveTwlContent(newContent);
+    resetSaveStates();
+    console.log(`🏷️ Auto Tags updated the Tags of ${changed} rows`);
+  };
+
+  /**
+   * With Auto Tags on, set the Tags of content that replaces the table (generated, merged, updated or added rows) from
+   * its TWLinks
+   */
+  const withAutoTags = (content) => {
+    if (!autoTags) return content;
+    const { content: taggedContent, changed } = deriveTagsInTsv(content);
+    if (changed > 0) console.log(`🏷️ Auto Tags set the Tags of ${changed} rows`);
+    return taggedContent;
+  };
+
   /**
    * Handle raw text changes (no automatic backup)
    */
@@ -847,13 +1098,13 @@ function App() {
   const handleViewModeChange = (event, newViewMode) => {
     if (newViewMode !== null) {
       // If switching to raw text mode, create backup before editing starts
-      if (newViewMode === 'raw' && viewMode === 'table' && twlContent && !hasBackup) {
+      if (newViewMode === 'raw' && viewMode !== 'raw' && twlContent && !hasBackup) {
         createBackup();
         // Also track the original content for change detection
         setRawTextOriginalContent(twlContent);
       }
-      // If switching back to table from raw text, clear the tracking and reset states if changed
-      if (newViewMode === 'table' && viewMode === 'raw') {
+      // If leaving raw text, clear the tracking and reset states if changed
+      if (newViewMode !== 'raw' && viewMode === 'raw') {
         // Check if content changed while in raw text mode
         if (rawTextOriginalContent && twlContent !== rawTextOriginalContent) {
           resetSaveStates();
@@ -1029,6 +1280,8 @@ function App() {
 
     setLoading(true);
     setError('');
+    setMergeSources(null);
+    setMergeDiffRowKey(null);
 
     try {
       let twlToLoad = existingTwlContent.trim();
@@ -1040,7 +1293,8 @@ function App() {
         console.log('🔍 Fetching deleted rows for existing TWL, book:', selectedBook.value);
         const { items: deletedItems } = await getDeletedRowsFromServer(selectedBook.value);
         console.log('📊 Found deleted rows for existing TWL:', deletedItems.length, deletedItems);
-        twlToLoad = filterDeletedRowsWithData(twlToLoad, deletedItems);
+        const matchLexicon = matchKeyStrategy === MATCH_KEY_STRATEGIES.LEMMAS ? await loadVerseLexicon(selectedBook.value, dcsHost, projectConfig) : null;
+        twlToLoad = filterDeletedRowsWithData(twlToLoad, deletedItems, matchKeyStrategy, matchLexicon);
       } catch (e) {
         console.warn('Could not load deleted row markers:', e?.message || e);
       }
@@ -1050,6 +1304,12 @@ function App() {
       // Save to localStorage after loading (pass content directly)
       saveTwlContent(twlToLoad);
 
+      // A loaded file carries its own provenance columns; the last generation's record and unmatched terms no longer describe it
+      setProvenanceRecord(null);
+      saveData(`twlProvenance_${selectedBook.value}`, '');
+      setNoMatchTsv('');
+      saveData(`twlNoMatch_${selectedBook.value}`, '');
+
       // Set both states to true since this is freshly loaded content
       setHasCommittedToDCS(true);
       setHasSavedToFile(true);
@@ -1061,6 +1321,45 @@ function App() {
     }
   };
 
+  /**
+   * Pipeline options from the generation settings (shared by Generate TWLs and batch generation)
+   */
+  const getPipelineOptions = () => ({
+    mergeStrategy: useThreeWayMerge ? MERGE_STRATEGIES.THREE_WAY : ignoreFetchedOrder ? MERGE_STRATEGIES.GENERATED_FIRST : MERGE_STRATEGIES.FETCHED_FIRST,
+    reorderByVerse: ignoreFetchedOrder,
+    matchKeyStrategy,
+    fuzzyMatch: useFuzzyMatch,
+    renumberOccurrences: renumberBeforeMerge,
+    unlinkedWords: getUnlinkedWords(),
+    termMappings: termMappingsState.termMappings,
+    projectConfig,
+    provenance: addProvenance ? { generatorVersion: packageInfo.dependencies['twl-generator'], existingTwlRef } : null,
+    // The existing TWL was fetched here, not in the worker that records provenance
+    fetchedSources: addProvenance ? getFetchedSources(dcsHost) : [],
+  });
+
+  /**
+   * Run the pipeline in the Web Worker, showing its stages until it finishes, fails or is cancelled
+   */
+  const runPipelineWithProgress = async (options, title) => {
+    setPipelineProgress({ title, stage: PIPELINE_STAGES[0].key });
+    const run = runTwlPipelineInWorker(options, (stage) => setPipelineProgress({ title, stage }));
+    cancelPipelineRef.current = run.cancel;
+    try {
+      return await run.promise;
+    } finally {
+      cancelPipelineRef.current = null;
+      setPipelineProgress(null);
+    }
+  };
+
+  /**
+   * Generate a book once without touching the table, so the service worker keeps what the generator downloads
+   */
+  const warmUpBookOffline = async (bookCode) => {
+    await runTwlPipelineInWorker({ ...getPipelineOptions(), bookCode, dcsHost }).promise;
+  };
+
   /**
    * Generate TWL content from USFM using external libraries
    */
@@ -1074,137 +1373,54 @@ function App() {
     setError('');
 
     try {
-      // Generate TWL using external library
-      let response = await generateTwlByBook(selectedBook.value, { dcsHost });
-
-      console.log('Generated TWL (before processing):', response.matchedTsv);
-      console.log('No-match TSV:', response.noMatchTsv);
-
-      // Add GLQuote and GLOccurrence columns
-      // let generatedTwl = addGLQuoteColumns(response.matchedTsv);
-      let generatedTwl = response.matchedTsv;
-
-      console.log('Generated TWL after adding GLQuote columns:', generatedTwl);
-
-      try {
-        const convertResponse = await convertGLQuotes2OLQuotes({
-          bibleLink: `unfoldingWord/en_ult/master`,
-          bookCode: selectedBook.value,
-          tsvContent: generatedTwl,
-          trySeparatorsAndOccurrences: true,
-          dcsUrl: dcsHost,
-        });
-
-        if (!convertResponse || typeof convertResponse !== 'object' || !convertResponse.output) {
-          throw new Error(`convertGLQuotes2OLQuotes failed: ${JSON.stringify(convertResponse)}`);
-        }
-
-        generatedTwl = convertResponse.output;
-      } catch (error) {
-        console.error('Error in convertGLQuotes2OLQuotes:', error);
-        throw error;
-      }
-
-      // Merge with existing TWL if provided
-
-      if (existingTwlContent.trim()) {
-        console.log('Generated TWL before merging:', generatedTwl);
-        console.log('Merging with existing TWL (raw fetched content):', existingTwlContent);
-
-        let existingTwlContentWithEnglishOrigWords = '';
-        try {
-          const addGlQuotesToExisingResults = await addGLQuoteCols({
-            bibleLinks: ['unfoldingWord/en_ult/master'],
-            bookCode: selectedBook.value,
-            tsvContent: existingTwlContent.trim(),
-            trySeparatorsAndOccurrences: true,
-            dcsUrl: dcsHost,
-          });
-
-          if (!addGlQuotesToExisingResults || typeof addGlQuotesToExisingResults !== 'object' || !addGlQuotesToExisingResults.output) {
-            throw new Error(`addGLQuoteCols failed: ${JSON.stringify(addGlQuotesToExisingResults)}`);
-          }
-
-          existingTwlContentWithEnglishOrigWords = addGlQuotesToExisingResults.output
-            .split('\n')
-            .filter((row) => row.trim() && row.split('\t').length == 8)
-            .map((row, idx) => {
-              const cols = row.split('\t');
-              if (idx === 0) {
-                return [cols[0], cols[1], cols[2], cols[3], cols[4], cols[7], cols[5], cols[6]].join('\t');
-              } else {
-                return [cols[0], cols[1], cols[2], cols[5], cols[6], cols[7], cols[5], cols[6]].join('\t');
-              }
-            })
-            .join('\n');
-        } catch (error) {
-          console.error('Error in addGLQuoteCols:', error);
-          throw error;
-        }
-
-        try {
-          const convertGl2OlResults = await convertGLQuotes2OLQuotes({
-            bibleLink: 'unfoldingWord/en_ult/master',
-            bookCode: selectedBook.value,
-            tsvContent: existingTwlContentWithEnglishOrigWords,
-            trySeparatorsAndOccurrences: true,
-            dcsUrl: dcsHost,
-          });
-
-          console.log('Existing TWL with GLQuotes (after adding GLQuote columns):', convertGl2OlResults.output);
-
-          // Use the appropriate merge function based on user preference
-          if (ignoreFetchedOrder) {
-            console.log('Using GENERATED-FIRST merge (ignoring fetched order)');
-            generatedTwl = await mergeExistingTwlsGeneratedFirst(generatedTwl, convertGl2OlResults.output, dcsHost);
-          } else {
-            console.log('Using FETCHED-FIRST merge (default)');
-            generatedTwl = await mergeExistingTwls(generatedTwl, convertGl2OlResults.output, dcsHost);
-          }
-        } catch (error) {
-          console.error('Error in convertGLQuotes2OLQuotes for existing TWL:', error);
-          throw error;
-        }
-
-        console.log('Generated TWL after merging with existing TWL:', generatedTwl);
-      }
-
-      // If ignoreFetchedOrder is enabled, reorder rows based on ULT verse position
-      // This applies whether merging or generating new TWL
-      if (ignoreFetchedOrder) {
-        try {
-          console.log('📖 Reordering TWL rows by ULT verse position...');
-          generatedTwl = await orderRowsByVersePosition(generatedTwl, selectedBook.value, dcsHost);
-          console.log('📖 Verse-based reordering complete');
-        } catch (error) {
-          console.warn('📖 Failed to reorder by verse position:', error);
-          // Continue without reordering on error
-        }
-      }
-
-      // Ensure all IDs are unique and properly formatted
-      generatedTwl = ensureUniqueIds(generatedTwl);
-
-      // Filter out unlinked words using local storage data
-      generatedTwl = filterUnlinkedWords(generatedTwl);
-      // Apply server-side deleted row markers for this book
+      // Server-side deleted row markers for this book
+      let deletedItems = null;
       try {
         console.log('🔍 Fetching deleted rows for book:', selectedBook.value);
-        const { items: deletedItems } = await getDeletedRowsFromServer(selectedBook.value);
-        console.log('📊 Found deleted rows:', deletedItems.length, deletedItems);
-        generatedTwl = filterDeletedRowsWithData(generatedTwl, deletedItems);
+        const { items } = await getDeletedRowsFromServer(selectedBook.value);
+        console.log('📊 Found deleted rows:', items.length, items);
+        deletedItems = items;
       } catch (e) {
         console.warn('Could not load deleted row markers:', e?.message || e);
       }
 
-      setTwlContent(generatedTwl);
-      // Save to localStorage after initial generation (pass content directly)
-      saveTwlContent(generatedTwl);
-
-      // Set both states to true since this is freshly generated content
-      setHasCommittedToDCS(true);
-      setHasSavedToFile(true);
+      const {
+        content,
+        noMatchTsv: nextNoMatchTsv,
+        mergeSources: nextMergeSources,
+        summary,
+        provenance,
+        generatorOutput,
+      } = await runPipelineWithProgress(
+        {
+          ...getPipelineOptions(),
+          bookCode: selectedBook.value,
+          existingTwlContent,
+          deletedRows: deletedItems,
+          dcsHost,
+        },
+        `Generating ${selectedBook.label}`
+      );
+
+      if (previewBeforeApply) {
+        // Dry run - nothing replaces the table (or is kept for the Generator Diff) until the user accepts the summary
+        setPendingGeneration({
+          content,
+          noMatchTsv: nextNoMatchTsv,
+          mergeSources: nextMergeSources,
+          summary: { ...summary, bookName: selectedBook.label },
+          provenance,
+          generatorOutput,
+        });
+      } else {
+        applyGeneratedTwl(content, nextMergeSources, provenance, nextNoMatchTsv);
+        await keepGeneratorRun(selectedBook.value, generatorOutput);
+      }
     } catch (err) {
+      if (isPipelineCancelled(err)) {
+        console.log('Generation cancelled - the table was not changed');
+        return;
+      }
       setError(`Failed to generate TWL: ${err.message}`);
       console.error(err);
     } finally {
@@ -1212,11 +1428,48 @@ function App() {
     }
   };
 
+  /**
+   * Replace the table with newly generated TWL content
+   */
+  const applyGeneratedTwl = (generatedContent, sources, provenance = null, nextNoMatchTsv = '') => {
+    const content = withAutoTags(generatedContent);
+    setMergeSources(sources);
+    setMergeDiffRowKey(null);
+    setProvenanceRecord(provenance);
+    saveData(`twlProvenance_${selectedBook.value}`, provenance || '');
+    setNoMatchTsv(nextNoMatchTsv);
+    saveData(`twlNoMatch_${selectedBook.value}`, nextNoMatchTsv);
+
+    setTwlContent(content);
+    // Save to localStorage after initial generation (pass content directly)
+    saveTwlContent(content);
+
+    // Set both states to true since this is freshly generated content
+    setHasCommittedToDCS(true);
+    setHasSavedToFile(true);
+  };
+
+  /**
+   * Handle the dry-run summary: apply the pending result or discard it
+   */
+  const handlePendingGenerationAction = (accept) => {
+    if (accept && pendingGeneration) {
+      // A regenerated range keeps the rest of the table, so it can be undone
+      if (pendingGeneration.summary.range) {
+        createBackup();
+      }
+      applyGeneratedTwl(pendingGeneration.content, pendingGeneration.mergeSources, pendingGeneration.provenance, pendingGeneration.noMatchTsv);
+      keepGeneratorRun(selectedBook.value, pendingGeneration.generatorOutput);
+    }
+    setPendingGeneration(null);
+  };
+
   /**
    * Handle changes to existing TWL content with validation
    */
   const handleExistingTwlChange = (content) => {
     setExistingTwlContent(content);
+    setExistingTwlRef('');
 
     if (content.trim()) {
       // Check if it's valid 6-column format or valid extended format (8-11 columns)
@@ -1332,6 +1585,24 @@ function App() {
     setHasSavedToFile(true);
   };
 
+  /**
+   * Download the provenance record (generator version and source commits) of the current TWL
+   */
+  const handleDownloadProvenance = () => {
+    if (!provenanceRecord) return;
+
+    const blob = new Blob([JSON.stringify(provenanceRecord, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `twl_${selectedBook?.value?.toUpperCase() || 'export'}_creation_app.provenance.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
   /**
    * Copy TWL content to clipboard (first 6 columns only)
    */
@@ -1367,7 +1638,7 @@ function App() {
   };
 
   /**
-   * Handle update TWL - generate new content and intelligently merge with existing
+   * Handle update TWL - generate new content and update the current table in place (see updateTwlInPlace)
    */
   const handleUpdateTwl = async () => {
     if (!selectedBook || !twlContent) {
@@ -1382,194 +1653,12 @@ function App() {
       // Create backup before updating
       createBackup();
 
-      // Generate new TWL using external library
-      let response = await generateTwlByBook(selectedBook.value, { dcsHost });
-      console.log('Generated new TWL for update:', response.matchedTsv);
-
-      // Process the new TWL similar to initial generation
-      let newGeneratedTwl = response.matchedTsv;
-
-      const convertResponse = await convertGLQuotes2OLQuotes({
-        bibleLink: `unfoldingWord/en_ult/master`,
-        bookCode: selectedBook.value,
-        tsvContent: newGeneratedTwl,
-        trySeparatorsAndOccurrences: true,
-      });
-
-      if (!convertResponse || typeof convertResponse !== 'object' || !convertResponse.output) {
-        throw new Error(`convertGLQuotes2OLQuotes failed during update: ${JSON.stringify(convertResponse)}`);
-      }
-
-      newGeneratedTwl = convertResponse.output;
-
-      // Parse current content
-      const currentLines = twlContent.split('\n').filter((line) => line.trim());
-      if (currentLines.length === 0) {
-        setError('No current TWL content to update.');
-        return;
-      }
-
-      const currentHeaders = currentLines[0].split('\t');
-      const currentRows = currentLines.slice(1).map((line) => line.split('\t'));
-
-      // Parse new generated content
-      const newLines = newGeneratedTwl.split('\n').filter((line) => line.trim());
-      if (newLines.length === 0) {
-        setError('No new TWL content generated.');
-        return;
-      }
-
-      const newHeaders = newLines[0].split('\t');
-      const newRows = newLines.slice(1).map((line) => line.split('\t'));
-
-      // Find column indices for current content
-      const currentReferenceIndex = currentHeaders.findIndex((h) => h === 'Reference');
-      const currentOrigWordsIndex = currentHeaders.findIndex((h) => h === 'OrigWords');
-      const currentOccurrenceIndex = currentHeaders.findIndex((h) => h === 'Occurrence');
-      const currentGLQuoteIndex = currentHeaders.findIndex((h) => h === 'GLQuote');
-      const currentGLOccurrenceIndex = currentHeaders.findIndex((h) => h === 'GLOccurrence');
-      const currentDisambiguationIndex = currentHeaders.findIndex((h) => h === 'Disambiguation');
-      const currentMergeStatusIndex = currentHeaders.findIndex((h) => h === 'Merge Status');
-
-      // Find column indices for new content
-      const newReferenceIndex = newHeaders.findIndex((h) => h === 'Reference');
-      const newOrigWordsIndex = newHeaders.findIndex((h) => h === 'OrigWords');
-      const newOccurrenceIndex = newHeaders.findIndex((h) => h === 'Occurrence');
-      const newGLQuoteIndex = newHeaders.findIndex((h) => h === 'GLQuote');
-      const newGLOccurrenceIndex = newHeaders.findIndex((h) => h === 'GLOccurrence');
-      const newDisambiguationIndex = newHeaders.findIndex((h) => h === 'Disambiguation');
-
-      // Track update statistics and details
-      let updatedCount = 0;
-      let newRowsCount = 0;
-      const updatedRowDetails = []; // Track which rows got disambiguation updates
-      const newRowDetails = []; // Track which rows are new
-
-      // Find column indices for current content (needed for extracting details)
-      const currentIDIndex = currentHeaders.findIndex((h) => h === 'ID');
-
-      // Process updates
-      const updatedRows = [...currentRows];
-      const processedNewRows = new Set(); // Track which new rows we've processed
-
-      // First pass: Update existing rows that match new generated rows
-      for (let i = 0; i < currentRows.length; i++) {
-        const currentRow = currentRows[i];
-        const currentReference = currentReferenceIndex >= 0 ? currentRow[currentReferenceIndex] || '' : '';
-        const currentOrigWords = currentOrigWordsIndex >= 0 ? currentRow[currentOrigWordsIndex] || '' : '';
-        const currentOccurrence = currentOccurrenceIndex >= 0 ? currentRow[currentOccurrenceIndex] || '' : '';
-        const currentGLQuote = currentGLQuoteIndex >= 0 ? currentRow[currentGLQuoteIndex] || '' : '';
-        const currentGLOccurrence = currentGLOccurrenceIndex >= 0 ? currentRow[currentGLOccurrenceIndex] || '' : '';
-        const currentDisambiguation = currentDisambiguationIndex >= 0 ? currentRow[currentDisambiguationIndex] || '' : '';
-        const currentID = currentIDIndex >= 0 ? currentRow[currentIDIndex] || '' : '';
-
-        // Extract clean reference (remove DELETED prefix if present)
-        const cleanReference = currentReference.startsWith('DELETED ') ? currentReference.substring(8) : currentReference;
-
-        // Find matching new row
-        for (let j = 0; j < newRows.length; j++) {
-          if (processedNewRows.has(j)) continue; // Skip already processed new rows
-
-          const newRow = newRows[j];
-          const newReference = newReferenceIndex >= 0 ? newRow[newReferenceIndex] || '' : '';
-          const newOrigWords = newOrigWordsIndex >= 0 ? newRow[newOrigWordsIndex] || '' : '';
-          const newOccurrence = newOccurrenceIndex >= 0 ? newRow[newOccurrenceIndex] || '' : '';
-          const newGLQuote = newGLQuoteIndex >= 0 ? newRow[newGLQuoteIndex] || '' : '';
-          const newGLOccurrence = newGLOccurrenceIndex >= 0 ? newRow[newGLOccurrenceIndex] || '' : '';
-          const newDisambiguation = newDisambiguationIndex >= 0 ? newRow[newDisambiguationIndex] || '' : '';
-
-          // Check if rows match on key fields
-          const referencesMatch = cleanReference === newReference;
-          const origWordsMatch = currentOrigWords === newOrigWords;
-          const occurrenceMatch = currentOccurrence === newOccurrence;
-          const glQuoteMatch = currentGLQuote === newGLQuote;
-          const glOccurrenceMatch = currentGLOccurrence === newGLOccurrence;
-
-          if (referencesMatch && origWordsMatch && occurrenceMatch && glQuoteMatch && glOccurrenceMatch) {
-            // Found a match - check if disambiguation changed
-            const hasCurrentDone = currentDisambiguation.startsWith('DONE ');
-            const currentCleanDisambiguation = hasCurrentDone ? currentDisambiguation.substring(5) : currentDisambiguation;
-
-            if (currentCleanDisambiguation !== newDisambiguation) {
-              // Update the disambiguation while preserving DONE status
-              const updatedDisambiguation = hasCurrentDone ? `DONE ${newDisambiguation}` : newDisambiguation;
-
-              if (currentDisambiguationIndex >= 0) {
-                updatedRows[i][currentDisambiguationIndex] = updatedDisambiguation;
-                updatedCount++;
-
-                // Track this update for detailed logging
-                updatedRowDetails.push({
-                  reference: cleanReference,
-                  id: currentID,
-                  oldDisambiguation: currentCleanDisambiguation,
-                  newDisambiguation: newDisambiguation,
-                  hasDoneStatus: hasCurrentDone,
-                });
-              }
-            }
-
-            processedNewRows.add(j); // Mark this new row as processed
-            break; // Found match, no need to continue searching
-          }
-        }
-      }
-
-      // Second pass: Add new rows that weren't matched
-      for (let j = 0; j < newRows.length; j++) {
-        if (processedNewRows.has(j)) continue; // Skip already processed rows
-
-        const newRow = newRows[j];
-        const newReference = newReferenceIndex >= 0 ? newRow[newReferenceIndex] || '' : '';
-        const newID = newHeaders.findIndex((h) => h === 'ID') >= 0 ? newRow[newHeaders.findIndex((h) => h === 'ID')] || '' : '';
-        const newGLQuote = newGLQuoteIndex >= 0 ? newRow[newGLQuoteIndex] || '' : '';
-
-        // Find where to insert this new row (before other rows with same or later reference)
-        let insertIndex = updatedRows.length; // Default to end
-
-        for (let k = 0; k < updatedRows.length; k++) {
-          const existingRow = updatedRows[k];
-          const existingReference = currentReferenceIndex >= 0 ? existingRow[currentReferenceIndex] || '' : '';
-          const cleanExistingReference = existingReference.startsWith('DELETED ') ? existingReference.substring(8) : existingReference;
-
-          // Compare references numerically to find insertion point
-          if (compareReferences(newReference, cleanExistingReference) <= 0) {
-            insertIndex = k;
-            break;
-          }
-        }
-
-        // Create new row with same structure as current rows
-        const newRowForInsertion = new Array(currentHeaders.length).fill('');
-
-        // Copy data from new row to match current structure
-        for (let colIndex = 0; colIndex < currentHeaders.length; colIndex++) {
-          const headerName = currentHeaders[colIndex];
-          const newColIndex = newHeaders.findIndex((h) => h === headerName);
-
-          if (newColIndex >= 0 && newColIndex < newRow.length) {
-            newRowForInsertion[colIndex] = newRow[newColIndex];
-          }
-        }
-
-        // Set Merge Status to NEW if column exists
-        if (currentMergeStatusIndex >= 0) {
-          newRowForInsertion[currentMergeStatusIndex] = 'NEW';
-        }
-
-        updatedRows.splice(insertIndex, 0, newRowForInsertion);
-        newRowsCount++;
-
-        // Track this new row for detailed logging
-        newRowDetails.push({
-          reference: newReference,
-          id: newID,
-          glQuote: newGLQuote,
-        });
-      }
-
-      // Rebuild TSV content
-      const updatedContent = [currentHeaders.join('\t'), ...updatedRows.map((row) => row.join('\t'))].join('\n');
+      // Only the generator output is used; the worker keeps the page responsive and the run cancellable
+      const { generatorOutput: generatedTwl } = await runPipelineWithProgress(
+        { bookCode: selectedBook.value, reorderByVerse: false, dcsHost, projectConfig },
+        `Updating ${selectedBook.label}`
+      );
+      const { content: updatedContent, report } = updateTwlInPlace(twlContent, generatedTwl);
 
       // Filter out unlinked words and normalize
       let finalContent = filterUnlinkedWords(updatedContent);
@@ -1578,7 +1667,7 @@ function App() {
       if (ignoreFetchedOrder) {
         try {
           console.log('📖 Reordering updated TWL rows by ULT verse position...');
-          finalContent = await orderRowsByVersePosition(finalContent, selectedBook.value, dcsHost);
+          finalContent = await orderRowsByVersePosition(finalContent, selectedBook.value, dcsHost, projectConfig);
           console.log('📖 Verse-based reordering complete for updated TWL');
         } catch (orderError) {
           console.warn('📖 Failed to reorder updated TWL by verse position:', orderError);
@@ -1586,84 +1675,184 @@ function App() {
       }
 
       finalContent = ensureUniqueIds(finalContent);
-      finalContent = normalizeTsvColumnCount(finalContent);
+
+      // Added rows get provenance if the table records it (existing rows keep theirs)
+      if (hasProvenanceColumns(finalContent)) {
+        ({ content: finalContent } = await addPipelineProvenance(finalContent, {
+          bookCode: selectedBook.value,
+          generatorVersion: packageInfo.dependencies['twl-generator'],
+          hasExisting: false,
+          dcsHost,
+          projectConfig,
+        }));
+      }
+
+      finalContent = normalizeTsvColumnCount(withAutoTags(finalContent));
 
       setTwlContent(finalContent);
       saveTwlContent(finalContent);
 
-      // Log detailed update information to console
-      console.log('=== TWL Update Summary ===');
-      console.log(`Total updates: ${updatedCount} rows with disambiguation changes`);
-      console.log(`Total new rows: ${newRowsCount} rows added`);
-
-      if (updatedRowDetails.length > 0) {
-        console.log('\n--- Updated Rows (Disambiguation Changes) ---');
-        updatedRowDetails.forEach((update, index) => {
-          console.log(`${index + 1}. Reference: ${update.reference}, ID: ${update.id}`);
-          console.log(`   Old Disambiguation: "${update.oldDisambiguation}"`);
-          console.log(`   New Disambiguation: "${update.newDisambiguation}"`);
-          if (update.hasDoneStatus) {
-            console.log(`   Note: Preserved DONE status`);
-          }
-          console.log('');
-        });
+      console.log('TWL update report:', report);
+      setUpdateReport({ ...report, bookName: selectedBook.label });
+    } catch (err) {
+      if (isPipelineCancelled(err)) {
+        console.log('Update cancelled - the table was not changed');
+        return;
       }
+      setError(`Failed to update TWL: ${err.message}`);
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      if (newRowDetails.length > 0) {
-        console.log('\n--- New Rows Added ---');
-        newRowDetails.forEach((newRow, index) => {
-          console.log(`${index + 1}. Reference: ${newRow.reference}, ID: ${newRow.id}, GLQuote: "${newRow.glQuote}"`);
-        });
+  /**
+   * Regenerate one chapter/verse range of the current table
+   * The generator output for the range is merged with the table's own (live) rows for it, and the result replaces those
+   * rows; rows outside the range keep their values, order and IDs
+   */
+  const handleRegenerateRange = async (range) => {
+    if (!selectedBook || !twlContent) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      let deletedItems = null;
+      try {
+        ({ items: deletedItems } = await getDeletedRowsFromServer(selectedBook.value));
+      } catch (e) {
+        console.warn('Could not load deleted row markers:', e?.message || e);
       }
 
-      console.log('=== End TWL Update Summary ===\n');
+      const pipelineOptions = getPipelineOptions();
+      const {
+        content: rangeContent,
+        noMatchTsv: rangeNoMatchTsv,
+        mergeSources: rangeSources,
+        summary,
+        generatorOutput,
+      } = await runPipelineWithProgress(
+        {
+          ...pipelineOptions,
+          bookCode: selectedBook.value,
+          existingTwlContent: processTsvContent(twlContent, true),
+          deletedRows: deletedItems,
+          dcsHost,
+          range,
+          reservedIds: getIdsOutsideRange(twlContent, range),
+          // The table's rows have no TWL repository branch; the sidecar record keeps describing the last whole-book generation
+          provenance: pipelineOptions.provenance ? { ...pipelineOptions.provenance, existingTwlRef: '' } : null,
+        },
+        `Regenerating ${selectedBook.label} ${formatReferenceRange(range)}`
+      );
+      const { content: splicedContent, removedRows } = spliceRangeIntoTwl(twlContent, rangeContent, range);
+      const content = normalizeTsvColumnCount(splicedContent);
+
+      // Merge details of rows outside the range still come from the last whole-book generation
+      let nextMergeSources = rangeSources || mergeSources;
+      if (rangeSources && mergeSources) {
+        nextMergeSources = {
+          ...rangeSources,
+          generated: spliceRangeIntoTwl(mergeSources.generated, rangeSources.generated, range).content,
+          imported: spliceRangeIntoTwl(mergeSources.imported, rangeSources.imported, range).content,
+        };
+      }
 
-      // Create detailed notification message
-      let message = '';
-      let detailedMessage = '';
+      // Unmatched terms of the range replace the range's old ones
+      let nextNoMatchTsv = rangeNoMatchTsv;
+      if (noMatchTsv.trim()) {
+        try {
+          nextNoMatchTsv = spliceRangeIntoTwl(noMatchTsv, rangeNoMatchTsv, range).content;
+        } catch (e) {
+          console.warn('Could not splice unmatched terms by reference:', e?.message || e);
+        }
+      }
 
-      if (updatedCount === 0 && newRowsCount === 0) {
-        message = 'No changes detected. All content is already up to date.';
-        detailedMessage = message;
+      const rangeSummary = { ...summary, replacedRows: removedRows, bookName: selectedBook.label };
+      if (previewBeforeApply) {
+        setPendingGeneration({
+          content,
+          noMatchTsv: nextNoMatchTsv,
+          mergeSources: nextMergeSources,
+          summary: rangeSummary,
+          provenance: provenanceRecord,
+          generatorOutput,
+        });
       } else {
-        // Create summary line
-        if (updatedCount > 0 && newRowsCount > 0) {
-          message = `Updated ${updatedCount} row${updatedCount === 1 ? '' : 's'} and added ${newRowsCount} new row${newRowsCount === 1 ? '' : 's'}.`;
-        } else if (updatedCount > 0) {
-          message = `Updated ${updatedCount} row${updatedCount === 1 ? '' : 's'}.`;
-        } else if (newRowsCount > 0) {
-          message = `Added ${newRowsCount} new row${newRowsCount === 1 ? '' : 's'}.`;
-        }
+        createBackup();
+        applyGeneratedTwl(content, nextMergeSources, provenanceRecord, nextNoMatchTsv);
+        // The generator always runs on the whole book, so its output compares with whole-book runs
+        await keepGeneratorRun(selectedBook.value, generatorOutput);
+      }
+    } catch (err) {
+      if (isPipelineCancelled(err)) {
+        console.log('Range regeneration cancelled - the table was not changed');
+        return;
+      }
+      setError(`Failed to regenerate ${selectedBook.label} ${formatReferenceRange(range)}: ${err.message}`);
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-        // Create detailed breakdown
-        const detailLines = [message];
+  /**
+   * Add a term from the No match tab to the table as a new row with the chosen TWLink
+   * Candidates with only a GLQuote get their OrigWords from the ULT alignment first
+   */
+  const handlePromoteNoMatch = async (candidate, twLink) => {
+    if (!selectedBook || !twlContent) return;
+    setError('');
 
-        if (updatedRowDetails.length > 0) {
-          detailLines.push('');
-          detailLines.push('📝 Updated Disambiguations:');
-          updatedRowDetails.forEach((update) => {
-            const doneStatus = update.hasDoneStatus ? ' (DONE)' : '';
-            detailLines.push(`• ${update.reference} [${update.id}]: "${update.newDisambiguation}"${doneStatus}`);
-          });
-        }
+    try {
+      let promotedCandidate = candidate;
+      if (!candidate.origWords) {
+        const { origWords, occurrence, glQuote, glOccurrence } = await convertGLQuoteToOrigWords({
+          bookCode: selectedBook.value,
+          reference: candidate.reference,
+          glQuote: candidate.glQuote,
+          glOccurrence: candidate.glOccurrence,
+          dcsHost,
+          projectConfig,
+        });
+        promotedCandidate = { ...candidate, origWords, occurrence, glQuote, glOccurrence };
+      }
 
-        if (newRowDetails.length > 0) {
-          detailLines.push('');
-          detailLines.push('✨ New Rows Added:');
-          newRowDetails.forEach((newRow) => {
-            detailLines.push(`• ${newRow.reference} [${newRow.id}]: "${newRow.glQuote}"`);
-          });
-        }
+      const { content } = promoteNoMatchCandidate(twlContent, promotedCandidate, twLink);
+      createBackup();
+      const normalizedContent = normalizeTsvColumnCount(withAutoTags(content));
+      setTwlContent(normalizedContent);
+      saveTwlContent(normalizedContent);
+      resetSaveStates();
+    } catch (err) {
+      setError(`Failed to add ${candidate.reference} to the table: ${err.message}`);
+      console.error(err);
+    }
+  };
+
+  /**
+   * Renumber Occurrence and GLOccurrence of the current table against the current original-language text and ULT
+   */
+  const handleRenumberOccurrences = async () => {
+    if (!selectedBook || !twlContent) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const { content, report } = await renumberOccurrencesForBook(twlContent, selectedBook.value, dcsHost, projectConfig);
 
-        detailedMessage = detailLines.join('\n');
+      if (report.changes.length > 0) {
+        // Create backup before changing the table
+        createBackup();
+        setTwlContent(content);
+        saveTwlContent(content);
       }
 
-      setUpdateNotification({
-        open: true,
-        message: detailedMessage,
-      });
+      setOccurrenceReport({ ...report, bookName: selectedBook.label });
     } catch (err) {
-      setError(`Failed to update TWL: ${err.message}`);
+      setError(`Failed to renumber occurrences: ${err.message}`);
       console.error(err);
     } finally {
       setLoading(false);
@@ -1696,10 +1885,63 @@ function App() {
               </Typography>
               <Typography component="div" sx={{ fontSize: '0.875rem', lineHeight: 1, opacity: 0.95 }}>
                 (v{packageInfo.version}, DCS:{' '}
-                {dcsHost === 'https://qa.door43.org' ? 'QA' : dcsHost === 'https://develop.door43.org' ? 'DEV' : dcsHost === 'https://git.door43.org' ? 'PROD' : dcsHost})
+                {dcsHost === 'https://qa.door43.org' ? 'QA' : dcsHost === 'https://develop.door43.org' ? 'DEV' : dcsHost === 'https://git.door43.org' ? 'PROD' : dcsHost}
+                {!isDefaultProjectConfig(projectConfig) && `, ${describeProjectConfig(projectConfig)}`}
+                {describeResourcePins(projectConfig) && `, pinned: ${describeResourcePins(projectConfig)} (generator unpinned: ${GENERATOR_BIBLE_LINK})`}
+                {!isOnline && ', offline'})
               </Typography>
             </Box>
 
+            {/* Project configuration */}
+            <Button
+              onClick={() => setProjectDialogOpen(true)}
+              startIcon={<SettingsIcon />}
+              sx={{
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.3)',
+                borderRadius: '20px',
+                textTransform: 'none',
+                fontSize: '0.875rem',
+                px: 2,
+                py: 0.5,
+                mr: 1,
+                '&:hover': {
+                  backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                  borderColor: 'rgba(255, 255, 255, 0.5)',
+                },
+                '& .MuiButton-startIcon': {
+                  marginRight: '6px',
+                },
+              }}
+            >
+              Project
+            </Button>
+
+            {/* Offline workspace */}
+            <Button
+              onClick={() => setOfflineDialogOpen(true)}
+              startIcon={<OfflineIcon />}
+              sx={{
+                color: 'white',
+                border: '1px solid rgba(255, 255, 255, 0.3)',
+                borderRadius: '20px',
+                textTransform: 'none',
+                fontSize: '0.875rem',
+                px: 2,
+                py: 0.5,
+                mr: 1,
+                '&:hover': {
+                  backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                  borderColor: 'rgba(255, 255, 255, 0.5)',
+                },
+                '& .MuiButton-startIcon': {
+                  marginRight: '6px',
+                },
+              }}
+            >
+              Offline
+            </Button>
+
             {/* GitHub README Link */}
             <Button
               component="a"
@@ -1818,9 +2060,10 @@ function App() {
 
                     setLoading(true);
                     try {
-                      const content = await fetchTWLContent(selectedBook.value, selectedBranch, dcsHost);
+                      const content = await fetchTWLContent(selectedBook.value, selectedBranch, dcsHost, projectConfig);
                       console.log('🌐 Fetched TWL content from DCS:', content);
                       handleExistingTwlChange(content);
+                      setExistingTwlRef(selectedBranch);
                     } catch (err) {
                       setError(`Failed to fetch existing TWL: ${err.message}`);
                     } finally {
@@ -1836,7 +2079,7 @@ function App() {
                     '&:hover': selectedBook ? { backgroundColor: 'rgba(25, 118, 210, 0.04)' } : {},
                   }}
                 >
-                  Fetch en_twl / twl_{selectedBook?.value.toUpperCase() || 'BOOK'}.tsv ({selectedBranch}) from DCS
+                  Fetch {projectConfig.twlRepo} / twl_{selectedBook?.value.toUpperCase() || 'BOOK'}.tsv ({selectedBranch}) from DCS
                 </Button>
               </Box>
 
@@ -1880,6 +2123,83 @@ function App() {
                 </Box>
               )}
 
+              {/* Match key strategy (used when merging and when applying deleted row markers) */}
+              {existingTwlContent.trim() && existingTwlValid && (
+                <Box sx={{ mt: 2 }}>
+                  <TextField
+                    select
+                    size="small"
+                    label="Match rows by"
+                    value={matchKeyStrategy}
+                    onChange={(e) => setMatchKeyStrategy(e.target.value)}
+                    sx={{ minWidth: 320 }}
+                    FormHelperTextProps={{ sx: matchKeyStrategy === MATCH_KEY_STRATEGIES.ID ? { color: 'warning.main' } : {} }}
+                    helperText={
+                      matchKeyStrategy === MATCH_KEY_STRATEGIES.ID
+                        ? 'Generated rows have no stable IDs yet, so they are matched by Reference + OrigWords + Occurrence; IDs are only compared between your branch, master and deleted rows'
+                        : matchKeyStrategy === MATCH_KEY_STRATEGIES.LEMMAS
+                          ? "Uses the lemmas/Strong's numbers of the original-language text"
+                          : 'How imported and generated rows are paired when merging and applying deleted rows'
+                    }
+                  >
+                    {MATCH_KEY_STRATEGY_OPTIONS.map((option) => (
+                      <MenuItem key={option.value} value={option.value}>
+                        {option.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </Box>
+              )}
+
+              {/* Three-way merge checkbox (only applies when merging a 6-column TWL) */}
+              {existingTwlContent.trim() && existingTwlValid && !isExtendedTsvFormat(existingTwlContent) && (
+                <Box sx={{ mt: 2 }}>
+                  <FormControlLabel
+                    control={<Checkbox checked={useThreeWayMerge} onChange={(e) => setUseThreeWayMerge(e.target.checked)} />}
+                    label={`Three-way merge using ${projectConfig.twlRepo} ${projectConfig.ref} as the common base (tells your edits apart from generator changes and flags conflicts)`}
+                    sx={{ color: 'rgba(0, 0, 0, 0.87)' }}
+                  />
+                </Box>
+              )}
+
+              {/* Fuzzy matching checkbox (not used by the three-way merge) */}
+              {existingTwlContent.trim() && existingTwlValid && !isExtendedTsvFormat(existingTwlContent) && !useThreeWayMerge && (
+                <Box sx={{ mt: 1 }}>
+                  <FormControlLabel
+                    control={<Checkbox checked={useFuzzyMatch} onChange={(e) => setUseFuzzyMatch(e.target.checked)} />}
+                    label="Fuzzy-match rows whose original-language words changed (same verse, same lemmas or similar spelling) and mark them MERGED-FUZZY"
+                    sx={{ color: 'rgba(0, 0, 0, 0.87)' }}
+                  />
+                </Box>
+              )}
+
+              {/* Occurrence renumbering checkbox (repairs the existing TWL before it is matched) */}
+              {existingTwlContent.trim() && existingTwlValid && !isExtendedTsvFormat(existingTwlContent) && (
+                <Box sx={{ mt: 1 }}>
+                  <FormControlLabel
+                    control={<Checkbox checked={renumberBeforeMerge} onChange={(e) => setRenumberBeforeMerge(e.target.checked)} />}
+                    label="Renumber Occurrence in the existing TWL against the current original-language text before merging"
+                    sx={{ color: 'rgba(0, 0, 0, 0.87)' }}
+                  />
+                </Box>
+              )}
+
+              {/* Dry-run checkbox (generation only - extended TSVs load directly) */}
+              {!(existingTwlContent.trim() && isExtendedTsvFormat(existingTwlContent)) && (
+                <Box sx={{ mt: 1 }}>
+                  <FormControlLabel
+                    control={<Checkbox checked={previewBeforeApply} onChange={(e) => setPreviewBeforeApply(e.target.checked)} />}
+                    label="Preview a summary (merge counts, duplicates, ID fixes, hidden rows) before replacing the table"
+                    sx={{ color: 'rgba(0, 0, 0, 0.87)' }}
+                  />
+                  <FormControlLabel
+                    control={<Checkbox checked={addProvenance} onChange={(e) => setAddProvenance(e.target.checked)} />}
+                    label="Add provenance columns (Source, SourceRef, GeneratedAt) recording the generator version and source commits of each row"
+                    sx={{ color: 'rgba(0, 0, 0, 0.87)' }}
+                  />
+                </Box>
+              )}
+
               {/* Generate/Load TWLs Button */}
               <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
                 <Button
@@ -1898,9 +2218,19 @@ function App() {
                   {existingTwlContent.trim() && isExtendedTsvFormat(existingTwlContent) ? 'Load into Table View' : 'Generate TWLs'}
                 </Button>
               </Box>
+              <Box sx={{ mt: 1, display: 'flex', justifyContent: 'center' }}>
+                <Button onClick={() => setBatchDialogOpen(true)} variant="text" size="small" disabled={loading} sx={{ textTransform: 'none' }}>
+                  Batch generate several books as a ZIP...
+                </Button>
+              </Box>
             </CardContent>
           </Card>
 
+          {/* Stages of the running generation */}
+          {pipelineProgress && (
+            <PipelineProgress stage={pipelineProgress.stage} title={pipelineProgress.title} onCancel={() => cancelPipelineRef.current?.()} />
+          )}
+
           {/* Error Display */}
           {error && (
             <Alert severity="error" sx={{ mb: 2 }}>
@@ -1923,6 +2253,7 @@ function App() {
                     <ToggleButtonGroup value={viewMode} exclusive onChange={handleViewModeChange} size="small">
                       <ToggleButton value="table">Table View</ToggleButton>
                       <ToggleButton value="raw">Raw Text</ToggleButton>
+                      <ToggleButton value="nomatch">No match{noMatchCount > 0 ? ` (${noMatchCount})` : ''}</ToggleButton>
                     </ToggleButtonGroup>
 
                     {viewMode === 'raw' && (
@@ -1941,7 +2272,7 @@ function App() {
                       </Button>
                     )}
 
-                    {viewMode === 'table' && hasBackup && (
+                    {viewMode !== 'raw' && hasBackup && (
                       <Button
                         onClick={handleUndo}
                         startIcon={<UndoIcon />}
@@ -1976,6 +2307,24 @@ function App() {
                       Manage Unlinked Words
                     </Button>
 
+                    <Button
+                      onClick={() => setTermMappingsDialogOpen(true)}
+                      startIcon={<ManageIcon />}
+                      variant="outlined"
+                      size="small"
+                      sx={{
+                        color: '#ff9800',
+                        borderColor: '#ff9800',
+                        textTransform: 'none',
+                        '&:hover': {
+                          backgroundColor: 'rgba(255, 152, 0, 0.04)',
+                          borderColor: '#ff9800',
+                        },
+                      }}
+                    >
+                      Manage Term Mappings
+                    </Button>
+
                     <Button
                       onClick={handleUpdateTwl}
                       startIcon={<UpdateIcon />}
@@ -1995,6 +2344,44 @@ function App() {
                       Update
                     </Button>
 
+                    <Button
+                      onClick={handleRenumberOccurrences}
+                      startIcon={<RenumberIcon />}
+                      variant="outlined"
+                      size="small"
+                      disabled={!selectedBook || loading}
+                      sx={{
+                        color: '#607d8b',
+                        borderColor: '#607d8b',
+                        textTransform: 'none',
+                        '&:hover': {
+                          backgroundColor: 'rgba(96, 125, 139, 0.04)',
+                          borderColor: '#607d8b',
+                        },
+                      }}
+                    >
+                      Renumber Occurrences
+                    </Button>
+
+                    <Button
+                      onClick={() => setRangeDialogOpen(true)}
+                      startIcon={<RangeIcon />}
+                      variant="outlined"
+                      size="small"
+                      disabled={!selectedBook || loading}
+                      sx={{
+                        color: '#00897b',
+                        borderColor: '#00897b',
+                        textTransform: 'none',
+                        '&:hover': {
+                          backgroundColor: 'rgba(0, 137, 123, 0.04)',
+                          borderColor: '#00897b',
+                        },
+                      }}
+                    >
+                      Regenerate Range
+                    </Button>
+
                     <Button
                       onClick={handleDownloadAllColumns}
                       startIcon={<SaveIcon />}
@@ -2009,6 +2396,26 @@ function App() {
                     >
                       Save TWLs to File
                     </Button>
+
+                    {provenanceRecord && (
+                      <Button onClick={handleDownloadProvenance} startIcon={<DownloadIcon />} variant="text" size="small" sx={{ textTransform: 'none' }}>
+                        Provenance
+                      </Button>
+                    )}
+
+                    {generatorRuns?.current && (
+                      <Button onClick={() => setGeneratorDiffOpen(true)} variant="text" size="small" sx={{ textTransform: 'none' }}>
+                        Generator Diff
+                      </Button>
+                    )}
+
+                    <Button onClick={() => setLemmaConsistencyOpen(true)} variant="text" size="small" disabled={!twlContent} sx={{ textTransform: 'none' }}>
+                      Lemma Consistency
+                    </Button>
+
+                    <Button onClick={() => setTwCoverageOpen(true)} variant="text" size="small" disabled={!twlContent} sx={{ textTransform: 'none' }}>
+                      TW Coverage
+                    </Button>
                   </Box>
 
                   {/* Right side - Commit to DCS button */}
@@ -2033,24 +2440,54 @@ function App() {
                   {viewMode === 'table' ? (
                     <>
                       {/* Scripture Context Viewer */}
-                      {scriptureContext && <ScriptureViewer dcsHost={dcsHost} scriptureContext={scriptureContext} onClose={() => setScriptureContext(null)} />}
-
-                      {/* TWL Table */}
-                      <TWLTable
-                        tableData={tableData}
-                        selectedBook={selectedBook}
-                        onDeleteRow={handleDeleteRow}
-                        onUnlinkRow={handleUnlinkRow}
-                        onDuplicateRow={handleDuplicateRow}
-                        onDisambiguationClick={handleDisambiguationClick}
-                        onClearDisambiguation={handleClearDisambiguation}
-                        onEditTWLink={handleEditTWLink}
-                        onReferenceClick={handleReferenceClick}
-                        onShowScripture={handleShowScripture}
-                        unlinkedWords={unlinkedWords}
-                        dcsHost={dcsHost}
-                      />
+                      {scriptureContext && <ScriptureViewer dcsHost={dcsHost} projectConfig={projectConfig} scriptureContext={scriptureContext} onClose={() => setScriptureContext(null)} />}
+
+                      {/* TWL Table with merge details panel */}
+                      <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                          <TWLTable
+                            tableData={tableData}
+                            selectedBook={selectedBook}
+                            onDeleteRow={handleDeleteRow}
+                            onUnlinkRow={handleUnlinkRow}
+                            onDuplicateRow={handleDuplicateRow}
+                            onDisambiguationClick={handleDisambiguationClick}
+                            onClearDisambiguation={handleClearDisambiguation}
+                            onEditTWLink={handleEditTWLink}
+                            onReferenceClick={handleReferenceClick}
+                            onShowScripture={handleShowScripture}
+                            unlinkedWords={unlinkedWords}
+                            dcsHost={dcsHost}
+                            projectConfig={projectConfig}
+                            onMergeStatusClick={selectMergeDiffRow}
+                            selectedRowIndex={mergeDiffRowIndex}
+                            rowFilter={tableRowFilter}
+                            onClearRowFilter={() => setTableRowFilter(null)}
+                            onEditTags={handleEditTags}
+                            autoTags={autoTags}
+                            onAutoTagsChange={handleAutoTagsChange}
+                          />
+                        </Box>
+                        {mergeDiffRowIndex !== null && (
+                          <MergeDiffPanel
+                            tableData={tableData}
+                            rowIndex={mergeDiffRowIndex}
+                            mergeSources={mergeSources}
+                            onClose={() => setMergeDiffRowKey(null)}
+                            onSelectRow={selectMergeDiffRow}
+                          />
+                        )}
+                      </Box>
                     </>
+                  ) : viewMode === 'nomatch' ? (
+                    <NoMatchPanel
+                      noMatchTsv={noMatchTsv}
+                      tableData={tableData}
+                      bookCode={selectedBook?.value}
+                      dcsHost={dcsHost}
+                      projectConfig={projectConfig}
+                      onPromote={handlePromoteNoMatch}
+                    />
                   ) : (
                     <>
                       {hasBackup && (
@@ -2142,6 +2579,24 @@ function App() {
               onBlur={handleCommitFormInputBlur}
               placeholder={`Update TWL for ${selectedBook?.value?.toUpperCase() || 'BOOK'}`}
             />
+            {commitForm.validating && (
+              <Box sx={{ mt: 2, textAlign: 'center' }}>
+                <CircularProgress size={24} />
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                  Validating the rows...
+                </Typography>
+              </Box>
+            )}
+            {!commitForm.validating && commitForm.validation?.content === twlContent && (
+              <ValidationReport
+                validation={commitForm.validation}
+                onSelectRow={(rowIndex) => {
+                  handleCommitModalClose();
+                  handleViewModeChange(null, 'table');
+                  selectMergeDiffRow(rowIndex);
+                }}
+              />
+            )}
             {commitForm.submitting && (
               <Box sx={{ mt: 2, textAlign: 'center' }}>
                 <CircularProgress size={24} />
@@ -2173,13 +2628,24 @@ function App() {
               Close
             </Button>
           ) : (
-            <Button onClick={handleCommitSubmit} variant="contained" disabled={commitForm.submitting || !commitForm.name.trim() || !commitForm.email.trim()}>
-              {commitForm.submitting ? 'Committing...' : 'Commit & Create PR'}
+            <Button
+              onClick={handleCommitSubmit}
+              variant="contained"
+              disabled={commitForm.submitting || commitForm.validating || !commitForm.name.trim() || !commitForm.email.trim()}
+            >
+              {getCommitButtonLabel()}
             </Button>
           )}
         </DialogActions>
       </Dialog>
 
+      {/* Dry-run summary of a generated TWL awaiting Accept */}
+      <MergePreviewDialog
+        summary={pendingGeneration?.summary}
+        onAccept={() => handlePendingGenerationAction(true)}
+        onCancel={() => handlePendingGenerationAction(false)}
+      />
+
       {/* Work in Progress Confirmation Dialog */}
       <Dialog open={confirmDialogOpen} onClose={() => handleConfirmDialogAction('cancel')} maxWidth="sm" fullWidth>
         <DialogTitle>{pendingAction === 'book-change' ? 'Change Book' : 'Generate New TWL?'}</DialogTitle>
@@ -2240,29 +2706,122 @@ function App() {
       </Dialog>
 
       {/* Unlinked Words Manager Dialog */}
-      <UnlinkedWordsManager open={unlinkedWordsDialogOpen} onClose={handleUnlinkedWordsDialogClose} onUnlinkedWordsChange={handleUnlinkedWordsChange} dcsHost={dcsHost} />
-
-      {/* Update Notification Snackbar */}
-      <Snackbar
-        open={updateNotification.open}
-        autoHideDuration={null} // Stay open until user closes
-        onClose={() => setUpdateNotification({ open: false, message: '' })}
-        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
-      >
-        <Alert
-          onClose={() => setUpdateNotification({ open: false, message: '' })}
-          severity="success"
-          sx={{
-            width: '100%',
-            whiteSpace: 'pre-line', // Preserve line breaks in the message
-            '& .MuiAlert-message': {
-              fontSize: '0.875rem',
-            },
+      <UnlinkedWordsManager open={unlinkedWordsDialogOpen} onClose={handleUnlinkedWordsDialogClose} onUnlinkedWordsChange={handleUnlinkedWordsChange} dcsHost={dcsHost} projectConfig={projectConfig} />
+
+      {/* Custom term mappings */}
+      <TermMappingsManager
+        open={termMappingsDialogOpen}
+        onClose={() => setTermMappingsDialogOpen(false)}
+        termMappings={termMappingsState.termMappings}
+        loading={termMappingsState.loading}
+        error={termMappingsState.error}
+        onSave={termMappingsState.saveTermMapping}
+        onRemove={termMappingsState.removeTermMapping}
+        dcsHost={dcsHost}
+        projectConfig={projectConfig}
+      />
+
+      {/* Change report of the last Update TWL */}
+      <UpdateReportDialog report={updateReport} onClose={() => setUpdateReport(null)} />
+
+      {/* Batch generation of several books */}
+      {batchDialogOpen && (
+        <BatchGenerateDialog
+          open={batchDialogOpen}
+          onClose={() => setBatchDialogOpen(false)}
+          branches={branches}
+          defaultBranch={selectedBranch}
+          getPipelineOptions={getPipelineOptions}
+          loadDeletedRows={async (bookCode) => (await getDeletedRowsFromServer(bookCode)).items}
+          dcsHost={dcsHost}
+        />
+      )}
+
+      {/* Project configuration */}
+      <ProjectSettingsDialog
+        open={projectDialogOpen}
+        onClose={() => setProjectDialogOpen(false)}
+        projectConfig={projectConfig}
+        onSave={handleProjectConfigChange}
+        dcsHost={dcsHost}
+      />
+
+      {/* Changes between the last two generator runs */}
+      {generatorDiffOpen && (
+        <GeneratorDiffDialog
+          open={generatorDiffOpen}
+          onClose={() => setGeneratorDiffOpen(false)}
+          runs={generatorRuns}
+          bookName={selectedBook?.label}
+          tableData={tableData}
+          onSelectRow={(rowIndex) => {
+            handleViewModeChange(null, 'table');
+            selectMergeDiffRow(rowIndex);
+          }}
+        />
+      )}
+
+      {/* Lemmas linked to more than one TW article */}
+      {lemmaConsistencyOpen && (
+        <LemmaConsistencyDialog
+          open={lemmaConsistencyOpen}
+          onClose={() => setLemmaConsistencyOpen(false)}
+          tableData={tableData}
+          bookCode={selectedBook?.value}
+          bookName={selectedBook?.label}
+          dcsHost={dcsHost}
+          projectConfig={projectConfig}
+          onFilterRows={(rowFilter) => {
+            handleViewModeChange(null, 'table');
+            setTableRowFilter(rowFilter);
+          }}
+        />
+      )}
+
+      {/* TW articles the book uses and doesn't use */}
+      {twCoverageOpen && (
+        <TwCoverageDialog
+          open={twCoverageOpen}
+          onClose={() => setTwCoverageOpen(false)}
+          tableData={tableData}
+          bookCode={selectedBook?.value}
+          bookName={selectedBook?.label}
+          dcsHost={dcsHost}
+          projectConfig={projectConfig}
+          onFilterRows={(rowFilter) => {
+            handleViewModeChange(null, 'table');
+            setTableRowFilter(rowFilter);
           }}
-        >
-          {updateNotification.message}
-        </Alert>
-      </Snackbar>
+        />
+      )}
+
+      {/* Offline workspace */}
+      {offlineDialogOpen && (
+        <OfflineDialog
+          open={offlineDialogOpen}
+          onClose={() => setOfflineDialogOpen(false)}
+          defaultBookCode={selectedBook?.value}
+          branches={[selectedBranch || projectConfig.ref]}
+          dcsHost={dcsHost}
+          projectConfig={projectConfig}
+          warmUp={warmUpBookOffline}
+        />
+      )}
+
+      {/* Chapter/verse range regeneration */}
+      {rangeDialogOpen && (
+        <RegenerateRangeDialog
+          open={rangeDialogOpen}
+          onClose={() => setRangeDialogOpen(false)}
+          onRegenerate={handleRegenerateRange}
+          bookCode={selectedBook?.value}
+          bookName={selectedBook?.label}
+          twlContent={twlContent}
+        />
+      )}
+
+      {/* Report of the last occurrence renumbering */}
+      <OccurrenceReportDialog report={occurrenceReport} onClose={() => setOccurrenceReport(null)} />
     </ThemeProvider>
   );
 }
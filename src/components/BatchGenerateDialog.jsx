@@ -0,0 +1,251 @@
+/**
+ * Batch generation - run the TWL pipeline for a set of books (or a whole testament) and download one ZIP archive
+ * with the extended and 6-column TSV of each book plus a per-book summary
+ */
+import React, { useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Autocomplete,
+  TextField,
+  MenuItem,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableCell,
+  TableRow,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { BibleBookData } from '../common/books.js';
+import { runTwlBatch, getTestamentBookCodes } from '../services/twlBatch.js';
+import { PIPELINE_STAGES } from '../services/twlPipeline.js';
+
+const cellSx = { padding: '4px 8px' };
+
+const bookOptions = Object.keys(BibleBookData).map((bookCode) => ({
+  value: bookCode,
+  label: `${BibleBookData[bookCode].title} (${bookCode})`,
+}));
+
+const BatchGenerateDialog = ({ open, onClose, branches = [], defaultBranch = 'master', getPipelineOptions, loadDeletedRows, dcsHost }) => {
+  const [bookCodes, setBookCodes] = useState([]);
+  const [branch, setBranch] = useState(defaultBranch);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+  const cancelRef = useRef(null);
+
+  const branchChoices = branches.includes(branch) ? branches : [branch, ...branches];
+  const pipelineOptions = getPipelineOptions();
+
+  const downloadZip = (blob) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `twl_batch_${new Date().toISOString().slice(0, 10)}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleStart = async () => {
+    setRunning(true);
+    setResults(null);
+    setError('');
+
+    try {
+      const run = runTwlBatch({
+        bookCodes,
+        branch,
+        pipelineOptions: getPipelineOptions(),
+        loadDeletedRows,
+        dcsHost,
+        onProgress: setProgress,
+      });
+      cancelRef.current = run.cancel;
+      const batch = await run.promise;
+      setResults(batch.results);
+      if (batch.results.length > 0) {
+        downloadZip(await batch.zip.generateAsync({ type: 'blob' }));
+      }
+      if (batch.cancelled) {
+        setError(`Stopped after ${batch.results.length} of ${bookCodes.length} books - the ZIP holds the finished books.`);
+      }
+    } catch (err) {
+      setError(`Batch generation failed: ${err.message}`);
+      console.error(err);
+    } finally {
+      cancelRef.current = null;
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const handleClose = () => {
+    if (!running) onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Batch Generate TWLs</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Each book is generated and merged with its own file in {pipelineOptions.projectConfig?.twlRepo || 'the TWL repository'} from the selected branch (books without one are generated fresh; a book whose file can&apos;t be loaded fails). Nothing in the table
+          is changed; the results are downloaded as a ZIP archive.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+          <Button size="small" disabled={running} onClick={() => setBookCodes(getTestamentBookCodes('old'))} sx={{ textTransform: 'none' }}>
+            Old Testament
+          </Button>
+          <Button size="small" disabled={running} onClick={() => setBookCodes(getTestamentBookCodes('new'))} sx={{ textTransform: 'none' }}>
+            New Testament
+          </Button>
+          <Button size="small" disabled={running} onClick={() => setBookCodes(getTestamentBookCodes())} sx={{ textTransform: 'none' }}>
+            Whole Bible
+          </Button>
+          <Button size="small" disabled={running || bookCodes.length === 0} onClick={() => setBookCodes([])} sx={{ textTransform: 'none' }}>
+            Clear
+          </Button>
+        </Box>
+
+        <Autocomplete
+          multiple
+          limitTags={10}
+          options={bookOptions}
+          value={bookOptions.filter((option) => bookCodes.includes(option.value))}
+          onChange={(event, selected) => setBookCodes(getTestamentBookCodes().filter((bookCode) => selected.some((option) => option.value === bookCode)))}
+          isOptionEqualToValue={(option, value) => option.value === value.value}
+          disabled={running}
+          renderInput={(params) => <TextField {...params} label="Books" size="small" />}
+          sx={{ mb: 2 }}
+        />
+
+        <TextField
+          select
+          label={`Merge with ${pipelineOptions.projectConfig?.twlRepo || 'TWL'} branch`}
+          value={branch}
+          onChange={(e) => setBranch(e.target.value)}
+          disabled={running}
+          size="small"
+          sx={{ minWidth: 240, mb: 1 }}
+        >
+          {branchChoices.map((branchName) => (
+            <MenuItem key={branchName} value={branchName}>
+              {branchName}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+          Uses the current generation settings: {pipelineOptions.mergeStrategy} merge, match rows by {pipelineOptions.matchKeyStrategy}, fuzzy matching{' '}
+          {pipelineOptions.fuzzyMatch ? 'on' : 'off'}
+          {pipelineOptions.renumberOccurrences ? ', occurrences renumbered first' : ''}
+          {pipelineOptions.provenance ? ', provenance columns' : ''}.
+        </Typography>
+
+        {running && progress && (
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="body2" sx={{ mb: 0.5 }}>
+              Generating {BibleBookData[progress.bookCode]?.title || progress.bookCode} ({progress.index + 1} of {progress.total})
+              {progress.stage ? `: ${PIPELINE_STAGES.find((stage) => stage.key === progress.stage)?.label || progress.stage}` : ''}...
+            </Typography>
+            <LinearProgress variant="determinate" value={(progress.index / progress.total) * 100} />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {results && results.length > 0 && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={cellSx}>Book</TableCell>
+                <TableCell sx={cellSx} align="right">
+                  Existing
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  Generated
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  Merged
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  New
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  Old
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  Dropped
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  Committed
+                </TableCell>
+                <TableCell sx={cellSx}>Status</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {results.map((result) => (
+                <TableRow key={result.bookCode}>
+                  <TableCell sx={cellSx}>{result.bookCode.toUpperCase()}</TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    {result.existingRows ?? ''}
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    {result.generatedRows ?? ''}
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    {result.merged ?? ''}
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    {result.new ?? ''}
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    {result.old ?? ''}
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    {result.status.startsWith('OK') ? result.duplicatesRemoved + result.deletedRows : ''}
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    {result.committedRows ?? ''}
+                  </TableCell>
+                  <TableCell sx={{ ...cellSx, color: result.status === 'OK' ? 'success.main' : result.status.startsWith('OK') ? 'warning.main' : 'error.main' }}>{result.status}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {running ? (
+          <Button
+            onClick={() => cancelRef.current?.()}
+            color="warning"
+          >
+            Stop
+          </Button>
+        ) : (
+          <Button onClick={handleClose}>Close</Button>
+        )}
+        <Button onClick={handleStart} variant="contained" disabled={running || bookCodes.length === 0}>
+          {running ? 'Generating...' : bookCodes.length > 0 ? `Generate ${bookCodes.length} Book${bookCodes.length === 1 ? '' : 's'} as ZIP` : 'Generate ZIP'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BatchGenerateDialog;
@@ -0,0 +1,118 @@
+/**
+ * Generator diff - what the generator produces differently from its previous run for the book, separate from the
+ * curated edits in the table: rows that appeared, disappeared or changed TWLink. References link to the table row
+ */
+import React, { useMemo } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Link, Table, TableHead, TableBody, TableCell, TableRow, Typography } from '@mui/material';
+import { diffGeneratorRuns, findGeneratorDiffRow } from '../utils/generatorDiff.js';
+
+const cellSx = { padding: '4px 8px' };
+
+const describeRun = (run) =>
+  [new Date(run.generatedAt).toLocaleString(), run.generatorVersion && `twl-generator ${run.generatorVersion}`, run.project].filter(Boolean).join(', ');
+
+const GeneratorDiffDialog = ({ open, onClose, runs, bookName, tableData, onSelectRow }) => {
+  const diff = useMemo(() => (runs?.previous && runs?.current ? diffGeneratorRuns(runs.previous.content, runs.current.content) : null), [runs]);
+
+  const renderReference = (entry, twLink) => {
+    const rowIndex = findGeneratorDiffRow(tableData, entry, twLink);
+    if (rowIndex < 0) {
+      return (
+        <Typography variant="body2" component="span" title="Not in the table">
+          {entry.reference}
+        </Typography>
+      );
+    }
+    return (
+      <Link
+        component="button"
+        variant="body2"
+        onClick={() => {
+          onSelectRow(rowIndex);
+          onClose();
+        }}
+      >
+        {entry.reference}
+      </Link>
+    );
+  };
+
+  const renderSection = (title, description, entries, columns) =>
+    entries.length > 0 && (
+      <>
+        <Typography variant="subtitle2" sx={{ fontWeight: 'bold', mt: 1 }}>
+          {title} ({entries.length})
+        </Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+          {description}
+        </Typography>
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Reference</TableCell>
+              <TableCell sx={cellSx}>OrigWords</TableCell>
+              <TableCell sx={cellSx}>Occurrence</TableCell>
+              <TableCell sx={cellSx}>GLQuote</TableCell>
+              {columns.map(({ label }) => (
+                <TableCell key={label} sx={cellSx}>
+                  {label}
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.map((entry, index) => (
+              <TableRow key={index}>
+                <TableCell sx={cellSx}>{renderReference(entry, entry.twLink ?? entry.toTwLink)}</TableCell>
+                <TableCell sx={cellSx}>{entry.origWords}</TableCell>
+                <TableCell sx={cellSx}>{entry.occurrence}</TableCell>
+                <TableCell sx={cellSx}>{entry.glQuote}</TableCell>
+                {columns.map(({ label, value }) => (
+                  <TableCell key={label} sx={{ ...cellSx, fontFamily: 'monospace' }}>
+                    {value(entry)}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </>
+    );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Generator Diff{bookName ? ` - ${bookName}` : ''}</DialogTitle>
+      <DialogContent>
+        {!diff ? (
+          <Typography variant="body2" color="text.secondary">
+            The generator has run for this book only once in this browser - generate again (e.g. after a ULT or twl-generator update) to compare the runs.
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Compares the generator&apos;s raw output before merging. Previous run: {describeRun(runs.previous)}. Latest run: {describeRun(runs.current)}.
+            </Typography>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {diff.added.length} appeared, {diff.removed.length} disappeared, {diff.changed.length} changed TWLink, {diff.unchanged} unchanged.
+            </Typography>
+            {renderSection('🆕 Appeared', 'Rows the latest run generates that the previous run did not.', diff.added, [{ label: 'TWLink', value: (entry) => entry.twLink }])}
+            {renderSection('🗑️ Disappeared', 'Rows the previous run generated that the latest run no longer does.', diff.removed, [
+              { label: 'TWLink', value: (entry) => entry.twLink },
+            ])}
+            {renderSection('🔀 Changed TWLink', 'Same words, now linked to another article.', diff.changed, [
+              { label: 'Was', value: (entry) => entry.fromTwLink },
+              { label: 'Now', value: (entry) => entry.toTwLink },
+            ])}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default GeneratorDiffDialog;
@@ -0,0 +1,154 @@
+/**
+ * Lemma consistency report - lemmas/Strong's numbers of the book linked to more than one TW article, with the rows per
+ * TWLink. Clicking a lemma or a TWLink filters the table to those rows
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Chip,
+  CircularProgress,
+  Link,
+  Table,
+  TableHead,
+  TableBody,
+  TableCell,
+  TableRow,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { loadVerseLexicon } from '../services/twlPipeline.js';
+import { buildLemmaConsistencyReport, createLemmaRowFilter } from '../utils/lemmaConsistency.js';
+
+const cellSx = { padding: '4px 8px', verticalAlign: 'top' };
+
+const getShortTwLink = (twLink) => twLink.replace(/^rc:\/\/\*\/tw\/dict\/bible\//, '') || '(empty)';
+
+const LemmaConsistencyDialog = ({ open, onClose, tableData, bookCode, bookName, dcsHost, projectConfig, onFilterRows }) => {
+  const [lexicon, setLexicon] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !bookCode) return;
+    let cancelled = false;
+    setLoading(true);
+    setLoadError(null);
+    loadVerseLexicon(bookCode, dcsHost, projectConfig).then((result) => {
+      if (cancelled) return;
+      setLexicon(result);
+      setLoadError(result?.size ? null : 'Could not load the original-language text of the book.');
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, bookCode, dcsHost, projectConfig]);
+
+  const report = useMemo(() => (lexicon?.size ? buildLemmaConsistencyReport(tableData, lexicon) : null), [tableData, lexicon]);
+
+  const applyFilter = (keys, label, twLink) => {
+    onFilterRows(createLemmaRowFilter(keys, lexicon, label, twLink));
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Lemma Consistency{bookName ? ` - ${bookName}` : ''}</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, py: 4, justifyContent: 'center' }}>
+            <CircularProgress size={24} />
+            <Typography variant="body2">Loading the original-language text...</Typography>
+          </Box>
+        ) : loadError ? (
+          <Alert severity="error">{loadError}</Alert>
+        ) : (
+          report && (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                Rows are grouped by the Strong&apos;s numbers of their OrigWords in the original-language text. {report.groups.length} lemma
+                {report.groups.length === 1 ? ' is' : 's are'} linked to more than one TW article in {report.checkedRows} rows
+                {report.unresolvedRows > 0 ? ` (${report.unresolvedRows} rows whose OrigWords are not in their verse were skipped)` : ''}. Rows with
+                Disambiguation options are usually intentional.
+              </Typography>
+              {report.groups.length > 0 && (
+                <Button
+                  size="small"
+                  variant="outlined"
+                  sx={{ mb: 1, textTransform: 'none' }}
+                  onClick={() =>
+                    applyFilter(
+                      report.groups.map((group) => group.key),
+                      `Inconsistent lemmas (${report.groups.length})`
+                    )
+                  }
+                >
+                  Show all {report.groups.reduce((sum, group) => sum + group.total, 0)} rows in the table
+                </Button>
+              )}
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={cellSx}>Strong&apos;s</TableCell>
+                    <TableCell sx={cellSx}>Lemma</TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      Rows
+                    </TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      Disambiguated
+                    </TableCell>
+                    <TableCell sx={cellSx}>TWLinks</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.groups.map((group) => (
+                    <TableRow key={group.key}>
+                      <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>
+                        <Link component="button" variant="body2" onClick={() => applyFilter([group.key], `Lemma ${group.key}`)}>
+                          {group.key}
+                        </Link>
+                      </TableCell>
+                      <TableCell sx={{ ...cellSx, fontSize: '16px' }}>{group.lemma}</TableCell>
+                      <TableCell sx={cellSx} align="right">
+                        {group.total}
+                      </TableCell>
+                      <TableCell sx={cellSx} align="right">
+                        {group.disambiguated}
+                      </TableCell>
+                      <TableCell sx={cellSx}>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                          {group.twLinks.map(({ twLink, count }) => (
+                            <Chip
+                              key={twLink}
+                              size="small"
+                              variant="outlined"
+                              label={`${getShortTwLink(twLink)}: ${count}`}
+                              title={twLink}
+                              onClick={() => applyFilter([group.key], `Lemma ${group.key} → ${getShortTwLink(twLink)}`, twLink)}
+                            />
+                          ))}
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LemmaConsistencyDialog;
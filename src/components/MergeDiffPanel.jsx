@@ -0,0 +1,132 @@
+/**
+ * Side panel showing what the merge did to a single TWL row
+ * MERGED rows show imported vs generated values field by field; OLD/NEW rows show the rows they were inserted between
+ */
+import React, { useMemo } from 'react';
+import { Paper, Box, Typography, IconButton, Table, TableBody, TableCell, TableHead, TableRow, Chip, Link, Alert } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import { buildMergeSourceIndex, getMergedRowDiff, getInsertionNeighbors, isInsertedMergeStatus } from '../utils/mergeDiff.js';
+
+const MergeDiffPanel = ({ tableData, rowIndex, mergeSources, onClose, onSelectRow }) => {
+  const importedIndex = useMemo(() => buildMergeSourceIndex(mergeSources?.imported, mergeSources?.matchKey, mergeSources?.lexicon), [mergeSources]);
+  const generatedIndex = useMemo(() => buildMergeSourceIndex(mergeSources?.generated, mergeSources?.matchKey, mergeSources?.lexicon), [mergeSources]);
+
+  const row = tableData.rows[rowIndex];
+  if (!row) return null;
+
+  const { headers, rows } = tableData;
+  const getValue = (r, name) => {
+    const index = headers.indexOf(name);
+    return index >= 0 ? r[index] || '' : '';
+  };
+  const mergeStatus = getValue(row, 'Merge Status').trim();
+  const reference = getValue(row, 'Reference').replace(/^DELETED /, '');
+
+  const renderValue = (value) => {
+    if (value === null) {
+      return <em style={{ color: '#999' }}>not in source</em>;
+    }
+    return value || <span style={{ color: '#999' }}>—</span>;
+  };
+
+  const renderNeighbor = (label, neighbor) => (
+    <Box sx={{ mb: 1.5 }}>
+      <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block' }}>
+        {label}
+      </Typography>
+      {neighbor ? (
+        <Link component="button" variant="body2" onClick={() => onSelectRow(neighbor.index)} sx={{ textAlign: 'left' }}>
+          {getValue(neighbor.row, 'Reference')} · {getValue(neighbor.row, 'OrigWords')} ({getValue(neighbor.row, 'Occurrence')}) · {getValue(neighbor.row, 'TWLink')}
+          {getValue(neighbor.row, 'Merge Status') && ` · ${getValue(neighbor.row, 'Merge Status')}`}
+        </Link>
+      ) : (
+        <Typography variant="body2" sx={{ color: '#999' }}>
+          {label === 'After' ? 'Start of book' : 'End of book'}
+        </Typography>
+      )}
+    </Box>
+  );
+
+  const renderFieldDiff = () => {
+    if (!mergeSources) {
+      return (
+        <Alert severity="info" sx={{ mt: 1 }}>
+          Imported and generated values are only available for TWLs merged during this session.
+        </Alert>
+      );
+    }
+
+    const diff = getMergedRowDiff(headers, row, importedIndex, generatedIndex, mergeSources.matchKey, mergeSources.lexicon);
+    return (
+      <>
+        {mergeStatus === 'MERGED-FUZZY' && (
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            Paired by fuzzy matching because the original-language words changed. Confirm this is the same entry.
+          </Alert>
+        )}
+        <Table size="small" sx={{ mt: 1 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold', padding: '4px 8px' }}>Field</TableCell>
+              <TableCell sx={{ fontWeight: 'bold', padding: '4px 8px' }}>Imported</TableCell>
+              <TableCell sx={{ fontWeight: 'bold', padding: '4px 8px' }}>Generated</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {diff.map(({ field, imported, generated, changed }) => (
+              <TableRow key={field} sx={changed ? { backgroundColor: '#fff8e1' } : {}}>
+                <TableCell sx={{ padding: '4px 8px', fontWeight: changed ? 'bold' : 'normal' }}>{field}</TableCell>
+                <TableCell sx={{ padding: '4px 8px', wordBreak: 'break-word' }}>{renderValue(imported)}</TableCell>
+                <TableCell sx={{ padding: '4px 8px', wordBreak: 'break-word' }}>{renderValue(generated)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </>
+    );
+  };
+
+  const renderInsertion = () => {
+    const { previous, next } = getInsertionNeighbors(headers, rows, rowIndex);
+    return (
+      <Box sx={{ mt: 1 }}>
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          {mergeStatus === 'NEW' ? 'Generated row with no imported match, inserted between:' : 'Imported row with no generated match, inserted between:'}
+        </Typography>
+        {renderNeighbor('After', previous)}
+        {renderNeighbor('Before', next)}
+      </Box>
+    );
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, width: 380, flexShrink: 0, alignSelf: 'flex-start', position: 'sticky', top: 16 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+          Merge Details
+        </Typography>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5, flexWrap: 'wrap' }}>
+        <Typography variant="body2">
+          {reference} · {getValue(row, 'OrigWords')} ({getValue(row, 'Occurrence')})
+        </Typography>
+        {mergeStatus && <Chip label={mergeStatus} size="small" />}
+      </Box>
+
+      {!mergeStatus ? (
+        <Typography variant="body2" sx={{ mt: 1, color: 'text.secondary' }}>
+          This row has no Merge Status.
+        </Typography>
+      ) : isInsertedMergeStatus(mergeStatus) ? (
+        renderInsertion()
+      ) : (
+        renderFieldDiff()
+      )}
+    </Paper>
+  );
+};
+
+export default MergeDiffPanel;
@@ -0,0 +1,113 @@
+/**
+ * Dry-run summary shown before newly generated TWL content replaces the table
+ * Lists what the merge, verse reordering, ID repair and unlinked/deleted filtering did, so the user can accept or go back
+ * For a regenerated chapter/verse range (summary.range) the counts cover the range only
+ */
+import React from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Table, TableBody, TableCell, TableRow, Typography } from '@mui/material';
+import { MATCH_KEY_STRATEGY_OPTIONS } from '../utils/matchKeys.js';
+
+// Two-way merge statuses are always listed (even when zero); any other statuses follow
+const TWO_WAY_MERGE_STATUSES = ['MERGED', 'NEW', 'OLD'];
+
+const MergePreviewDialog = ({ summary, onAccept, onCancel }) => {
+  if (!summary) return null;
+
+  const statusCounts = summary.statusCounts || {};
+  const isTwoWayMerge = TWO_WAY_MERGE_STATUSES.some((status) => status in statusCounts);
+  const shownStatuses = [
+    ...(isTwoWayMerge ? TWO_WAY_MERGE_STATUSES : []),
+    ...Object.keys(statusCounts).filter((status) => !TWO_WAY_MERGE_STATUSES.includes(status)),
+  ];
+
+  const getMatchKeyLabel = (strategy) => MATCH_KEY_STRATEGY_OPTIONS.find((option) => option.value === strategy)?.label || strategy;
+
+  const renderRow = (label, value, note = '') => (
+    <TableRow key={label}>
+      <TableCell sx={{ padding: '4px 8px' }}>
+        {label}
+        {note && (
+          <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary' }}>
+            {note}
+          </Typography>
+        )}
+      </TableCell>
+      <TableCell align="right" sx={{ padding: '4px 8px', fontWeight: 'bold' }}>
+        {value}
+      </TableCell>
+    </TableRow>
+  );
+
+  return (
+    <Dialog open={!!summary} onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Review Generated TWLs{summary.bookName ? ` - ${summary.bookName}` : ''}
+        {summary.range ? ` ${summary.range}` : ''}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {summary.range
+            ? `Nothing has been applied yet. Accept to replace the rows of ${summary.range} in the current table with this result (rows outside the range stay as they are), or go back to change your options.`
+            : 'Nothing has been applied yet. Accept to replace the current table with this result, or go back to change your options.'}
+        </Typography>
+
+        <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+          Merge
+        </Typography>
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableBody>
+            {summary.range && renderRow('Rows of the range in the current table', summary.replacedRows)}
+            {renderRow(summary.range ? 'Rows in the range' : 'Total rows', summary.totalRows)}
+            {summary.matchKey &&
+              renderRow(
+                'Generated rows matched by',
+                getMatchKeyLabel(summary.matchKey),
+                summary.selectedMatchKey && summary.selectedMatchKey !== summary.matchKey
+                  ? `${getMatchKeyLabel(summary.selectedMatchKey)} was selected, but generated rows have no stable IDs yet`
+                  : ''
+              )}
+            {shownStatuses.length > 0
+              ? shownStatuses.map((status) => renderRow(status, statusCounts[status] || 0))
+              : renderRow('Merge Status', 'No existing TWL was merged')}
+          </TableBody>
+        </Table>
+
+        <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+          Clean-up
+        </Typography>
+        <Table size="small">
+          <TableBody>
+            {renderRow(
+              'Occurrences renumbered in the existing TWL',
+              summary.occurrencesRenumbered === null ? 'Not run' : summary.occurrencesRenumbered,
+              summary.occurrencesToReview ? `${summary.occurrencesToReview} rows could not be renumbered - review them with Renumber Occurrences` : ''
+            )}
+            {renderRow(
+              'Duplicates removed by verse reordering',
+              summary.duplicatesRemoved === null ? 'Not run' : summary.duplicatesRemoved,
+              summary.duplicatesRemoved === null ? 'Only runs when fetched sort order is ignored' : ''
+            )}
+            {renderRow('IDs rewritten (duplicate or invalid)', summary.idsRewritten)}
+            {renderRow('IDs assigned to rows without one', summary.idsAssigned)}
+            {renderRow('Rows hidden by unlinked words', summary.hiddenByUnlinked)}
+            {renderRow('Rows hidden by deleted rows', summary.hiddenByDeleted === null ? 'Not available' : summary.hiddenByDeleted)}
+            {renderRow('Rows added by term mappings', summary.termMappingRowsAdded ?? 0)}
+            {renderRow(
+              'Rows relinked by term mappings',
+              summary.termMappingLinksOverridden ?? 0,
+              summary.termMappedRows ? `${summary.termMappedRows} rows marked CUSTOM-MAPPING for review` : ''
+            )}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Go Back</Button>
+        <Button onClick={onAccept} variant="contained">
+          Accept
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MergePreviewDialog;
@@ -0,0 +1,176 @@
+/**
+ * "No match" tab - the terms twl-generator found but could not map to a TWL row (its noMatchTsv)
+ * Each candidate is shown with its ULT verse and can be added to the table with a chosen TWLink
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { fetchTwArticleIndex } from '../services/twlService.js';
+import { fetchUltUsfm, parseUsfmVerses } from '../utils/verseOrdering.js';
+import { parseNoMatchCandidates, suggestTwLink, isCandidatePromoted } from '../utils/noMatch.js';
+
+const cellSx = { padding: '4px 8px', verticalAlign: 'top' };
+const ROWS_PER_PAGE = 25;
+
+/**
+ * Verse text with the GLQuote in bold
+ */
+const renderContext = (verseText, glQuote) => {
+  if (!verseText) return <Typography variant="caption" color="text.secondary">Verse not found in the ULT</Typography>;
+  if (!glQuote) return verseText;
+
+  const escaped = glQuote.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = verseText.split(new RegExp(`(${escaped})`, 'i'));
+  return parts.map((part, i) => (i % 2 === 1 ? <strong key={i}>{part}</strong> : <React.Fragment key={i}>{part}</React.Fragment>));
+};
+
+const NoMatchPanel = ({ noMatchTsv, tableData, bookCode, dcsHost, projectConfig, onPromote }) => {
+  const candidates = useMemo(() => parseNoMatchCandidates(noMatchTsv), [noMatchTsv]);
+  const [ultVerses, setUltVerses] = useState(null);
+  const [rcLinks, setRcLinks] = useState([]);
+  const [chosenLinks, setChosenLinks] = useState({});
+  const [busyIndex, setBusyIndex] = useState(null);
+  const [page, setPage] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchUltUsfm(bookCode, dcsHost, projectConfig)
+      .then((usfm) => !cancelled && setUltVerses(parseUsfmVerses(usfm)))
+      .catch((err) => console.warn('Could not load ULT for the No match tab:', err?.message || err));
+    return () => {
+      cancelled = true;
+    };
+  }, [bookCode, dcsHost, projectConfig]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchTwArticleIndex(dcsHost, projectConfig)
+      .then((index) => !cancelled && setRcLinks(index.rcLinks))
+      .catch((err) => console.warn('Could not load the TW article list:', err?.message || err));
+    return () => {
+      cancelled = true;
+    };
+  }, [dcsHost, projectConfig]);
+
+  // New candidates start on the first page
+  useEffect(() => {
+    setPage(0);
+    setChosenLinks({});
+  }, [noMatchTsv]);
+
+  if (candidates.length === 0) {
+    return (
+      <Alert severity="info">
+        {noMatchTsv ? 'The generator mapped every term it found.' : 'No unmatched terms - generate TWLs for this book to see the terms the generator could not map.'}
+      </Alert>
+    );
+  }
+
+  const getTwLink = (candidate) => chosenLinks[candidate.index] ?? suggestTwLink(candidate, rcLinks);
+
+  const handlePromote = async (candidate) => {
+    setBusyIndex(candidate.index);
+    try {
+      await onPromote(candidate, getTwLink(candidate));
+    } finally {
+      setBusyIndex(null);
+    }
+  };
+
+  const promotedCount = candidates.filter((candidate) => isCandidatePromoted(candidate, tableData.rows, tableData.headers, getTwLink(candidate))).length;
+  const pageCandidates = candidates.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE);
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {candidates.length} term{candidates.length === 1 ? '' : 's'} the generator found but could not map to an article ({promotedCount} added to the
+        table). Choose a TWLink and click Add to Table to turn a term into a TWL row.
+      </Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell sx={cellSx}>Reference</TableCell>
+            <TableCell sx={cellSx}>Original Words</TableCell>
+            <TableCell sx={cellSx}>ULT Context</TableCell>
+            <TableCell sx={{ ...cellSx, minWidth: 280 }}>TWLink</TableCell>
+            <TableCell sx={cellSx} />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {pageCandidates.map((candidate) => {
+            const twLink = getTwLink(candidate);
+            const promoted = isCandidatePromoted(candidate, tableData.rows, tableData.headers, twLink);
+            return (
+              <TableRow key={candidate.index}>
+                <TableCell sx={cellSx}>{candidate.reference}</TableCell>
+                <TableCell sx={cellSx}>
+                  <Box sx={{ fontSize: '1.1em' }}>{candidate.origWords || <em>{candidate.glQuote}</em>}</Box>
+                  {Object.entries(candidate.details).map(([header, value]) => (
+                    <Typography key={header} variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {header}: {value}
+                    </Typography>
+                  ))}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, maxWidth: 420 }}>{ultVerses ? renderContext(ultVerses.get(candidate.reference), candidate.glQuote) : '...'}</TableCell>
+                <TableCell sx={cellSx}>
+                  <Autocomplete
+                    freeSolo
+                    size="small"
+                    options={rcLinks}
+                    value={twLink}
+                    onChange={(event, value) => setChosenLinks((links) => ({ ...links, [candidate.index]: value || '' }))}
+                    onInputChange={(event, value, reason) => {
+                      // Typed links count too; 'reset' only mirrors the value
+                      if (reason !== 'reset') setChosenLinks((links) => ({ ...links, [candidate.index]: value }));
+                    }}
+                    renderInput={(params) => <TextField {...params} placeholder="rc://*/tw/dict/bible/..." />}
+                  />
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  {promoted ? (
+                    <Chip label="In table" size="small" color="success" variant="outlined" />
+                  ) : (
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      disabled={!twLink || busyIndex !== null}
+                      onClick={() => handlePromote(candidate)}
+                      sx={{ textTransform: 'none', whiteSpace: 'nowrap' }}
+                    >
+                      {busyIndex === candidate.index ? 'Adding...' : 'Add to Table'}
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+      {candidates.length > ROWS_PER_PAGE && (
+        <TablePagination
+          component="div"
+          count={candidates.length}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={ROWS_PER_PAGE}
+          rowsPerPageOptions={[ROWS_PER_PAGE]}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default NoMatchPanel;
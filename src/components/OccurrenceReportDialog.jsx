@@ -0,0 +1,103 @@
+/**
+ * Report of an occurrence renumbering run
+ * Lists the Occurrence/GLOccurrence values that were changed and the rows that need a manual review
+ */
+import React from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Table, TableHead, TableBody, TableCell, TableRow, Typography } from '@mui/material';
+
+const cellSx = { padding: '4px 8px' };
+
+const OccurrenceReportDialog = ({ report, onClose }) => {
+  if (!report) return null;
+
+  const { changes = [], reviews = [] } = report;
+
+  return (
+    <Dialog open={!!report} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Occurrence Renumbering{report.bookName ? ` - ${report.bookName}` : ''}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {changes.length > 0
+            ? `Changed ${changes.length} value${changes.length === 1 ? '' : 's'}. Use Undo Last Change to go back.`
+            : 'All occurrence numbers are consistent with the current original-language text and ULT.'}
+        </Typography>
+
+        {changes.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+              🔢 Renumbered
+            </Typography>
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={cellSx}>Reference</TableCell>
+                  <TableCell sx={cellSx}>ID</TableCell>
+                  <TableCell sx={cellSx}>Column</TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    Was
+                  </TableCell>
+                  <TableCell sx={cellSx} align="right">
+                    Now
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {changes.map((change) => (
+                  <TableRow key={`${change.rowIndex}-${change.column}`}>
+                    <TableCell sx={cellSx}>{change.reference}</TableCell>
+                    <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{change.id}</TableCell>
+                    <TableCell sx={cellSx}>{change.column}</TableCell>
+                    <TableCell sx={{ ...cellSx, color: 'text.secondary' }} align="right">
+                      {change.from || '(empty)'}
+                    </TableCell>
+                    <TableCell sx={{ ...cellSx, fontWeight: 'bold' }} align="right">
+                      {change.to}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+
+        {reviews.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+              ⚠️ Needs Review
+            </Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+              These rows were left unchanged - the text has fewer instances than rows, or the words are no longer in the verse.
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={cellSx}>Reference</TableCell>
+                  <TableCell sx={cellSx}>ID</TableCell>
+                  <TableCell sx={cellSx}>Column</TableCell>
+                  <TableCell sx={cellSx}>Reason</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {reviews.map((review) => (
+                  <TableRow key={`${review.rowIndex}-${review.column}`}>
+                    <TableCell sx={cellSx}>{review.reference}</TableCell>
+                    <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{review.id}</TableCell>
+                    <TableCell sx={cellSx}>{review.column}</TableCell>
+                    <TableCell sx={cellSx}>{review.reason}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OccurrenceReportDialog;
@@ -0,0 +1,181 @@
+/**
+ * Make books available offline - store their USFM, TWL files and the TW articles in the browser (IndexedDB) so they
+ * can be generated and reviewed with no network, and show or clear what is stored
+ */
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Autocomplete,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  LinearProgress,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { BibleBookData } from '../common/books.js';
+import { getTestamentBookCodes } from '../services/twlBatch.js';
+import { makeBooksAvailableOffline, getOfflineSummary, clearOfflineWorkspace } from '../services/offlineWorkspace.js';
+
+const bookOptions = Object.keys(BibleBookData).map((bookCode) => ({
+  value: bookCode,
+  label: `${BibleBookData[bookCode].title} (${bookCode})`,
+}));
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const OfflineDialog = ({ open, onClose, defaultBookCode, branches = [], dcsHost, projectConfig, warmUp }) => {
+  const [bookCodes, setBookCodes] = useState(defaultBookCode ? [defaultBookCode] : []);
+  const [runGenerator, setRunGenerator] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [message, setMessage] = useState(null);
+  const cancelRef = useRef(false);
+
+  const refreshSummary = () =>
+    getOfflineSummary()
+      .then(setSummary)
+      .catch((err) => console.warn('📴 Could not read the offline store:', err?.message || err));
+
+  useEffect(() => {
+    if (open) refreshSummary();
+  }, [open]);
+
+  const handleStart = async () => {
+    cancelRef.current = false;
+    setRunning(true);
+    setMessage(null);
+
+    try {
+      const result = await makeBooksAvailableOffline({
+        bookCodes,
+        branches,
+        dcsHost,
+        projectConfig,
+        warmUp: runGenerator ? warmUp : null,
+        onProgress: setProgress,
+        isCancelled: () => cancelRef.current,
+      });
+      if (result.failures.length > 0) {
+        setMessage({
+          severity: 'warning',
+          text: `Stored ${result.stored} resources. Not available offline: ${result.failures.map((failure) => `${failure.label} (${failure.message})`).join('; ')}`,
+        });
+      } else {
+        setMessage({ severity: 'success', text: `${result.cancelled ? 'Stopped - stored' : 'Stored'} ${result.stored} resources for offline use.` });
+      }
+    } catch (err) {
+      setMessage({ severity: 'error', text: `Could not make the books available offline: ${err.message}` });
+      console.error(err);
+    } finally {
+      setRunning(false);
+      setProgress(null);
+      refreshSummary();
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearOfflineWorkspace();
+      setMessage({ severity: 'info', text: 'Offline copies removed. The app reads from DCS again.' });
+    } catch (err) {
+      setMessage({ severity: 'error', text: `Could not clear the offline copies: ${err.message}` });
+    }
+    refreshSummary();
+  };
+
+  const handleClose = () => {
+    if (!running) onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Offline Workspace</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Stores the ULT, UST and original-language text, the {projectConfig?.twlRepo || 'TWL'} files of the listed branches and the{' '}
+          {projectConfig?.twRepo || 'TW'} articles for the chosen books in this browser. Stored copies are used instead of DCS until they are cleared, so
+          generation and review keep working with no network. Committing still needs a connection.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+          <Button size="small" disabled={running} onClick={() => setBookCodes(getTestamentBookCodes('old'))} sx={{ textTransform: 'none' }}>
+            Old Testament
+          </Button>
+          <Button size="small" disabled={running} onClick={() => setBookCodes(getTestamentBookCodes('new'))} sx={{ textTransform: 'none' }}>
+            New Testament
+          </Button>
+          <Button size="small" disabled={running || bookCodes.length === 0} onClick={() => setBookCodes([])} sx={{ textTransform: 'none' }}>
+            Clear
+          </Button>
+        </Box>
+
+        <Autocomplete
+          multiple
+          limitTags={10}
+          options={bookOptions}
+          value={bookOptions.filter((option) => bookCodes.includes(option.value))}
+          onChange={(event, selected) => setBookCodes(getTestamentBookCodes().filter((bookCode) => selected.some((option) => option.value === bookCode)))}
+          isOptionEqualToValue={(option, value) => option.value === value.value}
+          disabled={running}
+          renderInput={(params) => <TextField {...params} label="Books" size="small" />}
+          sx={{ mb: 1 }}
+        />
+
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+          TWL branches: {branches.join(', ') || 'master'}
+        </Typography>
+
+        <FormControlLabel
+          control={<Checkbox size="small" checked={runGenerator} disabled={running} onChange={(e) => setRunGenerator(e.target.checked)} />}
+          label={<Typography variant="body2">Run the generator once per book so what it downloads is kept as well</Typography>}
+          sx={{ mb: 1 }}
+        />
+
+        {running && progress && (
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="body2" sx={{ mb: 0.5 }}>
+              {progress.label} ({progress.index + 1} of {progress.total})...
+            </Typography>
+            <LinearProgress variant="determinate" value={(progress.index / progress.total) * 100} />
+          </Box>
+        )}
+
+        {message && (
+          <Alert severity={message.severity} sx={{ mb: 2 }}>
+            {message.text}
+          </Alert>
+        )}
+
+        {summary && (
+          <Typography variant="body2">
+            {summary.count === 0
+              ? 'Nothing is stored for offline use.'
+              : `Stored: ${summary.count} resources (${formatSize(summary.size)})${summary.books.length > 0 ? ` for ${summary.books.map((book) => book.toUpperCase()).join(', ')}` : ''}, since ${new Date(summary.storedAt).toLocaleString()}.`}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClear} color="error" disabled={running || !summary?.count} sx={{ mr: 'auto' }}>
+          Clear Offline Copies
+        </Button>
+        {running ? (
+          <Button onClick={() => (cancelRef.current = true)}>Stop</Button>
+        ) : (
+          <Button onClick={handleClose}>Close</Button>
+        )}
+        <Button onClick={handleStart} variant="contained" disabled={running || bookCodes.length === 0}>
+          Make Available Offline
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OfflineDialog;
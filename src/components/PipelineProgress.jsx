@@ -0,0 +1,33 @@
+/**
+ * Progress of a running generation: the pipeline stages with the current one highlighted, and a Cancel button
+ */
+import React from 'react';
+import { Box, Button, LinearProgress, Step, StepLabel, Stepper, Typography } from '@mui/material';
+import { PIPELINE_STAGES } from '../services/twlPipeline.js';
+
+const PipelineProgress = ({ stage, title, onCancel }) => {
+  const activeStep = Math.max(0, PIPELINE_STAGES.findIndex((pipelineStage) => pipelineStage.key === stage));
+
+  return (
+    <Box sx={{ mb: 2, p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1, backgroundColor: '#fafafa' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+          {title}: {PIPELINE_STAGES[activeStep].label}...
+        </Typography>
+        <Button onClick={onCancel} size="small" color="warning" variant="outlined" sx={{ textTransform: 'none' }}>
+          Cancel
+        </Button>
+      </Box>
+      <LinearProgress variant="determinate" value={(activeStep / PIPELINE_STAGES.length) * 100} sx={{ mb: 2 }} />
+      <Stepper activeStep={activeStep} alternativeLabel>
+        {PIPELINE_STAGES.map((pipelineStage) => (
+          <Step key={pipelineStage.key}>
+            <StepLabel>{pipelineStage.label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+    </Box>
+  );
+};
+
+export default PipelineProgress;
@@ -0,0 +1,128 @@
+/**
+ * Edit the project configuration: the organization, GL Bible, TWL and TW repositories and the ref, and the release tag
+ * or commit each source resource is pinned to
+ * Generation, merging, links and commits all use these, so partner organizations and other gateway languages can
+ * build their own TWLs and runs can be reproduced
+ */
+import React, { useEffect, useState } from 'react';
+import { Autocomplete, Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Typography } from '@mui/material';
+import { fetchTags } from '../services/apiService.js';
+import {
+  DEFAULT_PROJECT_CONFIG,
+  PROJECT_CONFIG_FIELDS,
+  RESOURCE_PINS,
+  normalizeProjectConfig,
+  validateProjectConfig,
+  getResourceRepo,
+  getResourceRef,
+  GENERATOR_BIBLE_LINK,
+} from '../utils/projectConfig.js';
+
+const ProjectSettingsDialog = ({ open, onClose, projectConfig, onSave, dcsHost }) => {
+  const [values, setValues] = useState(projectConfig);
+  const [tags, setTags] = useState({});
+
+  // Start from the current configuration each time the dialog opens
+  useEffect(() => {
+    if (open) setValues(projectConfig);
+  }, [open, projectConfig]);
+
+  // Release tags of each pinnable resource, offered as pins
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    RESOURCE_PINS.forEach(({ key }) => {
+      const repo = getResourceRepo(projectConfig, key);
+      fetchTags(repo, dcsHost)
+        .then((names) => !cancelled && setTags((prev) => ({ ...prev, [key]: names })))
+        .catch((err) => console.warn(`Could not load tags of ${repo}:`, err?.message || err));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, projectConfig, dcsHost]);
+
+  const setPin = (key, ref) => setValues((prev) => ({ ...prev, pins: { ...prev.pins, [key]: ref || '' } }));
+
+  const errors = validateProjectConfig(values);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const handleSave = () => {
+    if (hasErrors) return;
+    onSave(normalizeProjectConfig(values));
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Project Settings</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The repositories TWLs are generated from, merged with and committed to. The original-language texts always come from unfoldingWord.
+          Blank fields use unfoldingWord&apos;s English defaults.
+        </Typography>
+        {PROJECT_CONFIG_FIELDS.map(({ key, label, description }) => (
+          <TextField
+            key={key}
+            fullWidth
+            size="small"
+            margin="dense"
+            label={label}
+            placeholder={DEFAULT_PROJECT_CONFIG[key]}
+            value={values[key] || ''}
+            onChange={(e) => setValues((prev) => ({ ...prev, [key]: e.target.value }))}
+            error={!!errors[key]}
+            helperText={errors[key] || description}
+          />
+        ))}
+        <Typography variant="subtitle2" sx={{ mt: 2 }}>
+          Pinned versions
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Pin a resource to a release tag or commit SHA so every run reads the same text. Blank fields read the latest version.
+        </Typography>
+        <Typography variant="body2" color="warning.main" sx={{ mb: 1 }}>
+          The generator stage is not pinned: twl-generator always finds terms in {GENERATOR_BIBLE_LINK}, and its quotes are converted against that.
+          The GL Bible pin applies to GLQuotes, verse order and the other tools.
+        </Typography>
+        {RESOURCE_PINS.map(({ key, param, label }) => {
+          const unpinnedRef = getResourceRef({ ...values, pins: {} }, key);
+          return (
+            <Autocomplete
+              key={key}
+              freeSolo
+              size="small"
+              options={tags[key] || []}
+              value={values.pins?.[key] || ''}
+              onChange={(event, value) => setPin(key, value)}
+              onInputChange={(event, value, reason) => {
+                if (reason !== 'reset') setPin(key, value);
+              }}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  margin="dense"
+                  label={`${label} (${getResourceRepo(values, key)})`}
+                  placeholder={unpinnedRef}
+                  error={!!errors[`pins.${key}`]}
+                  helperText={errors[`pins.${key}`] || `URL parameter: ?${param}=<tag or commit>`}
+                />
+              )}
+            />
+          );
+        })}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setValues(normalizeProjectConfig(DEFAULT_PROJECT_CONFIG))} sx={{ mr: 'auto' }}>
+          Reset to Defaults
+        </Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={hasErrors}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProjectSettingsDialog;
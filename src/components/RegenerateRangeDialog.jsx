@@ -0,0 +1,66 @@
+/**
+ * Pick a chapter or verse range to regenerate
+ * Only the rows of the range are generated, merged with the table's rows for it and spliced back in
+ */
+import React, { useMemo, useState } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Typography } from '@mui/material';
+import { parseReferenceRange, filterTsvByRange, formatReferenceRange } from '../utils/referenceRange.js';
+import { countTsvRows } from '../utils/pipelineSummary.js';
+
+const RegenerateRangeDialog = ({ open, onClose, onRegenerate, bookCode, bookName, twlContent }) => {
+  const [rangeText, setRangeText] = useState('');
+
+  const parsed = useMemo(() => {
+    if (!rangeText.trim()) return { range: null, error: '' };
+    try {
+      return { range: parseReferenceRange(rangeText, bookCode), error: '' };
+    } catch (err) {
+      return { range: null, error: err.message };
+    }
+  }, [rangeText, bookCode]);
+
+  const rowsInRange = parsed.range ? countTsvRows(filterTsvByRange(twlContent, parsed.range)) : 0;
+
+  const handleSubmit = () => {
+    if (!parsed.range) return;
+    onRegenerate(parsed.range);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Regenerate a Range{bookName ? ` - ${bookName}` : ''}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The range is generated and merged with the table&apos;s own rows for it, using the current generation settings. Rows outside the range and
+          their edits are kept exactly as they are.
+        </Typography>
+        <TextField
+          autoFocus
+          fullWidth
+          size="small"
+          label="Chapters or verses"
+          placeholder="e.g. 5, 5-7, 5:3-12 or 5:3-7:12"
+          value={rangeText}
+          onChange={(e) => setRangeText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSubmit();
+          }}
+          error={!!parsed.error}
+          helperText={
+            parsed.error ||
+            (parsed.range ? `${rowsInRange} row${rowsInRange === 1 ? '' : 's'} of the table in ${formatReferenceRange(parsed.range)} will be replaced` : ' ')
+          }
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSubmit} variant="contained" disabled={!parsed.range}>
+          Regenerate
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RegenerateRangeDialog;
@@ -290,7 +290,7 @@ const parseUSFMContent = (usfmContent, contentType = 'unknown') => {
 };
 
 // ScriptureViewer Component - Advanced implementation with word alignment
-const ScriptureViewer = ({ scriptureContext, onClose, dcsHost }) => {
+const ScriptureViewer = ({ scriptureContext, onClose, dcsHost, projectConfig }) => {
   const [scriptureData, setScriptureData] = useState({
     original: {},
     ult: {},
@@ -406,8 +406,8 @@ const ScriptureViewer = ({ scriptureContext, onClose, dcsHost }) => {
         console.log('Loading scripture data for book', bookId);
         // Fetch all three translations in parallel
         const [originalContent, ultContent, ustContent] = await Promise.all([
-          fetchUSFMContent(bookId, 'original', dcsHost),
-          fetchUSFMContent(bookId, 'ult', dcsHost),
+          fetchUSFMContent(bookId, 'original', dcsHost, null, projectConfig),
+          fetchUSFMContent(bookId, 'ult', dcsHost, null, projectConfig),
           fetchUSFMContent(bookId, 'ust', dcsHost),
         ]);
 
@@ -450,7 +450,7 @@ const ScriptureViewer = ({ scriptureContext, onClose, dcsHost }) => {
     if (bookId) {
       loadScripture();
     }
-  }, [bookId, dcsHost]); // Only depend on bookId and dcsHost, NOT chapter
+  }, [bookId, dcsHost, projectConfig]); // Only depend on bookId and the sources, NOT chapter
 
   // Determine if this is NT or OT using BibleBookData
   const isNT = React.useMemo(() => {
@@ -1,7 +1,7 @@
 /**
  * Interactive table component for displaying TWL data with pagination, search, and filtering
  */
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import {
   Table,
   TableBody,
@@ -30,6 +30,7 @@ import {
   Checkbox,
   Modal,
   Link,
+  CircularProgress,
 } from '@mui/material';
 import {
   Delete as DeleteIcon,
@@ -48,9 +49,22 @@ import { convertRcLinkToUrl, convertReferenceToTnUrl } from '../utils/urlConvert
 import { truncateContextAroundWord } from '../utils/tsvUtils.js';
 import { parseDisambiguationOptions, renderDisambiguationText } from '../utils/disambiguationUtils.js';
 import { normalizeHebrewText } from '../utils/unlinkedWords.js';
+import { CUSTOM_MAPPING_STATUS } from '../utils/termMappings.js';
+import { getQuoteRoundTripKey } from '../utils/quoteRoundTrip.js';
+import { VALID_TWL_TAGS, parseTwlTags } from '../utils/twlValidation.js';
+import { deriveTwlTags, formatTwlTags, tagsMatchTwLink } from '../utils/twlTags.js';
 import JSZip from 'jszip';
 import { marked } from 'marked';
-import { fetchTwArchiveZip } from '../services/twlService.js';
+import { fetchTwArchiveZip, fetchTwArticleIndex } from '../services/twlService.js';
+import { verifyQuoteRoundTrip } from '../services/twlPipeline.js';
+import { getTwArchivePrefix } from '../utils/projectConfig.js';
+
+// Whether any row has one of the given Merge Status values (false without a Merge Status column)
+const hasMergeStatus = (tableData, statuses) => {
+  const mergeStatusIndex = tableData ? tableData.headers.indexOf('Merge Status') : -1;
+  if (mergeStatusIndex < 0) return false;
+  return tableData.rows.some((row) => statuses.includes((row[mergeStatusIndex] || '').trim()));
+};
 
 const TWLTable = ({
   tableData,
@@ -65,6 +79,14 @@ const TWLTable = ({
   onShowScripture,
   unlinkedWords,
   dcsHost,
+  projectConfig,
+  onMergeStatusClick,
+  selectedRowIndex = null,
+  rowFilter = null,
+  onClearRowFilter,
+  onEditTags,
+  autoTags = false,
+  onAutoTagsChange,
 }) => {
   // State for pagination, search, and filtering
   const [page, setPage] = useState(0);
@@ -73,16 +95,46 @@ const TWLTable = ({
   const [filterAnchorEl, setFilterAnchorEl] = useState(null);
   const [filters, setFilters] = useState({
     hasDisambiguation: null, // null = show all, 'need' = needs disambiguation, 'done' = been disambiguated, false = no disambiguation
-    mergeStatus: '', // '' = show all, 'merged' = show MERGED rows, 'unmerged' = show OLD/NEW rows
+    mergeStatus: '', // '' = show all, 'merged' = show MERGED rows, 'unmerged' = show OLD/NEW rows, 'fuzzy' = MERGED-FUZZY rows, 'custom' = CUSTOM-MAPPING rows, 'conflict'/'changed-ours'/'changed-generator' = three-way statuses
     isInvalidRCLink: null, // null = show all, true = is invalid
+    tagsMismatch: null, // null = show all, true = Tags don't match the TWLink category
     isVariant: null, // null = show all, true = has variant info, false = no variant info
     deletedRows: null, // null = hide deleted, 'show' = show all, 'only' = only deleted
+    quoteRoundTrip: null, // null = show all, true = OrigWords that don't survive the GLQuote round trip
   });
 
+  // Rows whose OrigWords don't convert to a GLQuote and back unchanged, by getQuoteRoundTripKey() (null until verified)
+  const [roundTripFailures, setRoundTripFailures] = useState(null);
+  const [roundTripRunning, setRoundTripRunning] = useState(false);
+  const [roundTripError, setRoundTripError] = useState(null);
+
+  useEffect(() => {
+    setRoundTripFailures(null);
+    setRoundTripError(null);
+    setFilters((prev) => ({ ...prev, quoteRoundTrip: null }));
+  }, [selectedBook?.value, dcsHost, projectConfig]);
+
+  const handleVerifyRoundTrip = async () => {
+    setRoundTripRunning(true);
+    setRoundTripError(null);
+    try {
+      const { failures } = await verifyQuoteRoundTrip(tableData, selectedBook?.value, dcsHost, projectConfig);
+      setRoundTripFailures(new Map(failures.map((failure) => [failure.key, failure])));
+    } catch (error) {
+      console.error('Error verifying the quote round trip:', error);
+      setRoundTripError(error?.message || String(error));
+    } finally {
+      setRoundTripRunning(false);
+    }
+  };
+
   // State for tracking which TWLink field is being edited
   const [editingTWLink, setEditingTWLink] = useState(null);
   const [editValue, setEditValue] = useState('');
   
+  // Tags editor menu: {anchorEl, rowIndex} of the row being edited
+  const [tagsMenu, setTagsMenu] = useState(null);
+
   // State for bulk disambiguation marking
   const [markAllDisambiguations, setMarkAllDisambiguations] = useState(false);
 
@@ -102,77 +154,36 @@ const TWLTable = ({
   const [modalTitle, setModalTitle] = useState('');
   const [modalRcLink, setModalRcLink] = useState('');
 
-  // Memoized fetch and load of en_tw zip file
+  // TW repository zip file (files are under e.g. en_tw/) and its article index, cached in the browser until the
+  // TW ref's commit changes
   const [twRcLinks, setTwRcLinks] = useState([]);
+  const [twTitles, setTwTitles] = useState({});
   const [twZip, setTwZip] = useState(null);
+  const twPrefix = getTwArchivePrefix(projectConfig);
 
   useEffect(() => {
     async function fetchTwArticleRcLinks() {
       try {
-        const zip = await fetchTwArchiveZip(dcsHost);
+        const { rcLinks, titles } = await fetchTwArticleIndex(dcsHost, projectConfig);
+        setTwRcLinks(rcLinks);
+        setTwTitles(titles);
 
         // Store the full zip for article content extraction
-        setTwZip(zip);
-
-        // Get all article paths that start with en_tw/bible and end with .md
-        const rcLinks = Object.keys(zip.files)
-          .filter((filePath) => filePath.startsWith('en_tw/bible/') && filePath.endsWith('.md'))
-          .map((filePath) => 'rc://*/tw/dict/' + filePath.slice('en_tw/'.length, filePath.length - '.md'.length));
-        setTwRcLinks(rcLinks);
+        setTwZip(await fetchTwArchiveZip(dcsHost, projectConfig));
       } catch (err) {
-        console.warn(`Error fetching or processing en_tw zip: ${err.message}`);
+        console.warn(`Error fetching or processing TW zip: ${err.message}`);
       }
     }
     fetchTwArticleRcLinks();
-  }, [dcsHost]);
+  }, [dcsHost, projectConfig]);
 
   // Function to get the first line (title) of a TW article
-  const getTWArticleTitle = async (rcLink) => {
-    if (!twZip) return null;
-
-    try {
-      // Convert RC link to file path
-      // rc://*/tw/dict/bible/kt/jesus -> en_tw/bible/kt/jesus.md
-      const pathMatch = rcLink.match(/rc:\/\/\*\/tw\/dict\/(.+)/);
-      if (!pathMatch) return null;
-
-      const filePath = `en_tw/${pathMatch[1]}.md`;
-      const file = twZip.files[filePath];
-
-      if (!file) return null;
-
-      const content = await file.async('string');
-      const firstLine = content.split('\n')[0];
-
-      // Remove markdown header syntax
-      return firstLine.replace(/^#\s*/, '').trim();
-    } catch (err) {
-      console.warn(`Error reading TW article: ${err.message}`);
-      return null;
-    }
-  };
+  // e.g. rc://*/tw/dict/bible/kt/jesus -> "Jesus, Jesus Christ, Christ Jesus"
+  const getTWArticleTitle = async (rcLink) => twTitles[rcLink] || null;
 
   // Function to get TW article title for disambiguation links
-  const getDisambiguationTWTitle = async (linkText) => {
-    if (!twZip) return null;
-
-    try {
-      // linkText like "kt/jesus" -> en_tw/bible/kt/jesus.md
-      const filePath = `en_tw/bible/${linkText}.md`;
-      const file = twZip.files[filePath];
-
-      if (!file) return null;
-
-      const content = await file.async('string');
-      const firstLine = content.split('\n')[0];
-
-      // Remove markdown header syntax
-      return firstLine.replace(/^#\s*/, '').trim();
-    } catch (err) {
-      console.warn(`Error reading TW article: ${err.message}`);
-      return null;
-    }
-  };
+  // linkText like "kt/jesus" -> rc://*/tw/dict/bible/kt/jesus
+  const getDisambiguationTWTitle = async (linkText) => twTitles[`rc://*/tw/dict/bible/${linkText}`] || null;
 
   // Custom tooltip component for TW articles
   const TWTooltip = ({ children, rcLink, disambiguationText, ...props }) => {
@@ -211,7 +222,7 @@ const TWLTable = ({
       const pathMatch = rcLink.match(/rc:\/\/\*\/tw\/dict\/(.+)/);
       if (!pathMatch) return;
 
-      const filePath = `en_tw/${pathMatch[1]}.md`;
+      const filePath = `${twPrefix}${pathMatch[1]}.md`;
       const file = twZip.files[filePath];
 
       if (!file) return;
@@ -234,6 +245,36 @@ const TWLTable = ({
     }
   };
 
+  // Check if the data came from a three-way merge
+  const hasThreeWayStatuses = useMemo(() => hasMergeStatus(tableData, ['UNCHANGED', 'CHANGED-OURS', 'CHANGED-GENERATOR', 'CONFLICT']), [tableData]);
+
+  // Check if any rows were paired by the fuzzy matching pass
+  const hasFuzzyMergedRows = useMemo(() => hasMergeStatus(tableData, ['MERGED-FUZZY']), [tableData]);
+
+  // Check if any rows were added or relinked by a custom term mapping
+  const hasTermMappedRows = useMemo(() => hasMergeStatus(tableData, [CUSTOM_MAPPING_STATUS]), [tableData]);
+
+  // Reset page when search term or filters change
+  useEffect(() => {
+    setPage(0);
+  }, [searchTerm, filters, rowFilter]);
+
+  // Rows left by search and filters (kept up to date below) and the selection last brought into view
+  const filteredRowsRef = useRef([]);
+  const shownSelectionRef = useRef(null);
+
+  // Bring the selected row (e.g. from the merge details panel) into view - only when the selection changes, so paging
+  // and filtering afterwards are not undone
+  useEffect(() => {
+    if (selectedRowIndex === shownSelectionRef.current) return;
+    shownSelectionRef.current = selectedRowIndex;
+    if (selectedRowIndex === null || !tableData?.rows[selectedRowIndex]) return;
+    const filteredIndex = filteredRowsRef.current.indexOf(tableData.rows[selectedRowIndex]);
+    if (filteredIndex >= 0) {
+      setPage(Math.floor(filteredIndex / rowsPerPage));
+    }
+  }, [selectedRowIndex, tableData, rowsPerPage]);
+
   if (!tableData || !tableData.headers.length) {
     return <div>No data to display</div>;
   }
@@ -310,10 +351,10 @@ const TWLTable = ({
       const searchLower = trimmedSearch.toLowerCase();
       const isReferencePrefixSearch = /^[0-9]+:$/.test(trimmedSearch);
       const isReferenceSuffixSearch = /^:[0-9]+$/.test(trimmedSearch);
-      const isMergeStatusOnlySearch = trimmedSearch === 'OLD' || trimmedSearch === 'MERGED' || trimmedSearch === 'NEW';
+      const isMergeStatusOnlySearch = ['OLD', 'MERGED', 'MERGED-FUZZY', 'NEW', 'UNCHANGED', 'CHANGED-OURS', 'CHANGED-GENERATOR', 'CONFLICT', CUSTOM_MAPPING_STATUS].includes(trimmedSearch);
       
       filtered = filtered.filter((row) => {
-        // Special case: If search is exactly "OLD", "MERGED", or "NEW" (uppercase), only search Merge Status
+        // Special case: If search is exactly a Merge Status value (uppercase, e.g. "OLD", "MERGED", "CONFLICT"), only search Merge Status
         if (isMergeStatusOnlySearch) {
           return mergeStatusIndex >= 0 && row[mergeStatusIndex] === trimmedSearch;
         }
@@ -407,6 +448,11 @@ const TWLTable = ({
       });
     }
 
+    // Apply Tags mismatch filter
+    if (filters.tagsMismatch !== null && tagsIndex >= 0) {
+      filtered = filtered.filter((row) => !tagsMatchTwLink(row[tagsIndex], twLinkIndex >= 0 ? row[twLinkIndex] : ''));
+    }
+
     if (filters.mergeStatus !== '') {
       filtered = filtered.filter((row) => {
         if (mergeStatusIndex >= 0 && row[mergeStatusIndex]) {
@@ -415,12 +461,32 @@ const TWLTable = ({
             return status === 'MERGED';
           } else if (filters.mergeStatus === 'unmerged') {
             return status === 'OLD' || status === 'NEW';
+          } else if (filters.mergeStatus === 'fuzzy') {
+            return status === 'MERGED-FUZZY';
+          } else if (filters.mergeStatus === 'custom') {
+            return status === CUSTOM_MAPPING_STATUS;
+          } else if (filters.mergeStatus === 'conflict') {
+            return status === 'CONFLICT';
+          } else if (filters.mergeStatus === 'changed-ours') {
+            return status === 'CHANGED-OURS';
+          } else if (filters.mergeStatus === 'changed-generator') {
+            return status === 'CHANGED-GENERATOR';
           }
         }
         return false;
       });
     }
 
+    // Apply quote round trip filter
+    if (filters.quoteRoundTrip !== null && roundTripFailures) {
+      filtered = filtered.filter((row) => roundTripFailures.has(getQuoteRoundTripKey(row, tableData.headers)));
+    }
+
+    // Apply the row filter set from a report (e.g. the lemma consistency report)
+    if (rowFilter) {
+      filtered = filtered.filter((row) => rowFilter.test(row, tableData.headers));
+    }
+
     // Calculate counts for status display
     const filteredRegularRows = filtered.filter((row) => {
       const reference = referenceIndex >= 0 ? row[referenceIndex] : '';
@@ -441,6 +507,7 @@ const TWLTable = ({
     };
   }, [
     tableData.rows,
+    tableData.headers,
     searchTerm,
     filters,
     referenceIndex,
@@ -453,10 +520,13 @@ const TWLTable = ({
     idIndex,
     tagsIndex,
     twRcLinks,
+    rowFilter,
+    roundTripFailures,
   ]);
 
   // For backwards compatibility, provide filteredRows
   const filteredRows = filteredData.rows;
+  filteredRowsRef.current = filteredRows;
 
   // Pagination logic
   const paginatedRows = useMemo(() => {
@@ -474,11 +544,6 @@ const TWLTable = ({
     setPage(0);
   };
 
-  // Reset page when search term or filters change
-  useEffect(() => {
-    setPage(0);
-  }, [searchTerm, filters]);
-
   // Reset bulk disambiguation checkbox when page changes
   useEffect(() => {
     setMarkAllDisambiguations(false);
@@ -510,8 +575,10 @@ const TWLTable = ({
       hasDisambiguation: null,
       mergeStatus: '',
       isInvalidRCLink: null,
+      tagsMismatch: null,
       isVariant: null,
       deletedRows: null,
+      quoteRoundTrip: null,
     });
     setPage(0);
   };
@@ -863,12 +930,23 @@ const TWLTable = ({
             (filters.hasDisambiguation !== null ||
               filters.mergeStatus !== '' ||
               filters.isInvalidRCLink !== null ||
+              filters.tagsMismatch !== null ||
               filters.isVariant !== null ||
-              filters.deletedRows !== null) && <Chip size="small" label={Object.values(filters).filter((v) => v !== null && v !== '').length} color="primary" sx={{ ml: 1 }} />
+              filters.deletedRows !== null ||
+              filters.quoteRoundTrip !== null) && <Chip size="small" label={Object.values(filters).filter((v) => v !== null && v !== '').length} color="primary" sx={{ ml: 1 }} />
           }
         >
           Filter
         </Button>
+
+        {rowFilter && <Chip label={rowFilter.label} onDelete={onClearRowFilter} color="secondary" size="small" sx={{ maxWidth: 400 }} />}
+
+        {/* Automatic Tags from the TWLink category */}
+        {tagsIndex >= 0 && onAutoTagsChange && (
+          <Tooltip title="Set the Tags of every row from its TWLink category (kt → keyterm, names → name) now and whenever a TWLink changes" placement="top" arrow>
+            <FormControlLabel control={<Checkbox checked={autoTags} onChange={(e) => onAutoTagsChange(e.target.checked)} size="small" />} label="Auto Tags" />
+          </Tooltip>
+        )}
         
         {/* Bulk Disambiguation Marking Checkbox */}
         {disambiguationIndex >= 0 && (
@@ -886,6 +964,50 @@ const TWLTable = ({
         )}
       </Box>
 
+      {/* Tags editor */}
+      <Menu anchorEl={tagsMenu?.anchorEl} open={Boolean(tagsMenu)} onClose={() => setTagsMenu(null)} PaperProps={{ sx: { minWidth: 220 } }}>
+        {tagsMenu &&
+          (() => {
+            const row = tableData.rows[tagsMenu.rowIndex] || [];
+            const tags = parseTwlTags(row[tagsIndex]);
+            const twLink = twLinkIndex >= 0 ? row[twLinkIndex] || '' : '';
+            const derivedTags = deriveTwlTags(twLink);
+            return (
+              <Box sx={{ px: 2, py: 1 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Tags
+                </Typography>
+                <FormGroup>
+                  {[...VALID_TWL_TAGS, ...tags.filter((tag) => !VALID_TWL_TAGS.includes(tag))].map((tag) => (
+                    <FormControlLabel
+                      key={tag}
+                      control={
+                        <Checkbox
+                          size="small"
+                          checked={tags.includes(tag)}
+                          onChange={(e) => onEditTags(tagsMenu.rowIndex, formatTwlTags(e.target.checked ? [...tags, tag] : tags.filter((t) => t !== tag)))}
+                        />
+                      }
+                      label={VALID_TWL_TAGS.includes(tag) ? tag : `${tag} (not allowed)`}
+                    />
+                  ))}
+                </FormGroup>
+                <Button
+                  size="small"
+                  disabled={tagsMatchTwLink(row[tagsIndex], twLink)}
+                  onClick={() => {
+                    onEditTags(tagsMenu.rowIndex, derivedTags);
+                    setTagsMenu(null);
+                  }}
+                  sx={{ mt: 1, textTransform: 'none' }}
+                >
+                  Use TWLink category ({derivedTags || 'no tags'})
+                </Button>
+              </Box>
+            );
+          })()}
+      </Menu>
+
       {/* Filter Menu */}
       <Menu anchorEl={filterAnchorEl} open={Boolean(filterAnchorEl)} onClose={handleFilterClose} PaperProps={{ sx: { minWidth: 250 } }}>
         <Box sx={{ p: 2 }}>
@@ -898,6 +1020,12 @@ const TWLTable = ({
               control={<Checkbox checked={filters.isInvalidRCLink === true} onChange={(e) => handleFilterChange('isInvalidRCLink', e.target.checked ? true : null)} />}
               label="Invalid TWLink"
             />
+            {tagsIndex >= 0 && (
+              <FormControlLabel
+                control={<Checkbox checked={filters.tagsMismatch === true} onChange={(e) => handleFilterChange('tagsMismatch', e.target.checked ? true : null)} />}
+                label="Tags don't match TWLink category"
+              />
+            )}
 
             {/* Disambiguation filter checkboxes */}
             <>
@@ -972,9 +1100,67 @@ const TWLTable = ({
                   control={<Checkbox checked={filters.mergeStatus === 'unmerged'} onChange={(e) => handleFilterChange('mergeStatus', e.target.checked ? 'unmerged' : '')} />}
                   label="Unmerged"
                 />
+                {hasFuzzyMergedRows && (
+                  <FormControlLabel
+                    control={<Checkbox checked={filters.mergeStatus === 'fuzzy'} onChange={(e) => handleFilterChange('mergeStatus', e.target.checked ? 'fuzzy' : '')} />}
+                    label="Fuzzy merged (confirm)"
+                  />
+                )}
+                {hasTermMappedRows && (
+                  <FormControlLabel
+                    control={<Checkbox checked={filters.mergeStatus === 'custom'} onChange={(e) => handleFilterChange('mergeStatus', e.target.checked ? 'custom' : '')} />}
+                    label="Custom mappings"
+                  />
+                )}
+                {hasThreeWayStatuses && (
+                  <>
+                    <FormControlLabel
+                      control={<Checkbox checked={filters.mergeStatus === 'conflict'} onChange={(e) => handleFilterChange('mergeStatus', e.target.checked ? 'conflict' : '')} />}
+                      label="Conflicts"
+                    />
+                    <FormControlLabel
+                      control={<Checkbox checked={filters.mergeStatus === 'changed-ours'} onChange={(e) => handleFilterChange('mergeStatus', e.target.checked ? 'changed-ours' : '')} />}
+                      label="Changed by us"
+                    />
+                    <FormControlLabel
+                      control={
+                        <Checkbox checked={filters.mergeStatus === 'changed-generator'} onChange={(e) => handleFilterChange('mergeStatus', e.target.checked ? 'changed-generator' : '')} />
+                      }
+                      label="Changed by generator"
+                    />
+                  </>
+                )}
               </>
             )}
 
+            {/* Quote round trip: OrigWords -> GLQuote -> OrigWords, verified on demand */}
+            <Typography variant="body2" sx={{ mt: 2, mb: 1, fontWeight: 'bold' }}>
+              Quote Round Trip:
+            </Typography>
+            {roundTripFailures && (
+              <FormControlLabel
+                control={<Checkbox checked={filters.quoteRoundTrip === true} onChange={(e) => handleFilterChange('quoteRoundTrip', e.target.checked ? true : null)} />}
+                label={`OrigWords don't round-trip (${roundTripFailures.size})`}
+              />
+            )}
+            <Box>
+              <Button
+                size="small"
+                variant="outlined"
+                onClick={handleVerifyRoundTrip}
+                disabled={roundTripRunning || !selectedBook?.value}
+                startIcon={roundTripRunning ? <CircularProgress size={14} /> : null}
+                sx={{ textTransform: 'none' }}
+              >
+                {roundTripRunning ? 'Verifying...' : roundTripFailures ? 'Verify Again' : 'Verify OrigWords → GLQuote → OrigWords'}
+              </Button>
+            </Box>
+            {roundTripError && (
+              <Typography variant="caption" color="error" sx={{ mt: 0.5 }}>
+                {roundTripError}
+              </Typography>
+            )}
+
             {/* Always show Deleted Rows filter section */}
             <Typography variant="body2" sx={{ mt: 2, mb: 1, fontWeight: 'bold' }}>
               Deleted Rows:
@@ -1101,8 +1287,8 @@ const TWLTable = ({
           <TableHead>
             <TableRow>
               {tableData.headers.map((header, index) => {
-                // Hide Tags and Variant of columns
-                if (header === 'Tags' || header === 'Variant of') {
+                // Hide Variant of column
+                if (header === 'Variant of') {
                   return null;
                 }
 
@@ -1133,16 +1319,42 @@ const TWLTable = ({
                   }
                 : {};
 
+              const isSelected = selectedRowIndex !== null && tableData.rows[selectedRowIndex] === row;
+
               return (
-                <TableRow key={`${page}-${rowIndex}`} hover sx={rowStyles}>
+                <TableRow key={`${page}-${rowIndex}`} hover selected={isSelected} sx={rowStyles}>
                   {row.map((cell, cellIndex) => {
                     const headerName = tableData.headers[cellIndex];
 
-                    // Hide Tags and Variant of columns
-                    if (headerName === 'Tags' || headerName === 'Variant of') {
+                    // Hide Variant of column
+                    if (headerName === 'Variant of') {
                       return null;
                     }
 
+                    // Tags column - click to edit; tags that don't match the TWLink's category are highlighted
+                    if (headerName === 'Tags') {
+                      const twLink = twLinkIndex >= 0 ? row[twLinkIndex] || '' : '';
+                      const matches = tagsMatchTwLink(cell, twLink);
+                      const canEdit = !isDeleted && onEditTags && editingTWLink === null;
+                      return (
+                        <Tooltip
+                          key={cellIndex}
+                          title={matches ? (canEdit ? 'Click to edit the tags' : '') : `Expected "${deriveTwlTags(twLink) || 'no tags'}" for this TWLink`}
+                          placement="top"
+                          arrow
+                        >
+                          <TableCell
+                            sx={{ padding: '4px 8px', whiteSpace: 'nowrap', cursor: canEdit ? 'pointer' : 'default', ...(matches ? {} : { backgroundColor: '#fff8e1' }) }}
+                            onClick={(e) => canEdit && setTagsMenu({ anchorEl: e.currentTarget, rowIndex: getActualRowIndex(rowIndex) })}
+                          >
+                            {parseTwlTags(cell).map((tag) => (
+                              <Chip key={tag} label={tag} size="small" variant="outlined" color={VALID_TWL_TAGS.includes(tag) ? 'default' : 'error'} sx={{ mr: 0.5 }} />
+                            ))}
+                          </TableCell>
+                        </Tooltip>
+                      );
+                    }
+
                     const isTWLinkColumn = headerName === 'TWLink';
                     const isReferenceColumn = headerName === 'Reference';
                     const isContextColumn = headerName === 'Context';
@@ -1356,6 +1568,19 @@ const TWLTable = ({
                       }
                     }
 
+                    // Merge Status opens the merge details panel
+                    if (headerName === 'Merge Status' && cell && onMergeStatusClick) {
+                      return (
+                        <TableCell key={cellIndex} sx={{ padding: '4px 8px' }}>
+                          <Tooltip title="Show merge details" arrow placement="top">
+                            <Link component="button" variant="body2" onClick={() => onMergeStatusClick(getActualRowIndex(rowIndex))}>
+                              {cell}
+                            </Link>
+                          </Tooltip>
+                        </TableCell>
+                      );
+                    }
+
                     // Handle disambiguation column with content but no clickable options
                     if (isDisambiguationColumn && cell) {
                       const isDone = isDisambiguationDone(row);
@@ -1395,6 +1620,16 @@ const TWLTable = ({
                       );
                     }
 
+                    // OrigWords that failed the quote round trip are highlighted with the reason
+                    const roundTripFailure = headerName === 'OrigWords' && roundTripFailures ? roundTripFailures.get(getQuoteRoundTripKey(row, tableData.headers)) : null;
+                    if (roundTripFailure) {
+                      return (
+                        <Tooltip key={cellIndex} title={`Quote round trip: ${roundTripFailure.message}`} placement="top" arrow>
+                          <TableCell sx={{ padding: '4px 8px', backgroundColor: '#fff3e0' }}>{cell}</TableCell>
+                        </Tooltip>
+                      );
+                    }
+
                     // Default cell rendering
                     return (
                       <TableCell key={cellIndex} sx={{ padding: '4px 8px' }}>
@@ -1624,7 +1859,7 @@ const TWLTable = ({
               {modalTitle}
             </Typography>
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-              <Link href={convertRcLinkToUrl(modalRcLink, dcsHost)} target="_blank" rel="noopener noreferrer" sx={{ fontSize: '0.875rem', textDecoration: 'none' }}>
+              <Link href={convertRcLinkToUrl(modalRcLink, dcsHost, projectConfig)} target="_blank" rel="noopener noreferrer" sx={{ fontSize: '0.875rem', textDecoration: 'none' }}>
                 View on DCS
               </Link>
               <IconButton onClick={() => setModalOpen(false)} size="small">
@@ -0,0 +1,259 @@
+/**
+ * Component for managing custom term mappings - OrigWords or lemma/Strong's to TWLink rules, optionally limited to
+ * some books, that are applied after twl-generator runs (see utils/termMappings.js)
+ */
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Tooltip,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+  Link,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { Delete as DeleteIcon, Edit as EditIcon } from '@mui/icons-material';
+import { BibleBookData } from '../common/books.js';
+import { TERM_MAPPING_TYPE_OPTIONS, TERM_MAPPING_TYPES, parseTermMappingBooks, validateTermMapping, getTermMappingKey, CUSTOM_MAPPING_STATUS } from '../utils/termMappings.js';
+import { convertTwLinkToUrl } from '../utils/urlConverters.js';
+
+const EMPTY_FORM = { matchType: TERM_MAPPING_TYPES.ORIG_WORDS, match: '', twLink: '', books: '', note: '' };
+
+const cellSx = { fontFamily: 'Consolas, Monaco, "Courier New", monospace', fontSize: '12px' };
+
+const TermMappingsManager = ({ open, onClose, termMappings, loading, error, onSave, onRemove, dcsHost, projectConfig }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingRule, setEditingRule] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const sortedMappings = [...termMappings].sort((a, b) => (a.match || '').localeCompare(b.match || ''));
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleEdit = (rule) => {
+    setForm({ matchType: rule.matchType, match: rule.match, twLink: rule.twLink, books: (rule.books || []).join(', '), note: rule.note || '' });
+    setEditingRule(rule);
+    setErrors({});
+    setMessage(null);
+  };
+
+  const handleSave = async () => {
+    const rule = { matchType: form.matchType, match: form.match.trim(), twLink: form.twLink.trim(), books: parseTermMappingBooks(form.books), note: form.note.trim() };
+    const validationErrors = validateTermMapping(rule, Object.keys(BibleBookData));
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setSaving(true);
+    setMessage(null);
+    try {
+      await onSave(rule);
+      // Editing the match saves a new rule; the one being edited goes
+      if (editingRule && getTermMappingKey(editingRule) !== getTermMappingKey(rule)) {
+        await onRemove(editingRule);
+      }
+      handleClear();
+      setMessage({ severity: 'success', text: `Saved: ${rule.match} → ${rule.twLink}. It applies the next time TWLs are generated.` });
+    } catch (err) {
+      setMessage({ severity: 'error', text: `Could not save the term mapping: ${err.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = () => {
+    setForm(EMPTY_FORM);
+    setEditingRule(null);
+    setErrors({});
+  };
+
+  const handleRemove = async (rule) => {
+    setMessage(null);
+    try {
+      await onRemove(rule);
+    } catch (err) {
+      setMessage({ severity: 'error', text: `Could not remove the term mapping: ${err.message}` });
+    }
+  };
+
+  const matchTypeLabel = (matchType) => TERM_MAPPING_TYPE_OPTIONS.find((option) => option.value === matchType)?.label || matchType;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth PaperProps={{ sx: { height: '80vh' } }}>
+      <DialogTitle>
+        <Typography variant="h6" component="div">
+          Manage Term Mappings
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Rules applied after the generator runs: every match in the original-language text is linked to the rule&apos;s TW article, adding the rows
+          the generator missed and relinking the ones it linked elsewhere. Those rows get the {CUSTOM_MAPPING_STATUS} Merge Status for review.
+        </Typography>
+      </DialogTitle>
+
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'flex-start', mb: 2, pt: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Match"
+            value={form.matchType}
+            onChange={(e) => updateForm('matchType', e.target.value)}
+            error={!!errors.matchType}
+            helperText={errors.matchType || TERM_MAPPING_TYPE_OPTIONS.find((option) => option.value === form.matchType)?.description}
+            sx={{ width: 260 }}
+          >
+            {TERM_MAPPING_TYPE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label={form.matchType === TERM_MAPPING_TYPES.LEMMA ? "Lemma or Strong's" : 'OrigWords'}
+            value={form.match}
+            onChange={(e) => updateForm('match', e.target.value)}
+            error={!!errors.match}
+            helperText={errors.match}
+            sx={{ width: 200 }}
+          />
+          <TextField
+            size="small"
+            label="TWLink"
+            placeholder="rc://*/tw/dict/bible/kt/god"
+            value={form.twLink}
+            onChange={(e) => updateForm('twLink', e.target.value)}
+            error={!!errors.twLink}
+            helperText={errors.twLink}
+            sx={{ width: 300 }}
+          />
+          <TextField
+            size="small"
+            label="Books"
+            placeholder="All books"
+            value={form.books}
+            onChange={(e) => updateForm('books', e.target.value)}
+            error={!!errors.books}
+            helperText={errors.books || 'e.g. gen, exo (empty = all)'}
+            sx={{ width: 160 }}
+          />
+          <TextField size="small" label="Note" value={form.note} onChange={(e) => updateForm('note', e.target.value)} sx={{ width: 200 }} />
+          <Button variant="contained" onClick={handleSave} disabled={saving} sx={{ mt: 0.25 }}>
+            {saving ? 'Saving...' : editingRule ? 'Update Rule' : 'Save Rule'}
+          </Button>
+          {(editingRule || form.match || form.twLink) && (
+            <Button onClick={handleClear} disabled={saving} sx={{ mt: 0.25 }}>
+              Clear
+            </Button>
+          )}
+        </Box>
+
+        {message && (
+          <Alert severity={message.severity} sx={{ mb: 2 }}>
+            {message.text}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', py: 4 }}>
+            <CircularProgress />
+            <Typography variant="body2" sx={{ ml: 2 }}>
+              Loading term mappings...
+            </Typography>
+          </Box>
+        ) : error ? (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        ) : null}
+
+        {!loading && sortedMappings.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <Typography variant="body1" color="text.secondary">
+              No term mappings yet.
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer component={Paper} sx={{ maxHeight: '50vh' }}>
+            <Table stickyHeader size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Match</TableCell>
+                  <TableCell>Words / Lemma</TableCell>
+                  <TableCell>TWLink</TableCell>
+                  <TableCell>Books</TableCell>
+                  <TableCell>Note</TableCell>
+                  <TableCell>User ID</TableCell>
+                  <TableCell>Last Modified</TableCell>
+                  <TableCell sx={{ width: '100px', textAlign: 'center' }}>Action</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sortedMappings.map((rule) => {
+                  const twUrl = convertTwLinkToUrl(rule.twLink, dcsHost, projectConfig);
+                  return (
+                    <TableRow key={rule.ruleKey || `${rule.matchType}|${rule.match}`} hover>
+                      <TableCell sx={cellSx}>{matchTypeLabel(rule.matchType)}</TableCell>
+                      <TableCell sx={{ ...cellSx, fontSize: '14px' }}>{rule.match}</TableCell>
+                      <TableCell sx={cellSx}>
+                        {twUrl ? (
+                          <Link href={twUrl} target="_blank" rel="noopener noreferrer" sx={{ textDecoration: 'none', '&:hover': { textDecoration: 'underline' } }}>
+                            {rule.twLink}
+                          </Link>
+                        ) : (
+                          rule.twLink
+                        )}
+                      </TableCell>
+                      <TableCell sx={cellSx}>{rule.books?.length ? rule.books.map((book) => book.toUpperCase()).join(', ') : 'All'}</TableCell>
+                      <TableCell sx={{ fontSize: '12px' }}>{rule.note}</TableCell>
+                      <TableCell sx={cellSx}>{rule.userIdentifier}</TableCell>
+                      <TableCell sx={{ fontSize: '12px' }}>{rule.lastModified ? new Date(rule.lastModified).toLocaleString() : ''}</TableCell>
+                      <TableCell sx={{ textAlign: 'center', whiteSpace: 'nowrap' }}>
+                        <Tooltip title="Edit this rule">
+                          <IconButton size="small" onClick={() => handleEdit(rule)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Remove this rule">
+                          <IconButton size="small" color="error" onClick={() => handleRemove(rule)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TermMappingsManager;
@@ -0,0 +1,219 @@
+/**
+ * TW article coverage - the articles of the TW archive the book links to with their usage counts and references, and
+ * the articles of a category the book never links to although a headword of theirs appears in the ULT.
+ * Clicking a used article filters the table to its rows
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  CircularProgress,
+  Link,
+  Tab,
+  Tabs,
+  Table,
+  TableHead,
+  TableBody,
+  TableCell,
+  TableRow,
+  TextField,
+  MenuItem,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { fetchTwArticleIndex } from '../services/twlService.js';
+import { fetchUltUsfm, parseUsfmVerses } from '../utils/verseOrdering.js';
+import { convertTwLinkToUrl } from '../utils/urlConverters.js';
+import { TW_CATEGORIES, buildTwUsage, findUnusedTwArticles, createTwLinkRowFilter } from '../utils/twCoverage.js';
+
+const cellSx = { padding: '4px 8px', verticalAlign: 'top' };
+
+// References shown per article before "and N more"
+const MAX_REFERENCES = 12;
+
+const getShortTwLink = (twLink) => twLink.replace(/^rc:\/\/\*\/tw\/dict\/bible\//, '');
+
+const formatReferences = (references) =>
+  references.length > MAX_REFERENCES ? `${references.slice(0, MAX_REFERENCES).join(', ')} and ${references.length - MAX_REFERENCES} more` : references.join(', ');
+
+const TwCoverageDialog = ({ open, onClose, tableData, bookCode, bookName, dcsHost, projectConfig, onFilterRows }) => {
+  const [twIndex, setTwIndex] = useState(null);
+  const [ultVerses, setUltVerses] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [activeTab, setActiveTab] = useState(0); // 0 = used, 1 = not used
+  const [category, setCategory] = useState('kt');
+
+  useEffect(() => {
+    if (!open || !bookCode) return;
+    let cancelled = false;
+    setLoading(true);
+    setLoadError(null);
+    Promise.allSettled([fetchTwArticleIndex(dcsHost, projectConfig), fetchUltUsfm(bookCode, dcsHost, projectConfig)]).then(([twResult, ultResult]) => {
+      if (cancelled) return;
+      setTwIndex(twResult.status === 'fulfilled' ? twResult.value : null);
+      setUltVerses(ultResult.status === 'fulfilled' ? parseUsfmVerses(ultResult.value) : null);
+      if (twResult.status === 'rejected') {
+        setLoadError(`Could not load the TW articles: ${twResult.reason?.message || twResult.reason}`);
+      } else if (ultResult.status === 'rejected') {
+        setLoadError(`Could not load the ULT, so unused articles can't be listed: ${ultResult.reason?.message || ultResult.reason}`);
+      }
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, bookCode, dcsHost, projectConfig]);
+
+  const usage = useMemo(() => (twIndex ? buildTwUsage(tableData, twIndex.titles) : []), [tableData, twIndex]);
+  const unused = useMemo(
+    () => (twIndex && ultVerses ? findUnusedTwArticles(usage.map((article) => article.twLink), twIndex.titles, ultVerses) : []),
+    [usage, twIndex, ultVerses]
+  );
+
+  const inCategory = (article) => category === 'all' || article.category === category;
+  const shownUsage = usage.filter(inCategory);
+  const shownUnused = unused.filter(inCategory);
+
+  const renderArticle = (twLink, title) => {
+    const url = convertTwLinkToUrl(twLink, dcsHost, projectConfig);
+    return (
+      <>
+        <Typography variant="body2" component="span" sx={{ fontFamily: 'monospace' }}>
+          {url ? (
+            <Link href={url} target="_blank" rel="noopener noreferrer">
+              {getShortTwLink(twLink)}
+            </Link>
+          ) : (
+            getShortTwLink(twLink)
+          )}
+        </Typography>
+        {title && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+            {title}
+          </Typography>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth PaperProps={{ sx: { height: '85vh' } }}>
+      <DialogTitle>TW Article Coverage{bookName ? ` - ${bookName}` : ''}</DialogTitle>
+      <Box sx={{ borderBottom: 1, borderColor: 'divider', px: 3, display: 'flex', alignItems: 'center', gap: 2 }}>
+        <Tabs value={activeTab} onChange={(event, value) => setActiveTab(value)} sx={{ flexGrow: 1 }}>
+          <Tab label={`Used (${shownUsage.length})`} />
+          <Tab label={`Not used (${shownUnused.length})`} disabled={!ultVerses} />
+        </Tabs>
+        <TextField select size="small" label="Category" value={category} onChange={(e) => setCategory(e.target.value)} sx={{ width: 140 }}>
+          <MenuItem value="all">All</MenuItem>
+          {TW_CATEGORIES.map((value) => (
+            <MenuItem key={value} value={value}>
+              {value}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, py: 4, justifyContent: 'center' }}>
+            <CircularProgress size={24} />
+            <Typography variant="body2">Loading the TW articles and the ULT...</Typography>
+          </Box>
+        ) : (
+          <>
+            {loadError && (
+              <Alert severity={twIndex ? 'warning' : 'error'} sx={{ mb: 2 }}>
+                {loadError}
+              </Alert>
+            )}
+            {twIndex && activeTab === 0 && (
+              <>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  {shownUsage.length} of the {twIndex.rcLinks.filter((twLink) => category === 'all' || twLink.includes(`/bible/${category}/`)).length} articles
+                  {category === 'all' ? '' : ` in ${category}`} are linked by the table&apos;s rows. Click an article&apos;s count to filter the table to its rows.
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={cellSx}>Article</TableCell>
+                      <TableCell sx={cellSx} align="right">
+                        Rows
+                      </TableCell>
+                      <TableCell sx={cellSx}>References</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {shownUsage.map((article) => (
+                      <TableRow key={article.twLink} sx={article.inArchive ? {} : { backgroundColor: '#ffe5e5' }}>
+                        <TableCell sx={cellSx}>
+                          {renderArticle(article.twLink, article.inArchive ? article.title : 'Not in the TW archive')}
+                        </TableCell>
+                        <TableCell sx={cellSx} align="right">
+                          <Link
+                            component="button"
+                            variant="body2"
+                            onClick={() => {
+                              onFilterRows(createTwLinkRowFilter(article.twLink, `TWLink ${getShortTwLink(article.twLink)} (${article.count})`));
+                              onClose();
+                            }}
+                          >
+                            {article.count}
+                          </Link>
+                        </TableCell>
+                        <TableCell sx={{ ...cellSx, fontSize: '12px' }}>{formatReferences(article.references)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+            {twIndex && ultVerses && activeTab === 1 && (
+              <>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  Articles{category === 'all' ? '' : ` in ${category}`} no row links to, although a headword from their title appears in the ULT of the book.
+                  Common words match often - check the verses before adding rows.
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={cellSx}>Article</TableCell>
+                      <TableCell sx={cellSx}>Headwords found</TableCell>
+                      <TableCell sx={cellSx} align="right">
+                        Verses
+                      </TableCell>
+                      <TableCell sx={cellSx}>ULT references</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {shownUnused.map((article) => (
+                      <TableRow key={article.twLink}>
+                        <TableCell sx={cellSx}>{renderArticle(article.twLink, article.title)}</TableCell>
+                        <TableCell sx={cellSx}>{article.headwords.join(', ')}</TableCell>
+                        <TableCell sx={cellSx} align="right">
+                          {article.references.length}
+                        </TableCell>
+                        <TableCell sx={{ ...cellSx, fontSize: '12px' }}>{formatReferences(article.references)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TwCoverageDialog;
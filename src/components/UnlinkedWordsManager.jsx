@@ -30,7 +30,7 @@ import { useUnlinkedWords } from '../hooks/useUnlinkedWords.js';
 import { convertReferenceToUltUrl, convertTwLinkToUrl } from '../utils/urlConverters.js';
 import { getUserIdentifier } from '../utils/userUtils.js';
 
-const UnlinkedWordsManager = ({ open, onClose, onUnlinkedWordsChange, dcsHost }) => {
+const UnlinkedWordsManager = ({ open, onClose, onUnlinkedWordsChange, dcsHost, projectConfig }) => {
   const { unlinkedWords, loading, error, removeUnlinkedWord, refreshFromServer, refreshFromLocalStorage } = useUnlinkedWords();
   const [activeTab, setActiveTab] = useState(0); // 0 = My Words, 1 = All Words
   const [sortColumn, setSortColumn] = useState('dateAdded'); // Default sort by Date Added
@@ -234,7 +234,7 @@ const UnlinkedWordsManager = ({ open, onClose, onUnlinkedWordsChange, dcsHost })
                       }}
                     >
                       {(() => {
-                        const ultUrl = convertReferenceToUltUrl(word.reference, word.book);
+                        const ultUrl = convertReferenceToUltUrl(word.reference, word.book, projectConfig);
                         return ultUrl ? (
                           <Link
                             href={ultUrl}
@@ -268,7 +268,7 @@ const UnlinkedWordsManager = ({ open, onClose, onUnlinkedWordsChange, dcsHost })
                       }}
                     >
                       {(() => {
-                        const twUrl = convertTwLinkToUrl(word.twLink, dcsHost);
+                        const twUrl = convertTwLinkToUrl(word.twLink, dcsHost, projectConfig);
                         return twUrl ? (
                           <Link
                             href={twUrl}
@@ -0,0 +1,97 @@
+/**
+ * Change report shown after "Update TWL" updated the table in place
+ * Lists the rows whose Disambiguation was refreshed from the generator and the generated rows that were added
+ */
+import React from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Table, TableHead, TableBody, TableCell, TableRow, Typography, Chip } from '@mui/material';
+
+const cellSx = { padding: '4px 8px' };
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const UpdateReportDialog = ({ report, onClose }) => {
+  if (!report) return null;
+
+  const { updatedRows = [], newRows = [] } = report;
+  const hasChanges = updatedRows.length > 0 || newRows.length > 0;
+
+  return (
+    <Dialog open={!!report} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>TWL Update Report{report.bookName ? ` - ${report.bookName}` : ''}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {hasChanges
+            ? `Updated ${pluralize(updatedRows.length, 'row')} and added ${pluralize(newRows.length, 'new row')}. Use Undo Last Change to go back.`
+            : 'No changes detected. All content is already up to date.'}
+        </Typography>
+
+        {updatedRows.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+              📝 Updated Disambiguations
+            </Typography>
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={cellSx}>Reference</TableCell>
+                  <TableCell sx={cellSx}>ID</TableCell>
+                  <TableCell sx={cellSx}>Old Disambiguation</TableCell>
+                  <TableCell sx={cellSx}>New Disambiguation</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {updatedRows.map((update, index) => (
+                  <TableRow key={`${update.reference}-${update.id}-${index}`}>
+                    <TableCell sx={cellSx}>{update.reference}</TableCell>
+                    <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{update.id}</TableCell>
+                    <TableCell sx={{ ...cellSx, color: 'text.secondary' }}>{update.oldDisambiguation || '(none)'}</TableCell>
+                    <TableCell sx={cellSx}>
+                      {update.newDisambiguation || '(none)'}
+                      {update.hasDoneStatus && <Chip label="DONE kept" size="small" color="success" variant="outlined" sx={{ ml: 1 }} />}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+
+        {newRows.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+              ✨ New Rows Added
+            </Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+              Marked NEW in the Merge Status column. Rows without an ID were given one.
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={cellSx}>Reference</TableCell>
+                  <TableCell sx={cellSx}>ID</TableCell>
+                  <TableCell sx={cellSx}>GLQuote</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {newRows.map((newRow, index) => (
+                  <TableRow key={`${newRow.reference}-${index}`}>
+                    <TableCell sx={cellSx}>{newRow.reference}</TableCell>
+                    <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{newRow.id}</TableCell>
+                    <TableCell sx={cellSx}>{newRow.glQuote}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default UpdateReportDialog;
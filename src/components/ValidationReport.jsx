@@ -0,0 +1,80 @@
+/**
+ * Result of the pre-commit validation - errors (which block the commit) and warnings, each linking to its table row
+ */
+import React from 'react';
+import { Alert, Box, Link, Table, TableBody, TableCell, TableHead, TableRow, Typography } from '@mui/material';
+
+const cellSx = { padding: '2px 8px', fontSize: '12px' };
+
+const ValidationReport = ({ validation, onSelectRow }) => {
+  if (!validation) return null;
+
+  const { errors, warnings, checkedRows } = validation;
+
+  const renderIssues = (issues) => (
+    <Box sx={{ maxHeight: 220, overflow: 'auto', mb: 1 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell sx={cellSx}>Reference</TableCell>
+            <TableCell sx={cellSx}>ID</TableCell>
+            <TableCell sx={cellSx}>Column</TableCell>
+            <TableCell sx={cellSx}>Problem</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {issues.map((issue, index) => (
+            <TableRow key={index}>
+              <TableCell sx={cellSx}>
+                {issue.rowIndex >= 0 ? (
+                  <Link component="button" variant="body2" sx={{ fontSize: '12px' }} onClick={() => onSelectRow(issue.rowIndex)}>
+                    {issue.reference || `Row ${issue.rowIndex + 1}`}
+                  </Link>
+                ) : (
+                  '-'
+                )}
+              </TableCell>
+              <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{issue.id}</TableCell>
+              <TableCell sx={cellSx}>{issue.column}</TableCell>
+              <TableCell sx={cellSx}>{issue.message}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      {errors.length > 0 ? (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {errors.length} error{errors.length === 1 ? '' : 's'} in {checkedRows} rows must be fixed before committing.
+        </Alert>
+      ) : (
+        <Alert severity={warnings.length > 0 ? 'warning' : 'success'} sx={{ mb: 1 }}>
+          {warnings.length > 0
+            ? `No errors in ${checkedRows} rows, ${warnings.length} warning${warnings.length === 1 ? '' : 's'} to review. Commit again to commit anyway.`
+            : `All ${checkedRows} rows passed validation.`}
+        </Alert>
+      )}
+      {errors.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+            ⛔ Errors ({errors.length})
+          </Typography>
+          {renderIssues(errors)}
+        </>
+      )}
+      {warnings.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+            ⚠️ Warnings ({warnings.length})
+          </Typography>
+          {renderIssues(warnings)}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ValidationReport;
@@ -4,6 +4,7 @@
 import { useState, useEffect } from 'react';
 import { loadData, saveData } from '../utils/storage.js';
 import { fetchBranches } from '../services/apiService.js';
+import { normalizeProjectConfig, getResourcePinsFromUrl, RESOURCE_PINS } from '../utils/projectConfig.js';
 
 export const useAppState = () => {
   // Load saved data
@@ -32,6 +33,14 @@ export const useAppState = () => {
     return 'https://git.door43.org';
   };
   const [dcsHost, setDcsHost] = useState(getInitialDcsHost());
+  // Owner and repositories the TWLs are built from and committed to (see projectConfig.js)
+  // Resource pins in the URL (e.g. ?uhb=v2.1.30) override the saved ones for this visit
+  const getInitialProjectConfig = () => {
+    const savedConfig = normalizeProjectConfig(loadData('projectConfig', true));
+    const urlPins = getResourcePinsFromUrl(window.location.search);
+    return Object.keys(urlPins).length > 0 ? normalizeProjectConfig({ ...savedConfig, pins: { ...savedConfig.pins, ...urlPins } }) : savedConfig;
+  };
+  const [projectConfig, setProjectConfig] = useState(getInitialProjectConfig);
   const [selectedBook, setSelectedBook] = useState(savedBook);
   const [selectedBranch, setSelectedBranch] = useState(savedBranch);
   const [branches, setBranches] = useState([]);
@@ -87,14 +96,14 @@ export const useAppState = () => {
   const [viewMode, setViewMode] = useState('table'); // 'table' or 'raw'
   const [existingTwlValid, setExistingTwlValid] = useState(true);
 
-  // Fetch branches on component mount
+  // Fetch branches of the project's TWL repository on mount and when the project configuration changes
   useEffect(() => {
     const loadBranches = async () => {
       setBranchesLoading(true);
       setBranchesError('');
 
       try {
-        const branchNames = await fetchBranches(dcsHost);
+        const branchNames = await fetchBranches(dcsHost, projectConfig);
         setBranches(branchNames);
       } catch (err) {
         setBranchesError(`Error loading branches: ${err.message}`);
@@ -104,7 +113,7 @@ export const useAppState = () => {
     };
 
     loadBranches();
-  }, []);
+  }, [dcsHost, projectConfig]);
 
   // Save TWL content manually when specific actions occur
   // Note: We don't use useEffect here to avoid saving on every change
@@ -140,6 +149,27 @@ export const useAppState = () => {
     saveData('selectedBranch', branchName);
   };
 
+  // Handle project configuration changes with persistence; the selected branch falls back to the new ref and the URL
+  // is updated so it reproduces the pinned versions
+  const handleProjectConfigChange = (config) => {
+    const nextConfig = normalizeProjectConfig(config);
+    console.log('🗂️ Setting project configuration to:', nextConfig);
+    setProjectConfig(nextConfig);
+    saveData('projectConfig', nextConfig);
+
+    const url = new URL(window.location.href);
+    RESOURCE_PINS.forEach(({ key, param }) => {
+      if (nextConfig.pins[key]) url.searchParams.set(param, nextConfig.pins[key]);
+      else url.searchParams.delete(param);
+    });
+    window.history.replaceState(null, '', url);
+
+    if (nextConfig.owner !== projectConfig.owner || nextConfig.twlRepo !== projectConfig.twlRepo) {
+      setSelectedBranch(nextConfig.ref);
+      saveData('selectedBranch', nextConfig.ref);
+    }
+  };
+
   // Handle book selection with persistence and content clearing
   const handleBookSelect = (event, value) => {
     if (!value) {
@@ -182,6 +212,7 @@ export const useAppState = () => {
   return {
     // State values
     dcsHost,
+    projectConfig,
     selectedBook,
     selectedBranch,
     branches,
@@ -209,6 +240,7 @@ export const useAppState = () => {
     // Handlers
     handleBranchSelect,
     handleBookSelect,
+    handleProjectConfigChange,
 
     // Utilities
     saveTwlContent
@@ -0,0 +1,68 @@
+/**
+ * Custom hook for managing custom term mappings with server-first loading
+ */
+import { useState, useEffect } from 'react';
+import { getTermMappings, saveTermMappings, getTermMappingKey } from '../utils/termMappings.js';
+import { getTermMappingsFromServer, saveTermMappingToServer, removeTermMappingFromServer } from '../services/termMappingsApi.js';
+
+export const useTermMappings = () => {
+  const [termMappings, setTermMappings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load term mappings on component mount
+  useEffect(() => {
+    loadTermMappings();
+  }, []);
+
+  const loadTermMappings = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const serverMappings = await getTermMappingsFromServer();
+
+      // Keep a local copy for the pipeline and for offline use
+      saveTermMappings(serverMappings);
+      setTermMappings(serverMappings);
+    } catch (serverError) {
+      console.warn('Failed to load term mappings from server, falling back to local storage:', serverError);
+      setTermMappings(getTermMappings());
+      setError('Using offline data - server unavailable');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Add a rule, or replace the rule with the same match type and match
+   */
+  const saveTermMapping = async (rule) => {
+    const { item } = await saveTermMappingToServer(rule);
+    const ruleKey = item?.ruleKey || getTermMappingKey(rule);
+    const saved = item || { ...rule, ruleKey };
+
+    const nextMappings = [...getTermMappings().filter((mapping) => (mapping.ruleKey || getTermMappingKey(mapping)) !== ruleKey), saved];
+    saveTermMappings(nextMappings);
+    setTermMappings(nextMappings);
+    return saved;
+  };
+
+  const removeTermMapping = async (rule) => {
+    const ruleKey = rule.ruleKey || getTermMappingKey(rule);
+    await removeTermMappingFromServer(ruleKey);
+
+    const nextMappings = getTermMappings().filter((mapping) => (mapping.ruleKey || getTermMappingKey(mapping)) !== ruleKey);
+    saveTermMappings(nextMappings);
+    setTermMappings(nextMappings);
+  };
+
+  return {
+    termMappings,
+    loading,
+    error,
+    saveTermMapping,
+    removeTermMapping,
+    refreshFromServer: loadTermMappings,
+  };
+};
@@ -1,6 +1,11 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { syncOfflineServiceWorker } from './services/offlineWorkspace.js';
 import './index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+
+window.addEventListener('load', () => {
+  syncOfflineServiceWorker().catch((error) => console.warn('📴 Could not update the service worker:', error?.message || error));
+});
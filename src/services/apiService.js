@@ -1,23 +1,81 @@
 /**
  * API service for external data fetching
+ * Resources made available offline (see offlineWorkspace.js) are read from their IndexedDB copy first, which is
+ * refreshed from DCS in the background while online
  */
 
 import { BibleBookData } from '../common/books.js';
+import { DEFAULT_PROJECT_CONFIG, normalizeProjectConfig, getResourceRef } from '../utils/projectConfig.js';
+import { offlineKey, readOfflineResource, storeOfflineResource } from '../utils/offlineStore.js';
 
 /**
- * Fetch available branches from the repository
+ * Error for a failed DCS response, with its HTTP status
  */
-export const fetchBranches = async (dcsHost = "https://git.door43.org") => {
-  const response = await fetch(`${dcsHost}/api/v1/repos/unfoldingWord/en_twl/branches`);
+const responseError = (message, response) => Object.assign(new Error(message), { status: response.status });
+
+/**
+ * Read a resource that may have an offline copy
+ * The offline copy is returned at once and, while online, downloaded again in the background to replace it, so later
+ * reads follow new commits and branches. Resources without one are downloaded from DCS
+ * @param {string} key - offlineKey() of the resource
+ * @param {function(): Promise<{content: *, source?: Object}>} download - Downloads the resource from DCS
+ * @param {string} label - Name of the resource for the console
+ * @returns {Promise<{content: *, source: Object|null}>} source is the commit the returned content came from
+ */
+const readOfflineFirst = async (key, download, label) => {
+  const offline = await readOfflineResource(key);
+  if (!offline) {
+    const { content, source = null } = await download();
+    return { content, source };
+  }
+
+  console.log(`📴 Using the stored copy of ${label}`);
+  if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+    download()
+      .then(({ content, source = null }) => storeOfflineResource(key, content, { source, book: offline.book }))
+      .catch((error) => console.warn(`📴 Could not refresh the offline copy of ${label}:`, error?.message || error));
+  }
+  return { content: offline.content, source: offline.source };
+};
+
+const downloadBranches = async (dcsHost, projectConfig) => {
+  const { owner, twlRepo } = normalizeProjectConfig(projectConfig);
+  const response = await fetch(`${dcsHost}/api/v1/repos/${owner}/${twlRepo}/branches`);
 
   if (!response.ok) {
-    throw new Error(`Failed to fetch branches: ${response.statusText}`);
+    throw responseError(`Failed to fetch branches: ${response.statusText}`, response);
   }
 
   const branchData = await response.json();
   return branchData.map((branch) => branch.name).sort();
 };
 
+const getBranchesOfflineKey = (dcsHost, projectConfig) => {
+  const { owner, twlRepo } = normalizeProjectConfig(projectConfig);
+  return offlineKey('branches', dcsHost, `${owner}/${twlRepo}`);
+};
+
+/**
+ * Fetch available branches from the project's TWL repository
+ */
+export const fetchBranches = async (dcsHost = "https://git.door43.org", projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const { content } = await readOfflineFirst(
+    getBranchesOfflineKey(dcsHost, projectConfig),
+    async () => ({ content: await downloadBranches(dcsHost, projectConfig) }),
+    'the branch list'
+  );
+  return content;
+};
+
+/**
+ * Download the branch list of the project's TWL repository into the offline store
+ */
+export const storeBranchesOffline = async (dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const branchNames = await downloadBranches(dcsHost, projectConfig);
+  await storeOfflineResource(getBranchesOfflineKey(dcsHost, projectConfig), branchNames);
+  return branchNames;
+};
+
 /**
  * Decode base64 content as UTF-8
  */
@@ -31,6 +89,34 @@ const decodeBase64Content = (base64Content) => {
   return new TextDecoder('utf-8').decode(bytes);
 };
 
+// Commit SHA of every file fetched from DCS, keyed by host, repo, path and ref (for provenance records)
+const fetchedSources = new Map();
+
+/**
+ * Describe which commit a downloaded file came from
+ * The contents API reports the last commit that touched the file, which pins its exact content
+ */
+const createFetchedSource = (repo, path, ref, data) => ({ repo, path, ref, commitSha: data?.last_commit_sha || '' });
+
+/**
+ * Remember the commit of a file that was read, downloaded or from its offline copy
+ */
+const recordFetchedSource = (dcsHost, source) => {
+  if (!source) return;
+  const { repo, path, ref } = source;
+  fetchedSources.set(`${dcsHost}|${repo}|${path}|${ref}`, source);
+};
+
+/**
+ * List the files fetched so far with the commit SHA each one came from
+ * @param {string} [dcsHost] - Only list files fetched from this host
+ * @returns {Array<{repo: string, path: string, ref: string, commitSha: string}>}
+ */
+export const getFetchedSources = (dcsHost) =>
+  Array.from(fetchedSources.entries())
+    .filter(([key]) => !dcsHost || key.startsWith(`${dcsHost}|`))
+    .map(([, source]) => source);
+
 // Simple in-memory cache for USFM content
 const usfmCache = new Map();
 const CACHE_DURATION = 1000 * 60 * 30; // 30 minutes
@@ -56,54 +142,91 @@ export const getCacheStats = () => {
 };
 
 /**
- * Fetch USFM content for a specific book, translation, and branch
+ * Fetch the release tags of a repository, newest first (for choosing a pin)
+ * @param {string} repo - "owner/repo"
  */
-export const fetchUSFMContent = async (bookValue, translation = 'ult', dcsHost = 'https://git.door43.org', dcsToken) => {
-  const bookData = BibleBookData[bookValue];
-  if (!bookData) {
-    throw new Error(`Book data not found for: ${bookValue}`);
+export const fetchTags = async (repo, dcsHost = 'https://git.door43.org') => {
+  const response = await fetch(`${dcsHost}/api/v1/repos/${repo}/tags?limit=50`);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch tags of ${repo}: ${response.statusText}`);
   }
 
-  const usfmFileName = bookData.usfm;
-  const cacheKey = `${dcsHost}-${bookValue}-${translation}`;
+  const tagData = await response.json();
+  return tagData.map((tag) => tag.name);
+};
 
-  // Check cache first
-  const cached = usfmCache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
-    console.log(`Using cached USFM content for ${translation} ${bookValue}`);
-    return cached.content;
+/**
+ * Repository, ref and file of a book's USFM for a translation
+ * 'ult' is the project's GL Bible; the original-language texts and other translations come from unfoldingWord.
+ * The GL Bible and original-language texts are read at their pinned refs (see getResourceRef())
+ */
+const resolveUsfmSource = (bookValue, translation, projectConfig) => {
+  const bookData = BibleBookData[bookValue];
+  if (!bookData) {
+    throw new Error(`Book data not found for: ${bookValue}`);
   }
 
-  const headers = {};
-  if (dcsToken) {
-    headers['Authorization'] = `token ${dcsToken}`;
-  }
+  const config = normalizeProjectConfig(projectConfig);
 
   // Determine repository based on translation
+  let owner = 'unfoldingWord';
+  let ref = 'master';
   let repo;
   if (translation === 'ult') {
-    repo = 'en_ult';
+    ({ owner, bibleRepo: repo } = config);
+    ref = getResourceRef(config, 'bible');
   } else if (translation === 'ust') {
     repo = 'en_ust';
   } else if (translation === 'original') {
     // For original languages, use appropriate repo based on testament
     repo = bookData.testament === 'new' ? 'el-x-koine_ugnt' : 'hbo_uhb';
+    ref = getResourceRef(config, bookData.testament === 'new' ? 'ugnt' : 'uhb');
   } else {
     repo = `en_${translation}`;
   }
+  return { repo: `${owner}/${repo}`, ref, path: `${bookData.usfm}.usfm` };
+};
+
+const downloadUSFM = async (bookValue, translation, dcsHost, dcsToken, { repo, ref, path }) => {
+  const headers = {};
+  if (dcsToken) {
+    headers['Authorization'] = `token ${dcsToken}`;
+  }
 
   console.log(`Fetching USFM content for ${translation} ${bookValue} from server`);
-  const response = await fetch(
-    `${dcsHost}/api/v1/repos/unfoldingWord/${repo}/contents/${usfmFileName}.usfm?ref=master`,
-    { headers }
-  );
+  const response = await fetch(`${dcsHost}/api/v1/repos/${repo}/contents/${path}?ref=${ref}`, { headers });
 
   if (!response.ok) {
-    throw new Error(`Failed to fetch ${translation} USFM content for ${bookValue}: ${response.statusText}`);
+    throw responseError(`Failed to fetch ${translation} USFM content for ${bookValue}: ${response.statusText}`, response);
   }
 
   const data = await response.json();
-  const content = decodeBase64Content(data.content);
+  return { content: decodeBase64Content(data.content), source: createFetchedSource(repo, path, ref, data) };
+};
+
+/**
+ * Fetch USFM content for a specific book and translation (see resolveUsfmSource())
+ * Read from the in-memory cache, then the offline store, then DCS
+ */
+export const fetchUSFMContent = async (bookValue, translation = 'ult', dcsHost = 'https://git.door43.org', dcsToken, projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const usfmSource = resolveUsfmSource(bookValue, translation, projectConfig);
+  const { repo, ref, path } = usfmSource;
+  const cacheKey = `${dcsHost}-${repo}@${ref}-${bookValue}`;
+
+  // Check cache first
+  const cached = usfmCache.get(cacheKey);
+  if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
+    console.log(`Using cached USFM content for ${translation} ${bookValue}`);
+    return cached.content;
+  }
+
+  const { content, source } = await readOfflineFirst(
+    offlineKey('usfm', dcsHost, `${repo}@${ref}`, path),
+    () => downloadUSFM(bookValue, translation, dcsHost, dcsToken, usfmSource),
+    `${translation} ${bookValue}`
+  );
+  recordFetchedSource(dcsHost, source);
 
   // Cache the result
   usfmCache.set(cacheKey, {
@@ -115,19 +238,59 @@ export const fetchUSFMContent = async (bookValue, translation = 'ult', dcsHost =
 };
 
 /**
- * Fetch existing TWL content for a specific book and branch
+ * Download a book's USFM for a translation into the offline store
  */
-export const fetchTWLContent = async (bookValue, branch = 'master', dcsHost = 'https://git.door43.org') => {
-  const bookCode = bookValue.toUpperCase();
+export const storeUSFMOffline = async (bookValue, translation = 'ult', dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const usfmSource = resolveUsfmSource(bookValue, translation, projectConfig);
+  const { content, source } = await downloadUSFM(bookValue, translation, dcsHost, null, usfmSource);
+  await storeOfflineResource(offlineKey('usfm', dcsHost, `${usfmSource.repo}@${usfmSource.ref}`, usfmSource.path), content, { source, book: bookValue });
+  return source;
+};
+
+const downloadTWL = async (bookCode, branch, dcsHost, projectConfig) => {
+  const { owner, twlRepo } = normalizeProjectConfig(projectConfig);
 
   const response = await fetch(
-    `${dcsHost}/api/v1/repos/unfoldingWord/en_twl/contents/twl_${bookCode}.tsv?ref=${branch}`
+    `${dcsHost}/api/v1/repos/${owner}/${twlRepo}/contents/twl_${bookCode}.tsv?ref=${branch}`
   );
 
   if (!response.ok) {
-    throw new Error(`Failed to fetch TWL content: ${response.statusText}`);
+    throw responseError(`Failed to fetch TWL content: ${response.statusText}`, response);
   }
 
   const data = await response.json();
-  return decodeBase64Content(data.content);
+  const source = createFetchedSource(`${owner}/${twlRepo}`, `twl_${bookCode}.tsv`, branch, data);
+  return { content: decodeBase64Content(data.content), source };
+};
+
+const getTWLOfflineKey = (bookCode, branch, dcsHost, projectConfig) => {
+  const { owner, twlRepo } = normalizeProjectConfig(projectConfig);
+  return offlineKey('twl', dcsHost, `${owner}/${twlRepo}@${branch}`, `twl_${bookCode}.tsv`);
+};
+
+/**
+ * Fetch existing TWL content for a specific book and branch of the project's TWL repository
+ * Reads the offline copy first when there is one (see readOfflineFirst())
+ * @throws {Error} With the HTTP status (error.status) when DCS answers with an error, e.g. 404 if the file doesn't exist
+ */
+export const fetchTWLContent = async (bookValue, branch = 'master', dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const bookCode = bookValue.toUpperCase();
+
+  const { content, source } = await readOfflineFirst(
+    getTWLOfflineKey(bookCode, branch, dcsHost, projectConfig),
+    () => downloadTWL(bookCode, branch, dcsHost, projectConfig),
+    `twl_${bookCode}.tsv (${branch})`
+  );
+  recordFetchedSource(dcsHost, source);
+  return content;
+};
+
+/**
+ * Download a book's TWL file on a branch of the project's TWL repository into the offline store
+ */
+export const storeTWLOffline = async (bookValue, branch = 'master', dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const bookCode = bookValue.toUpperCase();
+  const { content, source } = await downloadTWL(bookCode, branch, dcsHost, projectConfig);
+  await storeOfflineResource(getTWLOfflineKey(bookCode, branch, dcsHost, projectConfig), content, { source, book: bookValue.toLowerCase() });
+  return source;
 };
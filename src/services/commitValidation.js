@@ -0,0 +1,33 @@
+/**
+ * Pre-commit validation - loads the original-language text and the TW article index of the project and checks the
+ * table with validateTwlRows() (see utils/twlValidation.js) before it is committed to DCS
+ */
+
+import { fetchUSFMContent } from './apiService.js';
+import { fetchTwArticleIndex } from './twlService.js';
+import { buildVerseLexicon } from '../utils/fuzzyMatch.js';
+import { validateTwlRows } from '../utils/twlValidation.js';
+import { DEFAULT_PROJECT_CONFIG } from '../utils/projectConfig.js';
+
+/**
+ * Validate the rows about to be committed
+ * A resource that can't be loaded skips its check with a warning rather than blocking the commit
+ * @param {{headers: string[], rows: string[][]}} tableData - The table as displayed
+ * @param {string} bookCode - Book code
+ * @returns {Promise<{errors: Object[], warnings: Object[], checkedRows: number}>}
+ */
+export const validateTwlForCommit = async (tableData, bookCode, dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const [olResult, twResult] = await Promise.allSettled([
+    fetchUSFMContent(bookCode.toLowerCase(), 'original', dcsHost, null, projectConfig),
+    fetchTwArticleIndex(dcsHost, projectConfig),
+  ]);
+  if (olResult.status === 'rejected') console.warn('🚦 Could not load original-language USFM for validation:', olResult.reason?.message || olResult.reason);
+  if (twResult.status === 'rejected') console.warn('🚦 Could not load the TW articles for validation:', twResult.reason?.message || twResult.reason);
+
+  const verseWords = olResult.status === 'fulfilled' ? buildVerseLexicon(olResult.value) : null;
+  const twRcLinks = twResult.status === 'fulfilled' ? twResult.value.rcLinks : null;
+
+  const result = validateTwlRows(tableData, { bookCode, verseWords: verseWords?.size ? verseWords : null, twRcLinks });
+  console.log(`🚦 Validated ${result.checkedRows} rows of ${bookCode.toUpperCase()}: ${result.errors.length} errors, ${result.warnings.length} warnings`);
+  return result;
+};
@@ -0,0 +1,33 @@
+/**
+ * Snapshots of the generator's output per book (before merging), kept in the browser so a new run can be compared
+ * with the one before it (see generatorDiff.js) - e.g. after a ULT or twl-generator update
+ */
+
+import { readSnapshot, storeSnapshot } from '../utils/offlineStore.js';
+
+const getSnapshotKey = (bookCode) => `generatorRuns|${bookCode.toLowerCase()}`;
+
+/**
+ * The last two generator runs of a book
+ * @returns {Promise<{previous: Object|null, current: Object|null}>} Each run is {content, generatedAt,
+ *   generatorVersion, project}
+ */
+export const loadGeneratorRuns = async (bookCode) => {
+  const runs = await readSnapshot(getSnapshotKey(bookCode));
+  return { previous: runs?.previous || null, current: runs?.current || null };
+};
+
+/**
+ * Record a generator run of a book; the run recorded before it becomes the previous run
+ * @param {string} bookCode - Book code
+ * @param {string} content - The whole book's generator output (runTwlPipeline()'s generatorOutput)
+ * @param {Object} [details] - {generatorVersion, project} (e.g. describeProjectConfig()) to show with the run
+ * @returns {Promise<{previous: Object|null, current: Object}>}
+ */
+export const recordGeneratorRun = async (bookCode, content, { generatorVersion = '', project = '' } = {}) => {
+  const { current: previous } = await loadGeneratorRuns(bookCode);
+  const current = { content, generatedAt: new Date().toISOString(), generatorVersion, project };
+  await storeSnapshot(getSnapshotKey(bookCode), { previous, current });
+  console.log(`📸 Recorded the ${bookCode.toUpperCase()} generator run${previous ? ` (previous run ${previous.generatedAt})` : ''}`);
+  return { previous, current };
+};
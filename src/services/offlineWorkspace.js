@@ -0,0 +1,120 @@
+/**
+ * Offline workspace: download the DCS resources the app needs for a set of books into the IndexedDB offline store
+ * (apiService.js reads them first; fetchTwArchiveZip() starts from them), and have the service worker keep the app files
+ * so the app loads with no network. The service worker only runs while the store holds something
+ */
+
+import { storeBranchesOffline, storeUSFMOffline, storeTWLOffline } from './apiService.js';
+import { storeTwArchiveOffline } from './twlService.js';
+import { cacheLoadedAppFiles, registerServiceWorker, unregisterServiceWorker } from './serviceWorker.js';
+import { listOfflineResources, clearOfflineResources } from '../utils/offlineStore.js';
+import { getResourceRef } from '../utils/projectConfig.js';
+
+// Translations stored per book (the Scripture Viewer shows all three)
+export const OFFLINE_TRANSLATIONS = ['ult', 'ust', 'original'];
+
+/**
+ * Store the resources for the given books
+ * Shared resources (branch list, TW archive) are stored once; per book the USFM of each translation and the TWL file
+ * on each branch (plus the three-way merge base). A resource that fails is reported and the rest are still stored
+ * @param {Object} options
+ * @param {string[]} options.bookCodes - Books to make available offline
+ * @param {string[]} [options.branches] - TWL repository branches to store each book's TWL file from
+ * @param {string} [options.dcsHost] - DCS host
+ * @param {Object} [options.projectConfig] - Project configuration (see projectConfig.js)
+ * @param {function(string): Promise<void>} [options.warmUp] - Run once per book after its files are stored (e.g. a
+ *   generation, so the service worker keeps what twl-generator and the quote converters download)
+ * @param {function(Object): void} [options.onProgress] - Called with {label, index, total} before each step
+ * @param {function(): boolean} [options.isCancelled] - Checked between steps
+ * @returns {Promise<{stored: number, failures: Array<{label: string, message: string}>, cancelled: boolean}>}
+ */
+export const makeBooksAvailableOffline = async ({
+  bookCodes,
+  branches = ['master'],
+  dcsHost = 'https://git.door43.org',
+  projectConfig,
+  warmUp = null,
+  onProgress = () => {},
+  isCancelled = () => false,
+}) => {
+  // Registered first, so it sees what the warm-up generations download
+  try {
+    await registerServiceWorker();
+  } catch (error) {
+    console.warn('📴 Service worker registration failed:', error?.message || error);
+  }
+
+  const twlBranches = [...new Set([...branches, getResourceRef(projectConfig, 'twl')])];
+  const steps = [
+    { label: 'Branch list', run: () => storeBranchesOffline(dcsHost, projectConfig) },
+    { label: 'TW articles', run: () => storeTwArchiveOffline(dcsHost, projectConfig) },
+    ...bookCodes.flatMap((bookCode) => [
+      ...OFFLINE_TRANSLATIONS.map((translation) => ({
+        label: `${bookCode.toUpperCase()} ${translation === 'original' ? 'original language' : translation.toUpperCase()}`,
+        run: () => storeUSFMOffline(bookCode, translation, dcsHost, projectConfig),
+      })),
+      ...twlBranches.map((branch) => ({
+        label: `twl_${bookCode.toUpperCase()}.tsv (${branch})`,
+        run: () => storeTWLOffline(bookCode, branch, dcsHost, projectConfig),
+        optional: true,
+      })),
+      ...(warmUp ? [{ label: `${bookCode.toUpperCase()} generation`, run: () => warmUp(bookCode) }] : []),
+    ]),
+  ];
+
+  let stored = 0;
+  const failures = [];
+  for (let index = 0; index < steps.length; index++) {
+    if (isCancelled()) return { stored, failures, cancelled: true };
+
+    const { label, run, optional } = steps[index];
+    onProgress({ label, index, total: steps.length });
+    try {
+      await run();
+      stored++;
+    } catch (error) {
+      // Books without a TWL file on a branch are expected
+      if (optional) {
+        console.log(`📴 Skipped ${label}: ${error?.message || error}`);
+      } else {
+        console.warn(`📴 Could not make ${label} available offline:`, error?.message || error);
+        failures.push({ label, message: error?.message || String(error) });
+      }
+    }
+  }
+
+  await cacheLoadedAppFiles();
+  console.log(`📴 Stored ${stored} resources for offline use (${failures.length} failed)`);
+  return { stored, failures, cancelled: false };
+};
+
+/**
+ * Summarize the offline store per book
+ * @returns {Promise<{books: string[], count: number, size: number, storedAt: string}>} size in bytes (approximate),
+ *   storedAt of the oldest copy ('' if the store is empty)
+ */
+export const getOfflineSummary = async () => {
+  const resources = await listOfflineResources();
+  return {
+    books: [...new Set(resources.map((resource) => resource.book).filter(Boolean))].sort(),
+    count: resources.length,
+    size: resources.reduce((total, resource) => total + (resource.size || 0), 0),
+    storedAt: resources.map((resource) => resource.storedAt).sort()[0] || '',
+  };
+};
+
+/**
+ * Remove every offline copy and turn the service worker off
+ */
+export const clearOfflineWorkspace = async () => {
+  await clearOfflineResources();
+  await unregisterServiceWorker();
+};
+
+/**
+ * Run the service worker only while offline copies are stored (on startup, after a previous session changed them)
+ */
+export const syncOfflineServiceWorker = async () => {
+  const { count } = await getOfflineSummary();
+  await (count > 0 ? registerServiceWorker() : unregisterServiceWorker());
+};
@@ -0,0 +1,56 @@
+/**
+ * Service worker registration (public/sw.js) - keeps the app files and DCS responses so the app loads and runs with
+ * no network. Only registered while the offline workspace holds books (see offlineWorkspace.js), and only in
+ * production builds; the Vite dev server serves modules the worker can't cache
+ */
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+// Prefix of the caches public/sw.js creates
+const SERVICE_WORKER_CACHE_PREFIX = 'twl-offline';
+
+const canUseServiceWorker = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator && import.meta.env.PROD;
+
+/**
+ * Register the service worker and wait until it is active
+ */
+export const registerServiceWorker = async () => {
+  if (!canUseServiceWorker()) return;
+
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+};
+
+/**
+ * Unregister the service worker and delete its caches
+ */
+export const unregisterServiceWorker = async () => {
+  if (!canUseServiceWorker()) return;
+
+  const registrations = await navigator.serviceWorker.getRegistrations();
+  const ours = registrations.filter((registration) =>
+    [registration.active, registration.waiting, registration.installing].some((worker) => worker?.scriptURL.endsWith(SERVICE_WORKER_URL))
+  );
+  await Promise.all(ours.map((registration) => registration.unregister()));
+
+  if (typeof caches !== 'undefined') {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name.startsWith(SERVICE_WORKER_CACHE_PREFIX)).map((name) => caches.delete(name)));
+  }
+};
+
+/**
+ * Ask the service worker to keep every app file this page has loaded (scripts, styles, the pipeline worker)
+ * @returns {Promise<boolean>} false if no service worker controls the page
+ */
+export const cacheLoadedAppFiles = async () => {
+  const controller = typeof navigator !== 'undefined' ? navigator.serviceWorker?.controller : null;
+  if (!controller) return false;
+
+  const urls = performance
+    .getEntriesByType('resource')
+    .map((entry) => entry.name)
+    .filter((url) => url.startsWith(window.location.origin) && !url.includes('/.netlify/'));
+  controller.postMessage({ type: 'CACHE_URLS', urls: [`${window.location.origin}/`, ...new Set(urls)] });
+  return true;
+};
@@ -0,0 +1,80 @@
+/**
+ * API functions for managing custom term mappings on the server (shared by all users)
+ */
+import { getUserIdentifier } from '../utils/userUtils.js';
+
+/**
+ * Add or update a term mapping on the server
+ * @param {Object} rule - {matchType, match, twLink, books, note}
+ */
+export const saveTermMappingToServer = async ({ matchType, match, twLink, books, note }) => {
+  try {
+    const response = await fetch('/.netlify/functions/save-term-mapping', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        matchType,
+        match,
+        twLink,
+        books,
+        note,
+        userIdentifier: getUserIdentifier(),
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error saving term mapping to server:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a term mapping from the server
+ */
+export const removeTermMappingFromServer = async (ruleKey) => {
+  try {
+    const response = await fetch('/.netlify/functions/remove-term-mapping', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ruleKey }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error removing term mapping from server:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all term mappings from the server
+ */
+export const getTermMappingsFromServer = async () => {
+  try {
+    const response = await fetch('/.netlify/functions/get-term-mappings');
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const result = await response.json();
+    console.log('🧭 [CLIENT] Received term mappings:', result.count || result.items?.length || 0, 'items');
+    return result.items || [];
+  } catch (error) {
+    console.error('Error getting term mappings from server:', error);
+    throw error;
+  }
+};
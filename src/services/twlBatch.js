@@ -0,0 +1,186 @@
+/**
+ * Batch TWL generation: run the pipeline for several books, each merged with its own file from the TWL repository, and package the
+ * results as one ZIP archive with a per-book summary
+ */
+
+import JSZip from 'jszip';
+import { BibleBookData } from '../common/books.js';
+import { fetchTWLContent, getFetchedSources } from './apiService.js';
+import { runTwlPipelineInWorker, isPipelineCancelled } from './twlPipelineWorker.js';
+import { normalizeTsvColumnCount, processTsvContent } from '../utils/tsvUtils.js';
+import { countTsvRows } from '../utils/pipelineSummary.js';
+
+export const BATCH_SUMMARY_FILE = 'summary.tsv';
+
+const BATCH_SUMMARY_COLUMNS = [
+  'Book',
+  'Existing Rows',
+  'Generated Rows',
+  'Merged',
+  'New',
+  'Old',
+  'Duplicates Removed',
+  'Deleted Rows',
+  'Committed Rows',
+  'Status',
+];
+
+/**
+ * Book codes of a testament ("old" or "new"), or of the whole Bible, in canonical order
+ */
+export const getTestamentBookCodes = (testament = '') =>
+  Object.keys(BibleBookData).filter((bookCode) => !testament || BibleBookData[bookCode].testament === testament);
+
+/**
+ * Summarize one book's pipeline result as a row of the batch summary
+ * Merged counts every matched status (MERGED, MERGED-FUZZY and the three-way statuses); Deleted Rows are soft-deleted
+ * rows that are not committed (unlinked words, deleted row markers, rows dropped by a three-way merge)
+ */
+const summarizeBook = (bookCode, content, summary, status = 'OK') => {
+  const statusCounts = summary.statusCounts || {};
+  const merged = Object.entries(statusCounts)
+    .filter(([status]) => status !== 'NEW' && status !== 'OLD')
+    .reduce((total, [, count]) => total + count, 0);
+  const committedRows = countTsvRows(processTsvContent(content, true));
+
+  return {
+    bookCode,
+    existingRows: summary.existingRows,
+    generatedRows: summary.generatedRows,
+    merged,
+    new: statusCounts.NEW || 0,
+    old: statusCounts.OLD || 0,
+    duplicatesRemoved: summary.duplicatesRemoved || 0,
+    deletedRows: summary.totalRows - committedRows,
+    committedRows,
+    status,
+  };
+};
+
+/**
+ * Build the batch summary TSV
+ * @param {Array<Object>} results - Per-book results from runTwlBatch()
+ */
+export const buildBatchSummaryTsv = (results) => {
+  const rows = results.map((result) =>
+    [
+      result.bookCode.toUpperCase(),
+      result.existingRows ?? '',
+      result.generatedRows ?? '',
+      result.merged ?? '',
+      result.new ?? '',
+      result.old ?? '',
+      result.duplicatesRemoved ?? '',
+      result.deletedRows ?? '',
+      result.committedRows ?? '',
+      result.status,
+    ].join('\t')
+  );
+  return [BATCH_SUMMARY_COLUMNS.join('\t'), ...rows].join('\n');
+};
+
+/**
+ * Run the pipeline for each book in turn (in the Web Worker, see twlPipelineWorker.js) and collect the output in a ZIP archive
+ * Each book is merged with its file in the TWL repository (pipelineOptions.projectConfig) on `branch` (books without one are generated fresh, which their status says). A book that fails, including one whose
+ * existing TWL can't be read, is recorded in the summary and the batch moves on to the next one
+ * @param {Object} options
+ * @param {string[]} options.bookCodes - Books to generate
+ * @param {string} [options.branch] - TWL repository branch to fetch each book's existing TWL from
+ * @param {Object} [options.pipelineOptions] - Options passed to runTwlPipeline() for every book (merge strategy, match key, ...)
+ * @param {function(string): Promise<Array>} [options.loadDeletedRows] - Loads a book's deleted row markers
+ * @param {string} [options.dcsHost] - DCS host
+ * @param {function(Object): void} [options.onProgress] - Called with {bookCode, index, total, stage} before each book
+ *   and as each pipeline stage (PIPELINE_STAGES) starts
+ * @returns {{promise: Promise<{zip: JSZip, results: Array<Object>, cancelled: boolean}>, cancel: function(): void}} The
+ *   batch result, and a function that stops the book being generated and the rest of the batch (the ZIP then holds the
+ *   finished books)
+ */
+export const runTwlBatch = ({
+  bookCodes,
+  branch = 'master',
+  pipelineOptions = {},
+  loadDeletedRows = null,
+  dcsHost = 'https://git.door43.org',
+  onProgress = () => {},
+}) => {
+  let cancelled = false;
+  let cancelRun = () => {};
+
+  const run = async () => {
+    const zip = new JSZip();
+    const results = [];
+
+    for (let index = 0; index < bookCodes.length; index++) {
+      if (cancelled) break;
+      cancelRun = () => {};
+
+      const bookCode = bookCodes[index];
+      const bookUpper = bookCode.toUpperCase();
+      onProgress({ bookCode, index, total: bookCodes.length, stage: '' });
+      console.log(`📦 [BATCH] ${index + 1}/${bookCodes.length}: ${bookUpper}`);
+
+      try {
+        // Only a book that has no TWL file is generated fresh; any other failure to read it fails the book, since
+        // generating from scratch would drop every edit in the existing TWL
+        let existingTwlContent = '';
+        let status = 'OK';
+        try {
+          existingTwlContent = await fetchTWLContent(bookCode, branch, dcsHost, pipelineOptions.projectConfig);
+        } catch (error) {
+          if (error?.status !== 404) {
+            throw new Error(`Could not load the existing TWL from ${branch}: ${error?.message || error}`);
+          }
+          console.warn(`📦 [BATCH] No existing TWL for ${bookUpper} on ${branch}, generating fresh`);
+          status = `OK (no TWL on ${branch}, generated fresh)`;
+        }
+
+        let deletedRows = null;
+        if (loadDeletedRows) {
+          try {
+            deletedRows = await loadDeletedRows(bookCode);
+          } catch (error) {
+            console.warn(`📦 [BATCH] Could not load deleted row markers for ${bookUpper}:`, error?.message || error);
+          }
+        }
+
+        if (cancelled) break;
+        const pipelineRun = runTwlPipelineInWorker(
+          {
+            ...pipelineOptions,
+            bookCode,
+            existingTwlContent,
+            deletedRows,
+            dcsHost,
+            provenance: pipelineOptions.provenance ? { ...pipelineOptions.provenance, existingTwlRef: existingTwlContent ? branch : '' } : null,
+            // The book's TWL was just fetched here, outside the worker that records provenance
+            fetchedSources: getFetchedSources(dcsHost),
+          },
+          (stage) => onProgress({ bookCode, index, total: bookCodes.length, stage })
+        );
+        cancelRun = pipelineRun.cancel;
+        const result = await pipelineRun.promise;
+
+        zip.file(`twl_${bookUpper}_creation_app.tsv`, normalizeTsvColumnCount(result.content));
+        zip.file(`twl_${bookUpper}.tsv`, processTsvContent(result.content, true));
+        if (result.provenance) {
+          zip.file(`twl_${bookUpper}_creation_app.provenance.json`, JSON.stringify(result.provenance, null, 2));
+        }
+        results.push(summarizeBook(bookCode, result.content, result.summary, status));
+      } catch (error) {
+        if (isPipelineCancelled(error)) break;
+        console.error(`📦 [BATCH] ${bookUpper} failed:`, error);
+        results.push({ bookCode, status: `FAILED: ${error?.message || error}` });
+      }
+    }
+
+    zip.file(BATCH_SUMMARY_FILE, buildBatchSummaryTsv(results));
+    return { zip, results, cancelled };
+  };
+
+  const cancel = () => {
+    cancelled = true;
+    cancelRun();
+  };
+
+  return { promise: run(), cancel };
+};
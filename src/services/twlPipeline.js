@@ -0,0 +1,529 @@
+/**
+ * TWL generation pipeline: generate, convert quotes, apply custom term mappings, merge with an existing TWL, reorder,
+ * repair IDs and apply unlinked-word and deleted-row filtering. Shared by the app and the command-line entry point (scripts/twl-cli.js),
+ * so it only relies on fetch and must not touch the DOM or localStorage.
+ */
+
+import { generateTwlByBook } from 'twl-generator';
+import { convertGLQuotes2OLQuotes, addGLQuoteCols } from 'tsv-quote-converters';
+import { fetchTWLContent, fetchUSFMContent, getFetchedSources } from './apiService.js';
+import {
+  mergeExistingTwls,
+  mergeExistingTwlsGeneratedFirst,
+  mergeExistingTwlsThreeWay,
+  prepareExistingTwlForMerge,
+  getGeneratedMatchKeyStrategy,
+} from './twlService.js';
+import { orderRowsByVersePosition } from '../utils/verseOrdering.js';
+import { ensureUniqueIds, parseTsv } from '../utils/tsvUtils.js';
+import { filterUnlinkedWordsWithData } from '../utils/unlinkedWords.js';
+import { filterDeletedRowsWithData } from '../utils/deletedRows.js';
+import { buildVerseLexicon } from '../utils/fuzzyMatch.js';
+import { MATCH_KEY_STRATEGIES, DEFAULT_MATCH_KEY_STRATEGY } from '../utils/matchKeys.js';
+import { countTsvRows, countMergeStatuses, countIdChanges, countNewlyDeletedRows } from '../utils/pipelineSummary.js';
+import { addProvenanceColumns, createProvenanceRecord, formatSourceRef } from '../utils/provenance.js';
+import { renumberOccurrencesForBook } from '../utils/occurrences.js';
+import { filterTsvByRange, formatReferenceRange } from '../utils/referenceRange.js';
+import { findTermMappingRows, applyTermMappingRows, markTermMappedRows, isTermMappingForBook } from '../utils/termMappings.js';
+import { buildRoundTripTsv, buildReturnTripTsv, compareQuoteRoundTrip } from '../utils/quoteRoundTrip.js';
+import {
+  DEFAULT_PROJECT_CONFIG,
+  normalizeProjectConfig,
+  getBibleLink,
+  GENERATOR_BIBLE_LINK,
+  isGeneratorBible,
+  describeProjectConfig,
+  describeResourcePins,
+  getResourceRepo,
+  getResourceRef,
+} from '../utils/projectConfig.js';
+import { BibleBookData } from '../common/books.js';
+
+export const MERGE_STRATEGIES = {
+  FETCHED_FIRST: 'fetched-first',
+  GENERATED_FIRST: 'generated-first',
+  THREE_WAY: 'three-way',
+};
+
+// Stages reported to options.onProgress, in the order they run (merging is skipped without an existing TWL,
+// reordering when verse reordering is off)
+export const PIPELINE_STAGES = [
+  { key: 'fetching', label: 'Fetching sources' },
+  { key: 'generating', label: 'Generating' },
+  { key: 'converting', label: 'Converting quotes' },
+  { key: 'merging', label: 'Merging' },
+  { key: 'reordering', label: 'Reordering' },
+  { key: 'filtering', label: 'Filtering' },
+];
+
+/**
+ * Build the verse lexicon (lemmas/Strong's per verse) of a book's original-language USFM
+ * Returns null if the USFM can't be loaded, so matching falls back to OrigWords and edit distance
+ */
+export const loadVerseLexicon = async (bookCode, dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  try {
+    const olUsfmContent = await fetchUSFMContent(bookCode.toLowerCase(), 'original', dcsHost, null, projectConfig);
+    return buildVerseLexicon(olUsfmContent);
+  } catch (error) {
+    console.warn('Could not load original-language USFM for matching:', error?.message || error);
+    return null;
+  }
+};
+
+/**
+ * Generate a TWL for a book with twl-generator and convert its GLQuotes to OrigWords
+ * The generator's quotes come from en_ult at master (GENERATOR_BIBLE_LINK), so they are converted against it; when the
+ * project's GL Bible is another Bible or pinned, the GLQuote columns are then filled from that Bible
+ * @param {function(string): void} [onProgress] - Called with the 'generating' and 'converting' stage keys
+ * @param {Object} [projectConfig] - Project configuration (see projectConfig.js)
+ * @returns {Promise<{generatedTwl: string, noMatchTsv: string}>}
+ */
+export const generateTwl = async (bookCode, dcsHost = 'https://git.door43.org', onProgress = () => {}, projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  // Generate TWL using external library
+  onProgress('generating');
+  const response = await generateTwlByBook(bookCode, { dcsHost });
+
+  console.log('Generated TWL (before processing):', response.matchedTsv);
+  console.log('No-match TSV:', response.noMatchTsv);
+
+  let generatedTwl = response.matchedTsv;
+
+  onProgress('converting');
+  try {
+    const convertResponse = await convertGLQuotes2OLQuotes({
+      bibleLink: GENERATOR_BIBLE_LINK,
+      bookCode,
+      tsvContent: generatedTwl,
+      trySeparatorsAndOccurrences: true,
+      dcsUrl: dcsHost,
+    });
+
+    if (!convertResponse || typeof convertResponse !== 'object' || !convertResponse.output) {
+      throw new Error(`convertGLQuotes2OLQuotes failed: ${JSON.stringify(convertResponse)}`);
+    }
+
+    generatedTwl = convertResponse.output;
+  } catch (error) {
+    console.error('Error in convertGLQuotes2OLQuotes:', error);
+    throw error;
+  }
+
+  if (!isGeneratorBible(projectConfig)) {
+    const bibleLink = getBibleLink(projectConfig);
+    console.warn(`📖 twl-generator reads ${GENERATOR_BIBLE_LINK}; filling GLQuotes from ${bibleLink}`);
+    const glResponse = await addGLQuoteCols({ bibleLinks: [bibleLink], bookCode, tsvContent: generatedTwl, trySeparatorsAndOccurrences: true, dcsUrl: dcsHost });
+    if (!glResponse?.output) {
+      throw new Error(`addGLQuoteCols failed: ${JSON.stringify(glResponse)}`);
+    }
+    generatedTwl = glResponse.output;
+  }
+
+  return { generatedTwl, noMatchTsv: response.noMatchTsv || '' };
+};
+
+/**
+ * Apply curators' term mappings (see termMappings.js) to generated TWL content
+ * Added rows get their GLQuote and GLOccurrence from the project's GL Bible where the words are aligned
+ * @param {Map} lexicon - Verse lexicon of the book from buildVerseLexicon()
+ * @returns {Promise<{content: string, added: number, overridden: number, keys: string[]}>}
+ */
+export const applyTermMappings = async (generatedTwl, termMappings, bookCode, lexicon, dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const mappingRows = findTermMappingRows(termMappings, bookCode, lexicon);
+  if (mappingRows.length === 0) return { content: generatedTwl, added: 0, overridden: 0, keys: [] };
+
+  try {
+    const tsvContent = [
+      ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink'].join('\t'),
+      ...mappingRows.map((row) => [row.reference, '', '', row.origWords, row.occurrence, row.twLink].join('\t')),
+    ].join('\n');
+    const response = await addGLQuoteCols({ bibleLinks: [getBibleLink(projectConfig)], bookCode, tsvContent, trySeparatorsAndOccurrences: true, dcsUrl: dcsHost });
+    const { headers, rows } = parseTsv((response?.output || '').trim(), true);
+    const glQuoteIndex = headers.indexOf('GLQuote');
+    const glOccurrenceIndex = headers.indexOf('GLOccurrence');
+    if (glQuoteIndex >= 0 && rows.length === mappingRows.length) {
+      rows.forEach((row, i) => {
+        mappingRows[i].glQuote = row[glQuoteIndex] || '';
+        mappingRows[i].glOccurrence = glOccurrenceIndex >= 0 ? row[glOccurrenceIndex] || '' : '';
+      });
+    }
+  } catch (error) {
+    console.warn('Could not add GLQuotes to term-mapped rows:', error?.message || error);
+  }
+
+  const result = applyTermMappingRows(generatedTwl, mappingRows);
+  console.log(`🧭 Term mappings added ${result.added} rows and relinked ${result.overridden}`);
+  return result;
+};
+
+/**
+ * Convert one GLQuote of the generator (e.g. of a no-match candidate) to OrigWords the way generated rows are converted
+ * @returns {Promise<{origWords: string, occurrence: string, glQuote: string, glOccurrence: string}>} glQuote and
+ *   glOccurrence are from the project's GL Bible, the same as the given ones when that is the generator's Bible
+ * @throws {Error} If the quote can't be found in the verse of the generator's Bible
+ */
+export const convertGLQuoteToOrigWords = async ({
+  bookCode,
+  reference,
+  glQuote,
+  glOccurrence = '1',
+  dcsHost = 'https://git.door43.org',
+  projectConfig = DEFAULT_PROJECT_CONFIG,
+}) => {
+  const headers = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink', 'GLQuote', 'GLOccurrence'];
+  const row = [reference, '', '', glQuote, glOccurrence || '1', '', glQuote, glOccurrence || '1'];
+  const convertResponse = await convertGLQuotes2OLQuotes({
+    bibleLink: GENERATOR_BIBLE_LINK,
+    bookCode,
+    tsvContent: [headers.join('\t'), row.join('\t')].join('\n'),
+    trySeparatorsAndOccurrences: true,
+    dcsUrl: dcsHost,
+  });
+
+  const [outputHeader, outputRow] = (convertResponse?.output || '').split('\n');
+  const outputHeaders = (outputHeader || '').split('\t');
+  const cells = (outputRow || '').split('\t');
+  const origWords = (cells[outputHeaders.indexOf('OrigWords')] || '').trim();
+  if (!origWords || origWords === glQuote) {
+    throw new Error(`Could not find the original-language words for "${glQuote}" in ${reference}`);
+  }
+  const occurrence = (cells[outputHeaders.indexOf('Occurrence')] || '1').trim();
+  if (isGeneratorBible(projectConfig)) {
+    return { origWords, occurrence, glQuote, glOccurrence: glOccurrence || '1' };
+  }
+
+  const glResponse = await addGLQuoteCols({
+    bibleLinks: [getBibleLink(projectConfig)],
+    bookCode,
+    tsvContent: [headers.join('\t'), [reference, '', '', origWords, occurrence, '', '', ''].join('\t')].join('\n'),
+    trySeparatorsAndOccurrences: true,
+    dcsUrl: dcsHost,
+  });
+  const { headers: glHeaders, rows: glRows } = parseTsv((glResponse?.output || '').trim(), true);
+  const projectGLQuote = (glRows[0]?.[glHeaders.indexOf('GLQuote')] || '').trim();
+  if (!projectGLQuote || projectGLQuote.includes('QUOTE_NOT_FOUND')) {
+    throw new Error(`Could not find "${origWords}" of ${reference} in ${getBibleLink(projectConfig)}`);
+  }
+  return { origWords, occurrence, glQuote: projectGLQuote, glOccurrence: (glRows[0][glHeaders.indexOf('GLOccurrence')] || '1').trim() };
+};
+
+/**
+ * Convert the OrigWords of every live row to a GLQuote of the project's GL Bible and back, and report the rows that
+ * don't come back with the same OrigWords and Occurrence (see utils/quoteRoundTrip.js)
+ * @param {{headers: string[], rows: string[][]}} tableData - The table as displayed
+ * @returns {Promise<{failures: Object[], checkedRows: number}>}
+ */
+export const verifyQuoteRoundTrip = async (tableData, bookCode, dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const bibleLink = getBibleLink(projectConfig);
+  const glResponse = await addGLQuoteCols({ bibleLinks: [bibleLink], bookCode, tsvContent: buildRoundTripTsv(tableData), trySeparatorsAndOccurrences: true, dcsUrl: dcsHost });
+  if (!glResponse || typeof glResponse !== 'object' || !glResponse.output) {
+    throw new Error(`addGLQuoteCols failed: ${JSON.stringify(glResponse)}`);
+  }
+
+  const returnResponse = await convertGLQuotes2OLQuotes({
+    bibleLink,
+    bookCode,
+    tsvContent: buildReturnTripTsv(glResponse.output),
+    trySeparatorsAndOccurrences: true,
+    dcsUrl: dcsHost,
+  });
+  if (!returnResponse || typeof returnResponse !== 'object' || !returnResponse.output) {
+    throw new Error(`convertGLQuotes2OLQuotes failed: ${JSON.stringify(returnResponse)}`);
+  }
+
+  const result = compareQuoteRoundTrip(tableData, glResponse.output, returnResponse.output);
+  console.log(`🔁 Quote round trip of ${bookCode.toUpperCase()}: ${result.failures.length} of ${result.checkedRows} rows don't convert back`);
+  return result;
+};
+
+/**
+ * Stamp the provenance columns on the pipeline output and build its sidecar record
+ * The GL Bible and original-language USFM are fetched again (normally from cache) only to learn which commits they came from.
+ * fetchedSources adds files fetched in another JS context (the existing TWL is fetched on the main thread, while the
+ * pipeline runs in the Web Worker)
+ */
+export const addPipelineProvenance = async (
+  content,
+  {
+    bookCode,
+    generatorVersion,
+    existingTwlRef = '',
+    mergeStrategy,
+    matchKeyStrategy = DEFAULT_MATCH_KEY_STRATEGY,
+    hasExisting,
+    fetchedSources = [],
+    dcsHost,
+    projectConfig = DEFAULT_PROJECT_CONFIG,
+  }
+) => {
+  const book = bookCode.toLowerCase();
+  const config = normalizeProjectConfig(projectConfig);
+  await Promise.allSettled([fetchUSFMContent(book, 'ult', dcsHost, null, config), fetchUSFMContent(book, 'original', dcsHost, null, config)]);
+
+  const usfmPath = `${BibleBookData[book]?.usfm}.usfm`;
+  const twlPath = `twl_${book.toUpperCase()}.tsv`;
+  const twlRepo = getResourceRepo(config, 'twl');
+  // Only the files of this run: each resource at the ref it was read at
+  const usfmRefs = ['bible', 'uhb', 'ugnt'].map((resource) => `${getResourceRepo(config, resource)}@${getResourceRef(config, resource)}`);
+  const twlRefs = [existingTwlRef, ...(mergeStrategy === MERGE_STRATEGIES.THREE_WAY ? [getResourceRef(config, 'twl')] : [])].filter(Boolean);
+  const allSources = new Map(
+    [...fetchedSources, ...getFetchedSources(dcsHost)].map((source) => [`${source.repo}|${source.path}|${source.ref}`, source])
+  );
+  const sources = Array.from(allSources.values()).filter(
+    (source) =>
+      (source.path === usfmPath && usfmRefs.includes(`${source.repo}@${source.ref}`)) ||
+      (hasExisting && source.repo === twlRepo && source.path === twlPath && twlRefs.includes(source.ref))
+  );
+
+  const ultSource = sources.find((source) => source.repo === getResourceRepo(config, 'bible') && source.path === usfmPath);
+  const importedSource = sources.find((source) => source.repo === twlRepo && source.path === twlPath && source.ref === existingTwlRef);
+  let importedRef = '';
+  if (hasExisting) {
+    importedRef = importedSource ? formatSourceRef(importedSource) : existingTwlRef ? `${config.twlRepo}@${existingTwlRef}` : `${config.twlRepo} (uploaded)`;
+  }
+
+  const generatedAt = new Date().toISOString();
+  return {
+    content: addProvenanceColumns(content, {
+      // The generator reads en_ult at master; the fetched ULT's commit only applies when it is that Bible
+      generatorRef: [`twl-generator@${generatorVersion}`, isGeneratorBible(config) ? formatSourceRef(ultSource) : GENERATOR_BIBLE_LINK.replace(/\/([^/]+)$/, '@$1')]
+        .filter(Boolean)
+        .join(' '),
+      importedRef,
+      generatedAt,
+    }),
+    provenance: createProvenanceRecord({
+      bookCode: book,
+      generatorVersion,
+      generatedAt,
+      mergeStrategy: hasExisting ? mergeStrategy : '',
+      existingTwlRef,
+      matchKey: { selected: matchKeyStrategy, generatedRows: getGeneratedMatchKeyStrategy(matchKeyStrategy) },
+      sources,
+      projectConfig: config,
+    }),
+  };
+};
+
+/**
+ * Run the whole pipeline for a book
+ * @param {Object} options
+ * @param {string} options.bookCode - Book code (e.g. "gen")
+ * @param {string} [options.existingTwlContent] - 6-column TWL to merge with (empty for a fresh TWL)
+ * @param {string} [options.mergeStrategy] - One of MERGE_STRATEGIES
+ * @param {boolean} [options.reorderByVerse] - Reorder rows by ULT verse position (removes duplicates)
+ * @param {string} [options.matchKeyStrategy] - One of MATCH_KEY_STRATEGIES
+ * @param {boolean} [options.fuzzyMatch] - Pair leftover rows whose original-language text shifted
+ * @param {boolean} [options.renumberOccurrences] - Renumber Occurrence in the existing TWL (and three-way base) against
+ *   the current original-language text before merging
+ * @param {Array} [options.unlinkedWords] - Unlinked words (rows with these OrigWords + TWLink are soft-deleted)
+ * @param {Array} [options.termMappings] - Custom term mappings ({matchType, match, twLink, books}, see termMappings.js)
+ * @param {Array|null} [options.deletedRows] - Deleted row markers, or null if they could not be loaded
+ * @param {string} [options.dcsHost] - DCS host
+ * @param {Object} [options.projectConfig] - Owner, GL Bible, TWL and TW repositories and ref (see projectConfig.js)
+ * @param {Object|null} [options.provenance] - {generatorVersion, existingTwlRef} to add the Source, SourceRef and
+ *   GeneratedAt columns; existingTwlRef is the TWL repository branch the existing TWL was fetched from ('' if uploaded
+ *   or pasted)
+ * @param {Array} [options.fetchedSources] - getFetchedSources() entries of the calling context, so provenance records
+ *   the commit of an existing TWL that was fetched outside the Web Worker
+ * @param {Object|null} [options.range] - Chapter/verse range from parseReferenceRange(); the generated, existing and
+ *   base TWLs are cut down to it, so only rows inside the range come out (for spliceRangeIntoTwl())
+ * @param {Iterable<string>} [options.reservedIds] - IDs the output must not reuse (e.g. those of rows outside the range)
+ * @param {function(string): void} [options.onProgress] - Called with the key of each stage (PIPELINE_STAGES) as it starts;
+ *   an error it throws stops the run
+ * @returns {Promise<{content: string, noMatchTsv: string, mergeSources: Object|null, summary: Object, provenance: Object|null, generatorOutput: string}>}
+ *   mergeSources holds the generated and prepared imported TWLs, match key strategy and lexicon for the merge details panel; summary holds the
+ *   counts shown by the dry-run preview; provenance is the sidecar record when provenance columns were requested;
+ *   generatorOutput is the whole book's generator output (quotes converted) before range cutting and merging
+ */
+export const runTwlPipeline = async ({
+  bookCode,
+  existingTwlContent = '',
+  mergeStrategy = MERGE_STRATEGIES.GENERATED_FIRST,
+  reorderByVerse = true,
+  matchKeyStrategy = DEFAULT_MATCH_KEY_STRATEGY,
+  fuzzyMatch = true,
+  renumberOccurrences = false,
+  unlinkedWords = [],
+  termMappings = [],
+  deletedRows = null,
+  dcsHost = 'https://git.door43.org',
+  projectConfig = DEFAULT_PROJECT_CONFIG,
+  provenance = null,
+  fetchedSources = [],
+  range = null,
+  reservedIds = [],
+  onProgress = () => {},
+}) => {
+  // Load the GL Bible and original-language text up front; later stages read them from the USFM cache
+  onProgress('fetching');
+  const config = normalizeProjectConfig(projectConfig);
+  console.log(`🗂️ Project: ${describeProjectConfig(config)}${describeResourcePins(config) ? ` (pinned: ${describeResourcePins(config)})` : ''}`);
+  await Promise.allSettled([
+    fetchUSFMContent(bookCode.toLowerCase(), 'ult', dcsHost, null, config),
+    fetchUSFMContent(bookCode.toLowerCase(), 'original', dcsHost, null, config),
+  ]);
+
+  let { generatedTwl, noMatchTsv } = await generateTwl(bookCode, dcsHost, onProgress, config);
+  // The whole book's generator output, before it is cut to a range or merged (see generatorRuns.js)
+  const generatorOutput = generatedTwl;
+  let mergeSources = null;
+
+  // Lemmas from the original-language USFM are needed for fuzzy matching, the lemma match key and term mappings
+  const needsLexicon =
+    matchKeyStrategy === MATCH_KEY_STRATEGIES.LEMMAS || (fuzzyMatch && !!existingTwlContent.trim()) || termMappings.some((rule) => isTermMappingForBook(rule, bookCode));
+  const lexicon = needsLexicon ? await loadVerseLexicon(bookCode, dcsHost, config) : null;
+
+  // Curators' term mappings add rows the generator misses and override its links (on the whole book, before a range is cut)
+  let termMapping = { added: 0, overridden: 0, keys: [] };
+  if (lexicon && termMappings.length > 0) {
+    termMapping = await applyTermMappings(generatedTwl, termMappings, bookCode, lexicon, dcsHost, config);
+    generatedTwl = termMapping.content;
+  }
+
+  // twl-generator works on whole books, so a range is cut out of its output
+  if (range) {
+    console.log(`✂️ Limiting generation to ${bookCode.toUpperCase()} ${formatReferenceRange(range)}`);
+    generatedTwl = filterTsvByRange(generatedTwl, range);
+    noMatchTsv = filterTsvByRange(noMatchTsv, range);
+    existingTwlContent = filterTsvByRange(existingTwlContent, range);
+  }
+  const generatedRows = countTsvRows(generatedTwl);
+
+  const hasExisting = !!existingTwlContent.trim();
+  const mergeOptions = { matchKey: matchKeyStrategy, fuzzyMatch, lexicon };
+  // Generated rows have no stable IDs, so they may be paired by a different key than the one chosen
+  const generatedMatchKey = getGeneratedMatchKeyStrategy(matchKeyStrategy);
+
+  // Repair occurrence numbers the source text changes broke, so those rows can still be matched
+  let occurrenceReport = null;
+  if (hasExisting && renumberOccurrences) {
+    try {
+      const renumbered = await renumberOccurrencesForBook(existingTwlContent, bookCode, dcsHost, config);
+      existingTwlContent = renumbered.content;
+      occurrenceReport = renumbered.report;
+    } catch (error) {
+      console.warn('🔢 Could not renumber occurrences before merging:', error?.message || error);
+    }
+  }
+
+  // Merge with existing TWL if provided
+  if (hasExisting) {
+    console.log('Generated TWL before merging:', generatedTwl);
+    console.log('Merging with existing TWL (raw fetched content):', existingTwlContent);
+
+    const preparedExistingTwl = await prepareExistingTwlForMerge(existingTwlContent, bookCode, dcsHost, config);
+    // The merge details panel pairs the sources with the key the merge used
+    mergeSources = { generated: generatedTwl, imported: preparedExistingTwl, matchKey: generatedMatchKey, lexicon };
+
+    if (mergeStrategy === MERGE_STRATEGIES.THREE_WAY) {
+      const baseRef = getResourceRef(config, 'twl');
+      console.log(`Using THREE-WAY merge (${baseRef} TWL as common base)`);
+      let preparedBaseTwl = '';
+      try {
+        let baseTwl = await fetchTWLContent(bookCode, baseRef, dcsHost, config);
+        // The base is keyed the same way as the branch, so it is renumbered too
+        if (occurrenceReport) {
+          baseTwl = (await renumberOccurrencesForBook(baseTwl, bookCode, dcsHost, config)).content;
+        }
+        if (range) {
+          baseTwl = filterTsvByRange(baseTwl, range);
+        }
+        preparedBaseTwl = await prepareExistingTwlForMerge(baseTwl, bookCode, dcsHost, config);
+      } catch (error) {
+        console.warn(`Could not load ${baseRef} TWL as merge base:`, error?.message || error);
+      }
+      onProgress('merging');
+      generatedTwl = await mergeExistingTwlsThreeWay(generatedTwl, preparedExistingTwl, preparedBaseTwl, dcsHost, mergeOptions);
+    } else if (mergeStrategy === MERGE_STRATEGIES.GENERATED_FIRST) {
+      console.log('Using GENERATED-FIRST merge (ignoring fetched order)');
+      onProgress('merging');
+      generatedTwl = await mergeExistingTwlsGeneratedFirst(generatedTwl, preparedExistingTwl, dcsHost, mergeOptions);
+    } else {
+      console.log('Using FETCHED-FIRST merge (default)');
+      onProgress('merging');
+      generatedTwl = await mergeExistingTwls(generatedTwl, preparedExistingTwl, dcsHost, mergeOptions);
+    }
+
+    console.log('Generated TWL after merging with existing TWL:', generatedTwl);
+  }
+
+  // Rows that came from a term mapping are told apart from generator rows
+  const { content: markedTwl, marked: termMappedRows } = markTermMappedRows(generatedTwl, termMapping.keys);
+  generatedTwl = markedTwl;
+
+  // Counts for the dry-run summary
+  const summary = {
+    generatedRows,
+    existingRows: hasExisting ? countTsvRows(existingTwlContent) : 0,
+    matchKey: hasExisting ? generatedMatchKey : '',
+    selectedMatchKey: matchKeyStrategy,
+    statusCounts: countMergeStatuses(generatedTwl),
+    duplicatesRemoved: null,
+    idsAssigned: 0,
+    idsRewritten: 0,
+    hiddenByUnlinked: 0,
+    hiddenByDeleted: null,
+    occurrencesRenumbered: occurrenceReport ? occurrenceReport.changes.length : null,
+    occurrencesToReview: occurrenceReport ? occurrenceReport.reviews.length : 0,
+    range: range ? formatReferenceRange(range) : '',
+    termMappingRowsAdded: termMapping.added,
+    termMappingLinksOverridden: termMapping.overridden,
+    termMappedRows,
+  };
+
+  // Reorder rows based on ULT verse position - this applies whether merging or generating new TWL
+  if (reorderByVerse) {
+    try {
+      onProgress('reordering');
+      console.log('📖 Reordering TWL rows by ULT verse position...');
+      const rowCountBeforeReorder = countTsvRows(generatedTwl);
+      generatedTwl = await orderRowsByVersePosition(generatedTwl, bookCode, dcsHost, config);
+      summary.duplicatesRemoved = rowCountBeforeReorder - countTsvRows(generatedTwl);
+      console.log('📖 Verse-based reordering complete');
+    } catch (error) {
+      console.warn('📖 Failed to reorder by verse position:', error);
+      // Continue without reordering on error
+    }
+  }
+
+  // Ensure all IDs are unique and properly formatted
+  onProgress('filtering');
+  const twlBeforeIdRepair = generatedTwl;
+  generatedTwl = ensureUniqueIds(generatedTwl, reservedIds);
+  const idChanges = countIdChanges(twlBeforeIdRepair, generatedTwl);
+  summary.idsAssigned = idChanges.assigned;
+  summary.idsRewritten = idChanges.rewritten;
+
+  // Filter out unlinked words
+  const twlBeforeUnlinked = generatedTwl;
+  generatedTwl = filterUnlinkedWordsWithData(generatedTwl, unlinkedWords);
+  summary.hiddenByUnlinked = countNewlyDeletedRows(twlBeforeUnlinked, generatedTwl);
+
+  // Apply deleted row markers for this book
+  if (Array.isArray(deletedRows)) {
+    const twlBeforeDeleted = generatedTwl;
+    generatedTwl = filterDeletedRowsWithData(generatedTwl, deletedRows, matchKeyStrategy, lexicon);
+    summary.hiddenByDeleted = countNewlyDeletedRows(twlBeforeDeleted, generatedTwl);
+  }
+
+  // Record where each row came from
+  let provenanceRecord = null;
+  if (provenance) {
+    const stamped = await addPipelineProvenance(generatedTwl, {
+      ...provenance,
+      bookCode,
+      mergeStrategy,
+      matchKeyStrategy,
+      hasExisting,
+      fetchedSources,
+      dcsHost,
+      projectConfig: config,
+    });
+    generatedTwl = stamped.content;
+    provenanceRecord = stamped.provenance;
+  }
+
+  summary.totalRows = countTsvRows(generatedTwl);
+
+  return { content: generatedTwl, noMatchTsv, mergeSources, summary, provenance: provenanceRecord, generatorOutput };
+};
@@ -0,0 +1,105 @@
+/**
+ * Run the TWL generation pipeline in a Web Worker so the page stays responsive, with per-stage progress and cancel
+ * The worker is kept between runs (its USFM cache is reused) and terminated on cancel. Where Web Workers are not
+ * available the pipeline runs on the main thread and a cancel takes effect at the next stage
+ */
+
+import { runTwlPipeline } from './twlPipeline.js';
+
+let worker = null;
+let nextRunId = 1;
+
+const createCancelError = () => {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Whether an error came from cancelling a run
+ */
+export const isPipelineCancelled = (error) => error?.name === 'AbortError';
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/twlPipeline.worker.js', import.meta.url), { type: 'module' });
+  }
+  return worker;
+};
+
+/**
+ * Start a pipeline run
+ * @param {Object} options - runTwlPipeline() options (must be structured-cloneable, so no functions)
+ * @param {function(string): void} [onProgress] - Called with the key of each stage (PIPELINE_STAGES) as it starts
+ * @returns {{promise: Promise<Object>, cancel: function(): void}} The pipeline result, and a function that stops the
+ *   run (the promise then rejects with an error for which isPipelineCancelled() is true)
+ */
+export const runTwlPipelineInWorker = (options, onProgress = () => {}) => {
+  if (typeof Worker === 'undefined') {
+    let cancelled = false;
+    const promise = runTwlPipeline({
+      ...options,
+      onProgress: (stage) => {
+        if (cancelled) throw createCancelError();
+        onProgress(stage);
+      },
+    });
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+      },
+    };
+  }
+
+  const id = nextRunId++;
+  const runWorker = getWorker();
+  let rejectRun = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    rejectRun = reject;
+
+    const handleMessage = (event) => {
+      const { id: messageId, type, stage, result, message } = event.data || {};
+      if (messageId !== id) return;
+
+      if (type === 'progress') {
+        onProgress(stage);
+        return;
+      }
+      runWorker.removeEventListener('message', handleMessage);
+      runWorker.removeEventListener('error', handleError);
+      if (type === 'result') {
+        resolve(result);
+      } else {
+        reject(new Error(message));
+      }
+    };
+
+    const handleError = (event) => {
+      runWorker.removeEventListener('message', handleMessage);
+      runWorker.removeEventListener('error', handleError);
+      // A worker that failed to load or crashed is replaced on the next run
+      if (worker === runWorker) {
+        runWorker.terminate();
+        worker = null;
+      }
+      reject(new Error(event?.message || 'The generation worker failed'));
+    };
+
+    runWorker.addEventListener('message', handleMessage);
+    runWorker.addEventListener('error', handleError);
+    runWorker.postMessage({ id, options });
+  });
+
+  const cancel = () => {
+    console.log('🧵 Cancelling generation');
+    if (worker === runWorker) {
+      runWorker.terminate();
+      worker = null;
+    }
+    rejectRun(createCancelError());
+  };
+
+  return { promise, cancel };
+};
@@ -1,26 +1,270 @@
 import JSZip from 'jszip';
-import { parseTsv, hasHeader, compareReferences } from '../utils/tsvUtils.js';
-import { normalizeHebrewText } from '../utils/unlinkedWords.js';
+import { convertGLQuotes2OLQuotes, addGLQuoteCols } from 'tsv-quote-converters';
+import { parseTsv, hasHeader } from '../utils/tsvUtils.js';
+import { createRowSequence, getReferenceSortValue } from '../utils/rowSequence.js';
+import { findFuzzyMatches } from '../utils/fuzzyMatch.js';
+import { createMatchKeyBuilder, MATCH_KEY_STRATEGIES, DEFAULT_MATCH_KEY_STRATEGY } from '../utils/matchKeys.js';
+import { DEFAULT_PROJECT_CONFIG, normalizeProjectConfig, getBibleLink, getResourceRef, getTwArchivePrefix } from '../utils/projectConfig.js';
+import { offlineKey, readOfflineResource, storeOfflineResource, readCachedResource, storeCachedResource } from '../utils/offlineStore.js';
 
 /**
- * Fetch TW archive from DCS
+ * Merge Status values written by the three-way merge
  */
-export const fetchTwArchiveZip = async (dcsHost = 'https://git.door43.org') => {
-  const url = `${dcsHost}/api/v1/repos/unfoldingWord/en_tw/archive/master.zip`;
+export const THREE_WAY_STATUS = {
+  UNCHANGED: 'UNCHANGED',
+  OURS: 'CHANGED-OURS',
+  GENERATOR: 'CHANGED-GENERATOR',
+  CONFLICT: 'CONFLICT',
+};
+
+/**
+ * Merge Status of rows paired by the fuzzy matching pass rather than an exact key match
+ */
+export const FUZZY_MERGE_STATUS = 'MERGED-FUZZY';
+
+/**
+ * Match key strategy for comparing generated rows with existing rows
+ * Generated rows get new IDs, so the stable ID strategy falls back to Reference + OrigWords + Occurrence here
+ */
+export const getGeneratedMatchKeyStrategy = (strategy = DEFAULT_MATCH_KEY_STRATEGY) => {
+  if (strategy === MATCH_KEY_STRATEGIES.ID) {
+    console.log('Stable ID matching only applies between curated TWLs - matching generated rows by Reference + OrigWords + Occurrence');
+    return DEFAULT_MATCH_KEY_STRATEGY;
+  }
+  return strategy;
+};
+
+// Extract last two parts of TWLink path
+// e.g., "rc://*/tw/dict/bible/other/ruler" -> "other/ruler"
+const extractTWLinkPath = (twLink) => {
+  if (!twLink) return '';
+  const parts = twLink.split('/');
+  if (parts.length >= 2) {
+    return parts.slice(-2).join('/');
+  }
+  return twLink;
+};
+
+/**
+ * Index rows by match key, keeping file order within each key so duplicates pair up in sequence
+ * @param {function(string[]): string} keyOf - Key builder from createMatchKeyBuilder()
+ * @returns {Map<string, number[]>} Map of match key to row indices
+ */
+const indexRowsByKey = (rows, keyOf) => {
+  const index = new Map();
+  rows.forEach((row, i) => {
+    const key = keyOf(row);
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(i);
+  });
+  return index;
+};
+
+/**
+ * Take the first not yet matched row index for a key from an index built by indexRowsByKey()
+ * Indices already in `taken` (matched through another index of the same rows) are skipped, and the result is added to it
+ */
+const takeNextMatch = (keyIndex, key, taken = null) => {
+  const indices = keyIndex.get(key);
+  while (indices && indices.length > 0) {
+    const index = indices.shift();
+    if (!taken) return index;
+    if (!taken.has(index)) {
+      taken.add(index);
+      return index;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Run the fuzzy matching pass over the rows an exact pass left unmatched
+ * @param {number[]} matches - Matched existing row index per generated row (-1 if unmatched)
+ * @returns {Map<number, number>} Map of generated row index to existing row index
+ */
+const findLeftoverFuzzyMatches = (generatedRows, existingRows, matches, lexicon) => {
+  const matchedExisting = new Set(matches.filter((index) => index !== -1));
+  const unmatchedGenerated = matches.map((index, genIndex) => (index === -1 ? genIndex : -1)).filter((index) => index !== -1);
+  const unmatchedExisting = existingRows.map((_, index) => index).filter((index) => !matchedExisting.has(index));
+  if (unmatchedGenerated.length === 0 || unmatchedExisting.length === 0) return new Map();
+
+  return findFuzzyMatches(generatedRows, existingRows, unmatchedGenerated, unmatchedExisting, lexicon);
+};
+
+// In-flight or finished TW archive loads, keyed by DCS host, repository and ref
+const twArchiveRequests = new Map();
+
+const getTwArchiveSource = (dcsHost, projectConfig) => {
+  const { owner, twRepo } = normalizeProjectConfig(projectConfig);
+  const ref = getResourceRef(projectConfig, 'tw');
+  return { repo: `${owner}/${twRepo}`, ref, prefix: getTwArchivePrefix(projectConfig), key: offlineKey('tw', dcsHost, `${owner}/${twRepo}@${ref}`) };
+};
+
+const downloadTwArchive = async (dcsHost, { repo, ref }) => {
+  const url = `${dcsHost}/api/v1/repos/${repo}/archive/${ref}.zip`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.arrayBuffer();
+};
+
+// Commit SHA the TW ref (branch, tag or commit) currently points to
+const fetchTwCommitSha = async (dcsHost, { repo, ref }) => {
+  const url = `${dcsHost}/api/v1/repos/${repo}/commits?sha=${encodeURIComponent(ref)}&limit=1&stat=false&verification=false&files=false`;
   const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`HTTP error! status: ${response.status}`);
   }
-  const arrayBuffer = await response.arrayBuffer();
+  const [commit] = await response.json();
+  return commit?.sha || '';
+};
+
+/**
+ * Index of the articles in a TW archive: their rc:// links (sorted) and titles (first line without the "#")
+ */
+const buildTwArticleIndex = async (zip, prefix) => {
+  const paths = Object.keys(zip.files)
+    .filter((filePath) => filePath.startsWith(`${prefix}bible/`) && filePath.endsWith('.md'))
+    .sort();
+  const titles = {};
+  for (const filePath of paths) {
+    const content = await zip.files[filePath].async('string');
+    titles['rc://*/tw/dict/' + filePath.slice(prefix.length, filePath.length - '.md'.length)] = content.split('\n')[0].replace(/^#\s*/, '').trim();
+  }
+  return { rcLinks: Object.keys(titles), titles };
+};
+
+// A loaded archive: its article index, the commit it was made at, and the zip, which is only unpacked when asked for
+const createTwArchive = (index, commitSha, archive, zip = null) => {
+  let zipRequest = zip ? Promise.resolve(zip) : null;
+  return {
+    index,
+    commitSha,
+    loadZip: () => {
+      if (!zipRequest) zipRequest = JSZip.loadAsync(archive);
+      return zipRequest;
+    },
+  };
+};
+
+const downloadTwArchiveWithIndex = async (dcsHost, archiveSource, commitSha) => {
+  const arrayBuffer = await downloadTwArchive(dcsHost, archiveSource);
   const zip = await JSZip.loadAsync(arrayBuffer);
-  return zip;
+  const index = await buildTwArticleIndex(zip, archiveSource.prefix);
+  if (commitSha) {
+    await storeCachedResource(archiveSource.key, { archive: arrayBuffer, index }, commitSha);
+  }
+  return { arrayBuffer, zip, index };
+};
+
+/**
+ * Check in the background whether the ref still points to the commit a stored archive was made at, and download it
+ * again when not. Later loads get the new archive; an offline copy is refreshed too
+ */
+const refreshTwArchive = async (dcsHost, archiveSource, storedSha, hasOfflineCopy) => {
+  try {
+    const commitSha = await fetchTwCommitSha(dcsHost, archiveSource);
+    if (!commitSha || commitSha === storedSha) return;
+
+    console.log(`${archiveSource.repo} ${archiveSource.ref} moved to ${commitSha.slice(0, 10)}, downloading the archive again`);
+    const { arrayBuffer, zip, index } = await downloadTwArchiveWithIndex(dcsHost, archiveSource, commitSha);
+    if (hasOfflineCopy) {
+      await storeOfflineResource(archiveSource.key, arrayBuffer, { source: { repo: archiveSource.repo, path: '', ref: archiveSource.ref, commitSha } });
+    }
+    twArchiveRequests.set(archiveSource.key, Promise.resolve(createTwArchive(index, commitSha, arrayBuffer, zip)));
+  } catch (error) {
+    console.warn(`Could not check the ${archiveSource.repo} version, keeping the stored archive:`, error?.message || error);
+  }
+};
+
+/**
+ * Load the TW archive and its article index
+ * A stored copy (the cached download and index, or the offline copy if it is newer) is returned at once and the ref's commit is
+ * checked in the background (see refreshTwArchive()), unless the browser is offline. Without one the archive is
+ * downloaded and cached with the commit SHA
+ */
+const loadTwArchive = async (dcsHost, archiveSource) => {
+  const [cached, offline] = await Promise.all([readCachedResource(archiveSource.key), readOfflineResource(archiveSource.key)]);
+  const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+  // The offline copy is used over an older cached download
+  if (cached && (!offline || cached.storedAt >= offline.storedAt)) {
+    console.log(`Using cached ${archiveSource.repo} archive (${cached.version.slice(0, 10)})`);
+    if (!isOffline) refreshTwArchive(dcsHost, archiveSource, cached.version, !!offline);
+    return createTwArchive(cached.content.index, cached.version, cached.content.archive);
+  }
+
+  if (offline) {
+    console.log(`📴 Using offline copy of the ${archiveSource.repo} archive`);
+    const commitSha = offline.source?.commitSha || '';
+    const zip = await JSZip.loadAsync(offline.content);
+    const index = await buildTwArticleIndex(zip, archiveSource.prefix);
+    if (commitSha) {
+      await storeCachedResource(archiveSource.key, { archive: offline.content, index }, commitSha);
+    }
+    if (!isOffline) refreshTwArchive(dcsHost, archiveSource, commitSha, true);
+    return createTwArchive(index, commitSha, offline.content, zip);
+  }
+
+  const commitSha = await fetchTwCommitSha(dcsHost, archiveSource).catch((error) => {
+    console.warn(`Could not check the ${archiveSource.repo} version, the archive won't be cached:`, error?.message || error);
+    return '';
+  });
+  const { arrayBuffer, zip, index } = await downloadTwArchiveWithIndex(dcsHost, archiveSource, commitSha);
+  return createTwArchive(index, commitSha, arrayBuffer, zip);
+};
+
+const getTwArchive = (dcsHost, projectConfig) => {
+  const archiveSource = getTwArchiveSource(dcsHost, projectConfig);
+  // The table and the No match tab both need the archive; load it once per host, repository and ref
+  if (!twArchiveRequests.has(archiveSource.key)) {
+    const request = loadTwArchive(dcsHost, archiveSource);
+    // A failed load is retried next time
+    request.catch(() => twArchiveRequests.delete(archiveSource.key));
+    twArchiveRequests.set(archiveSource.key, request);
+  }
+  return twArchiveRequests.get(archiveSource.key);
+};
+
+/**
+ * Fetch the project's TW archive at its pinned ref - from the browser's cache or the offline store when there is a
+ * copy (checked against the ref's commit in the background), else from DCS
+ * Files in the zip are under a "<TW repository>/" folder (see getTwArchivePrefix())
+ */
+export const fetchTwArchiveZip = async (dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) =>
+  (await getTwArchive(dcsHost, projectConfig)).loadZip();
+
+/**
+ * Article index of the project's TW archive, cached with the archive (see fetchTwArchiveZip()); a cached index is
+ * returned without unpacking the zip
+ * @returns {Promise<{rcLinks: string[], titles: Object<string, string>}>} rc:// links of all articles (sorted) and the
+ *   title of each
+ */
+export const fetchTwArticleIndex = async (dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) =>
+  (await getTwArchive(dcsHost, projectConfig)).index;
+
+/**
+ * Download the project's TW archive into the offline store
+ */
+export const storeTwArchiveOffline = async (dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const archiveSource = getTwArchiveSource(dcsHost, projectConfig);
+  const arrayBuffer = await downloadTwArchive(dcsHost, archiveSource);
+  const commitSha = await fetchTwCommitSha(dcsHost, archiveSource).catch(() => '');
+  await storeOfflineResource(archiveSource.key, arrayBuffer, { source: { repo: archiveSource.repo, path: '', ref: archiveSource.ref, commitSha } });
+  twArchiveRequests.delete(archiveSource.key);
 };
 
 /**
  * Merge existing TWL content with newly generated TWL content
  * ALGORITHM: Use imported rows as anchor, process generated rows to either merge or insert as NEW
+ * options.matchKey selects the match key strategy (see matchKeys.js); with options.fuzzyMatch, rows left unmatched
+ * by the exact pass are paired by lemma/edit distance (see fuzzyMatch.js), take the generated OrigWords/Occurrence
+ * and are marked MERGED-FUZZY. options.lexicon (from buildVerseLexicon()) supplies lemmas to both.
  */
-export const mergeExistingTwls = async (generatedContent, existingContent, dcsHost = 'https://git.door43.org') => {
+export const mergeExistingTwls = async (generatedContent, existingContent, dcsHost = 'https://git.door43.org', options = {}) => {
   if (!existingContent.trim()) {
     return generatedContent; // No existing content to merge
   }
@@ -44,14 +288,22 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
   const occurrenceIndex = 4;
   const twLinkIndex = 5;
   const disambiguationIndex = generatedHeaders.findIndex(h => h === 'Disambiguation');
+  const keyOf = createMatchKeyBuilder(getGeneratedMatchKeyStrategy(options.matchKey), {}, options.lexicon);
 
   console.log('Starting merge process...');
   console.log(`Generated rows: ${generatedRows.length}, Imported rows: ${existingRows.length}`);
 
   // Start with imported rows as foundation - maintain their order
-  const finalRows = [];
+  const finalRows = createRowSequence(referenceIndex);
   const matchedImportedIndices = new Set();
   const referenceCursors = new Map(); // Track insertion position per reference
+  const importedIndexByKey = indexRowsByKey(existingRows, keyOf);
+  const oldEntriesByKey = new Map(); // Imported rows still marked OLD, in file order, per match key
+  const importedEntries = [];
+
+  // Exact matches: each generated row takes the first unmatched imported row with the same key
+  const exactMatches = generatedRows.map((row) => takeNextMatch(importedIndexByKey, keyOf(row)));
+  const fuzzyMatches = options.fuzzyMatch ? findLeftoverFuzzyMatches(generatedRows, existingRows, exactMatches, options.lexicon) : new Map();
 
   // First, add all imported rows as OLD (will be updated to MERGED if matched)
   existingRows.forEach((importedRow, index) => {
@@ -67,55 +319,28 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
       console.warn(`⚠️  Imported row ${index} already has DELETED prefix: ${ref}`);
     }
     
-    finalRows.push([...paddedRow, 'OLD']);
-  });
-
-  // Helper function to create a matching key
-  const createMatchKey = (row, refIndex, origIndex, occIndex) => {
-    let reference = row[refIndex] || '';
-    if (reference.startsWith('DELETED ')) {
-      reference = reference.substring(8);
-    }
-    const origWords = normalizeHebrewText(row[origIndex] || '');
-    const occurrence = row[occIndex] || '';
-    return `${reference}|${origWords}|${occurrence}`;
-  };
-
-  // Helper function to extract last two parts of TWLink path
-  // e.g., "rc://*/tw/dict/bible/other/ruler" -> "other/ruler"
-  const extractTWLinkPath = (twLink) => {
-    if (!twLink) return '';
-    const parts = twLink.split('/');
-    if (parts.length >= 2) {
-      return parts.slice(-2).join('/');
+    const entry = finalRows.push([...paddedRow, 'OLD']);
+    importedEntries.push(entry);
+    const key = keyOf(importedRow);
+    if (!oldEntriesByKey.has(key)) {
+      oldEntriesByKey.set(key, []);
     }
-    return twLink;
-  };
+    oldEntriesByKey.get(key).push(entry);
+  });
 
   // Process each generated row - maintain their order
   generatedRows.forEach((generatedRow, genIndex) => {
-    const genKey = createMatchKey(generatedRow, referenceIndex, origWordsIndex, occurrenceIndex);
+    const genKey = keyOf(generatedRow);
     const genTWLink = generatedRow[twLinkIndex];
-    const genDisambig = disambiguationIndex >= 0 ? (generatedRow[disambiguationIndex] || '') : '';
     const genRef = generatedRow[referenceIndex] || '';
 
     console.log(`\nProcessing generated row ${genIndex + 1}: ${genKey}, TWLink: ${genTWLink}`);
 
-    // Look for matching imported row
-    let matchedImportedIndex = -1;
-
-    // Try to find a match in imported rows (Reference + OrigWords + Occurrence)
-    for (let i = 0; i < existingRows.length; i++) {
-      if (matchedImportedIndices.has(i)) continue;
-
-      const importedRow = existingRows[i];
-      const impKey = createMatchKey(importedRow, referenceIndex, origWordsIndex, occurrenceIndex);
-
-      if (genKey === impKey) {
-        matchedImportedIndex = i;
-        console.log(`  Found match at imported index ${i}`);
-        break;
-      }
+    // Look for matching imported row (Reference + OrigWords + Occurrence), then a fuzzy match
+    const isFuzzy = exactMatches[genIndex] === -1 && fuzzyMatches.has(genIndex);
+    const matchedImportedIndex = isFuzzy ? fuzzyMatches.get(genIndex) : exactMatches[genIndex];
+    if (matchedImportedIndex !== -1) {
+      console.log(`  Found ${isFuzzy ? 'fuzzy ' : ''}match at imported index ${matchedImportedIndex}`);
     }
 
     if (matchedImportedIndex !== -1) {
@@ -125,25 +350,29 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
 
       console.log(`  Merging: keeping imported ID and TWLink=${impTWLink}, using generated GLQuote/GLOccurrence/Disambiguation`);
 
-      // Find the imported row in finalRows and update it
-      let finalRowIndex = -1;
-      for (let j = 0; j < finalRows.length; j++) {
-        if (finalRows[j][finalRows[j].length - 1] === 'OLD') {
-          // Check if this is the same imported row by comparing key data and TWLink
-          const finalRowKey = createMatchKey(finalRows[j], referenceIndex, origWordsIndex, occurrenceIndex);
-          const importedRowKey = createMatchKey(importedRow, referenceIndex, origWordsIndex, occurrenceIndex);
-          if (finalRowKey === importedRowKey && finalRows[j][twLinkIndex] === impTWLink) {
-            finalRowIndex = j;
-            break;
-          }
+      // Find the first imported row still marked OLD with the same key and TWLink
+      // (a fuzzy match always updates its own imported row)
+      const importedKey = isFuzzy ? keyOf(importedRow) : genKey;
+      const oldEntries = oldEntriesByKey.get(importedKey) || [];
+      const oldEntryPosition = isFuzzy
+        ? oldEntries.indexOf(importedEntries[matchedImportedIndex])
+        : oldEntries.findIndex((entry) => entry.row[twLinkIndex] === impTWLink);
+      const finalEntry = oldEntryPosition !== -1 ? oldEntries.splice(oldEntryPosition, 1)[0] : null;
+
+      if (finalEntry) {
+        const finalRow = finalEntry.row;
+        const finalRowIndex = finalRows.indexOf(finalEntry);
+
+        // The original-language text has shifted - follow the generated OrigWords/Occurrence
+        if (isFuzzy) {
+          finalRow[origWordsIndex] = generatedRow[origWordsIndex];
+          finalRow[occurrenceIndex] = generatedRow[occurrenceIndex];
         }
-      }
 
-      if (finalRowIndex !== -1) {
         // Keep imported data in first 6 columns (including ID and TWLink), use generated data for columns 6+
         for (let col = 6; col < generatedHeaders.length; col++) {
           if (col < generatedRow.length) {
-            finalRows[finalRowIndex][col] = generatedRow[col];
+            finalRow[col] = generatedRow[col];
           }
         }
 
@@ -156,7 +385,7 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
           if (!genDisambigValue.trim()) {
             // Generated has NO disambiguation - create one with both paths
             const newDisambiguation = `(${impPath}, ${genPath})`;
-            finalRows[finalRowIndex][disambiguationIndex] = newDisambiguation;
+            finalRow[disambiguationIndex] = newDisambiguation;
             console.log(`  TWLinks differ (${impTWLink} vs ${genTWLink}) and no disambiguation - created: ${newDisambiguation}`);
           } else {
             // Generated HAS disambiguation - add imported path to the beginning if not already present
@@ -169,7 +398,7 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
               if (!existingPaths.includes(impPath)) {
                 const newPaths = [impPath, ...existingPaths];
                 const newDisambiguation = `(${newPaths.join(', ')})`;
-                finalRows[finalRowIndex][disambiguationIndex] = newDisambiguation;
+                finalRow[disambiguationIndex] = newDisambiguation;
                 console.log(`  TWLinks differ (${impTWLink} vs ${genTWLink}) - added imported path to disambiguation: ${newDisambiguation}`);
               } else {
                 console.log(`  TWLinks differ but imported path already in disambiguation: ${genDisambigValue}`);
@@ -179,10 +408,10 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
         }
 
         // Update status to MERGED
-        finalRows[finalRowIndex][finalRows[finalRowIndex].length - 1] = 'MERGED';
+        finalRow[finalRow.length - 1] = isFuzzy ? FUZZY_MERGE_STATUS : 'MERGED';
         
         // Debug: Log the reference of the merged row
-        const mergedRef = finalRows[finalRowIndex][referenceIndex] || '';
+        const mergedRef = finalRow[referenceIndex] || '';
         if (mergedRef.startsWith('DELETED ')) {
           console.warn(`⚠️  MERGED row has DELETED prefix: ${mergedRef} | ${genKey}`);
         }
@@ -198,7 +427,7 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
       // No match found - insert as NEW
       console.log(`  No match found - will be added as NEW`);
 
-      let insertIndex = finalRows.length; // Default to end
+      let insertIndex;
 
       // Check if we have a cursor for this reference (previous generated row was processed for this reference)
       if (referenceCursors.has(genRef)) {
@@ -206,17 +435,7 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
         console.log(`  Using existing cursor for ${genRef}: position ${insertIndex}`);
       } else {
         // First generated row for this reference - find where it should go before any imported rows of same/greater reference
-        for (let i = 0; i < finalRows.length; i++) {
-          const existingRef = finalRows[i][referenceIndex] || '';
-          const cleanExistingRef = existingRef.startsWith('DELETED ') ? existingRef.substring(8) : existingRef;
-
-          const comparison = compareReferences(genRef, cleanExistingRef);
-
-          if (comparison <= 0) {
-            insertIndex = i;
-            break;
-          }
-        }
+        insertIndex = finalRows.firstIndexAtOrAfter(getReferenceSortValue(genRef));
         console.log(`  First generated row for ${genRef}, inserting at position ${insertIndex}`);
       }
 
@@ -228,7 +447,7 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
 
       // Insert the new row
       const newRow = [...paddedGeneratedRow, 'NEW'];
-      finalRows.splice(insertIndex, 0, newRow);
+      finalRows.insertAt(insertIndex, newRow);
 
       // Update cursor to after this insertion
       referenceCursors.set(genRef, insertIndex + 1);
@@ -241,15 +460,16 @@ export const mergeExistingTwls = async (generatedContent, existingContent, dcsHo
   console.log(`Total generated rows: ${generatedRows.length}`);
 
   // Rebuild the TSV content
-  const result = [finalHeaders.join('\t'), ...finalRows.map(row => row.join('\t'))].join('\n');
+  const result = [finalHeaders.join('\t'), ...finalRows.toArray().map(row => row.join('\t'))].join('\n');
   return result;
 };
 
 /**
  * Merge existing TWL content with newly generated TWL content (GENERATED-FIRST approach)
  * ALGORITHM: Use generated rows as anchor, insert fetched rows that don't match based on surrounding context
+ * options.matchKey, options.fuzzyMatch and options.lexicon work the same way as in mergeExistingTwls()
  */
-export const mergeExistingTwlsGeneratedFirst = async (generatedContent, existingContent, dcsHost = 'https://git.door43.org') => {
+export const mergeExistingTwlsGeneratedFirst = async (generatedContent, existingContent, dcsHost = 'https://git.door43.org', options = {}) => {
   if (!existingContent.trim()) {
     return generatedContent; // No existing content to merge
   }
@@ -269,10 +489,9 @@ export const mergeExistingTwlsGeneratedFirst = async (generatedContent, existing
 
   // Find column indices
   const referenceIndex = 0;
-  const origWordsIndex = 3;
-  const occurrenceIndex = 4;
   const twLinkIndex = 5;
   const disambiguationIndex = generatedHeaders.findIndex(h => h === 'Disambiguation');
+  const keyOf = createMatchKeyBuilder(getGeneratedMatchKeyStrategy(options.matchKey), {}, options.lexicon);
 
   console.log('Starting merge process (GENERATED-FIRST)...');
   console.log(`Generated rows: ${generatedRows.length}, Fetched rows: ${existingRows.length}`);
@@ -281,50 +500,23 @@ export const mergeExistingTwlsGeneratedFirst = async (generatedContent, existing
   const finalRows = [];
   const matchedFetchedIndices = new Set();
   const matchedGeneratedIndices = new Set();
+  const fetchedIndexByKey = indexRowsByKey(existingRows, keyOf);
+  const exactMatches = generatedRows.map((row) => takeNextMatch(fetchedIndexByKey, keyOf(row)));
+  const fuzzyMatches = options.fuzzyMatch ? findLeftoverFuzzyMatches(generatedRows, existingRows, exactMatches, options.lexicon) : new Map();
 
-  // Helper function to create a matching key
-  const createMatchKey = (row, refIndex, origIndex, occIndex) => {
-    let reference = row[refIndex] || '';
-    if (reference.startsWith('DELETED ')) {
-      reference = reference.substring(8);
-    }
-    const origWords = normalizeHebrewText(row[origIndex] || '');
-    const occurrence = row[occIndex] || '';
-    return `${reference}|${origWords}|${occurrence}`;
-  };
-
-  // Helper function to extract last two parts of TWLink path
-  const extractTWLinkPath = (twLink) => {
-    if (!twLink) return '';
-    const parts = twLink.split('/');
-    if (parts.length >= 2) {
-      return parts.slice(-2).join('/');
-    }
-    return twLink;
-  };
-
-  // First pass: Add all generated rows, marking matched ones as MERGED
+  // First pass: Add all generated rows, marking matched ones as MERGED (or MERGED-FUZZY)
   generatedRows.forEach((generatedRow, genIndex) => {
-    const genKey = createMatchKey(generatedRow, referenceIndex, origWordsIndex, occurrenceIndex);
+    const genKey = keyOf(generatedRow);
     const genTWLink = generatedRow[twLinkIndex];
     const genDisambig = disambiguationIndex >= 0 ? (generatedRow[disambiguationIndex] || '') : '';
 
     console.log(`\nProcessing generated row ${genIndex + 1}: ${genKey}, TWLink: ${genTWLink}`);
 
-    // Look for matching fetched row
-    let matchedFetchedIndex = -1;
-
-    for (let i = 0; i < existingRows.length; i++) {
-      if (matchedFetchedIndices.has(i)) continue;
-
-      const fetchedRow = existingRows[i];
-      const fetchedKey = createMatchKey(fetchedRow, referenceIndex, origWordsIndex, occurrenceIndex);
-
-      if (genKey === fetchedKey) {
-        matchedFetchedIndex = i;
-        console.log(`  Found match at fetched index ${i}`);
-        break;
-      }
+    // Look for matching fetched row, then a fuzzy match
+    const isFuzzy = exactMatches[genIndex] === -1 && fuzzyMatches.has(genIndex);
+    const matchedFetchedIndex = isFuzzy ? fuzzyMatches.get(genIndex) : exactMatches[genIndex];
+    if (matchedFetchedIndex !== -1) {
+      console.log(`  Found ${isFuzzy ? 'fuzzy ' : ''}match at fetched index ${matchedFetchedIndex}`);
     }
 
     // Pad generated row to match final headers length
@@ -373,7 +565,7 @@ export const mergeExistingTwlsGeneratedFirst = async (generatedContent, existing
         }
       }
 
-      finalRows.push([...paddedRow, 'MERGED']);
+      finalRows.push([...paddedRow, isFuzzy ? FUZZY_MERGE_STATUS : 'MERGED']);
       matchedFetchedIndices.add(matchedFetchedIndex);
       matchedGeneratedIndices.add(genIndex);
       
@@ -399,10 +591,13 @@ export const mergeExistingTwlsGeneratedFirst = async (generatedContent, existing
 
   console.log(`\nProcessing ${unmatchedFetched.length} unmatched fetched rows...`);
 
+  const finalSequence = createRowSequence(referenceIndex);
+  finalRows.forEach((row) => finalSequence.push(row));
+
   unmatchedFetched.forEach(({ row: fetchedRow, index: fetchedIndex }) => {
     const fetchedRef = fetchedRow[referenceIndex] || '';
     const cleanFetchedRef = fetchedRef.startsWith('DELETED ') ? fetchedRef.substring(8) : fetchedRef;
-    const fetchedKey = createMatchKey(fetchedRow, referenceIndex, origWordsIndex, occurrenceIndex);
+    const fetchedKey = keyOf(fetchedRow);
 
     console.log(`\nProcessing unmatched fetched row ${fetchedIndex}: ${fetchedKey}`);
 
@@ -412,35 +607,387 @@ export const mergeExistingTwlsGeneratedFirst = async (generatedContent, existing
       paddedFetchedRow.push('');
     }
 
-    // Find insertion point based on surrounding generated rows in final list
-    let insertIndex = finalRows.length; // Default to end
+    // Find insertion point based on surrounding generated rows in final list:
+    // after the last row of the same reference, before the first row of a later reference
+    const insertIndex = finalSequence.indexAfterReference(getReferenceSortValue(cleanFetchedRef));
+
+    console.log(`  Inserting OLD (fetched) row at position ${insertIndex}`);
+    finalSequence.insertAt(insertIndex, [...paddedFetchedRow, 'OLD']);
+  });
+
+  console.log(`\nFinal result: ${finalSequence.length} total rows`);
+  console.log(`Matched fetched rows: ${matchedFetchedIndices.size}`);
+  console.log(`Total generated rows: ${generatedRows.length}`);
+
+  // Rebuild the TSV content
+  const result = [finalHeaders.join('\t'), ...finalSequence.toArray().map(row => row.join('\t'))].join('\n');
+  return result;
+};
+
+/**
+ * Re-derive the OrigWords/Occurrence of an existing 6-column TWL from the current original-language text
+ * The existing OrigWords are first converted to GLQuotes of the project's GL Bible, which are then converted back to
+ * OrigWords so that the keys line up with freshly generated rows
+ */
+export const prepareExistingTwlForMerge = async (existingContent, bookCode, dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
+  const bibleLink = getBibleLink(projectConfig);
+  let existingTwlContentWithEnglishOrigWords = '';
+  try {
+    const addGlQuotesToExisingResults = await addGLQuoteCols({
+      bibleLinks: [bibleLink],
+      bookCode,
+      tsvContent: existingContent.trim(),
+      trySeparatorsAndOccurrences: true,
+      dcsUrl: dcsHost,
+    });
+
+    if (!addGlQuotesToExisingResults || typeof addGlQuotesToExisingResults !== 'object' || !addGlQuotesToExisingResults.output) {
+      throw new Error(`addGLQuoteCols failed: ${JSON.stringify(addGlQuotesToExisingResults)}`);
+    }
+
+    existingTwlContentWithEnglishOrigWords = addGlQuotesToExisingResults.output
+      .split('\n')
+      .filter((row) => row.trim() && row.split('\t').length == 8)
+      .map((row, idx) => {
+        const cols = row.split('\t');
+        if (idx === 0) {
+          return [cols[0], cols[1], cols[2], cols[3], cols[4], cols[7], cols[5], cols[6]].join('\t');
+        } else {
+          return [cols[0], cols[1], cols[2], cols[5], cols[6], cols[7], cols[5], cols[6]].join('\t');
+        }
+      })
+      .join('\n');
+  } catch (error) {
+    console.error('Error in addGLQuoteCols:', error);
+    throw error;
+  }
+
+  try {
+    const convertGl2OlResults = await convertGLQuotes2OLQuotes({
+      bibleLink,
+      bookCode,
+      tsvContent: existingTwlContentWithEnglishOrigWords,
+      trySeparatorsAndOccurrences: true,
+      dcsUrl: dcsHost,
+    });
+
+    console.log('Existing TWL with GLQuotes (after adding GLQuote columns):', convertGl2OlResults.output);
+    return convertGl2OlResults.output;
+  } catch (error) {
+    console.error('Error in convertGLQuotes2OLQuotes for existing TWL:', error);
+    throw error;
+  }
+};
+
+/**
+ * Merge existing TWL content with newly generated TWL content (THREE-WAY approach)
+ * ALGORITHM: Use the master version of the TWL file as the common base. Each row of the fetched branch
+ * ("ours") and of the generated content is compared against its base row to tell curator edits apart
+ * from generator changes. Rows keep the generated order; unmatched fetched rows are inserted by reference.
+ *
+ * Merge Status values:
+ * - UNCHANGED: neither side changed the row
+ * - CHANGED-OURS: only the fetched branch changed (or added/removed) the row - branch values are kept
+ * - CHANGED-GENERATOR: only the generator changed (or added/removed) the row - generated values are kept
+ * - CONFLICT: both sides changed the row differently - branch values are kept and both links are offered
+ *   as disambiguation options
+ * Rows removed by one side are kept as soft-deleted ("DELETED " prefix) so they can be restored.
+ * There is no fuzzy matching pass here: a shifted row shows up as removed on one side and added on the other.
+ * options.matchKey selects the match key strategy; with the stable ID strategy, branch rows are paired with base
+ * rows by ID (so curator edits to OrigWords/Reference are recognised) while generated rows still use
+ * Reference + OrigWords + Occurrence.
+ */
+export const mergeExistingTwlsThreeWay = async (generatedContent, existingContent, baseContent, dcsHost = 'https://git.door43.org', options = {}) => {
+  if (!existingContent.trim()) {
+    return generatedContent; // No existing content to merge
+  }
+
+  if (!baseContent || !baseContent.trim()) {
+    console.warn('No base (master) TWL content for three-way merge - falling back to GENERATED-FIRST merge');
+    return mergeExistingTwlsGeneratedFirst(generatedContent, existingContent, dcsHost, options);
+  }
+
+  // Parse generated content (always has header)
+  const generated = parseTsv(generatedContent, true);
+  const generatedHeaders = generated.headers;
+  const generatedRows = generated.rows;
+
+  // Parse existing (branch) and base (master) content (check if they have headers)
+  const existingRows = parseTsv(existingContent, hasHeader(existingContent)).rows;
+  const baseRows = parseTsv(baseContent, hasHeader(baseContent)).rows;
+
+  // Create final headers: generated headers + "Merge Status"
+  const finalHeaders = [...generatedHeaders, 'Merge Status'];
+
+  // Find column indices
+  const referenceIndex = 0;
+  const idIndex = 1;
+  const tagsIndex = 2;
+  const twLinkIndex = 5;
+  const disambiguationIndex = generatedHeaders.findIndex(h => h === 'Disambiguation');
+
+  // Curators may change the ID, Tags and TWLink of a row; the generator only decides the TWLink
+  const oursCompareColumns = [idIndex, tagsIndex, twLinkIndex];
+  const generatorCompareColumns = [twLinkIndex];
+
+  console.log('Starting merge process (THREE-WAY)...');
+  console.log(`Generated rows: ${generatedRows.length}, Fetched rows: ${existingRows.length}, Base rows: ${baseRows.length}`);
+
+  // A missing row on one side and a present row on the other counts as a change
+  const hasRowChanged = (fromRow, toRow, columns) => {
+    if (!fromRow && !toRow) return false;
+    if (!fromRow || !toRow) return true;
+    return columns.some((col) => (fromRow[col] || '').trim() !== (toRow[col] || '').trim());
+  };
+
+  const padRow = (row) => {
+    const paddedRow = [...row];
+    while (paddedRow.length < finalHeaders.length - 1) {
+      paddedRow.push('');
+    }
+    return paddedRow;
+  };
+
+  const softDelete = (row) => {
+    const reference = row[referenceIndex] || '';
+    if (!reference.startsWith('DELETED ')) {
+      row[referenceIndex] = `DELETED ${reference}`;
+    }
+  };
+
+  // Offer both the kept and the generated link as disambiguation options when they differ
+  const addDisambiguationOptions = (row, keptTWLink, genTWLink) => {
+    if (disambiguationIndex < 0 || !keptTWLink || !genTWLink || keptTWLink === genTWLink) return;
 
-    // Find the best position by comparing references
-    for (let i = 0; i < finalRows.length; i++) {
-      const existingRef = finalRows[i][referenceIndex] || '';
-      const cleanExistingRef = existingRef.startsWith('DELETED ') ? existingRef.substring(8) : existingRef;
+    const genDisambig = row[disambiguationIndex] || '';
+    const keptPath = extractTWLinkPath(keptTWLink);
+    const genPath = extractTWLinkPath(genTWLink);
 
-      const comparison = compareReferences(cleanFetchedRef, cleanExistingRef);
+    if (!genDisambig.trim()) {
+      row[disambiguationIndex] = `(${keptPath}, ${genPath})`;
+      return;
+    }
 
-      if (comparison < 0) {
-        // Fetched row should come before this row
-        insertIndex = i;
-        break;
-      } else if (comparison === 0) {
-        // Same reference - continue scanning to find where this reference group ends
-        insertIndex = i + 1;
+    const match = genDisambig.match(/^\(([^)]+)\)$/);
+    if (match) {
+      const existingPaths = match[1].split(',').map(p => p.trim());
+      if (!existingPaths.includes(keptPath)) {
+        row[disambiguationIndex] = `(${[keptPath, ...existingPaths].join(', ')})`;
       }
     }
+  };
 
-    console.log(`  Inserting OLD (fetched) row at position ${insertIndex}`);
-    finalRows.splice(insertIndex, 0, [...paddedFetchedRow, 'OLD']);
+  // Generated rows are matched with generatedKeyOf; branch and base rows with each other by curatedKeyOf
+  const generatedKeyOf = createMatchKeyBuilder(getGeneratedMatchKeyStrategy(options.matchKey), {}, options.lexicon);
+  const curatedKeyOf = createMatchKeyBuilder(options.matchKey || DEFAULT_MATCH_KEY_STRATEGY, {}, options.lexicon);
+  const fetchedIndexByKey = indexRowsByKey(existingRows, generatedKeyOf);
+  const baseIndexByKey = indexRowsByKey(baseRows, generatedKeyOf);
+  const fetchedIndexByCuratedKey = indexRowsByKey(existingRows, curatedKeyOf);
+  const baseIndexByCuratedKey = indexRowsByKey(baseRows, curatedKeyOf);
+  const matchedFetchedIndices = new Set();
+  const matchedBaseIndices = new Set();
+  const statusCounts = Object.values(THREE_WAY_STATUS).reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+  const finalRows = createRowSequence(referenceIndex);
+
+  // First pass: walk the generated rows, pairing each with its fetched and base rows
+  generatedRows.forEach((generatedRow) => {
+    const genKey = generatedKeyOf(generatedRow);
+    const baseIndex = takeNextMatch(baseIndexByKey, genKey, matchedBaseIndices);
+    const baseRow = baseIndex !== -1 ? baseRows[baseIndex] : null;
+
+    // Prefer the branch row that continues the base row, then any branch row with the same key
+    let fetchedIndex = baseRow ? takeNextMatch(fetchedIndexByCuratedKey, curatedKeyOf(baseRow), matchedFetchedIndices) : -1;
+    if (fetchedIndex === -1) {
+      fetchedIndex = takeNextMatch(fetchedIndexByKey, genKey, matchedFetchedIndices);
+    }
+    const fetchedRow = fetchedIndex !== -1 ? existingRows[fetchedIndex] : null;
+    const genTWLink = generatedRow[twLinkIndex] || '';
+
+    const oursChanged = hasRowChanged(baseRow, fetchedRow, oursCompareColumns);
+    const generatorChanged = hasRowChanged(baseRow, generatedRow, generatorCompareColumns);
+
+    let status;
+    if (oursChanged && generatorChanged) {
+      // Both sides landing on the same link is agreement, not a conflict
+      const sameOutcome = fetchedRow && !hasRowChanged(fetchedRow, generatedRow, generatorCompareColumns);
+      status = sameOutcome ? THREE_WAY_STATUS.OURS : THREE_WAY_STATUS.CONFLICT;
+    } else if (oursChanged) {
+      status = THREE_WAY_STATUS.OURS;
+    } else if (generatorChanged) {
+      status = THREE_WAY_STATUS.GENERATOR;
+    } else {
+      status = THREE_WAY_STATUS.UNCHANGED;
+    }
+
+    const row = padRow(generatedRow);
+    const keptRow = fetchedRow || baseRow;
+
+    // Always keep the stable ID of the row that is already in the repository
+    if (keptRow && keptRow[idIndex]) {
+      row[idIndex] = keptRow[idIndex];
+    }
+
+    if (fetchedRow && status !== THREE_WAY_STATUS.GENERATOR) {
+      // Curated values win for UNCHANGED, CHANGED-OURS and CONFLICT rows
+      row[tagsIndex] = fetchedRow[tagsIndex] || row[tagsIndex];
+      row[twLinkIndex] = fetchedRow[twLinkIndex] || '';
+      addDisambiguationOptions(row, row[twLinkIndex], genTWLink);
+    } else if (!fetchedRow && baseRow && status !== THREE_WAY_STATUS.GENERATOR) {
+      // The branch removed a row the generator still produces
+      softDelete(row);
+    }
+
+    statusCounts[status]++;
+    finalRows.push([...row, status]);
+    console.log(`  ${status}: ${genKey}, TWLink: ${row[twLinkIndex]}`);
+  });
+
+  // Second pass: fetched rows the generator no longer produces
+  const unmatchedFetched = existingRows
+    .map((row, index) => ({ row, index }))
+    .filter(({ index }) => !matchedFetchedIndices.has(index));
+
+  console.log(`\nProcessing ${unmatchedFetched.length} unmatched fetched rows...`);
+
+  unmatchedFetched.forEach(({ row: fetchedRow }) => {
+    const fetchedKey = curatedKeyOf(fetchedRow);
+    const baseIndex = takeNextMatch(baseIndexByCuratedKey, fetchedKey, matchedBaseIndices);
+    const baseRow = baseIndex !== -1 ? baseRows[baseIndex] : null;
+    const row = padRow(fetchedRow);
+
+    let status;
+    if (!baseRow) {
+      // Added on the branch
+      status = THREE_WAY_STATUS.OURS;
+    } else if (hasRowChanged(baseRow, fetchedRow, oursCompareColumns)) {
+      // Edited on the branch but dropped by the generator
+      status = THREE_WAY_STATUS.CONFLICT;
+    } else {
+      // Untouched on the branch and dropped by the generator
+      status = THREE_WAY_STATUS.GENERATOR;
+      softDelete(row);
+    }
+
+    // Find insertion point after the last row of the same or an earlier reference
+    const cleanFetchedRef = (fetchedRow[referenceIndex] || '').replace(/^DELETED /, '');
+    const insertIndex = finalRows.indexAfterReference(getReferenceSortValue(cleanFetchedRef));
+
+    statusCounts[status]++;
+    finalRows.insertAt(insertIndex, [...row, status]);
+    console.log(`  ${status}: ${fetchedKey} (not generated), inserted at position ${insertIndex}`);
   });
 
+  // Rows left in the base were removed on both sides, so they are dropped
+  const droppedBaseRows = baseRows.length - matchedBaseIndices.size;
+
   console.log(`\nFinal result: ${finalRows.length} total rows`);
-  console.log(`Matched fetched rows: ${matchedFetchedIndices.size}`);
-  console.log(`Total generated rows: ${generatedRows.length}`);
+  console.log('Three-way merge status counts:', statusCounts);
+  console.log(`Base rows removed on both sides: ${droppedBaseRows}`);
 
   // Rebuild the TSV content
-  const result = [finalHeaders.join('\t'), ...finalRows.map(row => row.join('\t'))].join('\n');
+  const result = [finalHeaders.join('\t'), ...finalRows.toArray().map(row => row.join('\t'))].join('\n');
   return result;
-};
\ No newline at end of file
+};
+
+/**
+ * Update the current TWL in place from a newly generated TWL (UPDATE-IN-PLACE approach)
+ * ALGORITHM: Keep every current row and its order. Current rows matching a generated row on Reference, OrigWords,
+ * Occurrence, GLQuote and GLOccurrence take the generated Disambiguation (keeping a "DONE " prefix); generated rows
+ * with no match are inserted before the first current row of the same or a later reference with Merge Status NEW
+ * @param {string} currentContent - Current TWL content (any column layout with a header row)
+ * @param {string} generatedContent - Generated TWL content with OrigWords already converted
+ * @returns {{content: string, report: {updatedRows: Object[], newRows: Object[]}}} Updated content and what changed:
+ *   updatedRows hold {reference, id, oldDisambiguation, newDisambiguation, hasDoneStatus}, newRows hold {reference, id, glQuote}
+ */
+export const updateTwlInPlace = (currentContent, generatedContent) => {
+  // Blank (including whitespace-only) lines are not rows
+  const withoutBlankLines = (content) => (content || '').split('\n').filter((line) => line.trim()).join('\n');
+  const current = parseTsv(withoutBlankLines(currentContent), true);
+  if (current.headers.length === 0) {
+    throw new Error('No current TWL content to update.');
+  }
+  const generated = parseTsv(withoutBlankLines(generatedContent), true);
+  if (generated.headers.length === 0) {
+    throw new Error('No new TWL content generated.');
+  }
+
+  const currentHeaders = current.headers;
+  const currentRows = current.rows;
+  const newHeaders = generated.headers;
+  const newRows = generated.rows;
+
+  const cell = (row, index) => (index >= 0 ? row[index] || '' : '');
+  const stripDeleted = (reference) => (reference.startsWith('DELETED ') ? reference.substring(8) : reference);
+  const keyColumns = ['Reference', 'OrigWords', 'Occurrence', 'GLQuote', 'GLOccurrence'];
+  const currentKeyIndices = keyColumns.map((column) => currentHeaders.indexOf(column));
+  const newKeyIndices = keyColumns.map((column) => newHeaders.indexOf(column));
+
+  const currentReferenceIndex = currentHeaders.indexOf('Reference');
+  const currentIdIndex = currentHeaders.indexOf('ID');
+  const currentDisambiguationIndex = currentHeaders.indexOf('Disambiguation');
+  const currentMergeStatusIndex = currentHeaders.indexOf('Merge Status');
+  const newReferenceIndex = newHeaders.indexOf('Reference');
+  const newIdIndex = newHeaders.indexOf('ID');
+  const newGLQuoteIndex = newHeaders.indexOf('GLQuote');
+  const newDisambiguationIndex = newHeaders.indexOf('Disambiguation');
+
+  const report = { updatedRows: [], newRows: [] };
+  const updatedRows = currentRows.map((row) => [...row]);
+
+  // First pass: each current row (soft-deleted ones included) takes the first unmatched generated row with the same key
+  const newKeyIndex = indexRowsByKey(newRows, (row) => newKeyIndices.map((index) => cell(row, index)).join('\t'));
+  const matchedNewRows = new Set();
+
+  currentRows.forEach((row, i) => {
+    const key = currentKeyIndices.map((index, k) => (k === 0 ? stripDeleted(cell(row, index)) : cell(row, index))).join('\t');
+    const j = takeNextMatch(newKeyIndex, key);
+    if (j === -1) return;
+    matchedNewRows.add(j);
+
+    const currentDisambiguation = cell(row, currentDisambiguationIndex);
+    const newDisambiguation = cell(newRows[j], newDisambiguationIndex);
+    const hasDoneStatus = currentDisambiguation.startsWith('DONE ');
+    const oldDisambiguation = hasDoneStatus ? currentDisambiguation.substring(5) : currentDisambiguation;
+
+    if (oldDisambiguation !== newDisambiguation && currentDisambiguationIndex >= 0) {
+      // Update the disambiguation while preserving DONE status
+      updatedRows[i][currentDisambiguationIndex] = hasDoneStatus ? `DONE ${newDisambiguation}` : newDisambiguation;
+      report.updatedRows.push({
+        reference: stripDeleted(cell(row, currentReferenceIndex)),
+        id: cell(row, currentIdIndex),
+        oldDisambiguation,
+        newDisambiguation,
+        hasDoneStatus,
+      });
+    }
+  });
+
+  // Second pass: insert unmatched generated rows before the first row with the same or a later reference
+  const columnMap = currentHeaders.map((header) => newHeaders.indexOf(header));
+  const finalRows = createRowSequence(currentReferenceIndex);
+  updatedRows.forEach((row) => finalRows.push(row));
+
+  newRows.forEach((newRow, j) => {
+    if (matchedNewRows.has(j)) return;
+
+    const newReference = cell(newRow, newReferenceIndex);
+    const insertIndex = finalRows.firstIndexAtOrAfter(getReferenceSortValue(newReference));
+
+    const rowForInsertion = columnMap.map((newColIndex) => (newColIndex >= 0 && newColIndex < newRow.length ? newRow[newColIndex] : ''));
+    if (currentMergeStatusIndex >= 0) {
+      rowForInsertion[currentMergeStatusIndex] = 'NEW';
+    }
+
+    finalRows.insertAt(insertIndex, rowForInsertion);
+    report.newRows.push({
+      reference: newReference,
+      id: cell(newRow, newIdIndex),
+      glQuote: cell(newRow, newGLQuoteIndex),
+    });
+  });
+
+  console.log(`Update in place: ${report.updatedRows.length} disambiguation updates, ${report.newRows.length} new rows`);
+
+  const content = [currentHeaders.join('\t'), ...finalRows.toArray().map((row) => row.join('\t'))].join('\n');
+  return { content, report };
+};
@@ -2,14 +2,27 @@
  * Utilities for applying deleted row markers to TSV content
  */
 
-import { normalizeHebrewText } from './unlinkedWords.js';
+import { createMatchKeyBuilder, DEFAULT_MATCH_KEY_STRATEGY } from './matchKeys.js';
+
+// Merge Status values of rows that came from the imported TWL and must not be auto-deleted
+const IMPORTED_MERGE_STATUSES = ['MERGED', 'MERGED-FUZZY', 'OLD', 'UNCHANGED', 'CHANGED-OURS', 'CONFLICT'];
+
+// Turn a deleted item or table row into the standard column layout used by the match key builders
+const toKeyRow = (reference, id, origWords, occurrence, twLink) => [reference || '', id || '', '', origWords || '', String(occurrence || '').trim(), twLink || ''];
 
 /**
  * Apply server-provided deleted rows to TSV content for a given book.
- * Each deleted item matches by reference, normalized OrigWords, and Occurrence.
- * MERGED rows are excluded from automatic deletion - only NEW and OLD rows can be auto-deleted.
+ * Each deleted item matches by the selected match key strategy (see matchKeys.js), by default reference,
+ * normalized OrigWords, and Occurrence. Items saved without the value a strategy needs (e.g. older markers
+ * without ID/TWLink) match by the default key.
+ * Rows from the imported TWL (MERGED, MERGED-FUZZY, OLD and the three-way UNCHANGED, CHANGED-OURS, CONFLICT) are excluded
+ * from automatic deletion - only newly generated rows can be auto-deleted.
+ * @param {string} tsvContent - TSV content with a header row
+ * @param {Array} deletedItems - Deleted row markers from the server
+ * @param {string} [matchKeyStrategy] - One of MATCH_KEY_STRATEGIES
+ * @param {Map} [lexicon] - Verse lexicon from buildVerseLexicon(), used by the lemma strategy
  */
-export const filterDeletedRowsWithData = (tsvContent, deletedItems) => {
+export const filterDeletedRowsWithData = (tsvContent, deletedItems, matchKeyStrategy = DEFAULT_MATCH_KEY_STRATEGY, lexicon = null) => {
   if (!tsvContent || typeof tsvContent !== 'string' || !Array.isArray(deletedItems) || deletedItems.length === 0) {
     return tsvContent;
   }
@@ -22,16 +35,28 @@ export const filterDeletedRowsWithData = (tsvContent, deletedItems) => {
   const origWordsIndex = headers.findIndex((h) => h === 'OrigWords');
   const occurrenceIndex = headers.findIndex((h) => h === 'Occurrence');
   const mergeStatusIndex = headers.findIndex((h) => h === 'Merge Status');
+  const idIndex = headers.findIndex((h) => h === 'ID');
+  const twLinkIndex = headers.findIndex((h) => h === 'TWLink');
 
   if (referenceIndex === -1 || origWordsIndex === -1 || occurrenceIndex === -1) {
     return tsvContent;
   }
 
-  // Build a Set of composite keys for quick lookup
-  const keySet = new Set(
-    deletedItems.map((it) => `${it.reference}|${(it.normalizedOrigWords || normalizeHebrewText(it.origWords))}|${String(it.occurrence).trim()}`)
-  );
-  
+  // Build Sets of keys for quick lookup - strategy keys, plus default keys of items the strategy fell back for
+  const keyOf = createMatchKeyBuilder(matchKeyStrategy, {}, lexicon);
+  const defaultKeyOf = createMatchKeyBuilder(DEFAULT_MATCH_KEY_STRATEGY);
+  const keySet = new Set();
+  const fallbackKeySet = new Set();
+  deletedItems.forEach((it) => {
+    const itemRow = toKeyRow(it.reference, it.id, it.normalizedOrigWords || it.origWords, it.occurrence, it.twLink);
+    const key = keyOf(itemRow);
+    const defaultKey = defaultKeyOf(itemRow);
+    keySet.add(key);
+    if (key === defaultKey) {
+      fallbackKeySet.add(defaultKey);
+    }
+  });
+
   console.log('🔍 Deleted items keys:', Array.from(keySet));
 
   const updated = [lines[0]];
@@ -47,22 +72,24 @@ export const filterDeletedRowsWithData = (tsvContent, deletedItems) => {
     const origWords = cols[origWordsIndex] || '';
     const occurrence = String(cols[occurrenceIndex] || '').trim();
     const mergeStatus = mergeStatusIndex >= 0 ? (cols[mergeStatusIndex] || '') : '';
-    const key = `${displayRef}|${normalizeHebrewText(origWords)}|${occurrence}`;
+    const keyRow = toKeyRow(displayRef, idIndex >= 0 ? cols[idIndex] : '', origWords, occurrence, twLinkIndex >= 0 ? cols[twLinkIndex] : '');
+    const key = keyOf(keyRow);
+    const isMarkedDeleted = keySet.has(key) || fallbackKeySet.has(defaultKeyOf(keyRow));
 
     // Only apply automatic deletion if:
     // 1. The row matches a deleted item in DynamoDB
     // 2. The row is not already deleted
-    // 3. The row is NOT a MERGED row (preserve imported content)
-    if (keySet.has(key) && !reference.startsWith('DELETED ') && mergeStatus !== 'MERGED' && mergeStatus !== 'OLD') {
+    // 3. The row is NOT from the imported content (preserve imported content)
+    if (isMarkedDeleted && !reference.startsWith('DELETED ') && !IMPORTED_MERGE_STATUSES.includes(mergeStatus)) {
       const updatedRow = [...cols];
       updatedRow[referenceIndex] = `DELETED ${displayRef}`;
       updated.push(updatedRow.join('\t'));
       console.log(`✅ Auto-deleted ${mergeStatus || 'unmerged'} row: ${displayRef} | ${origWords} | ${occurrence}`);
     } else {
-      if (keySet.has(key) && (mergeStatus === 'MERGED' || mergeStatus === 'OLD')) {
+      if (isMarkedDeleted && IMPORTED_MERGE_STATUSES.includes(mergeStatus)) {
         console.log(`⏭️  Skipped auto-deletion of ${mergeStatus} row: ${displayRef} | ${origWords} | ${occurrence}`);
       }
-      if (keySet.has(key)) {
+      if (isMarkedDeleted) {
         console.log(`🔎 Row matches deleted key but not deleted: ref=${reference}, mergeStatus=${mergeStatus}, key=${key}`);
       }
       updated.push(lines[i]);
@@ -0,0 +1,206 @@
+/**
+ * Fuzzy matching of TWL rows whose original-language text shifted between UHB/UGNT revisions
+ * Rows are paired by the lemma/Strong's sequence of their OrigWords (looked up in the original-language USFM)
+ * or, failing that, by edit distance on the normalized OrigWords
+ */
+
+import usfmjs from 'usfm-js';
+import { normalizeHebrewText } from './unlinkedWords.js';
+
+// Minimum similarity (0-1) for two rows to be paired
+export const FUZZY_MATCH_THRESHOLD = 0.75;
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export const getEditDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two strings from 0 (nothing in common) to 1 (identical), based on edit distance
+ */
+export const getTextSimilarity = (a, b) => {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - getEditDistance(a, b) / maxLength;
+};
+
+/**
+ * Split OrigWords into normalized words (spaces, maqqef and "&" separate words)
+ */
+export const tokenizeOrigWords = (origWords) =>
+  (origWords || '')
+    .split(/[\s־&]+/)
+    .map((word) => normalizeHebrewText(word))
+    .filter(Boolean);
+
+const collectWords = (verseObjects, words) => {
+  (verseObjects || []).forEach((obj) => {
+    if (obj.type === 'word' || obj.tag === 'w') {
+      const text = normalizeHebrewText(obj.text || '');
+      if (text) {
+        words.push({
+          text,
+          original: obj.text,
+          lemma: obj.lemma || obj['x-lemma'] || '',
+          strong: obj.strong || obj['x-strong'] || '',
+        });
+      }
+    }
+    if (obj.children) {
+      collectWords(obj.children, words);
+    }
+  });
+  return words;
+};
+
+/**
+ * Build a lookup of the words in each verse of an original-language USFM book
+ * @param {string} olUsfmContent - UHB or UGNT USFM for the book
+ * @returns {Map<string, Array<{text: string, original: string, lemma: string, strong: string}>>} Map of "chapter:verse"
+ *   to its words; text is normalized, original is the word as written
+ */
+export const buildVerseLexicon = (olUsfmContent) => {
+  const lexicon = new Map();
+  if (!olUsfmContent) return lexicon;
+
+  try {
+    const usfmJSON = usfmjs.toJSON(olUsfmContent);
+    Object.entries(usfmJSON.chapters || {}).forEach(([chapter, chapterData]) => {
+      Object.entries(chapterData).forEach(([verse, verseData]) => {
+        if (verse === 'front' || !verseData?.verseObjects) return;
+        lexicon.set(`${chapter}:${verse}`, collectWords(verseData.verseObjects, []));
+      });
+    });
+  } catch (error) {
+    console.warn('🔀 [FUZZY] Could not parse original-language USFM:', error);
+  }
+
+  return lexicon;
+};
+
+/**
+ * Look up the Strong's number (or lemma) of each word of OrigWords in its verse
+ * Words that no longer appear verbatim are resolved to the most similar word of the verse
+ * @returns {string[]|null} Strong's/lemma sequence, or null if any word could not be resolved
+ */
+export const getLemmaSequence = (origWords, verseWords) => {
+  if (!verseWords || verseWords.length === 0) return null;
+
+  const sequence = [];
+  for (const token of tokenizeOrigWords(origWords)) {
+    let best = verseWords.find((word) => word.text === token);
+    if (!best) {
+      let bestSimilarity = 0;
+      verseWords.forEach((word) => {
+        const similarity = getTextSimilarity(token, word.text);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          best = word;
+        }
+      });
+      if (bestSimilarity < FUZZY_MATCH_THRESHOLD) return null;
+    }
+
+    const id = best.strong || best.lemma;
+    if (!id) return null;
+    sequence.push(id);
+  }
+
+  return sequence.length > 0 ? sequence : null;
+};
+
+const cleanReference = (ref) => (ref || '').replace(/^DELETED /, '').trim();
+
+/**
+ * Score how likely two rows of the same verse are the same TWL entry (0-1, plus small tie-breakers)
+ * @param {string[]} generatedRow - Generated row
+ * @param {string[]} existingRow - Existing (imported/fetched) row
+ * @param {Map} [lexicon] - Verse lexicon from buildVerseLexicon()
+ * @returns {number} Score; rows scoring below FUZZY_MATCH_THRESHOLD should not be paired
+ */
+export const getFuzzyMatchScore = (generatedRow, existingRow, lexicon) => {
+  const reference = cleanReference(generatedRow[0]);
+  if (reference !== cleanReference(existingRow[0])) return 0;
+
+  const generatedText = tokenizeOrigWords(generatedRow[3]).join(' ');
+  const existingText = tokenizeOrigWords(existingRow[3]).join(' ');
+  let score = getTextSimilarity(generatedText, existingText);
+
+  const verseWords = lexicon ? lexicon.get(reference) : null;
+  if (verseWords) {
+    const generatedLemmas = getLemmaSequence(generatedRow[3], verseWords);
+    const existingLemmas = getLemmaSequence(existingRow[3], verseWords);
+    if (generatedLemmas && existingLemmas && generatedLemmas.join(' ') === existingLemmas.join(' ')) {
+      score = 1;
+    }
+  }
+
+  if (score < FUZZY_MATCH_THRESHOLD) return score;
+
+  // Prefer pairs that also agree on TWLink and Occurrence
+  if ((generatedRow[5] || '') === (existingRow[5] || '')) score += 0.05;
+  if ((generatedRow[4] || '') === (existingRow[4] || '')) score += 0.01;
+  return score;
+};
+
+/**
+ * Pair generated and existing rows left unmatched by the exact (Reference + OrigWords + Occurrence) pass
+ * Pairs are only made within a verse, best scores first, each row used at most once
+ * @param {string[][]} generatedRows - All generated rows
+ * @param {string[][]} existingRows - All existing rows
+ * @param {number[]} unmatchedGenerated - Indices of unmatched generated rows
+ * @param {number[]} unmatchedExisting - Indices of unmatched existing rows
+ * @param {Map} [lexicon] - Verse lexicon from buildVerseLexicon()
+ * @returns {Map<number, number>} Map of generated row index to existing row index
+ */
+export const findFuzzyMatches = (generatedRows, existingRows, unmatchedGenerated, unmatchedExisting, lexicon) => {
+  const matches = new Map();
+
+  const existingByReference = new Map();
+  unmatchedExisting.forEach((index) => {
+    const reference = cleanReference(existingRows[index][0]);
+    if (!existingByReference.has(reference)) {
+      existingByReference.set(reference, []);
+    }
+    existingByReference.get(reference).push(index);
+  });
+
+  const candidates = [];
+  unmatchedGenerated.forEach((genIndex) => {
+    const sameVerse = existingByReference.get(cleanReference(generatedRows[genIndex][0])) || [];
+    sameVerse.forEach((existingIndex) => {
+      const score = getFuzzyMatchScore(generatedRows[genIndex], existingRows[existingIndex], lexicon);
+      if (score >= FUZZY_MATCH_THRESHOLD) {
+        candidates.push({ genIndex, existingIndex, score });
+      }
+    });
+  });
+
+  // Best scores first; ties keep file order
+  candidates.sort((a, b) => b.score - a.score || a.genIndex - b.genIndex || a.existingIndex - b.existingIndex);
+
+  const usedExisting = new Set();
+  candidates.forEach(({ genIndex, existingIndex, score }) => {
+    if (matches.has(genIndex) || usedExisting.has(existingIndex)) return;
+    matches.set(genIndex, existingIndex);
+    usedExisting.add(existingIndex);
+    console.log(`🔀 [FUZZY] Paired generated row ${genIndex} with existing row ${existingIndex} (score ${score.toFixed(2)})`);
+  });
+
+  return matches;
+};
@@ -0,0 +1,106 @@
+/**
+ * Compare two generator runs for a book (twl-generator output before merging, see generatorRuns.js)
+ * Rows are identified by Reference + OrigWords + Occurrence, so what the curated table did with them doesn't matter:
+ * a row appeared, disappeared or now points to another TWLink
+ */
+
+import { parseTsv, compareReferences } from './tsvUtils.js';
+
+const stripDeleted = (reference) => (reference.startsWith('DELETED ') ? reference.substring(8) : reference);
+
+const getKey = (reference, origWords, occurrence) => [reference, origWords, occurrence].join('\t');
+
+/**
+ * Rows of a generator output grouped by Reference + OrigWords + Occurrence
+ * @returns {Map<string, {reference: string, origWords: string, occurrence: string, glQuote: string, twLinks: string[]}>}
+ */
+const groupGeneratorRows = (content) => {
+  const groups = new Map();
+  if (!content || !content.trim()) return groups;
+
+  const { headers, rows } = parseTsv(content.trim(), true);
+  const column = (row, name) => {
+    const index = headers.indexOf(name);
+    return index >= 0 ? (row[index] || '').trim() : '';
+  };
+  rows.forEach((row) => {
+    const reference = stripDeleted(column(row, 'Reference'));
+    const origWords = column(row, 'OrigWords');
+    const occurrence = column(row, 'Occurrence');
+    const key = getKey(reference, origWords, occurrence);
+    if (!groups.has(key)) {
+      groups.set(key, { reference, origWords, occurrence, glQuote: column(row, 'GLQuote'), twLinks: [] });
+    }
+    groups.get(key).twLinks.push(column(row, 'TWLink'));
+  });
+  return groups;
+};
+
+/**
+ * Diff two generator outputs
+ * Within a Reference + OrigWords + Occurrence, TWLinks in both runs are unchanged; the remaining ones are paired in
+ * order as changed TWLinks, and any left over appeared or disappeared
+ * @param {string} previousContent - Earlier generator output
+ * @param {string} currentContent - Latest generator output
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>, unchanged: number}} added/removed
+ *   entries are {reference, origWords, occurrence, glQuote, twLink}; changed entries have fromTwLink and toTwLink
+ *   instead of twLink. Each list is in reference order
+ */
+export const diffGeneratorRuns = (previousContent, currentContent) => {
+  const previous = groupGeneratorRows(previousContent);
+  const current = groupGeneratorRows(currentContent);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  new Set([...previous.keys(), ...current.keys()]).forEach((key) => {
+    const before = previous.get(key);
+    const after = current.get(key);
+    const { reference, origWords, occurrence, glQuote } = after || before;
+    const beforeLinks = [...(before?.twLinks || [])];
+    const afterLinks = [];
+    (after?.twLinks || []).forEach((twLink) => {
+      const index = beforeLinks.indexOf(twLink);
+      if (index >= 0) {
+        beforeLinks.splice(index, 1);
+        unchanged++;
+      } else {
+        afterLinks.push(twLink);
+      }
+    });
+
+    const entry = { reference, origWords, occurrence, glQuote };
+    const pairs = Math.min(beforeLinks.length, afterLinks.length);
+    for (let i = 0; i < pairs; i++) {
+      changed.push({ ...entry, fromTwLink: beforeLinks[i], toTwLink: afterLinks[i] });
+    }
+    afterLinks.slice(pairs).forEach((twLink) => added.push({ ...entry, twLink }));
+    beforeLinks.slice(pairs).forEach((twLink) => removed.push({ ...entry, twLink }));
+  });
+
+  const byReference = (a, b) => compareReferences(a.reference, b.reference);
+  return { added: added.sort(byReference), removed: removed.sort(byReference), changed: changed.sort(byReference), unchanged };
+};
+
+/**
+ * Index of the table row a diff entry refers to (matching Reference, OrigWords, Occurrence and, if given, TWLink)
+ * Deleted rows are found too
+ * @returns {number} Row index, or -1 if the table has no such row
+ */
+export const findGeneratorDiffRow = (tableData, entry, twLink = '') => {
+  const { headers, rows } = tableData || {};
+  if (!headers || !rows) return -1;
+
+  const indices = ['Reference', 'OrigWords', 'Occurrence', 'TWLink'].map((name) => headers.indexOf(name));
+  if (indices.slice(0, 3).some((index) => index < 0)) return -1;
+  const [referenceIndex, origWordsIndex, occurrenceIndex, twLinkIndex] = indices;
+
+  return rows.findIndex(
+    (row) =>
+      stripDeleted(row[referenceIndex] || '') === entry.reference &&
+      (row[origWordsIndex] || '').trim() === entry.origWords &&
+      (row[occurrenceIndex] || '').trim() === entry.occurrence &&
+      (!twLink || twLinkIndex < 0 || (row[twLinkIndex] || '').trim() === twLink)
+  );
+};
@@ -0,0 +1,97 @@
+/**
+ * Lemma-to-article consistency - groups the rows of a book by the lemma/Strong's numbers of their OrigWords (from the
+ * original-language USFM) and finds the lemmas linked to more than one TW article. Some of those are intentional
+ * disambiguation (rows with Disambiguation options are counted separately); the rest are likely mistakes
+ */
+
+import { getLemmaSequence } from './fuzzyMatch.js';
+
+const stripDeleted = (reference) => (reference.startsWith('DELETED ') ? reference.substring(8) : reference);
+
+// "b:H7225" -> "H7225": prefixes (b:, l:, c:d: ...) are separate morphemes of the same word
+const normalizeStrong = (strong) => strong.split(':').pop().toUpperCase();
+
+/**
+ * Lemma key of a row - the Strong's numbers (or lemmas) of its OrigWords joined by spaces
+ * @param {string[]} row - Table row
+ * @param {string[]} headers - Table headers
+ * @param {Map} lexicon - Verse lexicon from buildVerseLexicon()
+ * @returns {string|null} Key, or null for soft-deleted rows and words that can't be found in the verse
+ */
+export const getRowLemmaKey = (row, headers, lexicon) => {
+  const reference = (row[headers.indexOf('Reference')] || '').trim();
+  if (!lexicon || !reference || reference.startsWith('DELETED ')) return null;
+
+  const [chapter, verse] = stripDeleted(reference).split(/[:-]/);
+  const sequence = getLemmaSequence(row[headers.indexOf('OrigWords')] || '', lexicon.get(`${chapter}:${verse}`));
+  return sequence ? sequence.map(normalizeStrong).join(' ') : null;
+};
+
+/**
+ * Find the lemmas of a book linked to more than one TWLink
+ * @param {{headers: string[], rows: string[][]}} tableData - The table
+ * @param {Map} lexicon - Verse lexicon from buildVerseLexicon()
+ * @returns {{groups: Object[], checkedRows: number, unresolvedRows: number}} groups are {key, lemma, total, disambiguated,
+ *   twLinks: [{twLink, count}]} with the most used TWLink first, the groups with the most rows first
+ */
+export const buildLemmaConsistencyReport = (tableData, lexicon) => {
+  const { headers = [], rows = [] } = tableData || {};
+  const referenceIndex = headers.indexOf('Reference');
+  const twLinkIndex = headers.indexOf('TWLink');
+  const disambiguationIndex = headers.indexOf('Disambiguation');
+  const groups = new Map();
+  let checkedRows = 0;
+  let unresolvedRows = 0;
+
+  rows.forEach((row) => {
+    if ((row[referenceIndex] || '').startsWith('DELETED ')) return;
+    checkedRows++;
+    const key = getRowLemmaKey(row, headers, lexicon);
+    if (!key) {
+      unresolvedRows++;
+      return;
+    }
+
+    if (!groups.has(key)) {
+      const [chapter, verse] = (row[referenceIndex] || '').trim().split(/[:-]/);
+      const verseWords = lexicon.get(`${chapter}:${verse}`) || [];
+      const lemma = key
+        .split(' ')
+        .map((strong) => verseWords.find((word) => word.strong && normalizeStrong(word.strong) === strong)?.lemma || '')
+        .filter(Boolean)
+        .join(' ');
+      groups.set(key, { key, lemma, total: 0, disambiguated: 0, counts: new Map() });
+    }
+    const group = groups.get(key);
+    const twLink = (row[twLinkIndex] || '').trim();
+    group.total++;
+    group.counts.set(twLink, (group.counts.get(twLink) || 0) + 1);
+    if (disambiguationIndex >= 0 && (row[disambiguationIndex] || '').trim()) group.disambiguated++;
+  });
+
+  const inconsistent = [...groups.values()]
+    .filter((group) => group.counts.size > 1)
+    .map(({ counts, ...group }) => ({
+      ...group,
+      twLinks: [...counts.entries()].map(([twLink, count]) => ({ twLink, count })).sort((a, b) => b.count - a.count || a.twLink.localeCompare(b.twLink)),
+    }))
+    .sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+
+  return { groups: inconsistent, checkedRows, unresolvedRows };
+};
+
+/**
+ * A TWLTable row filter for the rows of some lemmas (optionally only those linked to one TWLink)
+ * @param {string[]} keys - Lemma keys from buildLemmaConsistencyReport()
+ * @param {Map} lexicon - Verse lexicon the keys came from
+ * @param {string} label - Shown on the table's filter chip
+ * @param {string} [twLink] - Only rows with this TWLink
+ * @returns {{label: string, test: function(string[], string[]): boolean}}
+ */
+export const createLemmaRowFilter = (keys, lexicon, label, twLink = '') => {
+  const wanted = new Set(keys);
+  return {
+    label,
+    test: (row, headers) => (!twLink || (row[headers.indexOf('TWLink')] || '').trim() === twLink) && wanted.has(getRowLemmaKey(row, headers, lexicon)),
+  };
+};
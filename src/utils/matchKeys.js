@@ -0,0 +1,82 @@
+/**
+ * Match key strategies used to pair TWL rows when merging and when applying deleted row markers
+ * Different books were curated under different conventions, so the key that identifies "the same row" is selectable
+ */
+
+import { normalizeHebrewText } from './unlinkedWords.js';
+import { getLemmaSequence } from './fuzzyMatch.js';
+
+export const MATCH_KEY_STRATEGIES = {
+  ORIG_WORDS: 'ref-origwords-occurrence',
+  TW_LINK: 'ref-twlink',
+  ID: 'id',
+  LEMMAS: 'ref-lemmas',
+};
+
+export const DEFAULT_MATCH_KEY_STRATEGY = MATCH_KEY_STRATEGIES.ORIG_WORDS;
+
+// Options for the strategy selector in the import panel
+export const MATCH_KEY_STRATEGY_OPTIONS = [
+  { value: MATCH_KEY_STRATEGIES.ORIG_WORDS, label: 'Reference + OrigWords + Occurrence' },
+  { value: MATCH_KEY_STRATEGIES.TW_LINK, label: 'Reference + TWLink' },
+  { value: MATCH_KEY_STRATEGIES.ID, label: 'Stable ID' },
+  { value: MATCH_KEY_STRATEGIES.LEMMAS, label: 'Reference + lemma sequence' },
+];
+
+// Column positions of the standard TWL layout
+const DEFAULT_COLUMNS = {
+  reference: 0,
+  id: 1,
+  origWords: 3,
+  occurrence: 4,
+  twLink: 5,
+};
+
+const cleanReference = (reference) => {
+  const ref = reference || '';
+  return ref.startsWith('DELETED ') ? ref.substring(8) : ref;
+};
+
+/**
+ * Whether a strategy is a known match key strategy
+ */
+export const isMatchKeyStrategy = (strategy) => Object.values(MATCH_KEY_STRATEGIES).includes(strategy);
+
+/**
+ * Create a function that builds the match key of a row for a strategy
+ * A leading "DELETED " on the Reference is ignored so soft-deleted rows still match. Rows that lack the value a
+ * strategy relies on (no ID, no TWLink, lemmas not found in the verse) fall back to Reference + OrigWords + Occurrence.
+ * @param {string} strategy - One of MATCH_KEY_STRATEGIES
+ * @param {Object} [columns] - Column indices ({reference, id, origWords, occurrence, twLink}), defaults to the standard layout
+ * @param {Map} [lexicon] - Verse lexicon from buildVerseLexicon(), needed by the lemma strategy
+ * @returns {function(string[]): string} Key builder
+ */
+export const createMatchKeyBuilder = (strategy = DEFAULT_MATCH_KEY_STRATEGY, columns = {}, lexicon = null) => {
+  const { reference, id, origWords, occurrence, twLink } = { ...DEFAULT_COLUMNS, ...columns };
+
+  const getDefaultKey = (row) => {
+    const ref = cleanReference(row[reference]);
+    return `${ref}|${normalizeHebrewText(row[origWords] || '')}|${row[occurrence] || ''}`;
+  };
+
+  switch (strategy) {
+    case MATCH_KEY_STRATEGIES.TW_LINK:
+      return (row) => {
+        const link = (row[twLink] || '').trim();
+        return link ? `${cleanReference(row[reference])}|${link}` : getDefaultKey(row);
+      };
+    case MATCH_KEY_STRATEGIES.ID:
+      return (row) => {
+        const rowId = id >= 0 ? (row[id] || '').trim() : '';
+        return rowId ? `id:${rowId}` : getDefaultKey(row);
+      };
+    case MATCH_KEY_STRATEGIES.LEMMAS:
+      return (row) => {
+        const ref = cleanReference(row[reference]);
+        const lemmas = lexicon ? getLemmaSequence(row[origWords], lexicon.get(ref.trim())) : null;
+        return lemmas ? `${ref}|${lemmas.join(' ')}` : getDefaultKey(row);
+      };
+    default:
+      return getDefaultKey;
+  }
+};
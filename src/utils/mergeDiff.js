@@ -0,0 +1,165 @@
+/**
+ * Utilities for explaining what a merge did to individual TWL rows
+ */
+
+import { parseTsv, hasHeader } from './tsvUtils.js';
+import { getFuzzyMatchScore, FUZZY_MATCH_THRESHOLD } from './fuzzyMatch.js';
+import { createMatchKeyBuilder, DEFAULT_MATCH_KEY_STRATEGY } from './matchKeys.js';
+
+// Fields compared between the imported and generated version of a matched row
+export const MERGE_DIFF_FIELDS = ['ID', 'TWLink', 'GLQuote', 'GLOccurrence', 'Disambiguation'];
+
+// Extra fields compared for MERGED-FUZZY rows, whose original-language text differs between the sources
+const FUZZY_DIFF_FIELDS = ['OrigWords', 'Occurrence'];
+
+// Column positions used when a source TSV has no header row
+const DEFAULT_COLUMN_POSITIONS = {
+  Reference: 0,
+  ID: 1,
+  OrigWords: 3,
+  Occurrence: 4,
+  TWLink: 5,
+  GLQuote: 6,
+  GLOccurrence: 7,
+};
+
+// Merge Status values of rows that were inserted from only one side of the merge
+const INSERTED_MERGE_STATUSES = ['OLD', 'NEW'];
+
+const getColumnIndex = (headers, name) => {
+  const index = headers.findIndex((h) => h === name);
+  if (index >= 0) return index;
+  return headers.length === 0 && name in DEFAULT_COLUMN_POSITIONS ? DEFAULT_COLUMN_POSITIONS[name] : -1;
+};
+
+// Match key builder for rows with the given headers, keyed the way the merge paired them
+const createKeyBuilder = (headers, matchKey, lexicon) =>
+  createMatchKeyBuilder(
+    matchKey || DEFAULT_MATCH_KEY_STRATEGY,
+    {
+      reference: getColumnIndex(headers, 'Reference'),
+      id: getColumnIndex(headers, 'ID'),
+      origWords: getColumnIndex(headers, 'OrigWords'),
+      occurrence: getColumnIndex(headers, 'Occurrence'),
+      twLink: getColumnIndex(headers, 'TWLink'),
+    },
+    lexicon
+  );
+
+/**
+ * Index the rows of a merge source TSV (generated or imported) by the match key the merge used
+ * @param {string} content - TSV content that was fed into the merge
+ * @param {string} [matchKey] - Match key strategy of the merge (see matchKeys.js)
+ * @param {Map} [lexicon] - Verse lexicon the merge used (lemma strategy)
+ * @returns {Map<string, Object>} Map of match key to the first row with that key, as a field -> value object
+ */
+export const buildMergeSourceIndex = (content, matchKey = DEFAULT_MATCH_KEY_STRATEGY, lexicon = null) => {
+  const index = new Map();
+  if (!content || typeof content !== 'string' || !content.trim()) return index;
+
+  const { headers, rows } = parseTsv(content, hasHeader(content));
+  const keyOf = createKeyBuilder(headers, matchKey, lexicon);
+  const fieldIndices = ['Reference', ...FUZZY_DIFF_FIELDS, ...MERGE_DIFF_FIELDS].map((field) => [field, getColumnIndex(headers, field)]);
+
+  rows.forEach((row) => {
+    const key = keyOf(row);
+    if (index.has(key)) return;
+
+    const values = {};
+    fieldIndices.forEach(([field, colIndex]) => {
+      values[field] = colIndex >= 0 ? row[colIndex] || '' : '';
+    });
+    index.set(key, values);
+  });
+
+  return index;
+};
+
+const toScoringRow = (values) => [values.Reference, '', '', values.OrigWords, values.Occurrence, values.TWLink];
+
+/**
+ * Find the imported row a MERGED-FUZZY row was paired with: the best fuzzy match in the same verse
+ * among imported rows that no generated row matches exactly
+ */
+const findFuzzyImportedSource = (generated, importedIndex, generatedIndex) => {
+  let best = null;
+  let bestScore = FUZZY_MATCH_THRESHOLD;
+  importedIndex.forEach((values, key) => {
+    if (generatedIndex.has(key)) return;
+    const score = getFuzzyMatchScore(toScoringRow(generated), toScoringRow(values));
+    if (score >= bestScore) {
+      best = values;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * Compare the imported and generated values of a merged row field by field
+ * MERGED-FUZZY rows also compare OrigWords/Occurrence, using the closest imported row of the verse
+ * @param {string[]} headers - Table headers
+ * @param {string[]} row - Merged table row
+ * @param {Map} importedIndex - Index built from the imported TSV
+ * @param {Map} generatedIndex - Index built from the generated TSV
+ * @param {string} [matchKey] - Match key strategy the indexes were built with
+ * @param {Map} [lexicon] - Verse lexicon the indexes were built with
+ * @returns {Array<{field: string, imported: string|null, generated: string|null, changed: boolean}>}
+ */
+export const getMergedRowDiff = (headers, row, importedIndex, generatedIndex, matchKey = DEFAULT_MATCH_KEY_STRATEGY, lexicon = null) => {
+  const key = createKeyBuilder(headers, matchKey, lexicon)(row);
+  const isFuzzy = (row[headers.indexOf('Merge Status')] || '').trim() === 'MERGED-FUZZY';
+  const generated = generatedIndex.get(key) || null;
+  let imported = importedIndex.get(key) || null;
+  if (!imported && isFuzzy && generated) {
+    imported = findFuzzyImportedSource(generated, importedIndex, generatedIndex);
+  }
+
+  const fields = isFuzzy ? [...FUZZY_DIFF_FIELDS, ...MERGE_DIFF_FIELDS] : MERGE_DIFF_FIELDS;
+  return fields.map((field) => {
+    const importedValue = imported ? imported[field] : null;
+    const generatedValue = generated ? generated[field] : null;
+    return {
+      field,
+      imported: importedValue,
+      generated: generatedValue,
+      changed: (importedValue || '').trim() !== (generatedValue || '').trim(),
+    };
+  });
+};
+
+/**
+ * Find the rows that an OLD or NEW row was inserted between
+ * Deleted rows are skipped so the neighbours are the rows a reviewer actually sees around it
+ * @param {string[]} headers - Table headers
+ * @param {string[][]} rows - All table rows
+ * @param {number} rowIndex - Index of the inserted row
+ * @returns {{previous: {index: number, row: string[]}|null, next: {index: number, row: string[]}|null}}
+ */
+export const getInsertionNeighbors = (headers, rows, rowIndex) => {
+  const referenceIndex = headers.indexOf('Reference');
+  const isVisible = (row) => !(row[referenceIndex] || '').startsWith('DELETED ');
+
+  let previous = null;
+  for (let i = rowIndex - 1; i >= 0; i--) {
+    if (isVisible(rows[i])) {
+      previous = { index: i, row: rows[i] };
+      break;
+    }
+  }
+
+  let next = null;
+  for (let i = rowIndex + 1; i < rows.length; i++) {
+    if (isVisible(rows[i])) {
+      next = { index: i, row: rows[i] };
+      break;
+    }
+  }
+
+  return { previous, next };
+};
+
+/**
+ * Whether a Merge Status marks a row inserted from only one side (as opposed to a matched row)
+ */
+export const isInsertedMergeStatus = (mergeStatus) => INSERTED_MERGE_STATUSES.includes((mergeStatus || '').trim());
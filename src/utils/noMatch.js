@@ -0,0 +1,130 @@
+/**
+ * Utilities for the generator's unmatched terms (twl-generator's noMatchTsv)
+ * The candidates are read by column name, so any columns the generator adds are kept as details. A candidate can be
+ * promoted to a TWL row with a chosen TWLink
+ */
+
+import { parseTsv, compareReferences, ensureUniqueIds } from './tsvUtils.js';
+
+// Column names read from noMatchTsv (first one present wins)
+const CANDIDATE_COLUMNS = {
+  reference: ['Reference'],
+  origWords: ['OrigWords', 'Quote', 'OrigQuote'],
+  occurrence: ['Occurrence'],
+  glQuote: ['GLQuote', 'GL Quote'],
+  glOccurrence: ['GLOccurrence', 'GL Occurrence'],
+  twLink: ['TWLink', 'TWLinks', 'SupportReference'],
+};
+
+const stripDeleted = (reference) => (reference.startsWith('DELETED ') ? reference.substring(8) : reference);
+
+/**
+ * Parse noMatchTsv into candidates
+ * @returns {Array<{index: number, reference: string, origWords: string, occurrence: string, glQuote: string,
+ *   glOccurrence: string, twLink: string, details: Object<string, string>}>} Candidates in file order; details holds
+ *   the other non-empty columns
+ */
+export const parseNoMatchCandidates = (noMatchTsv) => {
+  if (!noMatchTsv || typeof noMatchTsv !== 'string' || !noMatchTsv.trim()) return [];
+
+  const { headers, rows } = parseTsv(noMatchTsv.trim(), true);
+  const indices = Object.fromEntries(
+    Object.entries(CANDIDATE_COLUMNS).map(([field, names]) => [field, headers.findIndex((header) => names.includes(header))])
+  );
+  const knownIndices = new Set([...Object.values(indices), headers.indexOf('ID')]);
+
+  return rows
+    .map((row, index) => {
+      const candidate = { index, details: {} };
+      Object.entries(indices).forEach(([field, columnIndex]) => {
+        candidate[field] = columnIndex >= 0 ? (row[columnIndex] || '').trim() : '';
+      });
+      headers.forEach((header, columnIndex) => {
+        if (!knownIndices.has(columnIndex) && (row[columnIndex] || '').trim()) {
+          candidate.details[header] = row[columnIndex].trim();
+        }
+      });
+      return candidate;
+    })
+    .filter((candidate) => candidate.reference && (candidate.origWords || candidate.glQuote));
+};
+
+/**
+ * Suggest a TWLink for a candidate: its own TWLink column, or the article whose name matches its GLQuote
+ * @param {string[]} rcLinks - Known article links (e.g. from the en_tw archive)
+ */
+export const suggestTwLink = (candidate, rcLinks = []) => {
+  if (candidate.twLink) return candidate.twLink;
+
+  const name = (candidate.glQuote || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!name) return '';
+  const names = [name, name.replace(/s$/, ''), name.replace(/es$/, '')];
+  return rcLinks.find((rcLink) => names.includes(rcLink.split('/').pop())) || '';
+};
+
+/**
+ * Check whether a candidate already has a live row with the same reference, words and TWLink in the table
+ */
+export const isCandidatePromoted = (candidate, tableRows, headers, twLink = candidate.twLink) => {
+  const referenceIndex = headers.indexOf('Reference');
+  const origWordsIndex = headers.indexOf('OrigWords');
+  const glQuoteIndex = headers.indexOf('GLQuote');
+  const twLinkIndex = headers.indexOf('TWLink');
+  if (referenceIndex < 0 || twLinkIndex < 0) return false;
+
+  return tableRows.some(
+    (row) =>
+      (row[referenceIndex] || '') === candidate.reference &&
+      (row[twLinkIndex] || '') === twLink &&
+      ((candidate.origWords && (row[origWordsIndex] || '') === candidate.origWords) || (candidate.glQuote && (row[glQuoteIndex] || '') === candidate.glQuote))
+  );
+};
+
+/**
+ * Add a candidate to the table as a new row with the chosen TWLink
+ * The row goes after the rows of its verse and gets an ID no other row uses; Merge Status (if present) is NEW
+ * @param {string} tsvContent - Current table TSV
+ * @param {Object} candidate - Candidate from parseNoMatchCandidates() (with OrigWords, see convertGLQuoteToOrigWords())
+ * @param {string} twLink - TWLink for the new row (an rc:// link to a tW article)
+ * @returns {{content: string, rowIndex: number}} New content and the 0-based data row index of the added row
+ */
+export const promoteNoMatchCandidate = (tsvContent, candidate, twLink) => {
+  if (!twLink || !twLink.trim()) {
+    throw new Error('Choose a TWLink before adding the row');
+  }
+  if (!candidate.origWords) {
+    throw new Error(`${candidate.reference} "${candidate.glQuote}" has no original-language words`);
+  }
+
+  const { headers, rows } = parseTsv(tsvContent, true);
+  const referenceIndex = headers.indexOf('Reference');
+  const idIndex = headers.indexOf('ID');
+  if (referenceIndex < 0 || idIndex < 0) {
+    throw new Error('The table has no Reference or ID column');
+  }
+
+  const values = {
+    Reference: candidate.reference,
+    OrigWords: candidate.origWords,
+    Occurrence: candidate.occurrence || '1',
+    TWLink: twLink.trim(),
+    GLQuote: candidate.glQuote,
+    GLOccurrence: candidate.glOccurrence || (candidate.glQuote ? '1' : ''),
+    'Merge Status': 'NEW',
+  };
+  const newRow = headers.map((header) => values[header] || '');
+
+  // A fresh ID that is not used anywhere in the table
+  const usedIds = rows.map((row) => row[idIndex]).filter(Boolean);
+  const withId = ensureUniqueIds([headers.join('\t'), newRow.join('\t')].join('\n'), usedIds);
+  newRow[idIndex] = withId.split('\n')[1].split('\t')[idIndex];
+
+  let insertIndex = rows.findIndex((row) => compareReferences(candidate.reference, stripDeleted(row[referenceIndex] || '')) < 0);
+  if (insertIndex === -1) insertIndex = rows.length;
+  rows.splice(insertIndex, 0, newRow);
+
+  return {
+    content: [headers.join('\t'), ...rows.map((row) => row.join('\t'))].join('\n'),
+    rowIndex: insertIndex,
+  };
+};
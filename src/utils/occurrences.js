@@ -0,0 +1,376 @@
+/**
+ * Utilities for renumbering Occurrence and GLOccurrence after the source texts change
+ * When the UHB/UGNT or ULT adds or removes an instance of a word in a verse, the rows for the later instances keep
+ * numbers that point at the wrong instance or no longer exist. Where a row has a GLQuote, its instance is worked out
+ * from the ULT alignment: the GLQuote at GLOccurrence is aligned to one instance of OrigWords and OrigWords at
+ * Occurrence to one instance of the GLQuote, so a number that moved shows up as one anchor disagreeing with the other.
+ * Other rows are grouped per verse by OrigWords (or GLQuote); a group whose numbers are out of range or missing is
+ * renumbered against the current text, and one whose numbers don't account for every instance goes to review, since
+ * an instance may have been added before them.
+ */
+
+import { toJSON } from 'usfm-js';
+import { fetchUSFMContent } from '../services/apiService.js';
+import { parseTsv } from './tsvUtils.js';
+import { buildVerseLexicon, tokenizeOrigWords } from './fuzzyMatch.js';
+import { fetchUltUsfm, parseUsfmVerses, findGLQuotePosition } from './verseOrdering.js';
+import { normalizeHebrewText } from './unlinkedWords.js';
+
+// Stop counting GLQuote instances after this many (guards against an empty-ish quote matching everywhere)
+const MAX_GL_INSTANCES = 50;
+
+/**
+ * Count the instances of OrigWords in a verse of the original-language text
+ * @param {Array<{text: string}>} verseWords - Normalized words of the verse (from buildVerseLexicon())
+ */
+export const countOrigWordsInstances = (origWords, verseWords) => {
+  const tokens = tokenizeOrigWords(origWords);
+  if (tokens.length === 0 || !verseWords) return 0;
+
+  let count = 0;
+  for (let i = 0; i + tokens.length <= verseWords.length; i++) {
+    if (tokens.every((token, offset) => verseWords[i + offset].text === token)) {
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Count the instances of a GLQuote in a verse of the ULT (matched the same way as verse ordering)
+ */
+export const countGLQuoteInstances = (glQuote, verseText) => {
+  let count = 0;
+  while (count < MAX_GL_INSTANCES && findGLQuotePosition(verseText, glQuote, count + 1) !== -1) {
+    count++;
+  }
+  return count;
+};
+
+// Lowercase letters, marks, digits and apostrophes of a ULT word, so "God," matches "god"
+const normalizeGlWord = (word) => (word || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}'’]/gu, '');
+
+const tokenizeGlQuote = (glQuote) => (glQuote || '').split(/\s+/).map(normalizeGlWord).filter(Boolean);
+
+const collectAlignedWords = (verseObjects, alignedTo, words) => {
+  (verseObjects || []).forEach((obj) => {
+    if (obj.tag === 'zaln') {
+      const occurrence = parseInt(obj.occurrence, 10);
+      collectAlignedWords(obj.children, [...alignedTo, { original: obj.content || '', occurrence: Number.isFinite(occurrence) ? occurrence : 1 }], words);
+      return;
+    }
+    if (obj.type === 'word' || obj.tag === 'w') {
+      const text = normalizeGlWord(obj.text);
+      if (text) words.push({ text, alignedTo });
+    }
+    if (obj.children) collectAlignedWords(obj.children, alignedTo, words);
+  });
+  return words;
+};
+
+/**
+ * Parse the alignment of an aligned ULT book
+ * @param {string} ultUsfmContent - ULT USFM with \zaln-s alignment milestones
+ * @returns {Map<string, Array<{text: string, alignedTo: Array<{original: string, occurrence: number}>}>>} Map of
+ *   "chapter:verse" to its words in order, each with the original-language words (as written, and their occurrence in
+ *   the verse) it is aligned to. Verse ranges are left out
+ */
+export const buildUltAlignment = (ultUsfmContent) => {
+  const alignment = new Map();
+  if (!ultUsfmContent) return alignment;
+
+  try {
+    const usfmJSON = toJSON(ultUsfmContent);
+    Object.entries(usfmJSON.chapters || {}).forEach(([chapter, chapterData]) => {
+      Object.entries(chapterData || {}).forEach(([verse, verseData]) => {
+        if (!/^\d+$/.test(verse) || !verseData?.verseObjects) return;
+        alignment.set(`${chapter}:${verse}`, collectAlignedWords(verseData.verseObjects, [], []));
+      });
+    });
+  } catch (error) {
+    console.warn('🔢 Could not parse the ULT alignment:', error);
+  }
+
+  return alignment;
+};
+
+// Start of each instance of a word sequence in a list of words
+const findInstances = (words, tokens, getText) => {
+  const starts = [];
+  for (let i = 0; tokens.length > 0 && i + tokens.length <= words.length; i++) {
+    if (tokens.every((token, offset) => getText(words[i + offset]) === token)) starts.push(i);
+  }
+  return starts;
+};
+
+/**
+ * Which instance of OrigWords the GLQuote at GLOccurrence is aligned to
+ * @returns {number|null} Occurrence, or null if the GLQuote isn't there or isn't aligned to OrigWords
+ */
+const getOccurrenceFromGLQuote = (origWords, glQuote, glOccurrence, verseWords, alignedWords) => {
+  const tokens = tokenizeOrigWords(origWords);
+  const glTokens = tokenizeGlQuote(glQuote);
+  const glStart = findInstances(alignedWords, glTokens, (word) => word.text)[glOccurrence - 1];
+  if (glStart === undefined || tokens.length === 0) return null;
+
+  // The original-language word the GLQuote is aligned to that starts OrigWords, and where it is in the verse
+  const aligned = alignedWords
+    .slice(glStart, glStart + glTokens.length)
+    .flatMap((word) => word.alignedTo)
+    .find((original) => normalizeHebrewText(original.original) === tokens[0]);
+  if (!aligned) return null;
+  const positions = verseWords.map((word, i) => (word.original === aligned.original ? i : -1)).filter((i) => i >= 0);
+  const position = positions[aligned.occurrence - 1];
+  if (position === undefined) return null;
+
+  const occurrence = findInstances(verseWords, tokens, (word) => word.text).indexOf(position) + 1;
+  return occurrence > 0 ? occurrence : null;
+};
+
+/**
+ * Which instance of the GLQuote OrigWords at Occurrence is aligned to
+ * @returns {number|null} GLOccurrence, or null if OrigWords isn't there or no instance of the GLQuote is aligned to it
+ */
+const getGLOccurrenceFromOrigWords = (origWords, occurrence, glQuote, verseWords, alignedWords) => {
+  const position = findInstances(verseWords, tokenizeOrigWords(origWords), (word) => word.text)[occurrence - 1];
+  if (position === undefined) return null;
+
+  const { original } = verseWords[position];
+  const instance = verseWords.slice(0, position + 1).filter((word) => word.original === original).length;
+  const glTokens = tokenizeGlQuote(glQuote);
+  const glOccurrence =
+    findInstances(alignedWords, glTokens, (word) => word.text).findIndex((start) =>
+      alignedWords
+        .slice(start, start + glTokens.length)
+        .some((word) => word.alignedTo.some((aligned) => aligned.original === original && aligned.occurrence === instance))
+    ) + 1;
+  return glOccurrence > 0 ? glOccurrence : null;
+};
+
+/**
+ * Work out the numbers of one group of rows (same verse, same words) in table order
+ * Rows sharing a number (e.g. one instance linked to two articles) keep sharing it. Numbers that are out of range,
+ * missing or not numbers are shifted down by the instances removed before them, or failing that renumbered 1..n in the
+ * order of their current numbers. Numbers that are in range but don't account for every instance of the verse can't
+ * be checked (an instance may have been added before them), so the group goes to review
+ * @param {string[]} values - Current numbers of the rows
+ * @param {number} instanceCount - Instances of the words in the verse
+ * @param {number[]} [fixedNumbers] - Instances already taken by rows of the group resolved from the alignment
+ * @returns {{numbers: number[]}|{reason: string}} New numbers, or why the group needs a manual review
+ */
+const renumberGroup = (values, instanceCount, fixedNumbers = []) => {
+  const distinct = [...new Set(values.map((value) => (value || '').trim()))];
+  const distinctNumbers = distinct.map((value) => (/^\d+$/.test(value) ? parseInt(value, 10) : NaN));
+  const withNumbers = (mapped) => ({ numbers: values.map((value) => mapped[distinct.indexOf((value || '').trim())]) });
+
+  if (distinct.length > instanceCount) {
+    return { reason: `${distinct.length} different occurrences but only ${instanceCount} instance${instanceCount === 1 ? '' : 's'} in the verse` };
+  }
+
+  const inRange = distinctNumbers.every((number) => number >= 1 && number <= instanceCount);
+  if (inRange) {
+    const covered = new Set([...distinctNumbers, ...fixedNumbers]).size;
+    if (covered < instanceCount) {
+      return { reason: `Rows cover ${covered} of the ${instanceCount} instances in the verse - check that no instance was added before them` };
+    }
+    return withNumbers(distinctNumbers);
+  }
+
+  if (distinctNumbers.every(Number.isFinite)) {
+    const shift = Math.max(...distinctNumbers) - instanceCount;
+    const shifted = distinctNumbers.map((number) => number - shift);
+    if (shift > 0 && shifted.every((number) => number >= 1)) {
+      return withNumbers(shifted);
+    }
+  }
+
+  const order = distinctNumbers.map((_, i) => i).sort((a, b) => (distinctNumbers[a] || Infinity) - (distinctNumbers[b] || Infinity) || a - b);
+  const sequential = new Array(distinctNumbers.length);
+  order.forEach((distinctPosition, i) => {
+    sequential[distinctPosition] = i + 1;
+  });
+  return withNumbers(sequential);
+};
+
+/**
+ * Renumber Occurrence from the original-language text and GLOccurrence from the ULT
+ * Soft-deleted rows and discontiguous ("&") OrigWords are left alone. A column is skipped if its text is not given
+ * or the TSV doesn't have it (e.g. GLOccurrence of a 6-column TWL). Rows with a GLQuote are first resolved from the
+ * ULT alignment (when given); the rest are checked per group of the same words in the verse
+ * @param {string} tsvContent - TSV content with a header row
+ * @param {Object} texts
+ * @param {Map|null} texts.verseWords - Original-language words per verse (from buildVerseLexicon())
+ * @param {Map|null} texts.ultVerses - ULT text per verse (from parseUsfmVerses())
+ * @param {Map|null} [texts.ultAlignment] - ULT words and their alignment per verse (from buildUltAlignment())
+ * @returns {{content: string, report: {changes: Object[], reviews: Object[]}}} Renumbered content and what happened:
+ *   changes hold {rowIndex, reference, id, column, from, to}; reviews hold {rowIndex, reference, id, column, reason}
+ *   for rows that could not be renumbered (rowIndex is the 0-based data row)
+ */
+export const renumberOccurrences = (tsvContent, { verseWords = null, ultVerses = null, ultAlignment = null } = {}) => {
+  const report = { changes: [], reviews: [] };
+  if (!tsvContent || typeof tsvContent !== 'string') return { content: tsvContent, report };
+
+  const { headers, rows } = parseTsv(tsvContent, true);
+  const referenceIndex = headers.indexOf('Reference');
+  const idIndex = headers.indexOf('ID');
+  if (referenceIndex < 0) return { content: tsvContent, report };
+
+  const cell = (row, index) => (index >= 0 ? (row[index] || '').trim() : '');
+  const describe = (rowIndex, column) => ({
+    rowIndex,
+    reference: cell(rows[rowIndex], referenceIndex),
+    id: cell(rows[rowIndex], idIndex),
+    column,
+  });
+  const setNumber = (rowIndex, numberIndex, column, to) => {
+    const from = cell(rows[rowIndex], numberIndex);
+    if (from === String(to)) return;
+    rows[rowIndex][numberIndex] = String(to);
+    report.changes.push({ ...describe(rowIndex, column), from, to: String(to) });
+  };
+
+  const origWordsIndex = headers.indexOf('OrigWords');
+  const occurrenceIndex = headers.indexOf('Occurrence');
+  const glQuoteIndex = headers.indexOf('GLQuote');
+  const glOccurrenceIndex = headers.indexOf('GLOccurrence');
+  const isLive = (row) => {
+    const reference = cell(row, referenceIndex);
+    return reference && !reference.startsWith('DELETED ');
+  };
+
+  // Rows whose Occurrence (and GLOccurrence) the alignment settled, one way or the other
+  const resolvedRows = new Set();
+  if (verseWords?.size && ultAlignment?.size && origWordsIndex >= 0 && occurrenceIndex >= 0 && glQuoteIndex >= 0 && glOccurrenceIndex >= 0) {
+    rows.forEach((row, rowIndex) => {
+      const origWords = cell(row, origWordsIndex);
+      const glQuote = cell(row, glQuoteIndex);
+      const occurrence = parseInt(cell(row, occurrenceIndex), 10);
+      const glOccurrence = parseInt(cell(row, glOccurrenceIndex), 10);
+      if (!isLive(row) || !origWords || origWords.includes('&') || !glQuote || /&|…/.test(glQuote)) return;
+      const words = verseWords.get(cell(row, referenceIndex));
+      const alignedWords = ultAlignment.get(cell(row, referenceIndex));
+      if (!words || !alignedWords || !alignedWords.some((word) => word.alignedTo.length > 0)) return;
+
+      const fromGLQuote = Number.isFinite(glOccurrence) ? getOccurrenceFromGLQuote(origWords, glQuote, glOccurrence, words, alignedWords) : null;
+      const fromOrigWords = Number.isFinite(occurrence) ? getGLOccurrenceFromOrigWords(origWords, occurrence, glQuote, words, alignedWords) : null;
+
+      if (fromGLQuote === occurrence || fromOrigWords === glOccurrence) {
+        resolvedRows.add(rowIndex);
+      } else if (fromGLQuote !== null && fromOrigWords === null) {
+        // OrigWords at Occurrence isn't aligned to the GLQuote any more - the original-language text moved
+        setNumber(rowIndex, occurrenceIndex, 'Occurrence', fromGLQuote);
+        resolvedRows.add(rowIndex);
+      } else if (fromGLQuote === null && fromOrigWords !== null) {
+        // The GLQuote at GLOccurrence isn't aligned to OrigWords any more - the ULT moved
+        setNumber(rowIndex, glOccurrenceIndex, 'GLOccurrence', fromOrigWords);
+        resolvedRows.add(rowIndex);
+      } else if (fromGLQuote !== null && fromOrigWords !== null) {
+        const reason = `Occurrence ${occurrence} is aligned to GLOccurrence ${fromOrigWords}, but GLOccurrence ${glOccurrence} to Occurrence ${fromGLQuote}`;
+        ['Occurrence', 'GLOccurrence'].forEach((column) => report.reviews.push({ ...describe(rowIndex, column), reason }));
+        resolvedRows.add(rowIndex);
+      }
+    });
+  }
+
+  const passes = [
+    {
+      column: 'Occurrence',
+      wordsIndex: origWordsIndex,
+      numberIndex: occurrenceIndex,
+      texts: verseWords,
+      normalize: (words) => (words.includes('&') ? '' : tokenizeOrigWords(words).join(' ')),
+      countInstances: (words, verseText) => countOrigWordsInstances(words, verseText),
+      textName: 'original-language text',
+    },
+    {
+      column: 'GLOccurrence',
+      wordsIndex: glQuoteIndex,
+      numberIndex: glOccurrenceIndex,
+      texts: ultVerses,
+      normalize: (words) => words.toLowerCase().replace(/\s+/g, ' '),
+      countInstances: (words, verseText) => countGLQuoteInstances(words, verseText),
+      textName: 'ULT',
+    },
+  ];
+
+  passes.forEach(({ column, wordsIndex, numberIndex, texts, normalize, countInstances, textName }) => {
+    if (!texts || texts.size === 0 || wordsIndex < 0 || numberIndex < 0) return;
+
+    // Group live rows by verse and words, keeping table order. Occurrence counts instances of the words, whatever
+    // article they link to
+    const groups = new Map();
+    rows.forEach((row, rowIndex) => {
+      const reference = cell(row, referenceIndex);
+      const words = cell(row, wordsIndex);
+      const normalizedWords = words ? normalize(words) : '';
+      if (!isLive(row) || !normalizedWords) return;
+
+      const key = `${reference}|${normalizedWords}`;
+      if (!groups.has(key)) {
+        groups.set(key, { reference, words, rowIndices: [], fixedNumbers: [] });
+      }
+      const group = groups.get(key);
+      if (resolvedRows.has(rowIndex)) {
+        group.fixedNumbers.push(parseInt(cell(row, numberIndex), 10));
+      } else {
+        group.rowIndices.push(rowIndex);
+      }
+    });
+
+    groups.forEach(({ reference, words, rowIndices, fixedNumbers }) => {
+      if (rowIndices.length === 0) return;
+      const verseText = texts.get(reference);
+      if (!verseText) {
+        rowIndices.forEach((rowIndex) => report.reviews.push({ ...describe(rowIndex, column), reason: `Verse not found in the ${textName}` }));
+        return;
+      }
+
+      const instanceCount = countInstances(words, verseText);
+      if (instanceCount === 0) {
+        rowIndices.forEach((rowIndex) => report.reviews.push({ ...describe(rowIndex, column), reason: `"${words}" not found in the ${textName} verse` }));
+        return;
+      }
+
+      const result = renumberGroup(
+        rowIndices.map((rowIndex) => cell(rows[rowIndex], numberIndex)),
+        instanceCount,
+        fixedNumbers.filter(Number.isFinite)
+      );
+      if (result.reason) {
+        rowIndices.forEach((rowIndex) => report.reviews.push({ ...describe(rowIndex, column), reason: result.reason }));
+        return;
+      }
+
+      rowIndices.forEach((rowIndex, i) => setNumber(rowIndex, numberIndex, column, result.numbers[i]));
+    });
+  });
+
+  if (report.changes.length === 0) return { content: tsvContent, report };
+
+  console.log(`🔢 Renumbered ${report.changes.length} occurrences (${report.reviews.length} rows to review)`);
+  const content = [headers.join('\t'), ...rows.map((row) => row.join('\t'))].join('\n');
+  return { content, report };
+};
+
+/**
+ * Fetch the original-language text and ULT of a book and renumber the occurrences of TSV content against them
+ * A text that can't be loaded is skipped (its column is left as is); fails only if neither loads
+ * @returns {Promise<{content: string, report: {changes: Object[], reviews: Object[]}}>}
+ */
+export const renumberOccurrencesForBook = async (tsvContent, bookCode, dcsHost = 'https://git.door43.org', projectConfig) => {
+  const [olResult, ultResult] = await Promise.allSettled([
+    fetchUSFMContent((bookCode || '').toLowerCase(), 'original', dcsHost, null, projectConfig),
+    fetchUltUsfm(bookCode, dcsHost, projectConfig),
+  ]);
+
+  const verseWords = olResult.status === 'fulfilled' ? buildVerseLexicon(olResult.value) : null;
+  const ultVerses = ultResult.status === 'fulfilled' ? parseUsfmVerses(ultResult.value) : null;
+  const ultAlignment = ultResult.status === 'fulfilled' ? buildUltAlignment(ultResult.value) : null;
+  if (olResult.status === 'rejected') console.warn('🔢 Could not load original-language USFM:', olResult.reason?.message || olResult.reason);
+  if (ultResult.status === 'rejected') console.warn('🔢 Could not load ULT USFM:', ultResult.reason?.message || ultResult.reason);
+  if (!verseWords && !ultVerses) {
+    throw new Error('Could not load the original-language text or the ULT to renumber occurrences');
+  }
+
+  return renumberOccurrences(tsvContent, { verseWords, ultVerses, ultAlignment });
+};
@@ -0,0 +1,159 @@
+/**
+ * IndexedDB store for the offline workspace - copies of DCS resources (USFM, TW archive, TWL files, branch lists)
+ * A second store holds cached downloads the app checks against DCS before using (e.g. the TW archive, refreshed when
+ * its commit changes) and a third the app's own snapshots (e.g. the last generator runs per book); clearing the offline
+ * workspace leaves both alone
+ * Works in the page and in the pipeline Web Worker. Where IndexedDB is not available (e.g. the command line) reads
+ * return null and writes do nothing, so callers simply fall back to the network
+ */
+
+const DB_NAME = 'twl-offline-workspace';
+const DB_VERSION = 3;
+const STORE_NAME = 'resources';
+const CACHE_STORE_NAME = 'cache';
+const SNAPSHOT_STORE_NAME = 'snapshots';
+
+let dbRequest = null;
+
+const isAvailable = () => typeof indexedDB !== 'undefined';
+
+const openDb = () => {
+  if (!dbRequest) {
+    dbRequest = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        [STORE_NAME, CACHE_STORE_NAME, SNAPSHOT_STORE_NAME].forEach((storeName) => {
+          if (!request.result.objectStoreNames.contains(storeName)) {
+            request.result.createObjectStore(storeName, { keyPath: 'key' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open is retried next time
+    dbRequest.catch(() => {
+      dbRequest = null;
+    });
+  }
+  return dbRequest;
+};
+
+const runRequest = async (mode, createRequest, storeName = STORE_NAME) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Keys of stored resources, e.g. offlineKey('usfm', dcsHost, 'unfoldingWord/en_ult@master', '01-GEN.usfm')
+ */
+export const offlineKey = (kind, dcsHost, ...parts) => [kind, dcsHost, ...parts].join('|');
+
+/**
+ * Read a stored resource
+ * @returns {Promise<{key: string, kind: string, content: string|ArrayBuffer, source: Object|null, storedAt: string}|null>}
+ *   null if it was never stored or IndexedDB can't be used
+ */
+export const readOfflineResource = async (key) => {
+  if (!isAvailable()) return null;
+  try {
+    return (await runRequest('readonly', (store) => store.get(key))) || null;
+  } catch (error) {
+    console.warn('📴 Could not read the offline store:', error?.message || error);
+    return null;
+  }
+};
+
+/**
+ * Store a resource (replacing an older copy)
+ * @param {string} key - From offlineKey()
+ * @param {string|ArrayBuffer|Array} content - Resource content
+ * @param {Object} [details] - {source} (repo, path, ref, commitSha of the copy) and {book}
+ */
+export const storeOfflineResource = async (key, content, { source = null, book = '' } = {}) => {
+  if (!isAvailable()) return;
+  const size = typeof content === 'string' ? content.length : content?.byteLength ?? JSON.stringify(content).length;
+  await runRequest('readwrite', (store) =>
+    store.put({ key, kind: key.split('|')[0], content, source, book, size, storedAt: new Date().toISOString() })
+  );
+};
+
+/**
+ * List the stored resources without their content
+ * @returns {Promise<Array<{key: string, kind: string, book: string, size: number, storedAt: string}>>}
+ */
+export const listOfflineResources = async () => {
+  if (!isAvailable()) return [];
+  const records = await runRequest('readonly', (store) => store.getAll());
+  return records.map(({ key, kind, book, size, storedAt }) => ({ key, kind, book, size, storedAt }));
+};
+
+/**
+ * Remove every stored resource
+ */
+export const clearOfflineResources = async () => {
+  if (!isAvailable()) return;
+  await runRequest('readwrite', (store) => store.clear());
+  console.log('📴 Offline store cleared');
+};
+
+/**
+ * Read a cached download (see storeCachedResource())
+ * @returns {Promise<{key: string, content: *, version: string, storedAt: string}|null>} null if there is none
+ */
+export const readCachedResource = async (key) => {
+  if (!isAvailable()) return null;
+  try {
+    return (await runRequest('readonly', (store) => store.get(key), CACHE_STORE_NAME)) || null;
+  } catch (error) {
+    console.warn('Could not read the download cache:', error?.message || error);
+    return null;
+  }
+};
+
+/**
+ * Cache a download with the version it was made at (e.g. a commit SHA), so the caller can tell when it is out of date
+ * Failures are logged; the download is simply not cached
+ */
+export const storeCachedResource = async (key, content, version) => {
+  if (!isAvailable()) return;
+  try {
+    await runRequest('readwrite', (store) => store.put({ key, content, version, storedAt: new Date().toISOString() }), CACHE_STORE_NAME);
+  } catch (error) {
+    console.warn('Could not write the download cache:', error?.message || error);
+  }
+};
+
+/**
+ * Read a snapshot the app stored (see storeSnapshot())
+ * @returns {Promise<*|null>} The stored value, null if there is none
+ */
+export const readSnapshot = async (key) => {
+  if (!isAvailable()) return null;
+  try {
+    const record = await runRequest('readonly', (store) => store.get(key), SNAPSHOT_STORE_NAME);
+    return record ? record.value : null;
+  } catch (error) {
+    console.warn('Could not read the snapshot store:', error?.message || error);
+    return null;
+  }
+};
+
+/**
+ * Store a snapshot (replacing the previous one under the key)
+ * Failures are logged; the snapshot is simply not kept
+ */
+export const storeSnapshot = async (key, value) => {
+  if (!isAvailable()) return;
+  try {
+    await runRequest('readwrite', (store) => store.put({ key, value }), SNAPSHOT_STORE_NAME);
+  } catch (error) {
+    console.warn('Could not write the snapshot store:', error?.message || error);
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Utilities for summarizing what each step of the TWL generation pipeline did
+ * Used by the dry-run preview shown before generated content replaces the table
+ */
+
+const splitRows = (tsvContent) => {
+  if (!tsvContent || typeof tsvContent !== 'string') return { headers: [], rows: [] };
+  const lines = tsvContent.split('\n').filter((line) => line.trim());
+  if (lines.length === 0) return { headers: [], rows: [] };
+  return { headers: lines[0].split('\t'), rows: lines.slice(1).map((line) => line.split('\t')) };
+};
+
+/**
+ * Count the data rows (excluding the header) of TSV content
+ */
+export const countTsvRows = (tsvContent) => splitRows(tsvContent).rows.length;
+
+/**
+ * Count rows per Merge Status value
+ * @returns {Object<string, number>} Map of Merge Status to row count (empty if there is no Merge Status column)
+ */
+export const countMergeStatuses = (tsvContent) => {
+  const { headers, rows } = splitRows(tsvContent);
+  const mergeStatusIndex = headers.indexOf('Merge Status');
+  const counts = {};
+  if (mergeStatusIndex < 0) return counts;
+
+  rows.forEach((row) => {
+    const status = (row[mergeStatusIndex] || '').trim();
+    if (status) {
+      counts[status] = (counts[status] || 0) + 1;
+    }
+  });
+  return counts;
+};
+
+/**
+ * Count IDs filled in or replaced by a step that keeps the rows in place (e.g. ensureUniqueIds)
+ * @returns {{assigned: number, rewritten: number}} IDs added to rows that had none, and IDs that were changed
+ */
+export const countIdChanges = (beforeContent, afterContent) => {
+  const before = splitRows(beforeContent);
+  const after = splitRows(afterContent);
+  const beforeIdIndex = before.headers.indexOf('ID');
+  const afterIdIndex = after.headers.indexOf('ID');
+  const result = { assigned: 0, rewritten: 0 };
+  if (beforeIdIndex < 0 || afterIdIndex < 0) return result;
+
+  after.rows.forEach((row, i) => {
+    const previousId = (before.rows[i]?.[beforeIdIndex] || '').trim();
+    const id = (row[afterIdIndex] || '').trim();
+    if (!previousId && id) {
+      result.assigned++;
+    } else if (previousId !== id) {
+      result.rewritten++;
+    }
+  });
+  return result;
+};
+
+/**
+ * Count rows a step soft-deleted (Reference gained the "DELETED " prefix), for steps that keep the rows in place
+ */
+export const countNewlyDeletedRows = (beforeContent, afterContent) => {
+  const before = splitRows(beforeContent);
+  const after = splitRows(afterContent);
+  const beforeReferenceIndex = before.headers.indexOf('Reference');
+  const afterReferenceIndex = after.headers.indexOf('Reference');
+  if (beforeReferenceIndex < 0 || afterReferenceIndex < 0) return 0;
+
+  return after.rows.filter((row, i) => {
+    const wasDeleted = (before.rows[i]?.[beforeReferenceIndex] || '').startsWith('DELETED ');
+    return !wasDeleted && (row[afterReferenceIndex] || '').startsWith('DELETED ');
+  }).length;
+};
@@ -0,0 +1,152 @@
+/**
+ * Project configuration - which DCS organization and repositories a TWL is built from and committed to
+ * The defaults are unfoldingWord's English resources; partner organizations and other gateway languages set their own.
+ * The original-language texts (UHB/UGNT) always come from unfoldingWord. Each source resource can be pinned to a
+ * release tag or commit (config.pins) so that runs are reproducible
+ */
+
+export const DEFAULT_PROJECT_CONFIG = {
+  owner: 'unfoldingWord',
+  bibleRepo: 'en_ult',
+  twlRepo: 'en_twl',
+  twRepo: 'en_tw',
+  ref: 'master',
+};
+
+// Fields of the configuration, in the order they are shown and accepted on the command line
+export const PROJECT_CONFIG_FIELDS = [
+  { key: 'owner', label: 'Organization', description: 'DCS organization (or user) that owns the repositories' },
+  { key: 'bibleRepo', label: 'GL Bible repository', description: 'Aligned gateway-language Bible (ULT) used for GLQuotes and verse order' },
+  { key: 'twlRepo', label: 'TWL repository', description: 'Translation Words Links repository that is fetched, merged and committed to' },
+  { key: 'twRepo', label: 'TW repository', description: 'Translation Words articles that TWLinks point to' },
+  { key: 'ref', label: 'Ref', description: 'Default branch of the repositories (the three-way merge base and pull request target)' },
+];
+
+// Source resources that can be pinned; param is the URL parameter that sets the pin (e.g. ?uhb=v2.1.30)
+export const RESOURCE_PINS = [
+  { key: 'bible', param: 'bible', label: 'GL Bible' },
+  { key: 'uhb', param: 'uhb', label: 'UHB (Hebrew)' },
+  { key: 'ugnt', param: 'ugnt', label: 'UGNT (Greek)' },
+  { key: 'tw', param: 'tw', label: 'TW articles' },
+  { key: 'twl', param: 'twl', label: 'TWL merge base' },
+];
+
+const REPO_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+const isValidRef = (ref) => !/\s|\.\.|^\/|\/$/.test(ref);
+
+/**
+ * Keep the non-blank pins of known resources, trimmed
+ */
+export const normalizeResourcePins = (pins) =>
+  Object.fromEntries(
+    RESOURCE_PINS.map(({ key }) => [key, typeof pins?.[key] === 'string' ? pins[key].trim() : '']).filter(([, ref]) => ref)
+  );
+
+/**
+ * Fill in missing or blank fields with the defaults and trim the rest
+ */
+export const normalizeProjectConfig = (config) => ({
+  ...Object.fromEntries(
+    Object.entries(DEFAULT_PROJECT_CONFIG).map(([key, defaultValue]) => {
+      const value = typeof config?.[key] === 'string' ? config[key].trim() : '';
+      return [key, value || defaultValue];
+    })
+  ),
+  pins: normalizeResourcePins(config?.pins),
+});
+
+/**
+ * Check the configuration fields are valid DCS names
+ * @returns {Object<string, string>} Error message per invalid field (empty if all are valid)
+ */
+export const validateProjectConfig = (config) => {
+  const errors = {};
+  PROJECT_CONFIG_FIELDS.forEach(({ key, label }) => {
+    const value = (config?.[key] || '').trim();
+    if (value && (key === 'ref' ? !isValidRef(value) : !REPO_NAME_PATTERN.test(value))) {
+      errors[key] = `${label} is not a valid name`;
+    }
+  });
+  RESOURCE_PINS.forEach(({ key, label }) => {
+    const value = (config?.pins?.[key] || '').trim();
+    if (value && !isValidRef(value)) {
+      errors[`pins.${key}`] = `${label} pin is not a valid tag or commit`;
+    }
+  });
+  return errors;
+};
+
+// Pins are not compared (the header lists them separately)
+export const isDefaultProjectConfig = (config) =>
+  Object.entries(DEFAULT_PROJECT_CONFIG).every(([key, defaultValue]) => normalizeProjectConfig(config)[key] === defaultValue);
+
+/**
+ * "owner/repo" of a pinnable resource ('bible', 'uhb', 'ugnt', 'tw' or 'twl')
+ */
+export const getResourceRepo = (config, resource) => {
+  const { owner, bibleRepo, twlRepo, twRepo } = normalizeProjectConfig(config);
+  const repos = {
+    bible: `${owner}/${bibleRepo}`,
+    uhb: 'unfoldingWord/hbo_uhb',
+    ugnt: 'unfoldingWord/el-x-koine_ugnt',
+    tw: `${owner}/${twRepo}`,
+    twl: `${owner}/${twlRepo}`,
+  };
+  return repos[resource];
+};
+
+/**
+ * Ref a resource is read at: its pin, else the project ref (the original-language texts use master)
+ */
+export const getResourceRef = (config, resource) => {
+  const { ref, pins } = normalizeProjectConfig(config);
+  return pins[resource] || (resource === 'uhb' || resource === 'ugnt' ? 'master' : ref);
+};
+
+/**
+ * "owner/repo/ref" link of the GL Bible at its pinned ref, as tsv-quote-converters expects it
+ */
+export const getBibleLink = (config) => `${getResourceRepo(config, 'bible')}/${getResourceRef(config, 'bible')}`;
+
+/**
+ * Bible twl-generator matches its terms in: it always reads unfoldingWord's en_ult at master, whatever the project's
+ * GL Bible or pin, so its quotes are converted against this link
+ */
+export const GENERATOR_BIBLE_LINK = 'unfoldingWord/en_ult/master';
+
+/**
+ * Whether the project's GL Bible (at its pinned ref) is the Bible the generator reads
+ */
+export const isGeneratorBible = (config) => getBibleLink(config) === GENERATOR_BIBLE_LINK;
+
+/**
+ * Pins set through URL parameters (e.g. ?bible=v86&uhb=v2.1.30)
+ */
+export const getResourcePinsFromUrl = (search) => {
+  const params = new URLSearchParams(search);
+  return normalizeResourcePins(Object.fromEntries(RESOURCE_PINS.map(({ key, param }) => [key, params.get(param) || ''])));
+};
+
+/**
+ * Describe the pinned resources (e.g. "en_ult@v86, hbo_uhb@v2.1.30"), or '' if nothing is pinned
+ */
+export const describeResourcePins = (config) => {
+  const { pins } = normalizeProjectConfig(config);
+  return RESOURCE_PINS.filter(({ key }) => pins[key])
+    .map(({ key }) => `${getResourceRepo(config, key).split('/').pop()}@${pins[key]}`)
+    .join(', ');
+};
+
+/**
+ * Folder the TW articles are under in the TW repository's archive zip (e.g. "en_tw/")
+ */
+export const getTwArchivePrefix = (config) => `${normalizeProjectConfig(config).twRepo}/`;
+
+/**
+ * Short description for headers and logs (e.g. "unfoldingWord: en_ult, en_twl, en_tw @ master")
+ */
+export const describeProjectConfig = (config) => {
+  const { owner, bibleRepo, twlRepo, twRepo, ref } = normalizeProjectConfig(config);
+  return `${owner}: ${bibleRepo}, ${twlRepo}, ${twRepo} @ ${ref}`;
+};
@@ -0,0 +1,132 @@
+/**
+ * Provenance utilities - record where generated TWL rows came from
+ * Optional Source, SourceRef and GeneratedAt columns per row, plus a sidecar record of the twl-generator version and
+ * the exact commits fetched from DCS for one pipeline run
+ */
+
+import { DEFAULT_PROJECT_CONFIG, GENERATOR_BIBLE_LINK, normalizeProjectConfig } from './projectConfig.js';
+
+export const PROVENANCE_COLUMNS = ['Source', 'SourceRef', 'GeneratedAt'];
+
+/**
+ * Values of the Source column
+ * GENERATOR rows only exist in the generated TWL, IMPORTED rows only in the existing en_twl TWL, and MERGED rows were
+ * matched (or reconciled by the three-way merge) across both
+ */
+export const PROVENANCE_SOURCES = {
+  GENERATOR: 'twl-generator',
+  IMPORTED: 'en_twl',
+  MERGED: 'merged',
+};
+
+/**
+ * Describe a fetched file as "repo@ref:sha" (e.g. "en_ult@master:3f2a9c1b0d")
+ * @param {{repo: string, ref: string, commitSha: string}} source - Entry from getFetchedSources()
+ */
+export const formatSourceRef = (source) => {
+  if (!source) return '';
+  const repoName = (source.repo || '').split('/').pop();
+  return `${repoName}@${source.ref}:${source.commitSha ? source.commitSha.substring(0, 10) : 'unknown'}`;
+};
+
+/**
+ * Check whether TSV content already has the provenance columns
+ */
+export const hasProvenanceColumns = (tsvContent) => {
+  if (!tsvContent || typeof tsvContent !== 'string') return false;
+  const headers = tsvContent.split('\n', 1)[0].split('\t');
+  return PROVENANCE_COLUMNS.every((column) => headers.includes(column));
+};
+
+const getRowSource = (mergeStatus) => {
+  if (!mergeStatus || mergeStatus === 'NEW') return PROVENANCE_SOURCES.GENERATOR;
+  if (mergeStatus === 'OLD') return PROVENANCE_SOURCES.IMPORTED;
+  return PROVENANCE_SOURCES.MERGED;
+};
+
+/**
+ * Add the provenance columns (if missing) and fill them for rows that don't have a Source yet
+ * Rows that already carry provenance keep it, so re-running this after "Update TWL" only stamps the added rows
+ * @param {string} tsvContent - TSV content with a header row
+ * @param {Object} refs
+ * @param {string} refs.generatorRef - SourceRef of generated rows (generator version and ULT commit)
+ * @param {string} [refs.importedRef] - SourceRef of rows from the existing TWL (en_twl branch and commit)
+ * @param {string} refs.generatedAt - ISO timestamp of the pipeline run
+ * @returns {string} TSV content with provenance columns
+ */
+export const addProvenanceColumns = (tsvContent, { generatorRef, importedRef = '', generatedAt }) => {
+  if (!tsvContent || typeof tsvContent !== 'string') return tsvContent;
+
+  const lines = tsvContent.split('\n').filter((line) => line.trim());
+  if (lines.length === 0) return tsvContent;
+
+  const headers = lines[0].split('\t');
+  const columnCount = headers.length;
+  const missingColumns = PROVENANCE_COLUMNS.filter((column) => !headers.includes(column));
+  const finalHeaders = [...headers, ...missingColumns];
+
+  const mergeStatusIndex = finalHeaders.indexOf('Merge Status');
+  const sourceIndex = finalHeaders.indexOf('Source');
+  const sourceRefIndex = finalHeaders.indexOf('SourceRef');
+  const generatedAtIndex = finalHeaders.indexOf('GeneratedAt');
+
+  const sourceRefs = {
+    [PROVENANCE_SOURCES.GENERATOR]: generatorRef,
+    [PROVENANCE_SOURCES.IMPORTED]: importedRef,
+    [PROVENANCE_SOURCES.MERGED]: [generatorRef, importedRef].filter(Boolean).join(' + '),
+  };
+
+  const rows = lines.slice(1).map((line) => {
+    const cols = line.split('\t');
+    // Pad short rows so the appended columns line up with the header
+    while (cols.length < columnCount) cols.push('');
+    missingColumns.forEach(() => cols.push(''));
+
+    if (!cols[sourceIndex]) {
+      const source = getRowSource(mergeStatusIndex >= 0 ? (cols[mergeStatusIndex] || '').trim() : '');
+      cols[sourceIndex] = source;
+      cols[sourceRefIndex] = sourceRefs[source];
+      cols[generatedAtIndex] = generatedAt;
+    }
+    return cols.join('\t');
+  });
+
+  return [finalHeaders.join('\t'), ...rows].join('\n');
+};
+
+/**
+ * Build the sidecar provenance record of a pipeline run
+ * Saved next to the extended TSV (twl_BOOK_creation_app.provenance.json) so a reviewer can trace rows to exact commits
+ * @param {Object} details
+ * @param {string} details.bookCode - Book code
+ * @param {string} details.generatorVersion - twl-generator version
+ * @param {string} details.generatedAt - ISO timestamp of the pipeline run
+ * @param {string} [details.mergeStrategy] - Merge strategy used, if an existing TWL was merged
+ * @param {string} [details.existingTwlRef] - TWL repository branch the existing TWL was fetched from ('' for an uploaded or pasted TWL)
+ * @param {{selected: string, generatedRows: string}} [details.matchKey] - Match key strategy chosen for the merge and the
+ *   one generated rows were actually paired by (see getGeneratedMatchKeyStrategy())
+ * @param {Array} details.sources - Fetched files with their commit SHAs (see getFetchedSources())
+ * @param {Object} [details.projectConfig] - Project configuration the run used (see projectConfig.js)
+ */
+export const createProvenanceRecord = ({
+  bookCode,
+  generatorVersion,
+  generatedAt,
+  mergeStrategy = '',
+  existingTwlRef = '',
+  matchKey = null,
+  sources = [],
+  projectConfig = DEFAULT_PROJECT_CONFIG,
+}) => ({
+  book: bookCode.toUpperCase(),
+  generatedAt,
+  // The generator reads its Bible at master whatever the pins
+  generator: { name: 'twl-generator', version: generatorVersion, bible: GENERATOR_BIBLE_LINK },
+  project: normalizeProjectConfig(projectConfig),
+  ...(mergeStrategy ? { mergeStrategy } : {}),
+  ...(mergeStrategy
+    ? { existingTwl: existingTwlRef ? `${normalizeProjectConfig(projectConfig).twlRepo}@${existingTwlRef}` : 'uploaded or pasted TSV' }
+    : {}),
+  ...(mergeStrategy && matchKey ? { matchKey } : {}),
+  sources: sources.map(({ repo, path, ref, commitSha }) => ({ repo, path, ref, commitSha })),
+});
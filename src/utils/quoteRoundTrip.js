@@ -0,0 +1,111 @@
+/**
+ * Quote round trip - each row's OrigWords is converted to a GLQuote of the project's GL Bible (addGLQuoteCols) and
+ * back to OrigWords (convertGLQuotes2OLQuotes). Rows that don't come back with the same OrigWords and Occurrence are
+ * the ones the converters get wrong without reporting an error
+ */
+
+import { parseTsv } from './tsvUtils.js';
+import { tokenizeOrigWords } from './fuzzyMatch.js';
+
+const QUOTE_NOT_FOUND = 'QUOTE_NOT_FOUND';
+const ROUND_TRIP_HEADERS = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink'];
+
+const cellOf = (row, headers, name) => (row[headers.indexOf(name)] || '').trim();
+
+/**
+ * Key of a row for looking up its round-trip result - Reference, OrigWords and Occurrence, so results stay with their
+ * rows when the table is reordered and no longer apply once one of those is edited
+ */
+export const getQuoteRoundTripKey = (row, headers) => ['Reference', 'OrigWords', 'Occurrence'].map((name) => cellOf(row, headers, name)).join('\t');
+
+/**
+ * TSV of the live rows to send to addGLQuoteCols; the ID column holds the table row index
+ */
+export const buildRoundTripTsv = (tableData) => {
+  const { headers = [], rows = [] } = tableData || {};
+  const lines = [];
+  rows.forEach((row, rowIndex) => {
+    const reference = cellOf(row, headers, 'Reference');
+    if (!reference || reference.startsWith('DELETED ') || !cellOf(row, headers, 'OrigWords')) return;
+    lines.push([reference, `${rowIndex}`, cellOf(row, headers, 'Tags'), cellOf(row, headers, 'OrigWords'), cellOf(row, headers, 'Occurrence'), cellOf(row, headers, 'TWLink')].join('\t'));
+  });
+  return [ROUND_TRIP_HEADERS.join('\t'), ...lines].join('\n');
+};
+
+/**
+ * TSV for the way back to convertGLQuotes2OLQuotes - the GLQuote/GLOccurrence from addGLQuoteCols in place of
+ * OrigWords/Occurrence. Rows without a GLQuote are passed with empty OrigWords, which the converter leaves alone
+ */
+export const buildReturnTripTsv = (glQuoteTsv) => {
+  const { headers, rows } = parseTsv((glQuoteTsv || '').trim(), true);
+  const lines = rows.map((row) => {
+    const glQuote = cellOf(row, headers, 'GLQuote');
+    const found = glQuote && !glQuote.includes(QUOTE_NOT_FOUND);
+    return [cellOf(row, headers, 'Reference'), cellOf(row, headers, 'ID'), '', found ? glQuote : '', found ? cellOf(row, headers, 'GLOccurrence') : '', ''].join('\t');
+  });
+  return [ROUND_TRIP_HEADERS.join('\t'), ...lines].join('\n');
+};
+
+/**
+ * Compare the rows of the table with the result of the round trip
+ * @param {{headers: string[], rows: string[][]}} tableData - The table the round trip started from
+ * @param {string} glQuoteTsv - Output of addGLQuoteCols for buildRoundTripTsv()
+ * @param {string} returnTripTsv - Output of convertGLQuotes2OLQuotes for buildReturnTripTsv()
+ * @returns {{failures: Object[], checkedRows: number}} failures are {rowIndex, key, reference, id, origWords, occurrence,
+ *   glQuote, glOccurrence, roundTripOrigWords, roundTripOccurrence, message} in table order
+ */
+export const compareQuoteRoundTrip = (tableData, glQuoteTsv, returnTripTsv) => {
+  const { headers = [], rows = [] } = tableData || {};
+  const byRowIndex = (tsv) => {
+    const parsed = parseTsv((tsv || '').trim(), true);
+    return new Map(parsed.rows.map((row) => [cellOf(row, parsed.headers, 'ID'), (name) => cellOf(row, parsed.headers, name)]));
+  };
+  const glQuotes = byRowIndex(glQuoteTsv);
+  const returnTrips = byRowIndex(returnTripTsv);
+  const failures = [];
+  let checkedRows = 0;
+
+  rows.forEach((row, rowIndex) => {
+    const reference = cellOf(row, headers, 'Reference');
+    const origWords = cellOf(row, headers, 'OrigWords');
+    if (!reference || reference.startsWith('DELETED ') || !origWords) return;
+    checkedRows++;
+
+    const occurrence = cellOf(row, headers, 'Occurrence');
+    const glRow = glQuotes.get(`${rowIndex}`);
+    const returnRow = returnTrips.get(`${rowIndex}`);
+    const glQuote = glRow ? glRow('GLQuote') : '';
+    const glOccurrence = glRow ? glRow('GLOccurrence') : '';
+    const roundTripOrigWords = returnRow ? returnRow('OrigWords') : '';
+    const roundTripOccurrence = returnRow ? returnRow('Occurrence') : '';
+
+    let message = '';
+    if (!glQuote || glQuote.includes(QUOTE_NOT_FOUND)) {
+      message = 'No GLQuote found for the OrigWords';
+    } else if (!roundTripOrigWords || roundTripOrigWords.includes(QUOTE_NOT_FOUND) || roundTripOrigWords === glQuote) {
+      message = `"${glQuote}" could not be converted back to OrigWords`;
+    } else if (tokenizeOrigWords(roundTripOrigWords).join(' ') !== tokenizeOrigWords(origWords).join(' ')) {
+      message = `"${glQuote}" converts back to "${roundTripOrigWords}"`;
+    } else if (roundTripOccurrence !== occurrence) {
+      message = `"${glQuote}" converts back to occurrence ${roundTripOccurrence} instead of ${occurrence}`;
+    }
+
+    if (message) {
+      failures.push({
+        rowIndex,
+        key: getQuoteRoundTripKey(row, headers),
+        reference,
+        id: cellOf(row, headers, 'ID'),
+        origWords,
+        occurrence,
+        glQuote: glQuote.replace(`${QUOTE_NOT_FOUND}: `, ''),
+        glOccurrence,
+        roundTripOrigWords,
+        roundTripOccurrence,
+        message,
+      });
+    }
+  });
+
+  return { failures, checkedRows };
+};
@@ -0,0 +1,163 @@
+/**
+ * Chapter/verse range utilities - limit generation to part of a book and splice the result back into the table
+ */
+
+import { BibleBookData } from '../common/books.js';
+import { parseTsv } from './tsvUtils.js';
+
+// A verse number above any real verse, for ranges that run to the end of a chapter
+const END_OF_CHAPTER = 999;
+
+const toPosition = (chapter, verse) => chapter * (END_OF_CHAPTER + 1) + verse;
+
+/**
+ * Parse a range such as "5", "5-7", "5:3", "5:3-12" or "5:3-7:12"
+ * Chapter-only ends cover the whole chapter, so "5-7" runs from 5:1 through the last verse of chapter 7
+ * @param {string} text - Range as typed by the user
+ * @param {string} [bookCode] - If given, chapters beyond the end of the book are rejected
+ * @returns {{start: {chapter: number, verse: number}, end: {chapter: number, verse: number}}} Parsed range
+ * @throws {Error} If the range can't be parsed or runs backwards
+ */
+export const parseReferenceRange = (text, bookCode = '') => {
+  const match = (text || '').trim().match(/^(\d+)(?::(\d+))?(?:\s*-\s*(\d+)(?::(\d+))?)?$/);
+  if (!match) {
+    throw new Error(`"${text}" is not a chapter or verse range (e.g. 5, 5-7, 5:3-12 or 5:3-7:12)`);
+  }
+
+  const [, startChapter, startVerse, endFirst, endSecond] = match;
+  const start = { chapter: parseInt(startChapter, 10), verse: startVerse ? parseInt(startVerse, 10) : 0 };
+  let end;
+  if (endFirst === undefined) {
+    // Single chapter or single verse
+    end = { chapter: start.chapter, verse: startVerse ? start.verse : END_OF_CHAPTER };
+  } else if (endSecond !== undefined) {
+    end = { chapter: parseInt(endFirst, 10), verse: parseInt(endSecond, 10) };
+  } else if (startVerse) {
+    // "5:3-12" - verses within one chapter
+    end = { chapter: start.chapter, verse: parseInt(endFirst, 10) };
+  } else {
+    end = { chapter: parseInt(endFirst, 10), verse: END_OF_CHAPTER };
+  }
+
+  if (toPosition(end.chapter, end.verse) < toPosition(start.chapter, start.verse)) {
+    throw new Error(`Range "${text}" ends before it starts`);
+  }
+  const chapterCount = BibleBookData[bookCode]?.chapters?.length;
+  if (chapterCount && (start.chapter < 1 || start.chapter > chapterCount || end.chapter > chapterCount)) {
+    throw new Error(`${BibleBookData[bookCode].title} has ${chapterCount} chapters`);
+  }
+
+  return { start, end };
+};
+
+/**
+ * Format a parsed range for display (e.g. "5:3-7:12", "5-7")
+ */
+export const formatReferenceRange = ({ start, end }) => {
+  const format = ({ chapter, verse }, isEnd) => {
+    if (!isEnd && verse === 0) return `${chapter}`;
+    if (isEnd && verse === END_OF_CHAPTER) return `${chapter}`;
+    return `${chapter}:${verse}`;
+  };
+  const from = format(start, false);
+  const to = format(end, true);
+  return from === to ? from : `${from}-${to}`;
+};
+
+/**
+ * Check whether a TWL reference (e.g. "5:3", "5:3-4", "5:intro", "DELETED 5:3") starts inside a range
+ */
+export const isReferenceInRange = (reference, { start, end }) => {
+  const match = (reference || '').replace(/^DELETED /, '').trim().match(/^(\d+):(\d+|[a-z]+)/);
+  if (!match) return false;
+
+  const chapter = parseInt(match[1], 10);
+  // Chapter introductions sort before verse 1
+  const verse = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : 0;
+  const position = toPosition(chapter, verse);
+  return position >= toPosition(start.chapter, start.verse) && position <= toPosition(end.chapter, end.verse);
+};
+
+/**
+ * Keep only the rows of TSV content whose reference is inside a range (the header is always kept)
+ */
+export const filterTsvByRange = (tsvContent, range) => {
+  if (!tsvContent || typeof tsvContent !== 'string') return tsvContent;
+  const { headers, rows } = parseTsv(tsvContent, true);
+  const referenceIndex = headers.indexOf('Reference');
+  if (referenceIndex < 0) return tsvContent;
+
+  const kept = rows.filter((row) => isReferenceInRange(row[referenceIndex], range));
+  return [headers.join('\t'), ...kept.map((row) => row.join('\t'))].join('\n');
+};
+
+/**
+ * Collect the IDs of the rows outside a range (so regenerated rows inside it can't reuse them)
+ */
+export const getIdsOutsideRange = (tsvContent, range) => {
+  const { headers, rows } = parseTsv(tsvContent || '', true);
+  const referenceIndex = headers.indexOf('Reference');
+  const idIndex = headers.indexOf('ID');
+  if (referenceIndex < 0 || idIndex < 0) return [];
+
+  return rows.filter((row) => !isReferenceInRange(row[referenceIndex], range)).map((row) => row[idIndex]).filter(Boolean);
+};
+
+/**
+ * Replace the rows of a range in the current table with regenerated rows
+ * Rows outside the range keep their values and order. The regenerated rows take the place of the old range rows
+ * (or, if the table had none, go before the first row after the range). Columns only the regenerated rows have are
+ * appended to the header and left empty for the other rows
+ * @param {string} currentContent - Current table TSV
+ * @param {string} rangeContent - Regenerated TSV for the range (rows outside the range are ignored)
+ * @param {Object} range - Range from parseReferenceRange()
+ * @returns {{content: string, removedRows: number, insertedRows: number}} Spliced content and row counts
+ */
+export const spliceRangeIntoTwl = (currentContent, rangeContent, range) => {
+  const current = parseTsv(currentContent || '', true);
+  const regenerated = parseTsv(rangeContent || '', true);
+  const referenceIndex = current.headers.indexOf('Reference');
+  const regeneratedReferenceIndex = regenerated.headers.indexOf('Reference');
+  if (referenceIndex < 0) {
+    throw new Error('The current table has no Reference column');
+  }
+
+  const headers = [...current.headers, ...regenerated.headers.filter((header) => !current.headers.includes(header))];
+  const columnMap = headers.map((header) => regenerated.headers.indexOf(header));
+  const insertedRows = regenerated.rows
+    .filter((row) => isReferenceInRange(row[regeneratedReferenceIndex], range))
+    .map((row) => columnMap.map((index) => (index >= 0 ? row[index] || '' : '')));
+
+  const rangeEnd = toPosition(range.end.chapter, range.end.verse);
+  const isAfterRange = (reference) => {
+    const match = (reference || '').replace(/^DELETED /, '').trim().match(/^(\d+):(\d+)?/);
+    return !!match && toPosition(parseInt(match[1], 10), match[2] ? parseInt(match[2], 10) : 0) > rangeEnd;
+  };
+
+  const outputRows = [];
+  let removedRows = 0;
+  let inserted = false;
+  const insertRange = () => {
+    if (!inserted) {
+      outputRows.push(...insertedRows);
+      inserted = true;
+    }
+  };
+
+  current.rows.forEach((row) => {
+    if (isReferenceInRange(row[referenceIndex], range)) {
+      insertRange();
+      removedRows++;
+      return;
+    }
+    if (isAfterRange(row[referenceIndex])) {
+      insertRange();
+    }
+    // Only padded with empty cells, the values are kept untouched
+    outputRows.push(row.length < headers.length ? [...row, ...new Array(headers.length - row.length).fill('')] : row);
+  });
+  insertRange();
+
+  const content = [headers.join('\t'), ...outputRows.map((row) => row.join('\t'))].join('\n');
+  return { content, removedRows, insertedRows: insertedRows.length };
+};
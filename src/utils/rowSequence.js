@@ -0,0 +1,174 @@
+/**
+ * Ordered row list used by the merge engine
+ * Rows are kept in a chain of small blocks, so inserting in the middle of a whole-book TWL only shifts
+ * the rows of one block instead of every following row, and each block remembers the highest reference
+ * it holds, so reference lookups can skip whole blocks.
+ */
+
+const BLOCK_SIZE = 128;
+const CHAPTER_FACTOR = 1000000;
+
+/**
+ * Turn a reference into a number that sorts the same way as compareReferences() in tsvUtils.js
+ * e.g., "3:16" -> 3000016, "DELETED 1:2" -> 1000002, "front:intro" -> 0
+ */
+export const getReferenceSortValue = (ref) => {
+  if (!ref || typeof ref !== 'string') return 0;
+  let r = ref.trim();
+  if (r.startsWith('DELETED ')) r = r.substring(8);
+  const parts = r.split(':');
+  const chapter = parseInt(parts[0], 10) || 0;
+  const verse = parseInt(parts[1], 10) || 0;
+  return chapter * CHAPTER_FACTOR + verse;
+};
+
+const stripDeletedPrefix = (ref) => (ref.startsWith('DELETED ') ? ref.substring(8) : ref);
+
+const createBlock = (entries = []) => {
+  const block = { entries, max: -Infinity, counts: new Map() };
+  entries.forEach((entry) => {
+    entry.block = block;
+    block.max = Math.max(block.max, entry.value);
+    block.counts.set(entry.value, (block.counts.get(entry.value) || 0) + 1);
+  });
+  return block;
+};
+
+/**
+ * Create an ordered row sequence
+ * @param {number} referenceIndex - Column holding the row's Reference
+ * @returns {Object} Sequence with push/insertAt/indexOf, reference lookups and toArray
+ */
+export const createRowSequence = (referenceIndex = 0) => {
+  const blocks = [];
+  let length = 0;
+
+  const createEntry = (row) => ({
+    row,
+    value: getReferenceSortValue(stripDeletedPrefix(row[referenceIndex] || '')),
+    block: null,
+  });
+
+  const addToBlock = (block, entry, offset) => {
+    block.entries.splice(offset, 0, entry);
+    entry.block = block;
+    block.max = Math.max(block.max, entry.value);
+    block.counts.set(entry.value, (block.counts.get(entry.value) || 0) + 1);
+    length++;
+
+    // Split oversized blocks so inserts stay cheap
+    if (block.entries.length > BLOCK_SIZE * 2) {
+      const blockIndex = blocks.indexOf(block);
+      const half = Math.floor(block.entries.length / 2);
+      blocks.splice(blockIndex, 1, createBlock(block.entries.slice(0, half)), createBlock(block.entries.slice(half)));
+    }
+  };
+
+  /**
+   * Insert a row at a position, like Array.prototype.splice(index, 0, row)
+   */
+  const insertAt = (index, row) => {
+    const entry = createEntry(row);
+    if (blocks.length === 0) {
+      blocks.push(createBlock());
+    }
+
+    let offset = Math.max(0, Math.min(index, length));
+    for (let b = 0; b < blocks.length; b++) {
+      const block = blocks[b];
+      if (offset <= block.entries.length && (offset < block.entries.length || b === blocks.length - 1)) {
+        addToBlock(block, entry, offset);
+        return entry;
+      }
+      offset -= block.entries.length;
+    }
+    return entry;
+  };
+
+  /**
+   * Append a row to the end of the sequence
+   */
+  const push = (row) => {
+    const lastBlock = blocks[blocks.length - 1];
+    if (!lastBlock || lastBlock.entries.length >= BLOCK_SIZE) {
+      blocks.push(createBlock());
+    }
+    const block = blocks[blocks.length - 1];
+    const entry = createEntry(row);
+    addToBlock(block, entry, block.entries.length);
+    return entry;
+  };
+
+  /**
+   * Current position of an entry returned by push/insertAt
+   */
+  const indexOf = (entry) => {
+    let offset = 0;
+    for (const block of blocks) {
+      if (block === entry.block) {
+        return offset + block.entries.indexOf(entry);
+      }
+      offset += block.entries.length;
+    }
+    return -1;
+  };
+
+  /**
+   * Position of the first row whose reference is the same as or after the given sort value (length if none)
+   */
+  const firstIndexAtOrAfter = (value) => {
+    let offset = 0;
+    for (const block of blocks) {
+      if (block.max >= value) {
+        const i = block.entries.findIndex((entry) => entry.value >= value);
+        return offset + i;
+      }
+      offset += block.entries.length;
+    }
+    return length;
+  };
+
+  /**
+   * Position of the first row with a later reference than the given sort value; when there is none,
+   * the position right after the last row with the same reference, or the end of the sequence
+   */
+  const indexAfterReference = (value) => {
+    let offset = 0;
+    for (const block of blocks) {
+      if (block.max > value) {
+        return offset + block.entries.findIndex((entry) => entry.value > value);
+      }
+      offset += block.entries.length;
+    }
+
+    // No later reference - walk back to the last row with the same reference
+    let blockStart = length;
+    for (let b = blocks.length - 1; b >= 0; b--) {
+      const block = blocks[b];
+      blockStart -= block.entries.length;
+      if (!block.counts.has(value)) continue;
+
+      for (let i = block.entries.length - 1; i >= 0; i--) {
+        if (block.entries[i].value === value) {
+          return blockStart + i + 1;
+        }
+      }
+    }
+
+    return length;
+  };
+
+  const toArray = () => blocks.flatMap((block) => block.entries.map((entry) => entry.row));
+
+  return {
+    push,
+    insertAt,
+    indexOf,
+    firstIndexAtOrAfter,
+    indexAfterReference,
+    toArray,
+    get length() {
+      return length;
+    },
+  };
+};
@@ -0,0 +1,257 @@
+/**
+ * Custom term mappings - curators' OrigWords or lemma/Strong's to TWLink rules that supplement twl-generator
+ * After generation, each rule is looked up in the original-language text of its books: rows the generator missed are
+ * added and rows it linked elsewhere are pointed to the rule's TWLink. After merging, those rows get their own Merge
+ * Status so they can be reviewed
+ */
+
+import { parseTsv, compareReferences } from './tsvUtils.js';
+import { tokenizeOrigWords } from './fuzzyMatch.js';
+import { normalizeHebrewText } from './unlinkedWords.js';
+
+export const CUSTOM_MAPPING_STATUS = 'CUSTOM-MAPPING';
+
+const TERM_MAPPINGS_KEY = 'twl-term-mappings';
+
+// What a rule's match text is compared with
+export const TERM_MAPPING_TYPES = {
+  ORIG_WORDS: 'origWords',
+  LEMMA: 'lemma',
+};
+
+export const TERM_MAPPING_TYPE_OPTIONS = [
+  { value: TERM_MAPPING_TYPES.ORIG_WORDS, label: 'OrigWords', description: 'The words as they appear in the text (several words match as a phrase)' },
+  { value: TERM_MAPPING_TYPES.LEMMA, label: "Lemma / Strong's", description: "Every word with this lemma or Strong's number (e.g. H1004 or G23160)" },
+];
+
+// Merge Status values a mapped row replaces; any other status says more about the row than the mapping does
+const REPLACEABLE_STATUSES = ['', 'NEW', 'CHANGED-GENERATOR'];
+
+const TW_LINK_PATTERN = /^rc:\/\/\*\/tw\/dict\/bible\/[a-z]+\/[^\s/]+$/;
+
+const stripDeleted = (reference) => (reference.startsWith('DELETED ') ? reference.substring(8) : reference);
+
+const getRowKey = (reference, origWords, occurrence) => [stripDeleted(reference), tokenizeOrigWords(origWords).join(' '), String(occurrence).trim()].join('\t');
+
+/**
+ * Get the term mappings last loaded from the server (local storage copy)
+ */
+export const getTermMappings = () => {
+  try {
+    const stored = localStorage.getItem(TERM_MAPPINGS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading term mappings:', error);
+    return [];
+  }
+};
+
+/**
+ * Save term mappings to local storage
+ */
+export const saveTermMappings = (termMappings) => {
+  try {
+    localStorage.setItem(TERM_MAPPINGS_KEY, JSON.stringify(termMappings));
+  } catch (error) {
+    console.error('Error saving term mappings:', error);
+  }
+};
+
+/**
+ * Key of a rule, the same as the server's: saving a rule for the same match replaces it
+ */
+export const getTermMappingKey = (rule) => `${rule.matchType}|${normalizeHebrewText(rule.match)}`;
+
+/**
+ * Parse a comma/space separated list of book codes (empty = all books)
+ */
+export const parseTermMappingBooks = (text) =>
+  [...new Set((text || '').split(/[\s,]+/).map((book) => book.trim().toLowerCase()).filter(Boolean))];
+
+/**
+ * Check a rule before it is saved
+ * @param {Object} rule - {matchType, match, twLink, books}
+ * @param {string[]} [bookCodes] - Known book codes to check rule.books against
+ * @returns {Object<string, string>} Error message per invalid field (empty if the rule is valid)
+ */
+export const validateTermMapping = (rule, bookCodes = []) => {
+  const errors = {};
+  if (!Object.values(TERM_MAPPING_TYPES).includes(rule.matchType)) {
+    errors.matchType = 'Choose what to match';
+  }
+  if (!(rule.match || '').trim()) {
+    errors.match = 'Enter the words, lemma or Strong’s number to match';
+  }
+  if (!TW_LINK_PATTERN.test((rule.twLink || '').trim())) {
+    errors.twLink = 'Enter a TW article link like rc://*/tw/dict/bible/kt/god';
+  }
+  const unknownBooks = bookCodes.length > 0 ? (rule.books || []).filter((book) => !bookCodes.includes(book)) : [];
+  if (unknownBooks.length > 0) {
+    errors.books = `Unknown book code${unknownBooks.length === 1 ? '' : 's'}: ${unknownBooks.join(', ')}`;
+  }
+  return errors;
+};
+
+/**
+ * Whether a rule applies to a book (rules without books apply to all)
+ */
+export const isTermMappingForBook = (rule, bookCode) => !rule.books?.length || rule.books.includes((bookCode || '').toLowerCase());
+
+const isLemmaMatch = (word, match) => {
+  const strong = (word.strong || '').toUpperCase();
+  const wanted = match.toUpperCase();
+  return (!!strong && (strong === wanted || strong.split(':').pop() === wanted)) || (!!word.lemma && normalizeHebrewText(word.lemma) === normalizeHebrewText(match));
+};
+
+/**
+ * Find the instances of a rule in a verse
+ * @param {Array<{text: string, original: string, lemma: string, strong: string}>} verseWords - From buildVerseLexicon()
+ * @returns {Array<{origWords: string, occurrence: string}>} OrigWords rules keep the rule's text; lemma rules take the
+ *   word as written. Occurrence counts the instances of those words in the verse
+ */
+export const findTermMappingInVerse = (rule, verseWords) => {
+  const match = (rule.match || '').trim();
+  if (!match || !verseWords?.length) return [];
+
+  if (rule.matchType === TERM_MAPPING_TYPES.LEMMA) {
+    const seen = {};
+    return verseWords
+      .map((word) => {
+        seen[word.text] = (seen[word.text] || 0) + 1;
+        return isLemmaMatch(word, match) ? { origWords: word.original || word.text, occurrence: String(seen[word.text]) } : null;
+      })
+      .filter(Boolean);
+  }
+
+  const tokens = tokenizeOrigWords(match);
+  if (tokens.length === 0) return [];
+  const instances = [];
+  for (let i = 0; i + tokens.length <= verseWords.length; i++) {
+    if (tokens.every((token, offset) => verseWords[i + offset].text === token)) {
+      instances.push({ origWords: match, occurrence: String(instances.length + 1) });
+    }
+  }
+  return instances;
+};
+
+/**
+ * Find the rows a book's rules call for
+ * @param {Array<Object>} rules - Term mappings ({matchType, match, twLink, books})
+ * @param {string} bookCode - Book code
+ * @param {Map} lexicon - Verse lexicon of the book from buildVerseLexicon()
+ * @returns {Array<{reference: string, origWords: string, occurrence: string, twLink: string}>} In reference order; where
+ *   several rules hit the same words, the first rule wins
+ */
+export const findTermMappingRows = (rules, bookCode, lexicon) => {
+  const bookRules = (rules || []).filter((rule) => isTermMappingForBook(rule, bookCode));
+  if (bookRules.length === 0 || !lexicon) return [];
+
+  const rows = new Map();
+  lexicon.forEach((verseWords, reference) => {
+    bookRules.forEach((rule) => {
+      findTermMappingInVerse(rule, verseWords).forEach(({ origWords, occurrence }) => {
+        const key = getRowKey(reference, origWords, occurrence);
+        if (!rows.has(key)) {
+          rows.set(key, { reference, origWords, occurrence, twLink: rule.twLink.trim() });
+        }
+      });
+    });
+  });
+  return [...rows.values()].sort((a, b) => compareReferences(a.reference, b.reference));
+};
+
+/**
+ * Apply the rows found by findTermMappingRows() to generated TWL content
+ * A generated row with the same Reference, OrigWords and Occurrence but another TWLink is pointed to the rule's TWLink;
+ * otherwise a row is inserted after the last row of its verse. Rows that already have the TWLink are left alone
+ * @param {string} tsvContent - Generated TWL (with header)
+ * @param {Array<Object>} mappingRows - From findTermMappingRows(), optionally with glQuote and glOccurrence
+ * @returns {{content: string, added: number, overridden: number, keys: string[]}} keys identify the changed rows for
+ *   markTermMappedRows()
+ */
+export const applyTermMappingRows = (tsvContent, mappingRows) => {
+  if (!mappingRows?.length || !tsvContent?.trim()) return { content: tsvContent, added: 0, overridden: 0, keys: [] };
+
+  const { headers, rows } = parseTsv(tsvContent.trim(), true);
+  const column = (name) => headers.indexOf(name);
+  const [referenceIndex, origWordsIndex, occurrenceIndex, twLinkIndex] = ['Reference', 'OrigWords', 'Occurrence', 'TWLink'].map(column);
+  if ([referenceIndex, origWordsIndex, occurrenceIndex, twLinkIndex].some((index) => index < 0)) {
+    return { content: tsvContent, added: 0, overridden: 0, keys: [] };
+  }
+
+  const rowsByKey = new Map();
+  rows.forEach((row) => {
+    const key = getRowKey(row[referenceIndex] || '', row[origWordsIndex] || '', row[occurrenceIndex] || '');
+    if (!rowsByKey.has(key)) rowsByKey.set(key, []);
+    rowsByKey.get(key).push(row);
+  });
+
+  let added = 0;
+  let overridden = 0;
+  const keys = [];
+  mappingRows.forEach((mappingRow) => {
+    const key = getRowKey(mappingRow.reference, mappingRow.origWords, mappingRow.occurrence);
+    const existing = rowsByKey.get(key) || [];
+    if (existing.some((row) => (row[twLinkIndex] || '').trim() === mappingRow.twLink)) return;
+
+    if (existing.length > 0) {
+      existing[0][twLinkIndex] = mappingRow.twLink;
+      overridden++;
+    } else {
+      const newRow = headers.map(() => '');
+      newRow[referenceIndex] = mappingRow.reference;
+      newRow[origWordsIndex] = mappingRow.origWords;
+      newRow[occurrenceIndex] = mappingRow.occurrence;
+      newRow[twLinkIndex] = mappingRow.twLink;
+      if (column('GLQuote') >= 0) newRow[column('GLQuote')] = mappingRow.glQuote || '';
+      if (column('GLOccurrence') >= 0) newRow[column('GLOccurrence')] = mappingRow.glOccurrence || '';
+
+      let insertAt = rows.length;
+      while (insertAt > 0 && compareReferences(stripDeleted(rows[insertAt - 1][referenceIndex] || ''), mappingRow.reference) > 0) {
+        insertAt--;
+      }
+      rows.splice(insertAt, 0, newRow);
+      rowsByKey.set(key, [newRow]);
+      added++;
+    }
+    keys.push(`${key}\t${mappingRow.twLink}`);
+  });
+
+  const content = [headers, ...rows].map((row) => row.join('\t')).join('\n');
+  return { content, added, overridden, keys };
+};
+
+/**
+ * Give the rows a term mapping added or relinked the CUSTOM-MAPPING Merge Status (adding the column if needed)
+ * Rows the merge paired with an existing row keep their status
+ * @param {string} tsvContent - TWL content after merging
+ * @param {string[]} keys - From applyTermMappingRows()
+ * @returns {{content: string, marked: number}}
+ */
+export const markTermMappedRows = (tsvContent, keys) => {
+  if (!keys?.length || !tsvContent?.trim()) return { content: tsvContent, marked: 0 };
+
+  const { headers, rows } = parseTsv(tsvContent.trim(), true);
+  const [referenceIndex, origWordsIndex, occurrenceIndex, twLinkIndex] = ['Reference', 'OrigWords', 'Occurrence', 'TWLink'].map((name) => headers.indexOf(name));
+  if ([referenceIndex, origWordsIndex, occurrenceIndex, twLinkIndex].some((index) => index < 0)) return { content: tsvContent, marked: 0 };
+
+  let mergeStatusIndex = headers.indexOf('Merge Status');
+  if (mergeStatusIndex < 0) {
+    headers.push('Merge Status');
+    mergeStatusIndex = headers.length - 1;
+  }
+
+  const wanted = new Set(keys);
+  let marked = 0;
+  const nextRows = rows.map((row) => {
+    const nextRow = headers.map((_, index) => row[index] ?? '');
+    const key = `${getRowKey(row[referenceIndex] || '', row[origWordsIndex] || '', row[occurrenceIndex] || '')}\t${(row[twLinkIndex] || '').trim()}`;
+    if (wanted.has(key) && REPLACEABLE_STATUSES.includes((nextRow[mergeStatusIndex] || '').trim())) {
+      nextRow[mergeStatusIndex] = CUSTOM_MAPPING_STATUS;
+      marked++;
+    }
+    return nextRow;
+  });
+
+  return { content: [headers, ...nextRows].map((row) => row.join('\t')).join('\n'), marked };
+};
@@ -291,8 +291,10 @@ export const truncateContextAroundWord = (contextText) => {
 /**
  * Ensure all IDs in the ID column are unique and properly formatted
  * ID format: 4 character hex starting with [a-z], remaining 3 chars [a-z0-9]
+ * @param {string} tsvContent - TSV content with a header row
+ * @param {Iterable<string>} [reservedIds] - IDs used elsewhere (e.g. rows outside a regenerated range); rows using them get new IDs
  */
-export const ensureUniqueIds = (tsvContent) => {
+export const ensureUniqueIds = (tsvContent, reservedIds = []) => {
   if (!tsvContent || typeof tsvContent !== 'string') {
     console.error('ensureUniqueIds received invalid input:', typeof tsvContent, tsvContent);
     return '';
@@ -310,7 +312,7 @@ export const ensureUniqueIds = (tsvContent) => {
     return tsvContent;
   }
 
-  const usedIds = new Set();
+  const usedIds = new Set(reservedIds);
 
   /**
    * Generate a new unique ID following the format rules
@@ -0,0 +1,112 @@
+/**
+ * TW article coverage of a book - which articles of the TW archive the rows link to and how often, and which articles
+ * the book never links to although one of their headwords (the words of the article's title) appears in the ULT
+ */
+
+import { compareReferences } from './tsvUtils.js';
+
+const TW_LINK_PREFIX = 'rc://*/tw/dict/bible/';
+
+export const TW_CATEGORIES = ['kt', 'names', 'other'];
+
+const splitWords = (text) => text.toLowerCase().split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+
+/**
+ * Category of a TWLink (kt, names or other)
+ */
+export const getTwCategory = (twLink) => (twLink.startsWith(TW_LINK_PREFIX) ? twLink.slice(TW_LINK_PREFIX.length).split('/')[0] : '');
+
+/**
+ * Headwords of an article from its title, e.g. "God, gods, godly" -> ["god", "gods", "godly"]
+ * Parenthetical notes such as "(Old Testament)" are dropped
+ */
+export const parseTwHeadwords = (title) => [
+  ...new Set(
+    (title || '')
+      .replace(/\([^)]*\)/g, '')
+      .split(/[,;]/)
+      .map((headword) => splitWords(headword).join(' '))
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Count the live rows of the table per TWLink
+ * @param {{headers: string[], rows: string[][]}} tableData - The table
+ * @param {Object<string, string>} twTitles - Article titles by rc:// link (fetchTwArticleIndex())
+ * @returns {Array<{twLink: string, title: string, category: string, count: number, references: string[], inArchive: boolean}>}
+ *   Most used first; references are unique, in table order
+ */
+export const buildTwUsage = (tableData, twTitles) => {
+  const { headers = [], rows = [] } = tableData || {};
+  const referenceIndex = headers.indexOf('Reference');
+  const twLinkIndex = headers.indexOf('TWLink');
+  const usage = new Map();
+
+  rows.forEach((row) => {
+    const reference = (row[referenceIndex] || '').trim();
+    const twLink = (row[twLinkIndex] || '').trim();
+    if (!twLink || reference.startsWith('DELETED ')) return;
+    if (!usage.has(twLink)) {
+      usage.set(twLink, { twLink, title: twTitles[twLink] || '', category: getTwCategory(twLink), count: 0, references: [], inArchive: twLink in twTitles });
+    }
+    const article = usage.get(twLink);
+    article.count++;
+    if (!article.references.includes(reference)) article.references.push(reference);
+  });
+
+  return [...usage.values()].sort((a, b) => b.count - a.count || a.twLink.localeCompare(b.twLink));
+};
+
+/**
+ * Find the articles the book never links to although a headword of theirs appears in the ULT
+ * @param {Set<string>|string[]} usedTwLinks - TWLinks the table uses
+ * @param {Object<string, string>} twTitles - Article titles by rc:// link
+ * @param {Map<string, string>} ultVerses - ULT text per "chapter:verse" (parseUsfmVerses())
+ * @returns {Array<{twLink: string, title: string, category: string, headwords: string[], references: string[]}>}
+ *   headwords are the ones found; references are the verses they appear in. Most verses first
+ */
+export const findUnusedTwArticles = (usedTwLinks, twTitles, ultVerses) => {
+  const used = new Set(usedTwLinks);
+
+  // Verses each word of the ULT appears in, and each verse's words as one string for multi-word headwords
+  const versesByWord = new Map();
+  const verseTexts = [];
+  ultVerses.forEach((text, reference) => {
+    const words = splitWords(text);
+    verseTexts.push([reference, ` ${words.join(' ')} `]);
+    new Set(words).forEach((word) => {
+      if (!versesByWord.has(word)) versesByWord.set(word, []);
+      versesByWord.get(word).push(reference);
+    });
+  });
+
+  const unused = [];
+  Object.entries(twTitles).forEach(([twLink, title]) => {
+    if (used.has(twLink)) return;
+
+    const references = new Set();
+    const headwords = parseTwHeadwords(title).filter((headword) => {
+      const verses = headword.includes(' ')
+        ? verseTexts.filter(([, text]) => text.includes(` ${headword} `)).map(([reference]) => reference)
+        : versesByWord.get(headword) || [];
+      verses.forEach((reference) => references.add(reference));
+      return verses.length > 0;
+    });
+
+    if (headwords.length > 0) {
+      unused.push({ twLink, title, category: getTwCategory(twLink), headwords, references: [...references].sort(compareReferences) });
+    }
+  });
+
+  return unused.sort((a, b) => b.references.length - a.references.length || a.twLink.localeCompare(b.twLink));
+};
+
+/**
+ * A TWLTable row filter for the live rows linked to one article
+ * @returns {{label: string, test: function(string[], string[]): boolean}}
+ */
+export const createTwLinkRowFilter = (twLink, label) => ({
+  label,
+  test: (row, headers) => !(row[headers.indexOf('Reference')] || '').startsWith('DELETED ') && (row[headers.indexOf('TWLink')] || '').trim() === twLink,
+});
@@ -0,0 +1,60 @@
+/**
+ * Tags column - the tags a row should have follow from the category of its TWLink: kt articles are keyterms, names
+ * articles are names and other articles have no tag
+ */
+
+import { getTwCategory } from './twCoverage.js';
+import { VALID_TWL_TAGS, parseTwlTags } from './twlValidation.js';
+
+export const TAG_BY_TW_CATEGORY = {
+  kt: 'keyterm',
+  names: 'name',
+};
+
+/**
+ * Join tags into a Tags cell - allowed tags first in their usual order, then any others as they were
+ */
+export const formatTwlTags = (tags) => {
+  const unique = [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+  return [...VALID_TWL_TAGS.filter((tag) => unique.includes(tag)), ...unique.filter((tag) => !VALID_TWL_TAGS.includes(tag))].join('; ');
+};
+
+/**
+ * Tags cell derived from a TWLink, e.g. "keyterm" for .../bible/kt/god and '' for .../bible/other/bread
+ */
+export const deriveTwlTags = (twLink) => TAG_BY_TW_CATEGORY[getTwCategory((twLink || '').trim())] || '';
+
+/**
+ * Whether a Tags cell holds exactly the tags of its TWLink's category
+ * Rows without a TWLink always match
+ */
+export const tagsMatchTwLink = (tags, twLink) => {
+  if (!(twLink || '').trim()) return true;
+  return formatTwlTags(parseTwlTags(tags)) === deriveTwlTags(twLink);
+};
+
+/**
+ * Set the Tags of every live row of TSV content from its TWLink
+ * @returns {{content: string, changed: number}} content is unchanged if no row needed new tags
+ */
+export const deriveTagsInTsv = (content) => {
+  const lines = (content || '').split('\n');
+  const headers = (lines[0] || '').split('\t');
+  const referenceIndex = headers.indexOf('Reference');
+  const tagsIndex = headers.indexOf('Tags');
+  const twLinkIndex = headers.indexOf('TWLink');
+  if (tagsIndex < 0 || twLinkIndex < 0) return { content, changed: 0 };
+
+  let changed = 0;
+  const newLines = lines.map((line, index) => {
+    if (index === 0 || !line.trim()) return line;
+    const row = line.split('\t');
+    if ((row[referenceIndex] || '').startsWith('DELETED ') || tagsMatchTwLink(row[tagsIndex], row[twLinkIndex])) return line;
+    while (row.length <= tagsIndex) row.push('');
+    row[tagsIndex] = deriveTwlTags(row[twLinkIndex]);
+    changed++;
+    return row.join('\t');
+  });
+
+  return { content: changed > 0 ? newLines.join('\n') : content, changed };
+};
@@ -0,0 +1,175 @@
+/**
+ * Pre-commit validation of a TWL - the checks run on the rows about to be committed to DCS
+ * Errors block the commit: references outside the book, missing or duplicate IDs, invalid Tags, TWLinks that are not
+ * in the TW archive and OrigWords that are not in the original-language verse at their Occurrence. Warnings are listed
+ * for review: malformed IDs, duplicate rows, unresolved merge conflicts and checks that could not run
+ */
+
+import { BibleBookData } from '../common/books.js';
+import { tokenizeOrigWords } from './fuzzyMatch.js';
+import { countOrigWordsInstances } from './occurrences.js';
+
+// Values the Tags column may hold (several are separated by "; ")
+export const VALID_TWL_TAGS = ['keyterm', 'name'];
+
+const REFERENCE_PATTERN = /^(\d+):(\d+)(?:-(\d+))?$/;
+const ID_PATTERN = /^[a-z][a-z0-9]{3}$/;
+const TW_LINK_PATTERN = /^rc:\/\/\*\/tw\/dict\/bible\/[a-z]+\/[^\s/]+$/;
+
+/**
+ * Split a Tags cell into its tags
+ */
+export const parseTwlTags = (tags) =>
+  (tags || '')
+    .split(';')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Why a reference is not a verse (or verse range) of the book
+ * @returns {string} Message, or '' if the reference is valid
+ */
+export const checkReference = (reference, bookCode) => {
+  const match = REFERENCE_PATTERN.exec(reference);
+  if (!match) return `"${reference}" is not a chapter:verse reference`;
+
+  const chapters = BibleBookData[(bookCode || '').toLowerCase()]?.chapters;
+  if (!chapters) return '';
+
+  const [chapter, verse, endVerse] = [match[1], match[2], match[3]].map((value) => (value === undefined ? undefined : parseInt(value, 10)));
+  if (chapter < 1 || chapter > chapters.length) {
+    return `Chapter ${chapter} is not in ${BibleBookData[bookCode.toLowerCase()].title} (${chapters.length} chapters)`;
+  }
+  const lastVerse = Math.max(verse, endVerse || 0);
+  if (verse < 1 || lastVerse > chapters[chapter - 1] || (endVerse !== undefined && endVerse < verse)) {
+    return `Verse ${endVerse !== undefined ? `${verse}-${endVerse}` : verse} is not in chapter ${chapter} (${chapters[chapter - 1]} verses)`;
+  }
+  return '';
+};
+
+/**
+ * Why OrigWords is not in its verse at its Occurrence
+ * Discontiguous ("&") OrigWords only need each part to be in the verse
+ * @param {Array<Object>} verseWords - Words of the verse from buildVerseLexicon()
+ * @returns {string} Message, or '' if the words are there
+ */
+export const checkOrigWords = (origWords, occurrence, verseWords) => {
+  if (!tokenizeOrigWords(origWords).length) return 'OrigWords is empty';
+
+  if (origWords.includes('&')) {
+    const missing = origWords.split('&').map((part) => part.trim()).filter((part) => part && countOrigWordsInstances(part, verseWords) === 0);
+    return missing.length > 0 ? `"${missing.join('", "')}" not found in the original-language verse` : '';
+  }
+
+  const instances = countOrigWordsInstances(origWords, verseWords);
+  if (instances === 0) return `"${origWords}" not found in the original-language verse`;
+  if (!/^\d+$/.test(occurrence) || parseInt(occurrence, 10) < 1) return `Occurrence "${occurrence}" is not a positive number`;
+  if (parseInt(occurrence, 10) > instances) {
+    return `Occurrence ${occurrence} but "${origWords}" appears ${instances} time${instances === 1 ? '' : 's'} in the verse`;
+  }
+  return '';
+};
+
+/**
+ * Validate the live (not soft-deleted) rows of the table
+ * @param {{headers: string[], rows: string[][]}} tableData - The table as displayed (from useTableData())
+ * @param {Object} options
+ * @param {string} options.bookCode - Book the TWL belongs to
+ * @param {Map|null} [options.verseWords] - Original-language words per verse (buildVerseLexicon()); null skips the
+ *   OrigWords check with a warning
+ * @param {string[]|null} [options.twRcLinks] - rc:// links of every TW article (fetchTwArticleIndex()); null skips the
+ *   TWLink check with a warning
+ * @returns {{errors: Object[], warnings: Object[], checkedRows: number}} Issues are {rowIndex, reference, id, column,
+ *   message}; rowIndex is the table row (-1 for issues not about a row)
+ */
+export const validateTwlRows = (tableData, { bookCode, verseWords = null, twRcLinks = null }) => {
+  const errors = [];
+  const warnings = [];
+  const { headers = [], rows = [] } = tableData || {};
+  const column = (name) => headers.indexOf(name);
+  const [referenceIndex, idIndex, tagsIndex, origWordsIndex, occurrenceIndex, twLinkIndex] = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink'].map(column);
+  const mergeStatusIndex = column('Merge Status');
+
+  const missingColumns = ['Reference', 'ID', 'Tags', 'OrigWords', 'Occurrence', 'TWLink'].filter((name) => column(name) < 0);
+  if (missingColumns.length > 0) {
+    errors.push({ rowIndex: -1, reference: '', id: '', column: '', message: `Missing column${missingColumns.length === 1 ? '' : 's'}: ${missingColumns.join(', ')}` });
+    return { errors, warnings, checkedRows: 0 };
+  }
+
+  if (!verseWords) {
+    warnings.push({ rowIndex: -1, reference: '', id: '', column: 'OrigWords', message: 'Could not load the original-language text - OrigWords and Occurrence were not checked' });
+  }
+  const twLinks = twRcLinks ? new Set(twRcLinks) : null;
+  if (!twLinks) {
+    warnings.push({ rowIndex: -1, reference: '', id: '', column: 'TWLink', message: 'Could not load the TW articles - TWLinks were only checked for their format' });
+  }
+
+  const rowsById = new Map();
+  const rowsByContent = new Map();
+  let checkedRows = 0;
+
+  rows.forEach((row, rowIndex) => {
+    const cell = (index) => (row[index] || '').trim();
+    const reference = cell(referenceIndex);
+    if (reference.startsWith('DELETED ')) return;
+    checkedRows++;
+
+    const id = cell(idIndex);
+    const issue = (columnName, message) => ({ rowIndex, reference, id, column: columnName, message });
+
+    const referenceError = checkReference(reference, bookCode);
+    if (referenceError) errors.push(issue('Reference', referenceError));
+
+    if (!id) {
+      errors.push(issue('ID', 'Missing ID'));
+    } else {
+      if (!ID_PATTERN.test(id)) warnings.push(issue('ID', `ID "${id}" is not 4 characters of a-z and 0-9 starting with a letter`));
+      if (!rowsById.has(id)) rowsById.set(id, []);
+      rowsById.get(id).push(rowIndex);
+    }
+
+    const invalidTags = parseTwlTags(row[tagsIndex]).filter((tag) => !VALID_TWL_TAGS.includes(tag));
+    if (invalidTags.length > 0) {
+      errors.push(issue('Tags', `Invalid tag${invalidTags.length === 1 ? '' : 's'} "${invalidTags.join('; ')}" (allowed: ${VALID_TWL_TAGS.join(', ')})`));
+    }
+
+    const twLink = cell(twLinkIndex);
+    if (!TW_LINK_PATTERN.test(twLink)) {
+      errors.push(issue('TWLink', twLink ? `"${twLink}" is not a TW article link` : 'Missing TWLink'));
+    } else if (twLinks && !twLinks.has(twLink)) {
+      errors.push(issue('TWLink', `${twLink} is not an article in the TW archive`));
+    }
+
+    if (verseWords && !referenceError) {
+      const [chapter, verse] = reference.split(/[:-]/);
+      const words = verseWords.get(`${chapter}:${verse}`);
+      if (!words) {
+        warnings.push(issue('OrigWords', `Verse ${chapter}:${verse} is not in the original-language text`));
+      } else {
+        const origWordsError = checkOrigWords(cell(origWordsIndex), cell(occurrenceIndex), words);
+        if (origWordsError) errors.push(issue('OrigWords', origWordsError));
+      }
+    }
+
+    const contentKey = [reference, tokenizeOrigWords(cell(origWordsIndex)).join(' '), cell(occurrenceIndex), twLink].join('\t');
+    if (rowsByContent.has(contentKey)) {
+      warnings.push(issue('', `Same Reference, OrigWords, Occurrence and TWLink as the row with ID ${rowsByContent.get(contentKey)}`));
+    } else {
+      rowsByContent.set(contentKey, id);
+    }
+
+    if (mergeStatusIndex >= 0 && cell(mergeStatusIndex) === 'CONFLICT') {
+      warnings.push(issue('Merge Status', 'Unresolved merge conflict'));
+    }
+  });
+
+  rowsById.forEach((rowIndices, id) => {
+    if (rowIndices.length < 2) return;
+    rowIndices.forEach((rowIndex) => {
+      errors.push({ rowIndex, reference: (rows[rowIndex][referenceIndex] || '').trim(), id, column: 'ID', message: `ID ${id} is used by ${rowIndices.length} rows` });
+    });
+  });
+
+  const byRow = (a, b) => a.rowIndex - b.rowIndex;
+  return { errors: errors.sort(byRow), warnings: warnings.sort(byRow), checkedRows };
+};
@@ -2,10 +2,12 @@
  * URL conversion utilities for TWL links and references
  */
 
+import { DEFAULT_PROJECT_CONFIG, normalizeProjectConfig, getResourceRef } from './projectConfig.js';
+
 /**
- * Convert rc:// links to Door43 URLs
+ * Convert rc:// links to Door43 URLs of the project's TW repository
  */
-export const convertRcLinkToUrl = (rcLink, dcsHost = 'https://git.door43.org') => {
+export const convertRcLinkToUrl = (rcLink, dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
   if (!rcLink || !rcLink.startsWith('rc://')) {
     return null;
   }
@@ -21,7 +23,8 @@ export const convertRcLinkToUrl = (rcLink, dcsHost = 'https://git.door43.org') =
     if (pathParts.length < 3) return null;
 
     const lastThreeParts = pathParts.slice(-3).join('/');
-    return `${dcsHost}/unfoldingWord/en_tw/src/master/${lastThreeParts}.md`;
+    const { owner, twRepo } = normalizeProjectConfig(projectConfig);
+    return `${dcsHost}/${owner}/${twRepo}/src/${getResourceRef(projectConfig, 'tw')}/${lastThreeParts}.md`;
   } catch (error) {
     console.warn('Error converting rc:// link:', rcLink, error);
     return null;
@@ -50,9 +53,9 @@ export const convertReferenceToTnUrl = (reference, selectedBook) => {
 };
 
 /**
- * Convert Bible reference to ULT URL for unlinked words manager
+ * Convert Bible reference to a preview URL of the project's GL Bible for unlinked words manager
  */
-export const convertReferenceToUltUrl = (reference, book) => {
+export const convertReferenceToUltUrl = (reference, book, projectConfig = DEFAULT_PROJECT_CONFIG) => {
   if (!reference || !book) {
     return null;
   }
@@ -61,7 +64,8 @@ export const convertReferenceToUltUrl = (reference, book) => {
     // Create the anchor for the specific verse
     const anchor = `${book}-${reference.replace(':', '-')}`;
 
-    return `https://preview.door43.org/u/unfoldingWord/en_ult?book=${book}#${anchor}`;
+    const { owner, bibleRepo } = normalizeProjectConfig(projectConfig);
+    return `https://preview.door43.org/u/${owner}/${bibleRepo}?book=${book}#${anchor}`;
   } catch (error) {
     console.warn('Error converting reference to ULT URL:', reference, error);
     return null;
@@ -71,7 +75,7 @@ export const convertReferenceToUltUrl = (reference, book) => {
 /**
  * Convert TWLink to Translation Words URL for unlinked words manager
  */
-export const convertTwLinkToUrl = (twLink, dcsHost = 'https://git.door43.org') => {
+export const convertTwLinkToUrl = (twLink, dcsHost = 'https://git.door43.org', projectConfig = DEFAULT_PROJECT_CONFIG) => {
   if (!twLink) {
     return null;
   }
@@ -87,7 +91,8 @@ export const convertTwLinkToUrl = (twLink, dcsHost = 'https://git.door43.org') =
     if (pathParts.length < 3) return null;
 
     const lastThreeParts = pathParts.slice(-3).join('/');
-    return `${dcsHost}/unfoldingWord/en_tw/src/master/${lastThreeParts}.md`;
+    const { owner, twRepo } = normalizeProjectConfig(projectConfig);
+    return `${dcsHost}/${owner}/${twRepo}/src/${getResourceRef(projectConfig, 'tw')}/${lastThreeParts}.md`;
   } catch (error) {
     console.warn('Error converting TWLink to URL:', twLink, error);
     return null;
@@ -8,10 +8,10 @@ import { normalizeHebrewText } from './unlinkedWords.js';
 import { parseTsv } from './tsvUtils.js';
 
 /**
- * Fetch ULT USFM content for a book
+ * Fetch ULT USFM content for a book (the project's GL Bible, see projectConfig.js)
  */
-export const fetchUltUsfm = async (bookCode, dcsHost = 'https://git.door43.org') => {
-  return fetchUSFMContent((bookCode || '').toLowerCase(), 'ult', dcsHost);
+export const fetchUltUsfm = async (bookCode, dcsHost = 'https://git.door43.org', projectConfig) => {
+  return fetchUSFMContent((bookCode || '').toLowerCase(), 'ult', dcsHost, null, projectConfig);
 };
 
 /**
@@ -167,8 +167,8 @@ const normalizeOccurrence = (value, fallback = '1') => {
 
 const getMergeStatusPriority = (mergeStatus) => {
   const status = (mergeStatus || '').trim().toUpperCase();
-  if (status === 'MERGED') return 3;
-  if (status === 'NEW') return 2;
+  if (status === 'MERGED' || status === 'MERGED-FUZZY' || status === 'UNCHANGED' || status === 'CHANGED-OURS' || status === 'CONFLICT') return 3;
+  if (status === 'NEW' || status === 'CHANGED-GENERATOR') return 2;
   if (status === 'OLD') return 1;
   return 0;
 };
@@ -192,7 +192,7 @@ const createDuplicateKey = ({
 /**
  * Order TWL rows within each verse based on their GLQuote position in ULT
  */
-export const orderRowsByVersePosition = async (tsvContent, bookCode, dcsHost = 'https://git.door43.org') => {
+export const orderRowsByVersePosition = async (tsvContent, bookCode, dcsHost = 'https://git.door43.org', projectConfig) => {
   console.log('📖 [VERSE-ORDER] Starting verse-based reordering for book:', bookCode);
   if (!tsvContent || typeof tsvContent !== 'string') {
     return tsvContent;
@@ -219,7 +219,7 @@ export const orderRowsByVersePosition = async (tsvContent, bookCode, dcsHost = '
 
   let verseMap = new Map();
   try {
-    const usfmContent = await fetchUltUsfm(bookCode, dcsHost);
+    const usfmContent = await fetchUltUsfm(bookCode, dcsHost, projectConfig);
     verseMap = parseUsfmVerses(usfmContent);
     console.log('📖 [VERSE-ORDER] Parsed', verseMap.size, 'verses from ULT');
   } catch (error) {
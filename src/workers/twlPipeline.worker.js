@@ -0,0 +1,22 @@
+/**
+ * Web Worker running the TWL generation pipeline off the main thread
+ * Receives {id, options} (runTwlPipeline() options without onProgress) and posts back
+ * {id, type: 'progress', stage}, {id, type: 'result', result} or {id, type: 'error', message}
+ */
+
+import { runTwlPipeline } from '../services/twlPipeline.js';
+
+self.onmessage = async (event) => {
+  const { id, options } = event.data;
+
+  try {
+    const result = await runTwlPipeline({
+      ...options,
+      onProgress: (stage) => self.postMessage({ id, type: 'progress', stage }),
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    console.error('🧵 [WORKER] Pipeline failed:', error);
+    self.postMessage({ id, type: 'error', message: error?.message || String(error) });
+  }
+};
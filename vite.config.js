@@ -16,6 +16,10 @@ export default defineConfig({
     exclude: ['fsevents'],
     include: ['twl-generator', 'tsv-quote-converters']
   },
+  worker: {
+    // The pipeline worker imports the same modules as the app, so it needs code splitting
+    format: 'es',
+  },
   build: {
     commonjsOptions: {
       include: [/twl-generator/, /tsv-quote-converters/, /node_modules/]